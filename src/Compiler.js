@@ -19,13 +19,17 @@ import {FromOptionsTransformer} from './codegeneration/FromOptionsTransformer.js
 import {Parser} from './syntax/Parser.js';
 import {PureES6Transformer} from './codegeneration/PureES6Transformer.js';
 import {SourceFile} from './syntax/SourceFile.js';
+import {
+  UniqueIdentifierGenerator
+} from './codegeneration/UniqueIdentifierGenerator.js';
 import {CollectingErrorReporter} from './util/CollectingErrorReporter.js';
+import {setAssertionsEnabled} from './util/assert.js';
 import {
   Options,
-  options as traceurOptions,
   versionLockedOptions
 } from './Options.js';
 
+import {DeclarationWriter} from './outputgeneration/DeclarationWriter.js';
 import {ParseTreeMapWriter} from './outputgeneration/ParseTreeMapWriter.js';
 import {ParseTreeWriter} from './outputgeneration/ParseTreeWriter.js';
 import {SourceMapGenerator} from './outputgeneration/SourceMapIntegration.js';
@@ -119,6 +123,20 @@ export class Compiler {
     };
     return merge(closureOptions, options);
   }
+  /**
+   * Options to create 'umd' module format.
+   *
+   * @param  {Object=} options Traceur options to override defaults.
+   * @return {Object}
+   */
+  static umdOptions(options = {}) {
+    var umdOptions = {
+      modules: 'umd',
+      sourceMaps: false,
+      moduleName: false
+    };
+    return merge(umdOptions, options);
+  }
   /**
    * Options to create 'commonjs' module format.
    *
@@ -134,6 +152,18 @@ export class Compiler {
     return merge(commonjsOptions, options);
   }
 
+  /**
+   * Adds a transformer plugin, run before or after one of the stages of the
+   * transform pipeline. See codegeneration/TransformerPlugin.js.
+   *
+   * @param {{transformer: Function, before: string=, after: string=}} plugin
+   * @return {Compiler}
+   */
+  addPlugin(plugin) {
+    this.options_.plugins = (this.options_.plugins || []).concat([plugin]);
+    return this;
+  }
+
   /**
    * Compile ES6 source code with Traceur.
    *
@@ -162,30 +192,58 @@ export class Compiler {
   }
 
   throwIfErrors(errorReporter) {
-    if (errorReporter.hadError())
-      throw errorReporter.errors;
+    if (errorReporter.hadError()) {
+      var errors = errorReporter.errors;
+      // The errors are thrown as an array of strings. The diagnostics they
+      // come from are attached for tools but are kept out of the way when the
+      // array is printed.
+      Object.defineProperty(errors, 'diagnostics', {
+        value: errorReporter.diagnostics
+      });
+      throw errors;
+    }
   }
 
   /**
+   * With the errorRecovery option the tree is returned even if there were
+   * errors. The diagnostics of the parse are then attached to it and are
+   * thrown when the tree is transformed.
+   *
    * @param {string} content to be compiled.
    * @param {string} sourceName inserted into sourceMaps
    */
   parse(content, sourceName = '<compiler-parse-input>') {
     sourceName = this.normalize(sourceName);
     this.sourceMapConfiguration_ = null;
-    // Here we mutate the global/module options object to be used in parsing.
-    traceurOptions.setFromObject(this.options_);
 
     var errorReporter = new CollectingErrorReporter();
     var sourceFile = new SourceFile(sourceName, content);
-    var parser = new Parser(sourceFile, errorReporter);
-    var tree =
-        this.options_.script ? parser.parseScript() : parser.parseModule();
-    this.throwIfErrors(errorReporter);
+    var parser = new Parser(sourceFile, errorReporter, this.options_);
+    var tree = this.withAssertions_(() =>
+        this.options_.script ? parser.parseScript() : parser.parseModule());
+    if (this.options_.errorRecovery) {
+      Object.defineProperty(tree, 'diagnostics', {
+        value: errorReporter.diagnostics
+      });
+    } else {
+      this.throwIfErrors(errorReporter);
+    }
 
     return tree;
   }
 
+  /**
+   * Throws the errors of a tree parsed with the errorRecovery option.
+   * @param {ParseTree} tree
+   */
+  throwIfParseErrors_(tree) {
+    if (tree.diagnostics) {
+      var errorReporter = new CollectingErrorReporter();
+      tree.diagnostics.forEach((diagnostic) => errorReporter.report(diagnostic));
+      this.throwIfErrors(errorReporter);
+    }
+  }
+
   /**
    * Apply transformations selected by options to tree.
    * @param {ParseTree} tree
@@ -195,6 +253,7 @@ export class Compiler {
    * @return {ParseTree}
    */
   transform(tree, moduleName = undefined, sourceName = undefined) {
+    this.throwIfParseErrors_(tree);
     var transformer;
 
     if (!moduleName && this.options_.moduleName) {
@@ -213,18 +272,37 @@ export class Compiler {
     }
 
     var errorReporter = new CollectingErrorReporter();
+    var idGenerator = new UniqueIdentifierGenerator();
 
     if (this.options_.outputLanguage.toLowerCase() === 'es6') {
-      transformer = new PureES6Transformer(errorReporter);
+      transformer =
+          new PureES6Transformer(errorReporter, idGenerator, this.options_);
     } else {
-      transformer = new FromOptionsTransformer(errorReporter);
+      transformer =
+          new FromOptionsTransformer(errorReporter, idGenerator, this.options_);
     }
 
-    var transformedTree = transformer.transform(tree);
+    var transformedTree =
+        this.withAssertions_(() => transformer.transform(tree));
     this.throwIfErrors(errorReporter);
     return transformedTree;
   }
 
+  /**
+   * Calls f with the assertions enabled if the debug option is set.
+   * @param {Function} f
+   * @return {*} The result of f.
+   * @private
+   */
+  withAssertions_(f) {
+    var previous = setAssertionsEnabled(this.options_.debug);
+    try {
+      return f();
+    } finally {
+      setAssertionsEnabled(previous);
+    }
+  }
+
   createSourceMapConfiguration_(outputName, sourceRoot = undefined) {
     if (this.options_.sourceMaps) {
       return {
@@ -291,6 +369,35 @@ export class Compiler {
     return compiledCode;
   }
 
+  /**
+   * Produce a TypeScript declaration file (.d.ts) for the exports of a module.
+   * @param {Module} tree The tree returned by parse. The transformers remove
+   *     the type annotations.
+   * @param {string=} moduleName When given, the declarations are written to a
+   *     `declare module` block of this name.
+   * @param {function(string): string=} normalize Maps the module specifiers
+   *     to module names, for use with moduleName.
+   * @return {string}
+   */
+  writeDeclarations(tree, moduleName = undefined, normalize = undefined) {
+    var writer = new DeclarationWriter(this.options_, moduleName, normalize);
+    writer.visitAny(tree);
+    return writer.toString();
+  }
+
+  /**
+   * Produce the TypeScript declaration file (.d.ts) of ES6 module source code.
+   *
+   * @param {string} content ES6 source code.
+   * @param {string} sourceName
+   * @return {string}
+   */
+  compileDeclarations(content, sourceName = '<compileSource>') {
+    var tree = this.parse(content, sourceName);
+    this.throwIfParseErrors_(tree);
+    return this.writeDeclarations(tree);
+  }
+
   sourceName(filename) {
     return filename;
   }
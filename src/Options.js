@@ -27,35 +27,47 @@ export var optionsV01 = enumerableOnlyObject({
   arrayComprehension: false,
   arrowFunctions: true,
   asyncFunctions: false,
+  asyncGenerators: false,
   blockBinding: true,
   classes: true,
   commentCallback: false,
   computedPropertyNames: true,
   debug: false,
+  declarations: false,
   defaultParameters: true,
   destructuring: true,
+  dynamicImport: false,
+  errorRecovery: false,
   exponentiation: false,
   forOf: true,
   freeVariableChecker: false,
   generatorComprehension: false,
   generators: true,
+  globals: null,
   memberVariables: false,
   moduleName: false,
   modules: 'register',
+  newTarget: true,
   numericLiterals: true,
   outputLanguage: 'es5',
+  plugins: null,
   propertyMethods: true,
   propertyNameShorthand: true,
   referrer: '',
   require: false,
   restParameters: true,
   script: false,
+  scopeHoisting: false,
   sourceMaps: false,
   spread: true,
+  stickyExpressions: true,
   symbols: false,
+  tailCalls: false,
   templateLiterals: true,
+  treeShaking: false,
   typeAssertionModule: null,
   typeAssertions: false,
+  typeChecker: false,
   types: false,
   unicodeEscapeSequences: true,
   unicodeExpressions: true,
@@ -85,7 +97,7 @@ export var transformOptions = Object.create(null);
 
 var defaultValues = Object.create(null);
 var experimentalOptions = Object.create(null);
-var moduleOptions = ['amd', 'commonjs', 'closure', 'instantiate', 'inline', 'register'];
+var moduleOptions = ['amd', 'commonjs', 'closure', 'instantiate', 'inline', 'register', 'umd'];
 
 export class Options {
 
@@ -103,12 +115,37 @@ export class Options {
         value: versionLockedOptions.sourceMaps,
         writable: true,
         enumerable: false
+      },
+      transformOptions_: {
+        value: null,
+        writable: true,
+        enumerable: false
       }
     });
 
     this.setFromObject(options);
   }
 
+  /**
+   * Read only view on the feature options of this object, where a feature
+   * that is only parsed is false. This is to these options what
+   * transformOptions is to the global options.
+   * @type {Object}
+   */
+  get transformOptions() {
+    if (this.transformOptions_ === null) {
+      var view = Object.create(null);
+      Object.keys(transformOptions).forEach((name) => {
+        Object.defineProperty(view, name, {
+          get: () => toTransformValue(this[name]),
+          enumerable: true
+        });
+      });
+      this.transformOptions_ = view;
+    }
+    return this.transformOptions_;
+  }
+
   /**
    * Meta option. Sets all options that are of Kind.experimental
    * When getting this will return null if not all options of this kind
@@ -196,9 +233,11 @@ export class Options {
    * boolean values.
    */
   setDefaults() {
+    this.globals = null;
     this.modules = 'register';
     this.moduleName = false;
     this.outputLanguage = 'es5';
+    this.plugins = null;
     this.referrer = '';
     this.sourceMaps = false;
     this.typeAssertionModule = null;
@@ -228,6 +267,23 @@ export class Options {
     }
   }
 
+  /**
+   * Returns the options as a plain object, including the non enumerable
+   * modules and sourceMaps options. Options with the same values serialize
+   * to the same JSON string.
+   * @return {Object}
+   */
+  toJSON() {
+    var object = {
+      modules: this.modules,
+      sourceMaps: this.sourceMaps
+    };
+    Object.keys(this).forEach((name) => {
+      object[name] = this[name];
+    });
+    return object;
+  }
+
   diff(ref) {
     var mismatches = [];
     Object.keys(options).forEach((key) => {
@@ -252,10 +308,19 @@ export var options = new Options();
 
 // TODO: Refactor this so that we can keep all of these in one place.
 var descriptions = {
+  declarations: 'Write the TypeScript declarations of the exports of the ' +
+      'modules to .d.ts files next to the output',
+  errorRecovery: 'Keep parsing after a syntax error so that all of them ' +
+      'are reported',
   experimental: 'Turns on all experimental features',
+  newTarget: 'Lower new.target in functions and class constructors',
   require: 'Generate require function argument for node when modules=register',
+  scopeHoisting: 'Merge the modules into a single function scope when ' +
+      'compiling to a single file',
   sourceMaps: 'Generate source map and (\'file\') write to .map' +
       ' or (\'inline\') append data URL',
+  treeShaking: 'Leave out the exports that no module imports when ' +
+      'compiling to a single file',
 };
 
 export class CommandOptions extends Options {
@@ -345,6 +410,11 @@ export function addOptions(flags, commandOptions) {
       (moduleFormat) => {
         commandOptions.modules = moduleFormat;
       });
+  flags.option('--globals <name=Global,...>',
+    'browser globals for modules when modules=umd, defaults to the file name',
+    (globals) => {
+      commandOptions.globals = globals;
+    });
   flags.option('--moduleName <string>',
     '__moduleName value, + sign to use source name, or empty to omit',
     (moduleName) => {
@@ -376,7 +446,9 @@ export function addOptions(flags, commandOptions) {
 
   Object.keys(commandOptions).forEach(function(name) {
     var dashedName = toDashCase(name);
-    if (flags.optionFor('--' + name) || flags.optionFor('--' + dashedName)) {
+    if (name === 'plugins') {
+      return;   // Plugins are objects, the command loads them with --plugin.
+    } else if (flags.optionFor('--' + name) || flags.optionFor('--' + dashedName)) {
       return;   // non-boolean already in flags.
     } else if ((name in parseOptions) && (name in transformOptions)) {
       flags.option('--' + dashedName + ' [true|false|parse]',
@@ -414,6 +486,13 @@ export function toDashCase(s) {
   });
 }
 
+/**
+ * An option set to 'parse' is parsed but not transformed.
+ */
+function toTransformValue(value) {
+  return value === 'parse' ? false : value;
+}
+
 var EXPERIMENTAL = 0;
 var ON_BY_DEFAULT = 1;
 
@@ -436,10 +515,7 @@ function addFeatureOption(name, kind) {
 
   Object.defineProperty(transformOptions, name, {
     get: function() {
-      var v = options[name];
-      if (v === 'parse')
-        return false;
-      return v;
+      return toTransformValue(options[name]);
     },
     enumerable: true,
     configurable: true
@@ -468,12 +544,14 @@ addFeatureOption('destructuring', ON_BY_DEFAULT);      // 11.13.1
 addFeatureOption('forOf', ON_BY_DEFAULT);              // 12.6.4
 addFeatureOption('generators', ON_BY_DEFAULT); // 13.4
 addFeatureOption('modules', 'SPECIAL');    // 14
+addFeatureOption('newTarget', ON_BY_DEFAULT);          // 12.3.8
 addFeatureOption('numericLiterals', ON_BY_DEFAULT);
 addFeatureOption('propertyMethods', ON_BY_DEFAULT);    // 13.3
 addFeatureOption('propertyNameShorthand', ON_BY_DEFAULT);
 addFeatureOption('restParameters', ON_BY_DEFAULT);     // 13.1
 addFeatureOption('sourceMaps', 'SPECIAL');
 addFeatureOption('spread', ON_BY_DEFAULT);             // 11.1.4, 11.2.5
+addFeatureOption('stickyExpressions', ON_BY_DEFAULT);  // 21.2.5.2.2
 addFeatureOption('templateLiterals', ON_BY_DEFAULT);   // 7.6.8
 addFeatureOption('unicodeEscapeSequences', ON_BY_DEFAULT);  // 11.8.4
 addFeatureOption('unicodeExpressions', ON_BY_DEFAULT);
@@ -482,16 +560,24 @@ addFeatureOption('unicodeExpressions', ON_BY_DEFAULT);
 addFeatureOption('annotations', EXPERIMENTAL);
 addFeatureOption('arrayComprehension', EXPERIMENTAL); // 11.4.1.2
 addFeatureOption('asyncFunctions', EXPERIMENTAL);
+addFeatureOption('asyncGenerators', EXPERIMENTAL);
+addFeatureOption('dynamicImport', EXPERIMENTAL);
 addFeatureOption('exponentiation', EXPERIMENTAL);
 addFeatureOption('generatorComprehension', EXPERIMENTAL);
 addFeatureOption('require', EXPERIMENTAL);
 addFeatureOption('symbols', EXPERIMENTAL);
+addFeatureOption('tailCalls', EXPERIMENTAL);
 addFeatureOption('types', EXPERIMENTAL);
 addFeatureOption('memberVariables', EXPERIMENTAL);
 
 addBoolOption('commentCallback');
 addBoolOption('debug');
+addBoolOption('declarations');
+addBoolOption('errorRecovery');
 addBoolOption('freeVariableChecker');
+addBoolOption('scopeHoisting');
 addBoolOption('script');
+addBoolOption('treeShaking');
 addBoolOption('typeAssertions');
+addBoolOption('typeChecker');
 addBoolOption('validate');
@@ -120,6 +120,11 @@ export class WebPageTranscoder {
   }
 
   selectAndProcessScripts(done) {
+    // Bare specifiers are mapped with the import map of the page, if any.
+    var importMap = document.querySelector('script[type="importmap"]');
+    if (importMap)
+      this.loader.importMap = importMap.textContent;
+
     var selector = 'script[type="module"],script[type="text/traceur"]';
     var scripts = document.querySelectorAll(selector);
 
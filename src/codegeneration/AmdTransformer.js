@@ -13,8 +13,11 @@
 // limitations under the License.
 
 import {ModuleTransformer} from './ModuleTransformer.js';
+import {LITERAL_EXPRESSION} from '../syntax/trees/ParseTreeType.js';
+import {STRING} from '../syntax/TokenType.js';
 import {
   createIdentifierExpression,
+  createStringLiteral,
   createStringLiteralToken
 } from './ParseTreeFactory.js';
 import globalThis from './globalThis.js';
@@ -28,9 +31,11 @@ import scopeContainsThis from './scopeContainsThis.js';
 
 export class AmdTransformer extends ModuleTransformer {
 
-  constructor(identifierGenerator) {
-    super(identifierGenerator);
+  constructor(identifierGenerator, reporter, options = undefined) {
+    super(identifierGenerator, reporter, options);
     this.dependencies = [];
+    // The local require of the module, for dynamic imports.
+    this.requireLocal_ = null;
   }
 
   getExportProperties() {
@@ -56,6 +61,12 @@ export class AmdTransformer extends ModuleTransformer {
     var depPaths = this.dependencies.map((dep) => dep.path);
     var depLocals = this.dependencies.map((dep) => dep.local);
 
+    // The local require resolves the dynamic imports relative to this module.
+    if (this.requireLocal_ !== null) {
+      depPaths.unshift(createStringLiteralToken('require'));
+      depLocals.unshift(this.requireLocal_);
+    }
+
     var hasTopLevelThis = statements.some(scopeContainsThis);
 
     var func = parseExpression `function(${depLocals}) {
@@ -82,4 +93,31 @@ export class AmdTransformer extends ModuleTransformer {
     this.dependencies.push({path: stringLiteral, local: localName});
     return createIdentifierExpression(localName);
   }
+
+  createImportCallExpression(specifier, tree) {
+    // AMD does not allow .js
+    if (specifier.type === LITERAL_EXPRESSION &&
+        specifier.literalToken.type === STRING) {
+      var value = specifier.literalToken.processedValue;
+      specifier = createStringLiteral(value.replace(/\.js$/, ''));
+    }
+
+    // Temp identifiers are reused once their function scope is done, so the
+    // local require, which is a parameter of the module function, needs a
+    // name of its own.
+    if (this.requireLocal_ === null)
+      this.requireLocal_ = this.identifierGenerator.generateUniqueIdentifier();
+    var resolve = this.getTempIdentifier();
+    var reject = this.getTempIdentifier();
+    var module = this.getTempIdentifier();
+    var moduleExpression = createIdentifierExpression(module);
+    return parseExpression `new Promise(function(${resolve}, ${reject}) {
+      ${createIdentifierExpression(this.requireLocal_)}([${specifier}],
+          function(${module}) {
+            ${createIdentifierExpression(resolve)}(
+                ${moduleExpression} && ${moduleExpression}.__esModule &&
+                ${moduleExpression} || {default: ${moduleExpression}});
+          }, ${createIdentifierExpression(reject)});
+    })`;
+  }
 }
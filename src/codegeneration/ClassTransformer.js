@@ -14,7 +14,8 @@
 
 import {AlphaRenamer} from './AlphaRenamer.js';
 import {
-  CONSTRUCTOR
+  CONSTRUCTOR,
+  THIS
 } from '../syntax/PredefinedName.js';
 import {
   AnonBlock,
@@ -25,11 +26,15 @@ import {
   SetAccessor
 } from '../syntax/trees/ParseTrees.js';
 import {
+  BINDING_IDENTIFIER,
   GET_ACCESSOR,
   PROPERTY_METHOD_ASSIGNMENT,
   PROPERTY_VARIABLE_DECLARATION,
-  SET_ACCESSOR
+  SET_ACCESSOR,
+  THIS_EXPRESSION,
+  VARIABLE_STATEMENT
 } from '../syntax/trees/ParseTreeType.js';
+import {ParseTreeTransformer} from './ParseTreeTransformer.js';
 import {SuperTransformer} from './SuperTransformer.js';
 import {TempVarTransformer} from './TempVarTransformer.js';
 import {VAR} from '../syntax/TokenType.js';
@@ -82,7 +87,9 @@ import {propName} from '../staticsemantics/PropName.js';
 //   =>
 //
 //   var C = function(x) {
-//     $traceurRuntime.superConstructor($C).call(this));
+//     var $__0 = this;
+//     $__0 = $traceurRuntime.superConstruct($C, $__0, []);
+//     return $__0;
 //   };
 //   var $C = $traceurRuntime.createClass(C, {
 //     method: function() {
@@ -91,6 +98,101 @@ import {propName} from '../staticsemantics/PropName.js';
 //   }, {}, B);
 //
 
+/**
+ * Replaces return statements without a value with a return of the this var.
+ */
+class ReturnThisTransformer extends ParseTreeTransformer {
+  /**
+   * @param {string} thisName
+   */
+  constructor(thisName) {
+    super();
+    this.thisName_ = thisName;
+  }
+
+  transformFunctionDeclaration(tree) {
+    return tree;
+  }
+  transformFunctionExpression(tree) {
+    return tree;
+  }
+  transformGetAccessor(tree) {
+    return tree;
+  }
+  transformSetAccessor(tree) {
+    return tree;
+  }
+  transformPropertyMethodAssignment(tree) {
+    return tree;
+  }
+
+  transformReturnStatement(tree) {
+    if (tree.expression !== null)
+      return tree;
+    return parseStatement `return ${id(this.thisName_)}`;
+  }
+}
+
+/**
+ * Whether the statement is a var statement that only saves this, like the
+ * ones ArrowFunctionTransformer and SuperTransformer add.
+ */
+function isThisAlias(statement) {
+  if (statement.type !== VARIABLE_STATEMENT)
+    return false;
+  var declarations = statement.declarations.declarations;
+  return declarations.every((declaration) => {
+    return declaration.lvalue.type === BINDING_IDENTIFIER &&
+        declaration.initializer !== null &&
+        declaration.initializer.type === THIS_EXPRESSION;
+  });
+}
+
+/**
+ * After super() the constructor needs to use the object returned by
+ * $traceurRuntime.superConstruct since that is a real instance when
+ * extending a built-in. This makes the constructor body use the this var
+ * everywhere and return it.
+ *
+ *   constructor() {
+ *     var $__0 = this;
+ *     $__0 = $traceurRuntime.superConstruct($C, $__0, []);
+ *     this.x = () => this;
+ *   }
+ *
+ *   =>
+ *
+ *   constructor() {
+ *     var $__0 = this;
+ *     $__0 = $traceurRuntime.superConstruct($C, $__0, []);
+ *     $__0.x = function() { return $__0; };
+ *     return $__0;
+ *   }
+ *
+ * @param {FunctionBody} tree
+ * @param {string} thisName
+ * @param {VariableStatement} thisDecl
+ * @return {FunctionBody}
+ */
+function useThisVar(tree, thisName, thisDecl) {
+  var statements = tree.statements;
+  var i = 0;
+  // Merge the vars that save this at the top of the function into ours.
+  for (; i < statements.length && isThisAlias(statements[i]); i++) {
+    statements[i].declarations.declarations.forEach((declaration) => {
+      var name = declaration.lvalue.identifierToken.value;
+      tree = AlphaRenamer.rename(tree, name, thisName);
+    });
+  }
+  tree = AlphaRenamer.rename(tree, THIS, thisName);
+  tree = new ReturnThisTransformer(thisName).transformAny(tree);
+  return createFunctionBody([
+    thisDecl,
+    ...tree.statements.slice(i),
+    parseStatement `return ${id(thisName)}`
+  ]);
+}
+
 function classCall(func, object, staticObject, superClass) {
   if (superClass) {
     return parseExpression
@@ -182,9 +284,11 @@ export class ClassTransformer extends TempVarTransformer{
           break;
 
         case PROPERTY_METHOD_ASSIGNMENT:
+          var isConstructor = !tree.isStatic &&
+              propName(tree) === CONSTRUCTOR;
           var transformed = this.transformPropertyMethodAssignment_(
-              tree, homeObject, internalName);
-          if (!tree.isStatic && propName(tree) === CONSTRUCTOR) {
+              tree, homeObject, internalName, isConstructor);
+          if (isConstructor) {
             hasConstructor = true;
             constructorParams = transformed.parameterList;
             constructorBody = transformed.body;
@@ -310,10 +414,11 @@ export class ClassTransformer extends TempVarTransformer{
     return createParenExpression(this.makeStrict_(expression));
   }
 
-  transformPropertyMethodAssignment_(tree, homeObject, internalName) {
+  transformPropertyMethodAssignment_(tree, homeObject, internalName,
+                                     isConstructor) {
     var parameterList = this.transformAny(tree.parameterList);
     var body = this.transformSuperInFunctionBody_(
-        tree.body, homeObject, internalName);
+        tree.body, homeObject, internalName, isConstructor);
     if (!tree.isStatic &&
         parameterList === tree.parameterList &&
         body === tree.body) {
@@ -344,13 +449,14 @@ export class ClassTransformer extends TempVarTransformer{
                            tree.annotations, body);
   }
 
-  transformSuperInFunctionBody_(tree, homeObject, internalName) {
+  transformSuperInFunctionBody_(tree, homeObject, internalName,
+                                isConstructor = false) {
     this.pushTempScope();
     var thisName = this.getTempIdentifier();
     var thisDecl = createVariableStatement(VAR, thisName,
                                            createThisExpression());
     var superTransformer = new SuperTransformer(this, homeObject,
-                                                thisName, internalName);
+        thisName, internalName, isConstructor);
     // ref_1: the inner transformFunctionBody call is key to proper super nesting.
     var transformedTree =
         superTransformer.transformFunctionBody(this.transformFunctionBody(tree));
@@ -360,6 +466,8 @@ export class ClassTransformer extends TempVarTransformer{
 
     this.popTempScope();
 
+    if (superTransformer.hasSuperCall)
+      return useThisVar(transformedTree, thisName, thisDecl);
     if (superTransformer.nestedSuper)
       return createFunctionBody([thisDecl].concat(transformedTree.statements));
     return transformedTree;
@@ -369,8 +477,8 @@ export class ClassTransformer extends TempVarTransformer{
     var constructorParams = createEmptyParameterList();
     var constructorBody;
     if (tree.superClass) {
-      var statement = parseStatement `$traceurRuntime.superConstructor(
-          ${internalName}).apply(this, arguments)`;
+      var statement = parseStatement `return $traceurRuntime.superConstruct(
+          ${internalName}, this, arguments)`;
       constructorBody = createFunctionBody([statement]);
       this.state_.hasSuper = true;
     } else {
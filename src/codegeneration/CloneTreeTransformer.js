@@ -25,6 +25,7 @@ import {
   IdentifierExpression,
   LiteralExpression,
   ModuleSpecifier,
+  NewTargetExpression,
   PredefinedType,
   PropertyNameShorthand,
   TemplateLiteralPortion,
@@ -133,6 +134,14 @@ export class CloneTreeTransformer extends ParseTreeTransformer {
     return new ModuleSpecifier(tree.location, tree.token);
   }
 
+  /**
+   * @param {NewTargetExpression} tree
+   * @return {ParseTree}
+   */
+  transformNewTargetExpression(tree) {
+    return new NewTargetExpression(tree.location);
+  }
+
   /**
    * @param {PredefinedType} tree
    * @return {ParseTree}
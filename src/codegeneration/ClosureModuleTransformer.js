@@ -85,6 +85,12 @@ export class ClosureModuleTransformer extends ModuleTransformer {
     return createPropertyNameAssignment(name, expression);
   }
 
+  createImportCallExpression(specifier, tree) {
+    this.reporter_.reportError(tree.location && tree.location.start,
+        'Dynamic import() is not supported by the closure module format');
+    return specifier;
+  }
+
   transformModuleSpecifier(tree) {
     var moduleName = tree.token.processedValue;
     return parseExpression `goog.require(${moduleName})`;
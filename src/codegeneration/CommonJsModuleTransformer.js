@@ -43,8 +43,8 @@ import {prependStatements} from './PrependStatements.js';
 
 export class CommonJsModuleTransformer extends ModuleTransformer {
 
-  constructor(identifierGenerator) {
-    super(identifierGenerator);
+  constructor(identifierGenerator, reporter, options = undefined) {
+    super(identifierGenerator, reporter, options);
     this.moduleVars_ = [];
   }
 
@@ -129,6 +129,18 @@ export class CommonJsModuleTransformer extends ModuleTransformer {
         ${tvId} && ${tvId}.__esModule && ${tvId} || {default: ${tvId}})`;
   }
 
+  createImportCallExpression(specifier, tree) {
+    var resolve = this.getTempIdentifier();
+    var module = this.getTempIdentifier();
+    var moduleExpression = createIdentifierExpression(module);
+    return parseExpression `new Promise(function(${resolve}) {
+      var ${module} = require(${specifier});
+      ${createIdentifierExpression(resolve)}(
+          ${moduleExpression} && ${moduleExpression}.__esModule &&
+          ${moduleExpression} || {default: ${moduleExpression}});
+    })`;
+  }
+
   getExportProperties() {
     var properties = super.getExportProperties();
 
@@ -34,7 +34,7 @@ import {
   createParenExpression,
   createVariableDeclarationList
 } from './ParseTreeFactory.js';
-import {options} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
  * Base class for GeneratorComprehensionTransformer and
@@ -43,6 +43,16 @@ import {options} from '../Options.js';
  * See subclasses for details on desugaring.
  */
 export class ComprehensionTransformer extends TempVarTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
+   */
+  constructor(identifierGenerator, reporter, options = globalOptions) {
+    super(identifierGenerator);
+    this.options_ = options;
+  }
+
   /**
    * transformArrayComprehension and transformGeneratorComprehension calls
    * this
@@ -59,7 +69,7 @@ export class ComprehensionTransformer extends TempVarTransformer {
 
     // This should really be a let but we don't support let in generators.
     // https://code.google.com/p/traceur-compiler/issues/detail?id=6
-    var bindingKind = isGenerator || !options.blockBinding ? VAR : LET;
+    var bindingKind = isGenerator || !this.options_.blockBinding ? VAR : LET;
 
     var statements = prefix ? [prefix] : [];
 
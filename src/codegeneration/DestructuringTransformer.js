@@ -59,7 +59,7 @@ import {
   createVariableDeclarationList,
   createVariableStatement
 } from './ParseTreeFactory.js';
-import {options} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 import {parseExpression} from './PlaceholderParser.js';
 import {prependStatements} from './PrependStatements.js'
 
@@ -91,8 +91,21 @@ class Desugaring {
     return createParenExpression(createCommaExpression(expressions));
   }
 
-  skipHole(iterId) {
-    this.pendingExpressions.push(parseExpression `${iterId}.next()`);
+  skipHole(iterId, iterObjectId) {
+    this.pendingExpressions.push(
+        parseExpression `${iterObjectId} = ${iterId}.next()`);
+  }
+
+  /**
+   * Closes the iterator unless it is done. Without an |iterObjectId| the
+   * iterator was never stepped so it is always closed.
+   */
+  closeIterator(iterId, iterObjectId) {
+    var close = parseExpression
+        `${iterId}.return == null || ${iterId}.return()`;
+    if (iterObjectId)
+      close = parseExpression `${iterObjectId}.done || ${close}`;
+    this.pendingExpressions.push(close);
   }
 }
 
@@ -162,9 +175,12 @@ class VariableDeclarationDesugaring extends Desugaring {
 export class DestructuringTransformer extends TempVarTransformer {
   /**
    * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(identifierGenerator) {
+  constructor(identifierGenerator, reporter, options = globalOptions) {
     super(identifierGenerator);
+    this.options_ = options;
     this.parameterDeclarations = null;
   }
 
@@ -410,7 +426,7 @@ export class DestructuringTransformer extends TempVarTransformer {
 
     var body = this.transformAny(tree.catchBody);
     var statements = [];
-    var kind = options.blockBinding ? LET : VAR;
+    var kind = this.options_.blockBinding ? LET : VAR;
     var binding = this.desugarBinding_(tree.binding, statements, kind);
     statements.push(...body.statements);
     return new Catch(tree.location, binding, createBlock(statements));
@@ -531,13 +547,15 @@ export class DestructuringTransformer extends TempVarTransformer {
         var iterObjectId = createIdentifierExpression(this.addTempVar());
         desugaring.createIterator(iterId);
 
+        var hasRest = false;
         for (var i = 0; i < pattern.elements.length; i++) {
           var lvalue = pattern.elements[i];
           if (lvalue === null) {
             // A skip, for example [a,,c]
-            desugaring.skipHole(iterId);
+            desugaring.skipHole(iterId, iterObjectId);
             continue;
           } else if (lvalue.isSpreadPatternElement()) {
+            hasRest = true;
             // Rest of the array, for example [x, ...y] = [1, 2, 3]
             desugaring.assign(
                 lvalue.lvalue,
@@ -552,6 +570,12 @@ export class DestructuringTransformer extends TempVarTransformer {
                                                      lvalue.initializer));
           }
         }
+        // The rest element exhausts the iterator. Otherwise we close it, for
+        // example [a] = gen() runs the finally blocks of gen.
+        if (!hasRest) {
+          desugaring.closeIterator(iterId,
+              pattern.elements.length > 0 ? iterObjectId : null);
+        }
         this.popTempScope();
         break;
 
@@ -599,6 +623,19 @@ export class DestructuringTransformer extends TempVarTransformer {
         throw new Error('unreachable');
     }
 
+    // Closing the iterator of an array pattern is left pending after the last
+    // assignment.
+    if (desugaring.pendingExpressions.length > 0) {
+      if (desugaring instanceof VariableDeclarationDesugaring) {
+        var expression = desugaring.pendingExpressions.pop();
+        desugaring.assign(createBindingIdentifier(this.getTempIdentifier()),
+                          expression);
+      } else {
+        desugaring.expressions.push(...desugaring.pendingExpressions);
+        desugaring.pendingExpressions = [];
+      }
+    }
+
     // In case we have `var {} = expr` or `var [] = expr` we use a temp
     // variable name so that the expression still gets executed.
     //
@@ -12,27 +12,111 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import {VARIABLE_DECLARATION_LIST} from '../syntax/trees/ParseTreeType.js';
+import {
+  FOR_AWAIT_STATEMENT,
+  FOR_OF_STATEMENT,
+  LABELLED_STATEMENT,
+  VARIABLE_DECLARATION_LIST
+} from '../syntax/trees/ParseTreeType.js';
+import {LabelledStatement} from '../syntax/trees/ParseTrees.js';
 import {TempVarTransformer} from './TempVarTransformer.js';
 import {
   createIdentifierExpression as id,
   createMemberExpression,
   createVariableStatement
 } from './ParseTreeFactory.js';
-import {parseStatement} from './PlaceholderParser.js';
+import {
+  parseExpression,
+  parseStatement
+} from './PlaceholderParser.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
  * Desugars for-of statement.
+ *
+ * The iterator is closed, by calling its return method, when the loop is
+ * exited early through break, return or an exception.
+ *
+ * Also desugars for await statements, which are only allowed in async
+ * functions. These iterate over an async iterator and await each result. The
+ * loop is left with awaits for the async function transformer.
  */
 export class ForOfTransformer extends TempVarTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
+   */
+  constructor(identifierGenerator, reporter, options = globalOptions) {
+    super(identifierGenerator);
+    this.transformOptions_ = options.transformOptions;
+  }
+
   /**
    * @param {ForOfStatement} original
    * @return {ParseTree}
    */
   transformForOfStatement(original) {
-    var tree = super.transformForOfStatement(original);
+    if (!this.transformOptions_.forOf)
+      return super.transformForOfStatement(original);
+    return this.transformForOf_(original, []);
+  }
+
+  /**
+   * @param {ForAwaitStatement} original
+   * @return {ParseTree}
+   */
+  transformForAwaitStatement(original) {
+    if (!this.transformOptions_.asyncGenerators)
+      return super.transformForAwaitStatement(original);
+    return this.transformForOf_(original, []);
+  }
+
+  /**
+   * The labels of a for-of statement have to stay on the loop we desugar to,
+   * or continue with a label would no longer be valid.
+   * @param {LabelledStatement} tree
+   * @return {ParseTree}
+   */
+  transformLabelledStatement(tree) {
+    var labels = [];
+    var statement = tree;
+    while (statement.type === LABELLED_STATEMENT) {
+      labels.push(statement);
+      statement = statement.statement;
+    }
+    if (!this.shouldTransform_(statement))
+      return super.transformLabelledStatement(tree);
+    return this.transformForOf_(statement, labels);
+  }
+
+  shouldTransform_(tree) {
+    switch (tree.type) {
+      case FOR_OF_STATEMENT:
+        return this.transformOptions_.forOf;
+      case FOR_AWAIT_STATEMENT:
+        return this.transformOptions_.asyncGenerators;
+    }
+    return false;
+  }
+
+  /**
+   * @param {ForOfStatement|ForAwaitStatement} original
+   * @param {Array.<LabelledStatement>} labels
+   * @return {ParseTree}
+   * @private
+   */
+  transformForOf_(original, labels) {
+    var isAwait = original.type === FOR_AWAIT_STATEMENT;
+    var tree = isAwait ? super.transformForAwaitStatement(original) :
+        super.transformForOfStatement(original);
     var iter = id(this.getTempIdentifier());
     var result = id(this.getTempIdentifier());
+    var normalCompletion = id(this.getTempIdentifier());
+    var didThrow = id(this.getTempIdentifier());
+    var error = id(this.getTempIdentifier());
+    var ex = id(this.getTempIdentifier());
+    var closeError = id(this.getTempIdentifier());
 
     var assignment;
     if (tree.initializer.type === VARIABLE_DECLARATION_LIST) {
@@ -45,14 +129,52 @@ export class ForOfTransformer extends TempVarTransformer {
       assignment = parseStatement `${tree.initializer} = ${result}.value;`;
     }
 
-    return parseStatement `
-        for (var ${iter} =
-                 ${tree.collection}[
-                     $traceurRuntime.toProperty(Symbol.iterator)](),
-                 ${result};
-             !(${result} = ${iter}.next()).done; ) {
+    var iterator, next, close;
+    if (isAwait) {
+      iterator = parseExpression
+          `$traceurRuntime.getAsyncIterator(${tree.collection})`;
+      next = parseExpression `await ${iter}.next()`;
+      close = parseStatement `await ${iter}.return();`;
+    } else {
+      iterator = parseExpression
+          `${tree.collection}[$traceurRuntime.toProperty(Symbol.iterator)]()`;
+      next = parseExpression `${iter}.next()`;
+      close = parseStatement `${iter}.return();`;
+    }
+
+    // normalCompletion is false while the body runs so that we know to close
+    // the iterator when we leave the loop from the body.
+    var loop = parseStatement `
+        for (var ${iter} = ${iterator}, ${result};
+             !(${normalCompletion} = (${result} = ${next}).done);
+             ${normalCompletion} = true) {
           ${assignment};
           ${tree.body};
         }`;
+
+    loop = labels.reduceRight((statement, label) =>
+        new LabelledStatement(label.location, label.name, statement), loop);
+
+    // Errors from closing the iterator are ignored when the body threw. The
+    // return method of an async iterator is awaited before the loop is left.
+    return parseStatement `{
+        var ${normalCompletion} = true, ${didThrow} = false, ${error} = void 0;
+        try {
+          ${loop}
+        } catch (${ex}) {
+          ${didThrow} = true;
+          ${error} = ${ex};
+        } finally {
+          try {
+            if (!${normalCompletion} && ${iter}.return != null)
+              ${close}
+          } catch (${closeError}) {
+            if (!${didThrow})
+              throw ${closeError};
+          }
+          if (${didThrow})
+            throw ${error};
+        }
+      }`;
   }
 }
@@ -34,6 +34,7 @@ import {InlineModuleTransformer} from './InlineModuleTransformer.js';
 import {MemberVariableTransformer} from './MemberVariableTransformer.js';
 import {ModuleTransformer} from './ModuleTransformer.js';
 import {MultiTransformer} from './MultiTransformer.js';
+import {NewTargetTransformer} from './NewTargetTransformer.js';
 import {NumericLiteralTransformer} from './NumericLiteralTransformer.js';
 import {ObjectLiteralTransformer} from './ObjectLiteralTransformer.js';
 import {PropertyNameShorthandTransformer} from
@@ -43,36 +44,43 @@ import {RegularExpressionTransformer} from './RegularExpressionTransformer.js';
 import {RestParameterTransformer} from './RestParameterTransformer.js';
 import {SpreadTransformer} from './SpreadTransformer.js';
 import {SymbolTransformer} from './SymbolTransformer.js';
+import {TailCallTransformer} from './TailCallTransformer.js';
 import {TemplateLiteralTransformer} from './TemplateLiteralTransformer.js';
+import {validate as validateTypes} from '../semantics/TypeChecker.js';
 import {TypeTransformer} from './TypeTransformer.js';
 import {TypeAssertionTransformer} from './TypeAssertionTransformer.js';
 import {TypeToExpressionTransformer} from './TypeToExpressionTransformer.js';
+import {UmdModuleTransformer} from './UmdModuleTransformer.js';
 import {UnicodeEscapeSequenceTransformer} from './UnicodeEscapeSequenceTransformer.js';
 import {UniqueIdentifierGenerator} from './UniqueIdentifierGenerator.js';
-import {options, transformOptions} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
- * MultiTransformer built from global options settings
+ * MultiTransformer built from options settings
  */
 export class FromOptionsTransformer extends MultiTransformer {
   /**
    * @param {ErrorReporter} reporter
    * @param {UniqueIdentifierGenerator=} idGenerator
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(reporter, idGenerator = new UniqueIdentifierGenerator()) {
+  constructor(reporter, idGenerator = new UniqueIdentifierGenerator(),
+              options = globalOptions) {
     super(reporter, options.validate);
+    var transformOptions = options.transformOptions;
 
-    var append = (transformer) => {
+    var append = (transformer, stage) => {
       this.append((tree) => {
-        return new transformer(idGenerator, reporter).transformAny(tree);
-      });
+        return new transformer(idGenerator, reporter, options).
+            transformAny(tree);
+      }, stage);
     };
 
     if (transformOptions.blockBinding) {
       this.append((tree) => {
         validateConst(tree, reporter);
         return tree;
-      });
+      }, 'constChecker');
     }
 
     // Issue errors for any unbound variables
@@ -80,65 +88,89 @@ export class FromOptionsTransformer extends MultiTransformer {
       this.append((tree) => {
         validateFreeVariables(tree, reporter);
         return tree;
-      });
+      }, 'freeVariableChecker');
+    }
+
+    // Issue errors for values that do not match their type annotations
+    if (options.typeChecker) {
+      this.append((tree) => {
+        validateTypes(tree, reporter);
+        return tree;
+      }, 'typeChecker');
     }
 
     // TODO: many of these simple, local transforms could happen in the same
     // tree pass
     if (transformOptions.exponentiation)
-      append(ExponentiationTransformer);
+      append(ExponentiationTransformer, 'exponentiation');
 
     if (transformOptions.numericLiterals)
-      append(NumericLiteralTransformer);
+      append(NumericLiteralTransformer, 'numericLiterals');
 
-    if (transformOptions.unicodeExpressions)
-      append(RegularExpressionTransformer);
+    if (transformOptions.unicodeExpressions ||
+        transformOptions.stickyExpressions) {
+      append(RegularExpressionTransformer, 'regularExpressions');
+    }
 
     if (transformOptions.templateLiterals)
-      append(TemplateLiteralTransformer);
+      append(TemplateLiteralTransformer, 'templateLiterals');
 
     if (transformOptions.types)
-      append(TypeToExpressionTransformer);
+      append(TypeToExpressionTransformer, 'typeToExpression');
 
     if (transformOptions.unicodeEscapeSequences)
-      append(UnicodeEscapeSequenceTransformer);
+      append(UnicodeEscapeSequenceTransformer, 'unicodeEscapeSequences');
 
     if (transformOptions.annotations)
-      append(AnnotationsTransformer);
+      append(AnnotationsTransformer, 'annotations');
 
     if (options.typeAssertions) {
       // Transforming member variabless to getters/setters only make
       // sense when the type assertions are enabled.
-      if (options.memberVariables) append(MemberVariableTransformer);
-      append(TypeAssertionTransformer);
+      if (options.memberVariables)
+        append(MemberVariableTransformer, 'memberVariables');
+      append(TypeAssertionTransformer, 'typeAssertions');
     }
 
+    // Tail calls must be found before the module, arrow function, class and
+    // parameter transformers change the shape of the functions.
+    if (transformOptions.tailCalls)
+      append(TailCallTransformer, 'tailCalls');
+
+    // new.target must be lowered before arrow functions and classes are
+    // turned into plain functions.
+    if (transformOptions.newTarget)
+      append(NewTargetTransformer, 'newTarget');
+
     // PropertyNameShorthandTransformer needs to come before
     // module transformers. See #1120 or
     // test/node-instantiate-test.js test "Shorthand syntax with import"
     // for detailed info.
     if (transformOptions.propertyNameShorthand)
-      append(PropertyNameShorthandTransformer);
+      append(PropertyNameShorthandTransformer, 'propertyNameShorthand');
 
     if (transformOptions.modules) {
       switch (transformOptions.modules) {
         case 'commonjs':
-          append(CommonJsModuleTransformer);
+          append(CommonJsModuleTransformer, 'modules');
           break;
         case 'amd':
-          append(AmdTransformer);
+          append(AmdTransformer, 'modules');
           break;
         case 'closure':
-          append(ClosureModuleTransformer);
+          append(ClosureModuleTransformer, 'modules');
           break;
         case 'inline':
-          append(InlineModuleTransformer);
+          append(InlineModuleTransformer, 'modules');
           break;
         case 'instantiate':
-          append(InstantiateModuleTransformer);
+          append(InstantiateModuleTransformer, 'modules');
           break;
         case 'register':
-          append(ModuleTransformer);
+          append(ModuleTransformer, 'modules');
+          break;
+        case 'umd':
+          append(UmdModuleTransformer, 'modules');
           break;
         default:
           // The options processing should prevent us from getting here.
@@ -147,62 +179,67 @@ export class FromOptionsTransformer extends MultiTransformer {
     }
 
     if (transformOptions.arrowFunctions)
-      append(ArrowFunctionTransformer);
+      append(ArrowFunctionTransformer, 'arrowFunctions');
 
     // ClassTransformer needs to come before ObjectLiteralTransformer.
     if (transformOptions.classes)
-      append(ClassTransformer);
+      append(ClassTransformer, 'classes');
 
     if (transformOptions.propertyMethods ||
               transformOptions.computedPropertyNames) {
-      append(ObjectLiteralTransformer);
+      append(ObjectLiteralTransformer, 'objectLiterals');
     }
 
     // Generator/ArrayComprehensionTransformer must come before for-of and
     // destructuring.
     if (transformOptions.generatorComprehension)
-      append(GeneratorComprehensionTransformer);
+      append(GeneratorComprehensionTransformer, 'generatorComprehension');
     if (transformOptions.arrayComprehension)
-      append(ArrayComprehensionTransformer);
+      append(ArrayComprehensionTransformer, 'arrayComprehension');
 
     // for of must come before destructuring and generator, or anything
     // that wants to use VariableBinder
-    if (transformOptions.forOf)
-      append(ForOfTransformer);
+    if (transformOptions.forOf || transformOptions.asyncGenerators)
+      append(ForOfTransformer, 'forOf');
 
     // rest parameters must come before generator
     if (transformOptions.restParameters)
-      append(RestParameterTransformer);
+      append(RestParameterTransformer, 'restParameters');
 
     // default parameters should come after rest parameter to get the
     // expected order in the transformed code.
     if (transformOptions.defaultParameters)
-      append(DefaultParametersTransformer);
+      append(DefaultParametersTransformer, 'defaultParameters');
 
     // destructuring must come after for of and before block binding and
     // generator
     if (transformOptions.destructuring)
-      append(DestructuringTransformer);
+      append(DestructuringTransformer, 'destructuring');
 
     if (transformOptions.types)
-      append(TypeTransformer);
+      append(TypeTransformer, 'types');
 
     if (transformOptions.spread)
-      append(SpreadTransformer);
+      append(SpreadTransformer, 'spread');
 
     if (transformOptions.blockBinding) {
       this.append((tree) => {
         // this transformer need to be aware of the tree it will be working on
         var transformer = new BlockBindingTransformer(idGenerator, reporter, tree);
         return transformer.transformAny(tree);
-      });
+      }, 'blockBinding');
     }
 
     // generator must come after for of and rest parameters
-    if (transformOptions.generators || transformOptions.asyncFunctions)
-      append(GeneratorTransformPass);
+    if (transformOptions.generators || transformOptions.asyncFunctions ||
+        transformOptions.asyncGenerators) {
+      append(GeneratorTransformPass, 'generators');
+    }
 
     if (transformOptions.symbols)
-      append(SymbolTransformer);
+      append(SymbolTransformer, 'symbols');
+
+    if (options.plugins)
+      this.addPlugins(options.plugins, idGenerator, options);
   }
 }
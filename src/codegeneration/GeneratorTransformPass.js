@@ -13,6 +13,7 @@
 // limitations under the License.
 
 import {ArrowFunctionTransformer} from './ArrowFunctionTransformer.js';
+import {AsyncGeneratorTransformer} from './generator/AsyncGeneratorTransformer.js';
 import {AsyncTransformer} from './generator/AsyncTransformer.js';
 import {ForInTransformPass} from './generator/ForInTransformPass.js';
 import {GeneratorTransformer} from './generator/GeneratorTransformer.js';
@@ -30,9 +31,10 @@ import {
 import {
   createBindingIdentifier,
   createIdentifierExpression as id,
-  createIdentifierToken
+  createIdentifierToken,
+  createMemberExpression
 } from './ParseTreeFactory.js';
-import {transformOptions} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 
 class ForInFinder extends FindInFunctionScope {
   visitForInStatement(tree) {
@@ -40,9 +42,25 @@ class ForInFinder extends FindInFunctionScope {
   }
 }
 
-function needsTransform(tree) {
+function needsTransform(tree, transformOptions) {
   return transformOptions.generators && tree.isGenerator() ||
-      transformOptions.asyncFunctions && tree.isAsyncFunction();
+      transformOptions.asyncFunctions && tree.isAsyncFunction() ||
+      transformOptions.asyncGenerators && tree.isAsyncGenerator();
+}
+
+/**
+ * Generators and async generators get their own prototype chain set up by
+ * the runtime.
+ * @param {FunctionDeclaration|FunctionExpression} tree
+ * @return {boolean}
+ */
+function hasGeneratorPrototype(tree) {
+  return tree.isGenerator() || tree.isAsyncGenerator();
+}
+
+function initFunction(tree) {
+  return createMemberExpression('$traceurRuntime', tree.isAsyncGenerator() ?
+      'initAsyncGeneratorFunction' : 'initGeneratorFunction');
 }
 
 /**
@@ -53,10 +71,12 @@ export class GeneratorTransformPass extends TempVarTransformer {
   /**
    * @param {UniqueIdentifierGenerator} identifierGenerator
    * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(identifierGenerator, reporter) {
+  constructor(identifierGenerator, reporter, options = globalOptions) {
     super(identifierGenerator);
     this.reporter_ = reporter;
+    this.transformOptions_ = options.transformOptions;
     this.inBlock_ = false;
   }
 
@@ -65,10 +85,10 @@ export class GeneratorTransformPass extends TempVarTransformer {
    * @return {ParseTree}
    */
   transformFunctionDeclaration(tree) {
-    if (!needsTransform(tree))
+    if (!needsTransform(tree, this.transformOptions_))
       return super.transformFunctionDeclaration(tree);
 
-    if (tree.isGenerator())
+    if (hasGeneratorPrototype(tree))
       return this.transformGeneratorDeclaration_(tree);
 
     return this.transformFunction_(tree, FunctionDeclaration, null);
@@ -78,7 +98,7 @@ export class GeneratorTransformPass extends TempVarTransformer {
     var nameIdExpression = id(tree.name.identifierToken);
 
     var setupPrototypeExpression = parseExpression
-        `$traceurRuntime.initGeneratorFunction(${nameIdExpression})`;
+        `${initFunction(tree)}(${nameIdExpression})`;
 
     // Function declarations in blocks do not hoist. In that case we add the
     // variable declaration after the function declaration.
@@ -101,10 +121,10 @@ export class GeneratorTransformPass extends TempVarTransformer {
    * @return {ParseTree}
    */
   transformFunctionExpression(tree) {
-    if (!needsTransform(tree))
+    if (!needsTransform(tree, this.transformOptions_))
       return super.transformFunctionExpression(tree);
 
-    if (tree.isGenerator())
+    if (hasGeneratorPrototype(tree))
       return this.transformGeneratorExpression_(tree);
 
     return this.transformFunction_(tree, FunctionExpression, null);
@@ -125,8 +145,7 @@ export class GeneratorTransformPass extends TempVarTransformer {
 
     var functionExpression =
         this.transformFunction_(tree, FunctionExpression, id(name));
-    return parseExpression
-        `$traceurRuntime.initGeneratorFunction(${functionExpression })`;
+    return parseExpression `${initFunction(tree)}(${functionExpression})`;
   }
 
   transformFunction_(tree, constructor, nameExpression) {
@@ -141,6 +160,7 @@ export class GeneratorTransformPass extends TempVarTransformer {
           transformAny(body);
     }
 
+    var transformOptions = this.transformOptions_;
     if (transformOptions.generators && tree.isGenerator()) {
       body = GeneratorTransformer.transformGeneratorBody(
           this.identifierGenerator, this.reporter_, body, nameExpression);
@@ -148,6 +168,10 @@ export class GeneratorTransformPass extends TempVarTransformer {
     } else if (transformOptions.asyncFunctions && tree.isAsyncFunction()) {
       body = AsyncTransformer.transformAsyncBody(
           this.identifierGenerator, this.reporter_, body);
+
+    } else if (transformOptions.asyncGenerators && tree.isAsyncGenerator()) {
+      body = AsyncGeneratorTransformer.transformAsyncGeneratorBody(
+          this.identifierGenerator, this.reporter_, body, nameExpression);
     }
 
     // The generator has been transformed away.
@@ -12,17 +12,20 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import {VAR} from '../syntax/TokenType.js';
+import {LITERAL_EXPRESSION} from '../syntax/trees/ParseTreeType.js';
+import {STRING, VAR} from '../syntax/TokenType.js';
 import {ModuleTransformer} from './ModuleTransformer.js';
 import {
   createBindingIdentifier,
   createEmptyStatement,
   createFunctionBody,
+  createIdentifierExpression,
   createImmediatelyInvokedFunctionExpression,
   createScopedExpression,
   createVariableStatement
 } from './ParseTreeFactory.js';
 import globalThis from './globalThis.js';
+import {parseExpression} from './PlaceholderParser.js';
 import scopeContainsThis from './scopeContainsThis.js';
 
 var anonInlineModules = 0;
@@ -56,4 +59,17 @@ export class InlineModuleTransformer extends ModuleTransformer {
   transformModuleSpecifier(tree) {
     return createBindingIdentifier(this.getTempVarNameForModuleSpecifier(tree));
   }
+
+  createImportCallExpression(specifier, tree) {
+    // Modules imported with a string literal are in the output as well. Other
+    // specifiers are left to the loader at runtime.
+    if (specifier.type !== LITERAL_EXPRESSION ||
+        specifier.literalToken.type !== STRING) {
+      return super.createImportCallExpression(specifier, tree);
+    }
+    var name = this.normalizeModuleName(specifier.literalToken.processedValue);
+    var idName = this.getTempVarNameForModuleName(name);
+    return parseExpression
+        `Promise.resolve(${createIdentifierExpression(idName)})`;
+  }
 }
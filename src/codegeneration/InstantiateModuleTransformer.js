@@ -174,8 +174,8 @@ class InsertBindingAssignmentTransformer extends ScopeTransformer {
  */
 export class InstantiateModuleTransformer extends ModuleTransformer {
 
-  constructor(identifierGenerator) {
-    super(identifierGenerator);
+  constructor(identifierGenerator, reporter, options = undefined) {
+    super(identifierGenerator, reporter, options);
 
     this.inExport_ = false;
     this.curDepIndex_ = null;
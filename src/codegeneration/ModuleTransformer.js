@@ -32,7 +32,6 @@ import {
   IMPORT_SPECIFIER_SET
 } from '../syntax/trees/ParseTreeType.js';
 import {VAR} from '../syntax/TokenType.js';
-import {assert} from '../util/assert.js';
 import {
   createArgumentList,
   createExpressionStatement,
@@ -43,10 +42,7 @@ import {
   createUseStrictDirective,
   createVariableStatement,
 } from './ParseTreeFactory.js';
-import {
-  parseOptions,
-  transformOptions
-} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 import {
   parseExpression,
   parsePropertyDefinition,
@@ -63,9 +59,13 @@ class DestructImportVarStatement extends DestructuringTransformer {
 export class ModuleTransformer extends TempVarTransformer {
   /**
    * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(identifierGenerator) {
+  constructor(identifierGenerator, reporter, options = globalOptions) {
     super(identifierGenerator);
+    this.reporter_ = reporter;
+    this.options_ = options;
     this.exportVisitor_ = new DirectExportVisitor();
     this.moduleSpecifierKind_ = null;
     this.moduleName = null;
@@ -78,10 +78,20 @@ export class ModuleTransformer extends TempVarTransformer {
   }
 
   getTempVarNameForModuleSpecifier(moduleSpecifier) {
-    var normalizedName = System.normalize(moduleSpecifier.token.processedValue, this.moduleName);
+    var normalizedName =
+        this.normalizeModuleName(moduleSpecifier.token.processedValue);
     return this.getTempVarNameForModuleName(normalizedName);
   }
 
+  /**
+   * Imported names are relative to the current module.
+   * @param {string} name
+   * @return {string}
+   */
+  normalizeModuleName(name) {
+    return System.normalize(name, this.moduleName);
+  }
+
   transformScript(tree) {
     this.moduleName = tree.moduleName;
     return super.transformScript(tree);
@@ -113,7 +123,7 @@ export class ModuleTransformer extends TempVarTransformer {
 
   wrapModule(statements) {
     var functionExpression;
-    if (transformOptions.require) {
+    if (this.options_.transformOptions.require) {
       functionExpression = parseExpression `function(require) {
         ${statements}
       }`;
@@ -247,13 +257,40 @@ export class ModuleTransformer extends TempVarTransformer {
    * @return {ParseTree}
    */
   transformModuleSpecifier(tree) {
-    assert(this.moduleName);
     var name = tree.token.processedValue;
     // import/module {x} from './name.js' is relative to the current file.
-    var normalizedName = System.normalize(name, this.moduleName);
+    var normalizedName = this.normalizeModuleName(name);
     return parseExpression `System.get(${normalizedName})`;
   }
 
+  transformImportCall(tree) {
+    if (!this.options_.transformOptions.dynamicImport)
+      return super.transformImportCall(tree);
+    var specifier = this.transformAny(tree.expression);
+    return this.createImportCallExpression(specifier, tree);
+  }
+
+  /**
+   * Returns the expression that replaces import(specifier), a promise for
+   * the module. The module is loaded relative to this one:
+   *
+   *   import('./a.js')
+   *
+   *   =>
+   *
+   *   System.import('./a.js', {referrerName: 'dir/b.js'})
+   *
+   * @param {ParseTree} specifier The transformed specifier expression.
+   * @param {ImportCall} tree
+   * @return {ParseTree}
+   */
+  createImportCallExpression(specifier, tree) {
+    if (this.moduleName === null)
+      return parseExpression `System.import(${specifier})`;
+    return parseExpression
+        `System.import(${specifier}, {referrerName: ${this.moduleName}})`;
+  }
+
   /**
    * @param {ModuleDeclaration} tree
    * @return {VariableDeclaration}
@@ -300,9 +337,10 @@ export class ModuleTransformer extends TempVarTransformer {
 
     // If destructuring patterns are kept in the output code, keep this as is,
     // otherwise transform it here.
-    if (transformOptions.destructuring || !parseOptions.destructuring) {
-      var destructuringTransformer =
-          new DestructImportVarStatement(this.identifierGenerator);
+    var options = this.options_;
+    if (options.transformOptions.destructuring || !options.destructuring) {
+      var destructuringTransformer = new DestructImportVarStatement(
+          this.identifierGenerator, this.reporter_, options);
       varStatement = varStatement.transform(destructuringTransformer);
     }
 
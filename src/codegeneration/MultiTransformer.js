@@ -13,6 +13,11 @@
 // limitations under the License.
 
 import {ParseTreeValidator} from '../syntax/ParseTreeValidator.js';
+import {
+  getPluginIndex,
+  getPluginPosition,
+  getStagePosition
+} from './TransformerPlugin.js';
 
 /**
  * Applies an ordered series of transforms
@@ -26,15 +31,45 @@ export class MultiTransformer {
     this.reporter_ = reporter;
     this.validate_ = validate;
     this.treeTransformers_ = [];
+    // The position of each tree transformer in the stages of the pipeline,
+    // see TransformerPlugin.js.
+    this.positions_ = [];
   }
 
   /**
    * Appends a function that transforms a tree.
    * @param {function(ParseTree) : ParseTree} treeTransformer
+   * @param {string=} stage The name of the stage in STAGES the transform
+   *     belongs to. Plugins are placed relative to these.
    * @return {void}
    */
-  append(treeTransformer) {
+  append(treeTransformer, stage = null) {
+    var positions = this.positions_;
+    var position = stage !== null ? getStagePosition(stage) :
+        positions.length ? positions[positions.length - 1] : -1;
     this.treeTransformers_.push(treeTransformer);
+    positions.push(position);
+  }
+
+  /**
+   * Inserts the transformers of |plugins| before or after the stages they
+   * ask for.
+   * @param {Array.<Object>} plugins
+   * @param {UniqueIdentifierGenerator} idGenerator
+   * @param {Options} options
+   * @return {void}
+   */
+  addPlugins(plugins, idGenerator, options) {
+    plugins.forEach((plugin) => {
+      var position = getPluginPosition(plugin);
+      var index = getPluginIndex(position, this.positions_);
+      var transformer = plugin.transformer;
+      this.treeTransformers_.splice(index, 0, (tree) => {
+        return new transformer(idGenerator, this.reporter_, options).
+            transformAny(tree);
+      });
+      this.positions_.splice(index, 0, position);
+    });
   }
 
   /**
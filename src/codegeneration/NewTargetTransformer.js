@@ -0,0 +1,233 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {CONSTRUCTOR} from '../syntax/PredefinedName.js';
+import {
+  EXPORT_DECLARATION,
+  EXPORT_DEFAULT
+} from '../syntax/trees/ParseTreeType.js';
+import {FindInFunctionScope} from './FindInFunctionScope.js';
+import {FindVisitor} from './FindVisitor.js';
+import {FunctionExpression} from '../syntax/trees/ParseTrees.js';
+import {TempVarTransformer} from './TempVarTransformer.js';
+import {
+  createBindingIdentifier,
+  createIdentifierExpression,
+  createVoid0
+} from './ParseTreeFactory.js';
+import {parseExpression} from './PlaceholderParser.js';
+import {propName} from '../staticsemantics/PropName.js';
+
+class FindNewTarget extends FindInFunctionScope {
+  visitNewTargetExpression(tree) {
+    this.found = true;
+  }
+}
+
+class FindBinding extends FindVisitor {
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    super();
+    this.name_ = name;
+  }
+
+  visitBindingIdentifier(tree) {
+    if (tree.getStringValue() === this.name_)
+      this.found = true;
+  }
+}
+
+/**
+ * @param {FunctionDeclaration|FunctionExpression} tree
+ * @return {boolean} Whether new.target is used in |tree|, outside of the
+ *     functions nested in it.
+ */
+function usesNewTarget(tree) {
+  var finder = new FindNewTarget();
+  finder.visitAny(tree.parameterList);
+  finder.visitAny(tree.body);
+  return finder.found;
+}
+
+/**
+ * @param {FunctionExpression} tree
+ * @return {boolean} Whether the name of |tree| is declared again inside it.
+ */
+function isNameRebound(tree) {
+  var finder = new FindBinding(tree.name.getStringValue());
+  finder.visitAny(tree.parameterList);
+  finder.visitAny(tree.body);
+  return finder.found;
+}
+
+/**
+ * Lowers the new.target meta property.
+ *
+ * In a function new.target is the function itself when it was called with
+ * new. When a constructor is called through a subclass it is the subclass,
+ * which is the constructor of the object being created:
+ *
+ *   function F() {
+ *     return new.target;
+ *   }
+ *
+ *   =>
+ *
+ *   var $__0 = F;
+ *   function F() {
+ *     return (this instanceof $__0 ? this.constructor : void 0);
+ *   }
+ *
+ * The alias keeps referring to the function when its name is shadowed inside
+ * it or assigned to. Function declarations in blocks are not hoisted to the
+ * function body so they use their name. Function expressions can be created
+ * more than once, so they are given a unique name instead when they have no
+ * name or when their name is declared again inside them. Class constructors can only be called with new (or super) so
+ * there new.target is just this.constructor, and methods and accessors are
+ * never called with new so there new.target is undefined. Arrow functions
+ * use the new.target of the enclosing function.
+ *
+ * This needs to run before the arrow functions and the classes are
+ * transformed to functions.
+ */
+/**
+ * @param {string|IdentifierToken} self The function or an alias of it.
+ * @return {ParseTree}
+ */
+function createNewTarget(self) {
+  var expression = createIdentifierExpression(self);
+  return parseExpression
+      `(this instanceof ${expression} ? this.constructor : void 0)`;
+}
+
+export class NewTargetTransformer extends TempVarTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   */
+  constructor(identifierGenerator) {
+    super(identifierGenerator);
+    // Returns the tree to replace new.target with in the current function.
+    this.newTarget_ = null;
+    this.inClassBody_ = false;
+    // The statements whose temp vars are being collected.
+    this.statements_ = [];
+  }
+
+  transformStatements_(statements) {
+    var oldStatements = this.statements_;
+    this.statements_ = statements;
+    var result = super.transformStatements_(statements);
+    this.statements_ = oldStatements;
+    return result;
+  }
+
+  /**
+   * @param {FunctionDeclaration} tree
+   * @return {boolean} Whether |tree| is declared at the top of the statements
+   *     its temp vars go in, so that an alias there can refer to it.
+   */
+  isHoisted_(tree) {
+    return this.statements_.some((statement) => {
+      if (statement === tree)
+        return true;
+      if (statement.type !== EXPORT_DECLARATION)
+        return false;
+      var declaration = statement.declaration;
+      return declaration === tree ||
+          declaration.type === EXPORT_DEFAULT && declaration.expression === tree;
+    });
+  }
+
+  transformNewTargetExpression(tree) {
+    // The parser only allows new.target inside functions.
+    return this.newTarget_();
+  }
+
+  transformFunctionDeclaration(tree) {
+    var transformFunction = () => super.transformFunctionDeclaration(tree);
+    if (!usesNewTarget(tree))
+      return this.withNewTarget_(null, transformFunction);
+    var self = tree.name.identifierToken;
+    if (this.isHoisted_(tree))
+      self = this.addTempVar(createIdentifierExpression(self));
+    return this.withNewTarget_(() => createNewTarget(self), transformFunction);
+  }
+
+  transformFunctionExpression(tree) {
+    var transformFunction = () => super.transformFunctionExpression(tree);
+    if (!usesNewTarget(tree))
+      return this.withNewTarget_(null, transformFunction);
+    var name = tree.name;
+    if (name === null || isNameRebound(tree)) {
+      name = createBindingIdentifier(
+          this.identifierGenerator.generateUniqueIdentifier());
+    }
+    var transformed = this.withNewTarget_(
+        () => createNewTarget(name.identifierToken), transformFunction);
+
+    if (name === tree.name)
+      return transformed;
+    return new FunctionExpression(transformed.location, name,
+        transformed.functionKind, transformed.parameterList,
+        transformed.typeAnnotation, transformed.annotations, transformed.body);
+  }
+
+  transformClassDeclaration(tree) {
+    return this.withClassBody_(() => super.transformClassDeclaration(tree));
+  }
+
+  transformClassExpression(tree) {
+    return this.withClassBody_(() => super.transformClassExpression(tree));
+  }
+
+  transformPropertyMethodAssignment(tree) {
+    var isConstructor = this.inClassBody_ && !tree.isStatic &&
+        propName(tree) === CONSTRUCTOR;
+    var newTarget = isConstructor ?
+        () => parseExpression `this.constructor` : createVoid0;
+    return this.withNewTarget_(newTarget,
+        () => super.transformPropertyMethodAssignment(tree));
+  }
+
+  transformGetAccessor(tree) {
+    return this.withNewTarget_(createVoid0,
+        () => super.transformGetAccessor(tree));
+  }
+
+  transformSetAccessor(tree) {
+    return this.withNewTarget_(createVoid0,
+        () => super.transformSetAccessor(tree));
+  }
+
+  withNewTarget_(newTarget, func) {
+    var oldNewTarget = this.newTarget_;
+    var oldInClassBody = this.inClassBody_;
+    this.newTarget_ = newTarget;
+    this.inClassBody_ = false;
+    var result = func();
+    this.newTarget_ = oldNewTarget;
+    this.inClassBody_ = oldInClassBody;
+    return result;
+  }
+
+  withClassBody_(func) {
+    var oldInClassBody = this.inClassBody_;
+    this.inClassBody_ = true;
+    var result = func();
+    this.inClassBody_ = oldInClassBody;
+    return result;
+  }
+}
@@ -38,15 +38,16 @@ import {
   createStringLiteral
 } from './ParseTreeFactory.js';
 import {propName} from '../staticsemantics/PropName.js';
-import {transformOptions} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
  * FindAdvancedProperty class that finds if an object literal contains a
  * computed property name, an at name or a __proto__ property.
  */
 class FindAdvancedProperty extends FindVisitor {
-  constructor() {
+  constructor(transformOptions) {
     super(true);
+    this.transformOptions_ = transformOptions;
     this.protoExpression = null;
   }
 
@@ -58,7 +59,7 @@ class FindAdvancedProperty extends FindVisitor {
   }
 
   visitComputedPropertyName(tree) {
-    if (transformOptions.computedPropertyNames)
+    if (this.transformOptions_.computedPropertyNames)
       this.found = true;
   }
 }
@@ -78,9 +79,12 @@ function isProtoName(tree) {
 export class ObjectLiteralTransformer extends TempVarTransformer {
   /**
    * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(identifierGenerator) {
+  constructor(identifierGenerator, reporter, options = globalOptions) {
     super(identifierGenerator);
+    this.transformOptions_ = options.transformOptions;
     this.protoExpression = null;
     this.needsAdvancedTransform = false;
     this.seenAccessors = null;
@@ -182,7 +186,7 @@ export class ObjectLiteralTransformer extends TempVarTransformer {
     var oldSeenAccessors = this.seenAccessors;
 
     try {
-      var finder = new FindAdvancedProperty();
+      var finder = new FindAdvancedProperty(this.transformOptions_);
       finder.visitAny(tree);
       if (!finder.found) {
         this.needsAdvancedTransform = false;
@@ -18,9 +18,10 @@ import {MultiTransformer} from './MultiTransformer.js';
 import {TypeAssertionTransformer} from './TypeAssertionTransformer.js';
 import {TypeTransformer} from './TypeTransformer.js';
 import {UniqueIdentifierGenerator} from './UniqueIdentifierGenerator.js';
-import {options} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 import {validate as validateFreeVariables} from
     '../semantics/FreeVariableChecker.js';
+import {validate as validateTypes} from '../semantics/TypeChecker.js';
 
 /**
  * MultiTransformer that only transforms non ES6 features, such as:
@@ -33,14 +34,17 @@ export class PureES6Transformer extends MultiTransformer {
   /**
    * @param {ErrorReporter} reporter
    * @param {UniqueIdentifierGenerator=} idGenerator
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(reporter, idGenerator = new UniqueIdentifierGenerator()) {
+  constructor(reporter, idGenerator = new UniqueIdentifierGenerator(),
+              options = globalOptions) {
     super(reporter, options.validate);
 
-    var append = (transformer) => {
+    var append = (transformer, stage) => {
       this.append((tree) => {
-        return new transformer(idGenerator, reporter).transformAny(tree);
-      });
+        return new transformer(idGenerator, reporter, options).
+            transformAny(tree);
+      }, stage);
     };
 
     // Issue errors for any unbound variables
@@ -48,16 +52,28 @@ export class PureES6Transformer extends MultiTransformer {
       this.append((tree) => {
         validateFreeVariables(tree, reporter);
         return tree;
-      });
+      }, 'freeVariableChecker');
+    }
+
+    // Issue errors for values that do not match their type annotations
+    if (options.typeChecker) {
+      this.append((tree) => {
+        validateTypes(tree, reporter);
+        return tree;
+      }, 'typeChecker');
     }
 
     if (options.typeAssertions) {
       // Transforming member variabless to getters/setters only make
       // sense when the type assertions are enabled.
-      if (options.memberVariables) append(MemberVariableTransformer);
-      append(TypeAssertionTransformer);
+      if (options.memberVariables)
+        append(MemberVariableTransformer, 'memberVariables');
+      append(TypeAssertionTransformer, 'typeAssertions');
     }
-    append(AnnotationsTransformer);
-    append(TypeTransformer);
+    append(AnnotationsTransformer, 'annotations');
+    append(TypeTransformer, 'types');
+
+    if (options.plugins)
+      this.addPlugins(options.plugins, idGenerator, options);
   }
 }
@@ -16,26 +16,66 @@ import {ParseTreeTransformer} from './ParseTreeTransformer.js';
 import {LiteralExpression} from '../syntax/trees/ParseTrees.js';
 import {LiteralToken} from '../syntax/LiteralToken.js';
 import {REGULAR_EXPRESSION} from '../syntax/TokenType.js';
+import {parseExpression} from './PlaceholderParser.js';
 import {regexpuRewritePattern} from '../outputgeneration/regexpuRewritePattern.js';
+import {options as globalOptions} from '../Options.js';
 
+/**
+ * Lowers the u and y flags of regular expression literals.
+ *
+ * The u flag is compiled away by rewriting the pattern to an ES5 pattern that
+ * matches code points. The y flag has no ES5 equivalent so
+ *
+ *   /abc/y
+ *
+ * is transformed to
+ *
+ *   $traceurRuntime.stickyRegExp(/abc/)
+ *
+ * which returns a regular expression that only matches at lastIndex.
+ */
 export class RegularExpressionTransformer extends ParseTreeTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
+   */
+  constructor(identifierGenerator, reporter, options = globalOptions) {
+    super();
+    this.transformOptions_ = options.transformOptions;
+  }
+
   transformLiteralExpression(tree) {
     var token = tree.literalToken;
-    if (token.type === REGULAR_EXPRESSION) {
-      var value = token.value;
-      var lastIndex = value.lastIndexOf('/');
-      var pattern = value.slice(1, lastIndex);
-      var flags = value.slice(lastIndex + 1);
-      if (flags.indexOf('u') !== -1) {
-        var result = '/' + regexpuRewritePattern(pattern, flags) + '/' +
-            flags.replace('u', '');
-        return new LiteralExpression(
-            tree.location,
-            new LiteralToken(REGULAR_EXPRESSION,
-                             result,
-                             token.location));
-      }
+    if (token.type !== REGULAR_EXPRESSION)
+      return tree;
+
+    var value = token.value;
+    var lastIndex = value.lastIndexOf('/');
+    var pattern = value.slice(1, lastIndex);
+    var flags = value.slice(lastIndex + 1);
+    var transformOptions = this.transformOptions_;
+    var unicode = transformOptions.unicodeExpressions &&
+        flags.indexOf('u') !== -1;
+    var sticky = transformOptions.stickyExpressions &&
+        flags.indexOf('y') !== -1;
+    if (!unicode && !sticky)
+      return tree;
+
+    if (unicode) {
+      pattern = regexpuRewritePattern(pattern, flags);
+      flags = flags.replace('u', '');
     }
-    return tree;
+    if (sticky)
+      flags = flags.replace('y', '');
+
+    var literal = new LiteralExpression(
+        tree.location,
+        new LiteralToken(REGULAR_EXPRESSION,
+                         '/' + pattern + '/' + flags,
+                         token.location));
+    if (!sticky)
+      return literal;
+    return parseExpression `$traceurRuntime.stickyRegExp(${literal})`;
   }
 }
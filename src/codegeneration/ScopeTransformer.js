@@ -77,6 +77,25 @@ export class ScopeTransformer extends ParseTreeTransformer {
     return super.transformFunctionExpression(tree);
   }
 
+  // Methods and accessors bind their own this and arguments.
+  transformGetAccessor(tree) {
+    if (this.varName_ === ARGUMENTS || this.varName_ === THIS)
+      return tree;
+    return super.transformGetAccessor(tree);
+  }
+
+  transformSetAccessor(tree) {
+    if (this.varName_ === ARGUMENTS || this.varName_ === THIS)
+      return tree;
+    return super.transformSetAccessor(tree);
+  }
+
+  transformPropertyMethodAssignment(tree) {
+    if (this.varName_ === ARGUMENTS || this.varName_ === THIS)
+      return tree;
+    return super.transformPropertyMethodAssignment(tree);
+  }
+
   // Do not recurse into functions if:
   //  - 'arguments' is implicitly bound in function bodies
   //  - 'this' is implicitly bound in function bodies
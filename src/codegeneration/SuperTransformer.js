@@ -30,6 +30,7 @@ import {
 } from '../syntax/TokenType.js';
 import {
   createArgumentList,
+  createArrayLiteralExpression,
   createIdentifierExpression,
   createParenExpression,
   createStringLiteral,
@@ -65,12 +66,17 @@ export class SuperTransformer extends ParseTreeTransformer {
    * @param {ParseTree} protoName
    * @param {string} thisName The name of the saved 'this' var
    * @param {ParseTree} internalName The name of the save class binding.
+   * @param {boolean} isConstructor Whether this is the body of a class
+   *     constructor.
    */
-  constructor(tempVarTransformer, protoName, thisName, internalName) {
+  constructor(tempVarTransformer, protoName, thisName, internalName,
+              isConstructor = false) {
     this.tempVarTransformer_ = tempVarTransformer;
     this.protoName_ = protoName;
     this.internalName_ = internalName;
+    this.isConstructor_ = isConstructor;
     this.superCount_ = 0;
+    this.superCallCount_ = 0;
     this.thisVar_ = createIdentifierExpression(thisName);
     this.inNestedFunc_ = 0;
     this.nestedSuperCount_ = 0;
@@ -80,6 +86,14 @@ export class SuperTransformer extends ParseTreeTransformer {
     return this.superCount_ > 0;
   }
 
+  /**
+   * Whether a constructor calls super(). In that case the constructor uses
+   * the saved 'this' var since the super constructor might replace it.
+   */
+  get hasSuperCall() {
+    return this.superCallCount_ > 0;
+  }
+
   get nestedSuper() {
     return this.nestedSuperCount_ > 0;
   }
@@ -142,6 +156,14 @@ export class SuperTransformer extends ParseTreeTransformer {
   }
 
   createSuperCall_(tree) {
+    if (this.isConstructor_) {
+      this.superCallCount_++;
+      var args = createArrayLiteralExpression(tree.args.args);
+      return parseExpression `${this.thisVar_} =
+          $traceurRuntime.superConstruct(${this.internalName_},
+                                         ${this.thisVar_}, ${args})`;
+    }
+
     var thisExpr = this.inNestedFunc_ ? this.thisVar_ : createThisExpression();
     var args = createArgumentList([thisExpr, ...tree.args.args]);
     return parseExpression
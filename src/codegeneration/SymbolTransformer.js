@@ -13,28 +13,55 @@
 // limitations under the License.
 
 import {
+  ArgumentList,
   BinaryExpression,
+  CallExpression,
   MemberLookupExpression,
   ForInStatement,
+  TemplateLiteralExpression,
+  TemplateSubstitution,
   UnaryExpression
 } from '../syntax/trees/ParseTrees.js';
 import {ExplodeExpressionTransformer} from './ExplodeExpressionTransformer.js';
 import {
+  BINARY_EXPRESSION,
+  CALL_EXPRESSION,
   IDENTIFIER_EXPRESSION,
   LITERAL_EXPRESSION,
+  MEMBER_EXPRESSION,
+  POSTFIX_EXPRESSION,
+  SPREAD_EXPRESSION,
+  TEMPLATE_SUBSTITUTION,
   UNARY_EXPRESSION,
   VARIABLE_DECLARATION_LIST
 } from '../syntax/trees/ParseTreeType.js';
 import {TempVarTransformer} from './TempVarTransformer.js';
 import {
+  AND,
+  CLOSE_ANGLE,
+  COMMA,
   EQUAL_EQUAL,
   EQUAL_EQUAL_EQUAL,
+  GREATER_EQUAL,
   IN,
+  INSTANCEOF,
+  LESS_EQUAL,
+  MINUS,
   NOT_EQUAL,
   NOT_EQUAL_EQUAL,
+  OPEN_ANGLE,
+  OR,
+  PERCENT,
+  PLUS,
+  SLASH,
+  STAR,
   STRING,
   TYPEOF
 } from '../syntax/TokenType.js';
+import {
+  createIdentifierExpression as id,
+  createStringLiteral
+} from './ParseTreeFactory.js';
 import {
   parseExpression,
   parseStatement
@@ -80,6 +107,75 @@ function isSafeTypeofString(tree) {
   return true;
 }
 
+/**
+ * Returns the hint passed to @@toPrimitive for the operands of a binary
+ * operator, or null if the operator does not coerce its operands.
+ * @param {TokenType} type
+ * @return {string}
+ */
+function getCoercionHint(type) {
+  switch (type) {
+    case PLUS:
+      return 'default';
+    case MINUS:
+    case STAR:
+    case SLASH:
+    case PERCENT:
+    case OPEN_ANGLE:
+    case CLOSE_ANGLE:
+    case LESS_EQUAL:
+    case GREATER_EQUAL:
+      return 'number';
+  }
+  return null;
+}
+
+/**
+ * Whether the expression is a call to $traceurRuntime.toPrimitive, as
+ * emitted for the substitutions of a transformed template literal.
+ */
+function isToPrimitiveCall(tree) {
+  if (tree.type !== CALL_EXPRESSION || tree.operand.type !== MEMBER_EXPRESSION)
+    return false;
+  var {operand, memberName} = tree.operand;
+  return operand.type === IDENTIFIER_EXPRESSION &&
+      operand.identifierToken.value === '$traceurRuntime' &&
+      memberName.value === 'toPrimitive';
+}
+
+/**
+ * Whether the expression is a call to the global String with one argument.
+ */
+function isStringCall(tree) {
+  var args = tree.args.args;
+  return tree.operand.type === IDENTIFIER_EXPRESSION &&
+      tree.operand.identifierToken.value === 'String' &&
+      args.length === 1 && args[0].type !== SPREAD_EXPRESSION;
+}
+
+/**
+ * Whether the expression is known to evaluate to a primitive value.
+ */
+function isPrimitive(tree) {
+  switch (tree.type) {
+    case LITERAL_EXPRESSION:
+    case POSTFIX_EXPRESSION:
+    case UNARY_EXPRESSION:
+      return true;
+    case CALL_EXPRESSION:
+      return isToPrimitiveCall(tree);
+    case BINARY_EXPRESSION:
+      switch (tree.operator.type) {
+        case AND:
+        case OR:
+        case COMMA:
+          return false;
+      }
+      return !tree.operator.isAssignmentOperator();
+  }
+  return false;
+}
+
 /**
  * This transformer is used with symbol values to ensure that symbols can be
  * used as member expressions.
@@ -93,6 +189,20 @@ function isSafeTypeofString(tree) {
  *   operand[memberExpression] = value
  *   =>
  *   operand[$traceurRuntime.toProperty(memberExpression)] = value
+ *
+ * It also makes the operators honor the well known symbols:
+ *
+ *   value instanceof C
+ *   =>
+ *   $traceurRuntime.instanceOf(value, C)
+ *
+ *   a + b
+ *   =>
+ *   ($0 = a, $1 = b, $traceurRuntime.toPrimitive($0, 'default') +
+ *       $traceurRuntime.toPrimitive($1, 'default'))
+ *
+ * Both operands are evaluated before either of them is converted. String(x)
+ * and the substitutions of template literals convert with the 'string' hint.
  */
 export class SymbolTransformer extends TempVarTransformer {
 
@@ -137,9 +247,72 @@ export class SymbolTransformer extends TempVarTransformer {
       }
     }
 
+    if (tree.operator.type === INSTANCEOF) {
+      var left = this.transformAny(tree.left);
+      var right = this.transformAny(tree.right);
+      return parseExpression `$traceurRuntime.instanceOf(${left}, ${right})`;
+    }
+
+    var hint = getCoercionHint(tree.operator.type);
+    if (hint !== null) {
+      var left = this.transformAny(tree.left);
+      var right = this.transformAny(tree.right);
+      // Converting the left operand first is only observable if evaluating
+      // the right one has side effects.
+      if (isPrimitive(left) || right.type === LITERAL_EXPRESSION) {
+        return new BinaryExpression(tree.location,
+            this.toPrimitive_(left, hint), tree.operator,
+            this.toPrimitive_(right, hint));
+      }
+      var leftValue = id(this.addTempVar());
+      var rightValue = id(this.addTempVar());
+      var rightPrimitive = isPrimitive(right) ?
+          rightValue : this.toPrimitive_(rightValue, hint);
+      var expression = new BinaryExpression(tree.location,
+          this.toPrimitive_(leftValue, hint), tree.operator, rightPrimitive);
+      return parseExpression
+          `(${leftValue} = ${left}, ${rightValue} = ${right}, ${expression})`;
+    }
+
     return super.transformBinaryExpression(tree);
   }
 
+  /**
+   * Wraps the expression in a call to $traceurRuntime.toPrimitive unless it
+   * is already known to be a primitive.
+   */
+  toPrimitive_(tree, hint) {
+    if (isPrimitive(tree))
+      return tree;
+    return parseExpression
+        `$traceurRuntime.toPrimitive(${tree}, ${createStringLiteral(hint)})`;
+  }
+
+  transformCallExpression(tree) {
+    tree = super.transformCallExpression(tree);
+    if (!isStringCall(tree))
+      return tree;
+    // String(x)
+    // =>
+    // String($traceurRuntime.toPrimitive(x, 'string'))
+    var arg = this.toPrimitive_(tree.args.args[0], 'string');
+    return new CallExpression(tree.location, tree.operand,
+        new ArgumentList(tree.args.location, [arg]));
+  }
+
+  transformTemplateLiteralExpression(tree) {
+    tree = super.transformTemplateLiteralExpression(tree);
+    if (tree.operand !== null)
+      return tree;
+    var elements = tree.elements.map((element) => {
+      if (element.type !== TEMPLATE_SUBSTITUTION)
+        return element;
+      return new TemplateSubstitution(element.location,
+          this.toPrimitive_(element.expression, 'string'));
+    });
+    return new TemplateLiteralExpression(tree.location, null, elements);
+  }
+
   transformMemberLookupExpression(tree) {
     var operand = this.transformAny(tree.operand);
     var memberExpression = this.transformAny(tree.memberExpression);
@@ -158,8 +331,17 @@ export class SymbolTransformer extends TempVarTransformer {
   }
 
   transformUnaryExpression(tree) {
-    if (tree.operator.type !== TYPEOF)
-      return super.transformUnaryExpression(tree);
+    switch (tree.operator.type) {
+      case PLUS:
+      case MINUS:
+        var operand = this.toPrimitive_(this.transformAny(tree.operand),
+                                        'number');
+        return new UnaryExpression(tree.location, tree.operator, operand);
+      case TYPEOF:
+        break;
+      default:
+        return super.transformUnaryExpression(tree);
+    }
 
     var operand = this.transformAny(tree.operand);
     var expression = this.getRuntimeTypeof(operand);
@@ -0,0 +1,679 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  ArrowFunctionExpression,
+  ClassDeclaration,
+  ClassExpression,
+  FunctionDeclaration,
+  FunctionExpression,
+  LabelledStatement,
+  PropertyMethodAssignment,
+  TryStatement,
+  VariableDeclaration
+} from '../syntax/trees/ParseTrees.js';
+import {
+  ARROW_FUNCTION_EXPRESSION,
+  BINDING_ELEMENT,
+  BINDING_IDENTIFIER,
+  CALL_EXPRESSION,
+  CONDITIONAL_EXPRESSION,
+  FUNCTION_BODY,
+  FUNCTION_EXPRESSION,
+  IDENTIFIER_EXPRESSION,
+  LITERAL_PROPERTY_NAME,
+  MEMBER_EXPRESSION,
+  PAREN_EXPRESSION,
+  PROPERTY_METHOD_ASSIGNMENT,
+  SPREAD_EXPRESSION,
+  THIS_EXPRESSION
+} from '../syntax/trees/ParseTreeType.js';
+import {ARGUMENTS, CONSTRUCTOR} from '../syntax/PredefinedName.js';
+import {
+  CONST,
+  EQUAL_EQUAL_EQUAL,
+  MINUS_MINUS,
+  PLUS_PLUS,
+  VAR
+} from '../syntax/TokenType.js';
+import {FindInFunctionScope} from './FindInFunctionScope.js';
+import {ParseTreeVisitor} from '../syntax/ParseTreeVisitor.js';
+import {ScopeChainBuilder} from '../semantics/ScopeChainBuilder.js';
+import {TempVarTransformer} from './TempVarTransformer.js';
+import {isTreeStrict} from '../semantics/isTreeStrict.js';
+import {propName} from '../staticsemantics/PropName.js';
+import {
+  createArgumentList,
+  createAssignmentStatement,
+  createBinaryExpression,
+  createBlock,
+  createCallExpression,
+  createConditionalExpression,
+  createContinueStatement,
+  createFunctionBody,
+  createIdentifierExpression,
+  createIdentifierToken,
+  createIfStatement,
+  createMemberExpression,
+  createOperatorToken,
+  createReturnStatement,
+  createTrueLiteral,
+  createVariableDeclaration,
+  createVariableDeclarationList,
+  createVariableStatement,
+  createVoid0,
+  createWhileStatement
+} from './ParseTreeFactory.js';
+
+/**
+ * Finds the things that make it unsafe to turn the body of a function into a
+ * loop. Nested functions and classes might capture the parameters and locals,
+ * which are shared between the iterations of the loop. The arguments object
+ * is not updated when the parameters are reassigned, and a plain function
+ * call does not preserve the this binding.
+ */
+class FindLoopHazard extends FindInFunctionScope {
+  constructor(selfName, allowThis) {
+    super();
+    this.selfName_ = selfName;
+    this.allowThis_ = allowThis;
+  }
+
+  visitFunctionDeclaration(tree) {
+    this.found = true;
+  }
+
+  visitFunctionExpression(tree) {
+    this.found = true;
+  }
+
+  visitArrowFunctionExpression(tree) {
+    this.found = true;
+  }
+
+  visitGetAccessor(tree) {
+    this.found = true;
+  }
+
+  visitSetAccessor(tree) {
+    this.found = true;
+  }
+
+  visitPropertyMethodAssignment(tree) {
+    this.found = true;
+  }
+
+  visitClassDeclaration(tree) {
+    this.found = true;
+  }
+
+  visitClassExpression(tree) {
+    this.found = true;
+  }
+
+  visitIdentifierExpression(tree) {
+    if (tree.identifierToken.value === ARGUMENTS)
+      this.found = true;
+  }
+
+  visitThisExpression(tree) {
+    if (!this.allowThis_)
+      this.found = true;
+  }
+
+  // A local binding with the same name shadows the function.
+  visitBindingIdentifier(tree) {
+    if (tree.getStringValue() === this.selfName_)
+      this.found = true;
+  }
+}
+
+class FindIdentifierExpressions extends ParseTreeVisitor {
+  constructor(names) {
+    super();
+    this.names = names;
+  }
+
+  visitIdentifierExpression(tree) {
+    this.names[tree.identifierToken.value] = true;
+  }
+}
+
+/**
+ * Finds the names that might not refer to the function declared with that
+ * name when the function calls itself: the names that are assigned to and
+ * the names that are declared more than once. Names are not resolved to
+ * scopes, so a name assigned anywhere in the tree is treated as a
+ * reassignment of every binding with that name.
+ */
+class FindReboundNames extends ParseTreeVisitor {
+  constructor() {
+    super();
+    this.declared_ = Object.create(null);
+    this.names = Object.create(null);
+    // A direct eval can assign any binding.
+    this.hasEval = false;
+  }
+
+  visitBindingIdentifier(tree) {
+    var name = tree.getStringValue();
+    if (name in this.declared_)
+      this.names[name] = true;
+    this.declared_[name] = true;
+  }
+
+  visitIdentifierExpression(tree) {
+    if (tree.identifierToken.value === 'eval')
+      this.hasEval = true;
+  }
+
+  visitBinaryExpression(tree) {
+    if (tree.operator.isAssignmentOperator())
+      this.addTargets_(tree.left);
+    super.visitBinaryExpression(tree);
+  }
+
+  visitUnaryExpression(tree) {
+    var type = tree.operator.type;
+    if (type === PLUS_PLUS || type === MINUS_MINUS)
+      this.addTargets_(tree.operand);
+    super.visitUnaryExpression(tree);
+  }
+
+  visitPostfixExpression(tree) {
+    this.addTargets_(tree.operand);
+    super.visitPostfixExpression(tree);
+  }
+
+  visitForInStatement(tree) {
+    this.addTargets_(tree.initializer);
+    super.visitForInStatement(tree);
+  }
+
+  visitForOfStatement(tree) {
+    this.addTargets_(tree.initializer);
+    super.visitForOfStatement(tree);
+  }
+
+  visitForAwaitStatement(tree) {
+    this.addTargets_(tree.initializer);
+    super.visitForAwaitStatement(tree);
+  }
+
+  addTargets_(tree) {
+    new FindIdentifierExpressions(this.names).visitAny(tree);
+  }
+}
+
+/**
+ * @param {Script|Module} tree
+ * @return {Object} The names whose function declarations may be rebound,
+ *     or null if any binding may be.
+ */
+function getReboundNames(tree) {
+  var visitor = new FindReboundNames();
+  visitor.visitAny(tree);
+  return visitor.hasEval ? null : visitor.names;
+}
+
+function hasLoopHazard(tree, selfName, allowThis) {
+  var visitor = new FindLoopHazard(selfName, allowThis);
+  visitor.visitAny(tree);
+  return visitor.found;
+}
+
+/**
+ * @param {FormalParameterList} tree
+ * @return {Array.<BindingElement>} The parameters if they are all simple
+ *     identifiers, optionally with an initializer, or null.
+ */
+function getSimpleParameters(tree) {
+  var parameters = [];
+  for (var i = 0; i < tree.parameters.length; i++) {
+    var parameter = tree.parameters[i].parameter;
+    if (parameter.type !== BINDING_ELEMENT ||
+        parameter.binding.type !== BINDING_IDENTIFIER) {
+      return null;
+    }
+    parameters.push(parameter);
+  }
+  return parameters;
+}
+
+/**
+ * @param {ParseTree} tree The function.
+ * @param {Array.<BindingElement>} parameters
+ * @return {Array.<string>} The names declared with var in the function.
+ */
+function getVarNames(tree, parameters) {
+  var builder = new ScopeChainBuilder(null);
+  builder.visitAny(tree);
+  var names = builder.getScopeForTree(tree).getVariableBindingNames();
+  parameters.forEach((parameter) => {
+    delete names[parameter.binding.getStringValue()];
+  });
+  return Object.keys(names);
+}
+
+function stripParens(tree) {
+  while (tree.type === PAREN_EXPRESSION) {
+    tree = tree.expression;
+  }
+  return tree;
+}
+
+/**
+ * Keeps track of the function whose self recursive tail calls are being
+ * rewritten.
+ */
+class TailCallFunction {
+  /**
+   * @param {ParseTree} tree
+   * @param {Array.<BindingElement>} parameters
+   * @param {string} label
+   * @param {string} selfName The name of the binding referring to the
+   *     function, or the name of the method.
+   * @param {ParseTree} method Expression evaluating to the method, or null if
+   *     this is not a method.
+   */
+  constructor(tree, parameters, label, selfName, method) {
+    this.tree = tree;
+    this.parameters = parameters;
+    this.label = label;
+    this.selfName = selfName;
+    this.method = method;
+    this.found = false;
+  }
+
+  isSelfCall(tree) {
+    if (tree.type !== CALL_EXPRESSION)
+      return false;
+    if (tree.args.args.some((arg) => arg.type === SPREAD_EXPRESSION))
+      return false;
+    var operand = stripParens(tree.operand);
+    if (this.method === null) {
+      return operand.type === IDENTIFIER_EXPRESSION &&
+          operand.identifierToken.value === this.selfName;
+    }
+    return operand.type === MEMBER_EXPRESSION &&
+        stripParens(operand.operand).type === THIS_EXPRESSION &&
+        operand.memberName.value === this.selfName;
+  }
+
+  containsTailCall(tree) {
+    tree = stripParens(tree);
+    if (tree.type === CONDITIONAL_EXPRESSION) {
+      return this.containsTailCall(tree.left) ||
+          this.containsTailCall(tree.right);
+    }
+    return this.isSelfCall(tree);
+  }
+}
+
+/**
+ * Rewrites self recursive calls in tail position of strict mode functions,
+ * arrow functions and methods into a loop so that the recursion does not grow
+ * the stack.
+ *
+ *   function f(n, acc = 1) {
+ *     'use strict';
+ *     if (n <= 1) return acc;
+ *     return f(n - 1, acc * n);
+ *   }
+ *
+ * is transformed to
+ *
+ *   function f(n, acc = 1) {
+ *     'use strict';
+ *     $__0: while (true) {
+ *       if (n <= 1) return acc;
+ *       {
+ *         var $__1 = n - 1, $__2 = acc * n;
+ *         n = $__1;
+ *         acc = $__2 === void 0 ? 1 : $__2;
+ *         continue $__0;
+ *       }
+ *       return;
+ *     }
+ *   }
+ *
+ * Methods are only called directly if the method found on this is the method
+ * itself since a subclass might override it.
+ *
+ * Functions containing nested functions, using arguments or, for non methods,
+ * using this are left alone. So are function declarations whose binding is
+ * assigned to or declared again, since the self call would then call another
+ * function.
+ */
+export class TailCallTransformer extends TempVarTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   */
+  constructor(identifierGenerator, reporter) {
+    super(identifierGenerator);
+    this.strictMode_ = false;
+    // Names of function declarations that cannot be turned into loops, or
+    // null if none can.
+    this.reboundNames_ = null;
+    this.function_ = null;
+    this.declarationType_ = null;
+    // Name of the enclosing class when transforming its methods.
+    this.className_ = null;
+  }
+
+  transformScript(tree) {
+    this.strictMode_ = isTreeStrict(tree);
+    this.reboundNames_ = getReboundNames(tree);
+    return super.transformScript(tree);
+  }
+
+  transformModule(tree) {
+    this.strictMode_ = true;
+    this.reboundNames_ = getReboundNames(tree);
+    return super.transformModule(tree);
+  }
+
+  transformFunctionDeclaration(tree) {
+    var name = tree.name.getStringValue();
+    var reboundNames = this.reboundNames_;
+    if (reboundNames === null || name in reboundNames)
+      name = null;
+    return this.transformFunction_(tree, name, null, FunctionDeclaration);
+  }
+
+  transformFunctionExpression(tree) {
+    return this.transformFunction_(tree, tree.name && tree.name.getStringValue(),
+                                   null, FunctionExpression);
+  }
+
+  transformArrowFunctionExpression(tree) {
+    // Arrow functions are not self recursive unless they are bound to a
+    // const.
+    return this.transformFunction_(tree, null, null, ArrowFunctionExpression);
+  }
+
+  transformPropertyMethodAssignment(tree) {
+    var className = this.className_;
+    this.className_ = null;
+    var method = null;
+    var name = null;
+    if (className !== null && tree.name.type === LITERAL_PROPERTY_NAME &&
+        propName(tree) !== CONSTRUCTOR) {
+      name = propName(tree);
+      var object = createIdentifierExpression(className);
+      if (!tree.isStatic)
+        object = createMemberExpression(object, 'prototype');
+      method = createMemberExpression(object, name);
+    }
+    var result = this.transformFunction_(tree, name, method,
+                                         PropertyMethodAssignment);
+    this.className_ = className;
+    return result;
+  }
+
+  transformVariableDeclaration(tree) {
+    var initializer = tree.initializer && stripParens(tree.initializer);
+    if (this.declarationType_ !== CONST ||
+        tree.lvalue.type !== BINDING_IDENTIFIER || initializer === null ||
+        !(initializer.type === FUNCTION_EXPRESSION && !initializer.name ||
+          initializer.type === ARROW_FUNCTION_EXPRESSION)) {
+      return super.transformVariableDeclaration(tree);
+    }
+
+    var name = tree.lvalue.getStringValue();
+    var constructor = initializer.type === FUNCTION_EXPRESSION ?
+        FunctionExpression : ArrowFunctionExpression;
+    var transformed = this.transformFunction_(initializer, name, null,
+                                              constructor);
+    if (transformed === initializer)
+      return tree;
+    return new VariableDeclaration(tree.location, tree.lvalue,
+                                   tree.typeAnnotation, transformed);
+  }
+
+  transformVariableDeclarationList(tree) {
+    var declarationType = this.declarationType_;
+    this.declarationType_ = tree.declarationType;
+    var result = super.transformVariableDeclarationList(tree);
+    this.declarationType_ = declarationType;
+    return result;
+  }
+
+  transformClassDeclaration(tree) {
+    return this.transformClass_(tree, ClassDeclaration);
+  }
+
+  transformClassExpression(tree) {
+    return this.transformClass_(tree, ClassExpression);
+  }
+
+  transformClass_(tree, constructor) {
+    var superClass = this.transformAny(tree.superClass);
+    var strictMode = this.strictMode_;
+    var className = this.className_;
+    this.strictMode_ = true;
+    var name = tree.name && tree.name.getStringValue();
+    var elements = tree.elements.map((element) => {
+      this.className_ =
+          element.type === PROPERTY_METHOD_ASSIGNMENT ? name : null;
+      return this.transformAny(element);
+    });
+    this.className_ = className;
+    this.strictMode_ = strictMode;
+    if (superClass === tree.superClass &&
+        elements.every((element, i) => element === tree.elements[i])) {
+      return tree;
+    }
+    return new constructor(tree.location, tree.name, superClass, elements,
+                           tree.annotations, tree.typeParameters);
+  }
+
+  transformTryStatement(tree) {
+    // Returning out of a try block is not a tail call since the catch and
+    // finally blocks must apply to the call. The catch block is in tail
+    // position as long as there is no finally block.
+    var fn = this.function_;
+    this.function_ = null;
+    var body = this.transformAny(tree.body);
+    if (tree.finallyBlock === null)
+      this.function_ = fn;
+    var catchBlock = this.transformAny(tree.catchBlock);
+    this.function_ = fn;
+    var finallyBlock = this.transformAny(tree.finallyBlock);
+    if (body === tree.body && catchBlock === tree.catchBlock &&
+        finallyBlock === tree.finallyBlock) {
+      return tree;
+    }
+    return new TryStatement(tree.location, body, catchBlock, finallyBlock);
+  }
+
+  transformReturnStatement(tree) {
+    var fn = this.function_;
+    if (fn === null || tree.expression === null ||
+        !fn.containsTailCall(tree.expression)) {
+      return super.transformReturnStatement(tree);
+    }
+    fn.found = true;
+    return this.createTailCall_(fn, tree.expression);
+  }
+
+  /**
+   * @param {TailCallFunction} fn
+   * @param {ParseTree} expression An expression for which containsTailCall
+   *     returned true.
+   * @return {ParseTree} A statement.
+   */
+  createTailCall_(fn, expression) {
+    expression = stripParens(expression);
+    if (expression.type === CONDITIONAL_EXPRESSION) {
+      return createIfStatement(this.transformAny(expression.condition),
+                               this.createTailReturn_(fn, expression.left),
+                               this.createTailReturn_(fn, expression.right));
+    }
+
+    var args = this.transformList(expression.args.args);
+    var parameters = fn.parameters;
+    var statements = [];
+
+    // All arguments are evaluated before any parameter is assigned since the
+    // arguments may refer to the parameters.
+    var values;
+    if (args.length === 1 && parameters.length === 1 &&
+        parameters[0].initializer === null) {
+      values = args;
+    } else {
+      var names = args.map(() => this.getTempIdentifier());
+      if (names.length) {
+        statements.push(createVariableStatement(createVariableDeclarationList(
+            VAR,
+            names.map((name, i) => createVariableDeclaration(name, args[i])))));
+      }
+      values = names.map((name) => createIdentifierExpression(name));
+    }
+
+    parameters.forEach((parameter, i) => {
+      var value = i < values.length ? values[i] : createVoid0();
+      if (parameter.initializer !== null) {
+        var initializer = this.transformAny(parameter.initializer);
+        value = i < values.length ?
+            createConditionalExpression(
+                createBinaryExpression(value,
+                                       createOperatorToken(EQUAL_EQUAL_EQUAL),
+                                       createVoid0()),
+                initializer, value) :
+            initializer;
+      }
+      statements.push(createAssignmentStatement(
+          createIdentifierExpression(parameter.binding.getStringValue()),
+          value));
+    });
+    statements.push(createContinueStatement(createIdentifierToken(fn.label)));
+
+    var block = createBlock(statements);
+    if (fn.method === null)
+      return block;
+
+    // if (this.m === C.prototype.m) { ... } return this.m(...);
+    var operand = stripParens(expression.operand);
+    return createBlock([
+      createIfStatement(
+          createBinaryExpression(operand,
+                                 createOperatorToken(EQUAL_EQUAL_EQUAL),
+                                 fn.method),
+          block),
+      createReturnStatement(createCallExpression(operand,
+                                                 createArgumentList(args)))
+    ]);
+  }
+
+  createTailReturn_(fn, expression) {
+    if (fn.containsTailCall(expression))
+      return this.createTailCall_(fn, expression);
+    return createReturnStatement(this.transformAny(expression));
+  }
+
+  /**
+   * @param {ParseTree} tree
+   * @param {string} selfName
+   * @param {ParseTree} method
+   * @param {Function} constructor The constructor of the tree type.
+   * @return {ParseTree}
+   */
+  transformFunction_(tree, selfName, method, constructor) {
+    var strictMode = this.strictMode_;
+    var fn = this.function_;
+    var isArrow = constructor === ArrowFunctionExpression;
+    this.strictMode_ = strictMode || isTreeStrict(tree);
+
+    var parameters = getSimpleParameters(tree.parameterList);
+    var allowThis = isArrow || method !== null;
+    var body = tree.body;
+    var concise = body.type !== FUNCTION_BODY;
+    var tailCall = null;
+    if (selfName !== null && this.strictMode_ && parameters !== null &&
+        !tree.isGenerator() && !tree.isAsyncFunction() &&
+        !tree.isAsyncGenerator() &&
+        !hasLoopHazard(tree.parameterList, selfName, allowThis) &&
+        !hasLoopHazard(body, selfName, allowThis)) {
+      tailCall = new TailCallFunction(tree, parameters,
+          this.identifierGenerator.generateUniqueIdentifier(), selfName,
+          method);
+    }
+
+    this.function_ = null;
+    var parameterList = this.transformAny(tree.parameterList);
+
+    if (concise) {
+      if (tailCall === null || !tailCall.containsTailCall(body)) {
+        body = this.transformAny(body);
+      } else {
+        this.function_ = tailCall;
+        body = this.transformAny(
+            createFunctionBody([createReturnStatement(body)]));
+      }
+    } else {
+      this.function_ = tailCall;
+      body = this.transformAny(body);
+    }
+
+    this.function_ = fn;
+    this.strictMode_ = strictMode;
+
+    if (tailCall !== null && tailCall.found)
+      body = this.createLoop_(tree, body, tailCall);
+
+    if (parameterList === tree.parameterList && body === tree.body)
+      return tree;
+
+    switch (constructor) {
+      case ArrowFunctionExpression:
+        return new ArrowFunctionExpression(tree.location, tree.functionKind,
+                                           parameterList, body);
+      case PropertyMethodAssignment:
+        return new PropertyMethodAssignment(tree.location, tree.isStatic,
+            tree.functionKind, tree.name, parameterList,
+            tree.typeAnnotation, tree.annotations, body);
+    }
+    return new constructor(tree.location, tree.name, tree.functionKind,
+                           parameterList, tree.typeAnnotation,
+                           tree.annotations, body);
+  }
+
+  /**
+   * Wraps the statements of the function body in a labelled loop. The
+   * directive prologue stays in front of the loop and the locals are reset on
+   * every iteration.
+   */
+  createLoop_(tree, body, tailCall) {
+    var prologue = [];
+    var statements = body.statements;
+    var i = 0;
+    for (; i < statements.length; i++) {
+      if (!statements[i].isDirectivePrologue())
+        break;
+      prologue.push(statements[i]);
+    }
+
+    var loopStatements = getVarNames(tree, tailCall.parameters).map(
+        (name) => createAssignmentStatement(createIdentifierExpression(name),
+                                            createVoid0()));
+    loopStatements.push(...statements.slice(i), createReturnStatement(null));
+
+    var loop = new LabelledStatement(null,
+        createIdentifierToken(tailCall.label),
+        createWhileStatement(createTrueLiteral(), createBlock(loopStatements)));
+    return createFunctionBody([...prologue, loop]);
+  }
+}
@@ -42,6 +42,7 @@ import {
   createStringLiteral
 } from './ParseTreeFactory.js';
 import {parseExpression} from './PlaceholderParser.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
  * @param {ParseTree} tree
@@ -189,6 +190,15 @@ function cookString(s) {
 }
 
 export class TemplateLiteralTransformer extends TempVarTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
+   */
+  constructor(identifierGenerator, reporter, options = globalOptions) {
+    super(identifierGenerator);
+    this.transformOptions_ = options.transformOptions;
+  }
 
   /**
    * Override to not use functions scope for temporary variables since we
@@ -265,6 +275,13 @@ export class TemplateLiteralTransformer extends TempVarTransformer {
           binaryExpression = binaryExpression.right;
       }
       var transformedTree = this.transformAny(tree.elements[i]);
+      // The substitutions are converted to strings. Without this the + they
+      // turn into would use the 'default' hint for @@toPrimitive.
+      if (element.type !== TEMPLATE_LITERAL_PORTION &&
+          this.transformOptions_.symbols) {
+        transformedTree = parseExpression `$traceurRuntime.toPrimitive(
+            ${transformedTree}, ${createStringLiteral('string')})`;
+      }
       binaryExpression = createBinaryExpression(binaryExpression, plusToken,
                                               transformedTree);
     }
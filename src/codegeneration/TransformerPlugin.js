@@ -0,0 +1,129 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * The stages of the transform pipeline in the order they run. A transformer
+ * plugin is an object like:
+ *
+ *   {
+ *     // Run right before or right after one of the stages.
+ *     before: 'modules',
+ *     // A ParseTreeTransformer. It is created with the
+ *     // UniqueIdentifierGenerator, the ErrorReporter and the Options shared by
+ *     // the pipeline.
+ *     transformer: MyTransformer
+ *   }
+ *
+ * Plugins without a stage run last.
+ */
+export var STAGES = [
+  'constChecker',
+  'freeVariableChecker',
+  'typeChecker',
+  'exponentiation',
+  'numericLiterals',
+  'regularExpressions',
+  'templateLiterals',
+  'typeToExpression',
+  'unicodeEscapeSequences',
+  'annotations',
+  'memberVariables',
+  'typeAssertions',
+  'tailCalls',
+  'newTarget',
+  'propertyNameShorthand',
+  'modules',
+  'arrowFunctions',
+  'classes',
+  'objectLiterals',
+  'generatorComprehension',
+  'arrayComprehension',
+  'forOf',
+  'restParameters',
+  'defaultParameters',
+  'destructuring',
+  'types',
+  'spread',
+  'blockBinding',
+  'generators',
+  'symbols'
+];
+
+/**
+ * Returns the position of the stage named |name| in the pipeline.
+ * @param {string} name
+ * @return {number}
+ */
+export function getStagePosition(name) {
+  var position = STAGES.indexOf(name);
+  if (position === -1)
+    throw new Error(`Unknown transformer stage '${name}'`);
+  return position;
+}
+
+/**
+ * Returns the position |plugin| runs at. Plugins run in between the stages,
+ * the ones running after a stage before the ones running before the next
+ * stage.
+ * @param {Object} plugin
+ * @return {number}
+ */
+export function getPluginPosition(plugin) {
+  if (typeof plugin.transformer !== 'function')
+    throw new Error('A transformer plugin needs a transformer');
+  if (plugin.before && plugin.after)
+    throw new Error('A transformer plugin runs either before or after a stage');
+  if (plugin.before)
+    return getStagePosition(plugin.before) - 0.25;
+  if (plugin.after)
+    return getStagePosition(plugin.after) + 0.25;
+  return Infinity;
+}
+
+/**
+ * Returns where to insert a plugin running at |position| in a pipeline. A
+ * plugin is inserted after the plugins that asked for the same position.
+ *
+ * @param {number} position
+ * @param {Array.<number>} positions The position of each transformer in the
+ *     pipeline.
+ * @return {number}
+ */
+export function getPluginIndex(position, positions) {
+  var stage = Math.round(position);
+  var index = -1;
+
+  // Stay next to the stage even if the pipeline runs it out of order.
+  if (position < stage) {
+    index = positions.indexOf(stage);
+  } else if (position > stage) {
+    index = positions.lastIndexOf(stage);
+    if (index !== -1) {
+      index++;
+      while (index < positions.length && positions[index] === position) {
+        index++;
+      }
+    }
+  }
+  if (index !== -1)
+    return index;
+
+  // The stage is not part of this pipeline, either because it is turned off
+  // or because the pipeline does not have it. Run where it would have been.
+  for (index = 0; index < positions.length; index++) {
+    if (positions[index] > position)
+      return index;
+  }
+  return positions.length;
+}
@@ -36,7 +36,7 @@ import {
   parseStatement
 } from './PlaceholderParser.js';
 import {ParameterTransformer} from './ParameterTransformer.js';
-import {options} from '../Options.js';
+import {options as globalOptions} from '../Options.js';
 
 /**
  * Inserts runtime type assertions for type annotations.
@@ -57,9 +57,12 @@ import {options} from '../Options.js';
 export class TypeAssertionTransformer extends ParameterTransformer {
   /**
    * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options Defaults to the global options.
    */
-  constructor(identifierGenerator) {
+  constructor(identifierGenerator, reporter, options = globalOptions) {
     super(identifierGenerator);
+    this.options_ = options;
     this.returnTypeStack_ = [];
     this.parametersStack_ = [];
     this.assertionAdded_ = false;
@@ -228,7 +231,8 @@ export class TypeAssertionTransformer extends ParameterTransformer {
   }
 
   prependAssertionImport_(tree, Ctor) {
-    if (!this.assertionAdded_ || options.typeAssertionModule === null)
+    var typeAssertionModule = this.options_.typeAssertionModule;
+    if (!this.assertionAdded_ || typeAssertionModule === null)
       return tree;
 
     var binding = createImportedBinding('assert');
@@ -236,7 +240,7 @@ export class TypeAssertionTransformer extends ParameterTransformer {
         new ImportSpecifierSet(null,
             [new ImportSpecifier(null, binding, null)]),
         new ModuleSpecifier(null,
-            createStringLiteralToken(options.typeAssertionModule)));
+            createStringLiteralToken(typeAssertionModule)));
     tree = new Ctor(tree.location,
                     [importStatement, ...tree.scriptItemList],
                     tree.moduleName);
@@ -0,0 +1,162 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {AmdTransformer} from './AmdTransformer.js';
+import {
+  createArgumentList,
+  createIdentifierExpression,
+  createMemberExpression
+} from './ParseTreeFactory.js';
+import globalThis from './globalThis.js';
+import {
+  parseExpression,
+  parseStatements
+} from './PlaceholderParser.js';
+import scopeContainsThis from './scopeContainsThis.js';
+
+/**
+ * Parses the globals option. It is either an object or a string of the form
+ * 'name=Global,other=Other'.
+ * @param {Object|string|null} value
+ * @return {Object}
+ */
+function parseGlobals(value) {
+  if (typeof value !== 'string')
+    return value || Object.create(null);
+  var globals = Object.create(null);
+  value.split(',').forEach((pair) => {
+    var index = pair.indexOf('=');
+    if (index !== -1)
+      globals[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  });
+  return globals;
+}
+
+/**
+ * Returns the browser global to use for the module with the given name,
+ * './lib/my-module.js' for example. The name can be mapped to a global
+ * using the globals option, either as is or without directory and extension
+ * ('my-module'). Otherwise the global is the camel cased base name
+ * ('myModule').
+ * @param {string} name
+ * @param {Object} globals
+ * @return {string}
+ */
+function getGlobalName(name, globals) {
+  if (name in globals)
+    return globals[name];
+  var baseName = name.replace(/^.*[\/\\]/, '').replace(/\.js$/, '');
+  if (baseName in globals)
+    return globals[baseName];
+  var globalName = baseName.replace(/[^a-zA-Z0-9_$]+(.)?/g,
+      (_, ch) => ch ? ch.toUpperCase() : '');
+  return /^[0-9]/.test(globalName) ? '_' + globalName : globalName;
+}
+
+/**
+ * Universal Module Definition. The output can be loaded by AMD loaders, as
+ * a CommonJS module and as a plain script, in which case the module is
+ * assigned to a browser global and its dependencies are taken from browser
+ * globals:
+ *
+ *   import {q} from './dep.js';
+ *   export var p = q;
+ *
+ *   =>
+ *
+ *   (function(root, factory) {
+ *     if (typeof define === 'function' && define.amd)
+ *       define(["./dep"], factory);
+ *     else if (typeof exports === 'object')
+ *       module.exports = factory(require("./dep.js"));
+ *     else
+ *       root.file = factory(root.dep);
+ *   })(this, function($__0) {
+ *     ...
+ *   });
+ */
+export class UmdModuleTransformer extends AmdTransformer {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Options=} options
+   */
+  constructor(identifierGenerator, reporter, options = undefined) {
+    super(identifierGenerator, reporter, options);
+    this.globals_ = parseGlobals(this.options_.globals);
+    this.globalName_ = null;
+  }
+
+  transformModule(tree) {
+    // The module is assigned to a global named after it, or after the file
+    // it comes from if it has no name.
+    var name = tree.moduleName ||
+        tree.location && tree.location.start.source.name;
+    if (name) {
+      this.globalName_ = getGlobalName(name, this.globals_);
+    } else {
+      this.reporter_.reportError(null,
+          'The umd module format requires a module name or a source name');
+    }
+    return super.transformModule(tree);
+  }
+
+  wrapModule(statements) {
+    var depPaths = this.dependencies.map((dep) => dep.path);
+    var depLocals = this.dependencies.map((dep) => dep.local);
+    var requires = this.dependencies.map((dep) =>
+        parseExpression `require(${dep.name})`);
+    var globals = this.dependencies.map((dep) =>
+        createMemberExpression('root', getGlobalName(dep.name, this.globals_)));
+
+    var func = parseExpression `function(${depLocals}) {
+      ${statements}
+    }`;
+
+    if (statements.some(scopeContainsThis))
+      func = parseExpression `${func}.bind(${globalThis()})`;
+
+    var define;
+    if (this.moduleName)
+      define = parseExpression `define(${this.moduleName}, ${depPaths}, factory)`;
+    else
+      define = parseExpression `define(${depPaths}, factory)`;
+
+    var globalObject =
+        createMemberExpression('root', this.globalName_ || 'module');
+
+    return parseStatements `(function(root, factory) {
+      if (typeof define === 'function' && define.amd)
+        ${define};
+      else if (typeof exports === 'object')
+        module.exports = factory(${createArgumentList(requires)});
+      else
+        ${globalObject} = factory(${createArgumentList(globals)});
+    })(this, ${func});`;
+  }
+
+  createImportCallExpression(specifier, tree) {
+    this.reporter_.reportError(tree.location && tree.location.start,
+        'Dynamic import() is not supported by the umd module format');
+    return specifier;
+  }
+
+  transformModuleSpecifier(tree) {
+    var expression = super.transformModuleSpecifier(tree);
+    // Remember the name as written for require and the browser global.
+    this.dependencies[this.dependencies.length - 1].name =
+        tree.token.processedValue;
+    return expression;
+  }
+}
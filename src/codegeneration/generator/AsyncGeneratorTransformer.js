@@ -0,0 +1,253 @@
+// Copyright 2012 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {AsyncTransformer} from './AsyncTransformer.js';
+import {AwaitState} from './AwaitState.js';
+import {
+  BINARY_EXPRESSION,
+  YIELD_EXPRESSION
+} from '../../syntax/trees/ParseTreeType.js';
+import {
+  BinaryExpression,
+  ExpressionStatement
+} from '../../syntax/trees/ParseTrees.js';
+import {FindInFunctionScope} from '../FindInFunctionScope.js';
+import {StateMachine} from '../../syntax/trees/StateMachine.js';
+import {YieldState} from './YieldState.js';
+import {
+  createIdentifierExpression as id,
+  createUndefinedExpression
+} from '../ParseTreeFactory.js';
+import {
+  parseExpression,
+  parseStatement,
+  parseStatements
+} from '../PlaceholderParser.js';
+
+/**
+ * @param {ParseTree} tree Expression tree
+ * @return {boolean}
+ */
+function isYieldAssign(tree) {
+  return tree.type === BINARY_EXPRESSION &&
+      tree.operator.isAssignmentOperator() &&
+      tree.right.type === YIELD_EXPRESSION &&
+      tree.left.isLeftHandSideExpression();
+}
+
+class AwaitOrYieldFinder extends FindInFunctionScope {
+  visitAwaitExpression(tree) {
+    this.found = true;
+  }
+  visitYieldExpression(tree) {
+    this.found = true;
+  }
+}
+
+function scopeContainsAwaitOrYield(tree) {
+  var finder = new AwaitOrYieldFinder();
+  finder.visitAny(tree);
+  return finder.found;
+}
+
+/**
+ * Desugars async generator function bodies. These contain both 'await' and
+ * 'yield' expressions. Awaits are handled as in async functions. A yield
+ * first awaits its operand and then hands the value to the oldest pending
+ * next, throw or return request.
+ *
+ * At the top level the state machine is translated into this source code:
+ *
+ * {
+ *   machine variables
+ *   return $traceurRuntime.createAsyncGeneratorInstance(machineFunction);
+ * }
+ */
+export class AsyncGeneratorTransformer extends AsyncTransformer {
+
+  constructor(identifierGenerator, reporter) {
+    super(identifierGenerator, reporter);
+    this.shouldAppendThrowCloseState_ = true;
+  }
+
+  expressionNeedsStateMachine(tree) {
+    if (tree === null)
+      return false;
+    return scopeContainsAwaitOrYield(tree);
+  }
+
+  /**
+   * @param {ExpressionStatement} tree
+   * @return {ParseTree}
+   */
+  transformExpressionStatement(tree) {
+    var expression = tree.expression;
+    if (expression.type === YIELD_EXPRESSION)
+      return this.transformYieldExpression_(expression);
+
+    if (isYieldAssign(expression))
+      return this.transformYieldAssign_(expression);
+
+    return super.transformExpressionStatement(tree);
+  }
+
+  /**
+   * Simple form yield expressions (direct children of an ExpressionStatement)
+   * are translated into an await state followed by a yield state.
+   * @param {YieldExpression} tree
+   * @return {ParseTree}
+   * @private
+   */
+  transformYieldExpression_(tree) {
+    var expression, machine;
+    if (this.expressionNeedsStateMachine(tree.expression)) {
+      ({expression, machine} = this.expressionToStateMachine(tree.expression));
+    } else {
+      expression = this.transformAny(tree.expression);
+      if (!expression)
+        expression = createUndefinedExpression();
+    }
+
+    if (tree.isYieldFor)
+      return this.transformYieldForExpression_(expression, machine);
+
+    //  case awaitState:
+    //    Promise.resolve(expression).then(...);
+    //    return;
+    //  case yieldState:
+    //    $ctx.state = fallThroughState;
+    //    return $ctx.yield($ctx.value);
+    var awaitState = this.allocateState();
+    var yieldState = this.allocateState();
+    var fallThroughState = this.allocateState();
+    var yieldMachine = new StateMachine(awaitState, fallThroughState, [
+      new AwaitState(awaitState, yieldState, expression),
+      new YieldState(yieldState, fallThroughState,
+                     parseExpression `$ctx.yield($ctx.value)`)
+    ], []);
+
+    if (machine)
+      yieldMachine = machine.append(yieldMachine);
+
+    // The inner iterator handles throw and return for the yields generated
+    // for yield*.
+    if (this.shouldAppendThrowCloseState_) {
+      yieldMachine = yieldMachine.append(
+          this.statementToStateMachine_(parseStatement `$ctx.maybeThrow()`));
+    }
+
+    return yieldMachine;
+  }
+
+  transformYieldForExpression_(expression, machine = undefined) {
+    var gName = this.getTempIdentifier();
+    this.addMachineVariable(gName);
+    var g = id(gName);
+
+    var nextName = this.getTempIdentifier();
+    this.addMachineVariable(nextName);
+    var next = id(nextName);
+
+    // Same as for generators except that the inner iterator is an async
+    // iterator so its results have to be awaited.
+    var statements = parseStatements `
+        ${g} = $traceurRuntime.getAsyncIterator(${expression});
+        $ctx.sent = void 0;
+        $ctx.action = 'next';
+
+        for (;;) {
+          if ($ctx.action === 'return' && ${g}.return == null)
+            ${next} = {value: $ctx.sentIgnoreThrow, done: true};
+          else
+            ${next} = await ${g}[$ctx.action]($ctx.sentIgnoreThrow);
+          if (${next}.done) {
+            $ctx.sent = ${next}.value;
+            $ctx.maybeReturn();
+            break;
+          }
+          yield ${next}.value;
+        }`;
+
+    var shouldAppendThrowCloseState = this.shouldAppendThrowCloseState_;
+    this.shouldAppendThrowCloseState_ = false;
+    statements = this.transformList(statements);
+    var yieldMachine = this.transformStatementList_(statements);
+    this.shouldAppendThrowCloseState_ = shouldAppendThrowCloseState;
+
+    if (machine)
+      yieldMachine = machine.append(yieldMachine);
+
+    return yieldMachine;
+  }
+
+  /**
+   * @param {YieldExpression} tree
+   * @return {ParseTree}
+   */
+  transformYieldExpression(tree) {
+    this.reporter.reportError(tree.location.start,
+        'Only \'a = yield b\' and \'var a = yield b\' currently supported.');
+    return tree;
+  }
+
+  /**
+   * @param {BinaryExpression} tree
+   */
+  transformYieldAssign_(tree) {
+    var shouldAppendThrowCloseState = this.shouldAppendThrowCloseState_;
+    this.shouldAppendThrowCloseState_ = false;
+    var machine = this.transformYieldExpression_(tree.right);
+    var left = this.transformAny(tree.left);
+    var sentExpression = tree.right.isYieldFor ?
+        parseExpression `$ctx.sentIgnoreThrow` :
+        parseExpression `$ctx.sent`;
+    var statement = new ExpressionStatement(
+        tree.location,
+        new BinaryExpression(
+            tree.location,
+            left,
+            tree.operator,
+            sentExpression));
+    var assignMachine = this.statementToStateMachine_(statement);
+    this.shouldAppendThrowCloseState_ = shouldAppendThrowCloseState;
+    return machine.append(assignMachine);
+  }
+
+  /**
+   * Transform an async generator function body - removing await and yield
+   * statements.
+   *
+   * @param {FunctionBody} tree
+   * @param {IdentifierExpression} name
+   * @return {FunctionBody}
+   */
+  transformAsyncGeneratorBody(tree, name) {
+    var runtimeFunction =
+        parseExpression `$traceurRuntime.createAsyncGeneratorInstance`;
+    return this.transformCpsFunctionBody(tree, runtimeFunction, name);
+  }
+
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {ErrorReporter} reporter
+   * @param {Block} body
+   * @param {IdentifierExpression} name
+   * @return {Block}
+   */
+  static transformAsyncGeneratorBody(identifierGenerator, reporter, body,
+                                     name) {
+    return new AsyncGeneratorTransformer(identifierGenerator, reporter).
+        transformAsyncGeneratorBody(body, name);
+  }
+};
@@ -22,8 +22,7 @@ import {EndState} from './EndState.js';
 import {FallThroughState} from './FallThroughState.js';
 import {
   AWAIT_EXPRESSION,
-  BINARY_EXPRESSION,
-  STATE_MACHINE
+  BINARY_EXPRESSION
 } from '../../syntax/trees/ParseTreeType.js';
 import {
   parseExpression,
@@ -145,21 +144,6 @@ export class AsyncTransformer extends CPSTransformer {
     return awaitMachine;
   }
 
-  /**
-   * @param {Finally} tree
-   * @return {ParseTree}
-   */
-  transformFinally(tree) {
-    var result = super.transformFinally(tree);
-    if (result.block.type != STATE_MACHINE) {
-      return result;
-    }
-    // TODO: is this a reasonable restriction?
-    this.reporter.reportError(tree.location.start,
-        'await not permitted within a finally block.');
-    return result;
-  }
-
   /**
    * @param {ReturnStatement} tree
    * @return {ParseTree}
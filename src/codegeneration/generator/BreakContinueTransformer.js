@@ -98,6 +98,14 @@ export class BreakContinueTransformer extends ParseTreeTransformer {
     return tree;
   }
 
+  /**
+   * @param {ForAwaitStatement} tree
+   * @return {ParseTree}
+   */
+  transformForAwaitStatement(tree) {
+    return tree;
+  }
+
   /**
    * @param {ForStatement} tree
    * @return {ParseTree}
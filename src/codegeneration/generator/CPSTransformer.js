@@ -559,6 +559,15 @@ export class CPSTransformer extends TempVarTransformer {
         'for of statements should be transformed before this pass');
   }
 
+  /**
+   * @param {ForAwaitStatement} tree
+   * @return {ParseTree}
+   */
+  transformForAwaitStatement(tree) {
+    throw new Error(
+        'for await statements should be transformed before this pass');
+  }
+
   /**
    * @param {IfStatement} tree
    * @return {ParseTree}
@@ -834,7 +843,7 @@ export class CPSTransformer extends TempVarTransformer {
     //   popTry();
     //   ...
     // } finally {
-    //   popTry();
+    //   popTry(finallyState);
     //   ...
     // }
     var outerCatchState = this.allocateState();
@@ -892,7 +901,7 @@ export class CPSTransformer extends TempVarTransformer {
       var finallyMachine = this.ensureTransformed_(finallyBlock.block);
 
       var popTry = this.statementToStateMachine_(
-          parseStatement `$ctx.popTry();`);
+          parseStatement `$ctx.popTry(${outerFinallyState});`);
       finallyMachine = popTry.append(finallyMachine);
 
       var states = [
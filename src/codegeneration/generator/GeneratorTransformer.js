@@ -160,9 +160,15 @@ export class GeneratorTransformer extends CPSTransformer {
         $ctx.action = 'next';
 
         for (;;) {
-          ${next} = ${g}[$ctx.action]($ctx.sentIgnoreThrow);
+          // An iterator without a return method is done when returning.
+          if ($ctx.action === 'return' && ${g}.return == null)
+            ${next} = {value: $ctx.sentIgnoreThrow, done: true};
+          else
+            ${next} = ${g}[$ctx.action]($ctx.sentIgnoreThrow);
           if (${next}.done) {
             $ctx.sent = ${next}.value;
+            // Return from the outer generator too if we were asked to.
+            $ctx.maybeReturn();
             break;
           }
           yield ${next}.value;
@@ -0,0 +1,516 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {ParseTreeVisitor} from '../../syntax/ParseTreeVisitor.js';
+import {
+  ARRAY_LITERAL_EXPRESSION,
+  ARROW_FUNCTION_EXPRESSION,
+  BINARY_EXPRESSION,
+  BINDING_IDENTIFIER,
+  CLASS_DECLARATION,
+  CLASS_EXPRESSION,
+  COMPUTED_PROPERTY_NAME,
+  CONDITIONAL_EXPRESSION,
+  EMPTY_STATEMENT,
+  EXPORT_DECLARATION,
+  EXPORT_DEFAULT,
+  EXPORT_STAR,
+  EXPRESSION_STATEMENT,
+  FUNCTION_DECLARATION,
+  FUNCTION_EXPRESSION,
+  GET_ACCESSOR,
+  IDENTIFIER_EXPRESSION,
+  IMPORT_DECLARATION,
+  IMPORT_SPECIFIER_SET,
+  IMPORTED_BINDING,
+  LITERAL_EXPRESSION,
+  MODULE,
+  MODULE_DECLARATION,
+  NAMED_EXPORT,
+  OBJECT_LITERAL_EXPRESSION,
+  PAREN_EXPRESSION,
+  PROPERTY_METHOD_ASSIGNMENT,
+  PROPERTY_NAME_ASSIGNMENT,
+  PROPERTY_NAME_SHORTHAND,
+  SET_ACCESSOR,
+  UNARY_EXPRESSION,
+  VARIABLE_STATEMENT
+} from '../../syntax/trees/ParseTreeType.js';
+import {
+  ExportDeclaration,
+  ExportSpecifierSet,
+  Module,
+  NamedExport
+} from '../../syntax/trees/ParseTrees.js';
+import {
+  BANG,
+  CONST,
+  MINUS,
+  PLUS,
+  STRING,
+  TILDE,
+  TYPEOF,
+  VOID
+} from '../../syntax/TokenType.js';
+
+/**
+ * Finds the names a tree refers to and the modules it imports with import().
+ * Shadowing is ignored so this may find more names than there are
+ * references.
+ */
+class ReferenceVisitor extends ParseTreeVisitor {
+  constructor() {
+    this.names = [];
+    this.importCalls = [];
+  }
+
+  visitIdentifierExpression(tree) {
+    this.names.push(tree.identifierToken.value);
+  }
+
+  visitPropertyNameShorthand(tree) {
+    this.names.push(tree.name.value);
+  }
+
+  visitImportCall(tree) {
+    var expression = tree.expression;
+    if (expression.type === LITERAL_EXPRESSION &&
+        expression.literalToken.type === STRING) {
+      this.importCalls.push(expression.literalToken.processedValue);
+    }
+    super.visitImportCall(tree);
+  }
+}
+
+function hasComputedName(tree) {
+  return tree.name.type === COMPUTED_PROPERTY_NAME;
+}
+
+function isPureClass(tree) {
+  if (tree.annotations.length > 0)
+    return false;
+  if (tree.superClass !== null &&
+      tree.superClass.type !== IDENTIFIER_EXPRESSION) {
+    return false;
+  }
+  return tree.elements.every((element) => {
+    switch (element.type) {
+      case PROPERTY_METHOD_ASSIGNMENT:
+      case GET_ACCESSOR:
+      case SET_ACCESSOR:
+        return element.annotations.length === 0 && !hasComputedName(element);
+    }
+    return false;
+  });
+}
+
+/**
+ * Whether evaluating the expression has no side effects, conservatively.
+ * @param {ParseTree} tree
+ * @return {boolean}
+ */
+function isPureExpression(tree) {
+  if (tree === null)
+    return true;
+  switch (tree.type) {
+    case LITERAL_EXPRESSION:
+    case IDENTIFIER_EXPRESSION:
+    case FUNCTION_EXPRESSION:
+    case ARROW_FUNCTION_EXPRESSION:
+      return true;
+    case CLASS_EXPRESSION:
+      return isPureClass(tree);
+    case PAREN_EXPRESSION:
+      return isPureExpression(tree.expression);
+    case BINARY_EXPRESSION:
+      return !tree.operator.isAssignmentOperator() &&
+          isPureExpression(tree.left) && isPureExpression(tree.right);
+    case CONDITIONAL_EXPRESSION:
+      return isPureExpression(tree.condition) && isPureExpression(tree.left) &&
+          isPureExpression(tree.right);
+    case UNARY_EXPRESSION:
+      switch (tree.operator.type) {
+        case BANG:
+        case MINUS:
+        case PLUS:
+        case TILDE:
+        case TYPEOF:
+        case VOID:
+          return isPureExpression(tree.operand);
+      }
+      return false;
+    case ARRAY_LITERAL_EXPRESSION:
+      return tree.elements.every(isPureExpression);
+    case OBJECT_LITERAL_EXPRESSION:
+      return tree.propertyNameAndValues.every((property) => {
+        switch (property.type) {
+          case PROPERTY_NAME_ASSIGNMENT:
+            return !hasComputedName(property) &&
+                isPureExpression(property.value);
+          case PROPERTY_NAME_SHORTHAND:
+            return true;
+          case PROPERTY_METHOD_ASSIGNMENT:
+          case GET_ACCESSOR:
+          case SET_ACCESSOR:
+            return !hasComputedName(property);
+        }
+        return false;
+      });
+  }
+  return false;
+}
+
+/**
+ * Whether evaluating the top level statement has no side effects, other than
+ * the ones of the modules it imports.
+ * @param {ParseTree} tree
+ * @return {boolean}
+ */
+function isPureStatement(tree) {
+  switch (tree.type) {
+    case IMPORT_DECLARATION:
+    case MODULE_DECLARATION:
+    case EMPTY_STATEMENT:
+    case FUNCTION_DECLARATION:
+      return true;
+    case CLASS_DECLARATION:
+      return isPureClass(tree);
+    case VARIABLE_STATEMENT:
+      return tree.declarations.declarations.every(
+          (declaration) => isPureExpression(declaration.initializer));
+    case EXPRESSION_STATEMENT:
+      // Directives like 'use strict'.
+      return tree.expression.type === LITERAL_EXPRESSION;
+    case EXPORT_DECLARATION:
+      if (tree.annotations.length > 0)
+        return false;
+      var declaration = tree.declaration;
+      switch (declaration.type) {
+        case NAMED_EXPORT:
+          return true;
+        case EXPORT_DEFAULT:
+          var expression = declaration.expression;
+          if (expression.type === FUNCTION_DECLARATION)
+            return true;
+          if (expression.type === CLASS_DECLARATION)
+            return isPureClass(expression);
+          return isPureExpression(expression);
+      }
+      return isPureStatement(declaration);
+  }
+  return false;
+}
+
+/**
+ * Returns the names declared by a top level statement that can be left out
+ * when nothing refers to them, or null if the statement is kept anyway.
+ * Only function, class and const declarations can be left out.
+ * @param {ParseTree} tree
+ * @return {Array.<string>}
+ */
+function getRemovableNames(tree) {
+  switch (tree.type) {
+    case FUNCTION_DECLARATION:
+    case CLASS_DECLARATION:
+      return [tree.name.getStringValue()];
+    case VARIABLE_STATEMENT:
+      var list = tree.declarations;
+      if (list.declarationType !== CONST)
+        return null;
+      var names = [];
+      for (var i = 0; i < list.declarations.length; i++) {
+        var lvalue = list.declarations[i].lvalue;
+        if (lvalue.type !== BINDING_IDENTIFIER)
+          return null;
+        names.push(lvalue.getStringValue());
+      }
+      return names;
+  }
+  return null;
+}
+
+/**
+ * The parts of a module that the elimination works with.
+ */
+class ModuleInfo {
+  /**
+   * @param {ModuleSymbol} symbol
+   */
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.isModule = symbol.tree.type === MODULE;
+    this.isPure =
+        this.isModule && symbol.tree.scriptItemList.every(isPureStatement);
+    this.isImported = false;
+    // The exports used and the local names referred to so far.
+    this.usedExports = Object.create(null);
+    this.liveNames = Object.create(null);
+    // Local name to {module, name}, where name is null for import * as.
+    this.imports = Object.create(null);
+    // Export name to {module, name} for export {name as x} from 'module'.
+    this.reexports = Object.create(null);
+    // The modules of export * from 'module'.
+    this.starExports = [];
+    // Export name to local name for export {name as x}.
+    this.localExports = Object.create(null);
+    // The removable statements, see getRemovableNames, by declared name and
+    // by export name.
+    this.removable = [];
+    this.removableByName = Object.create(null);
+    this.removableByExport = Object.create(null);
+  }
+}
+
+/**
+ * Leaves out the top level function, class and const declarations that are
+ * not exported to, nor used by, any module in |deps|. Only modules without
+ * side effects at the top level are changed, the others are kept as is.
+ *
+ * All the exports of the entry modules are kept, as are the exports of the
+ * modules that no other module in |deps| imports. The trees of the changed
+ * modules are replaced in their module symbols.
+ *
+ * @param {Array.<ModuleSymbol>} deps The module symbols, as built by
+ *     buildExportList.
+ * @param {Array.<ModuleSymbol>} entries
+ * @param {InternalLoader} loader
+ * @return {Map} The names of the exports used, sorted, by module symbol.
+ */
+export function eliminateDeadExports(deps, entries, loader) {
+  var infos = new Map();
+  deps.forEach((symbol) => infos.set(symbol, new ModuleInfo(symbol)));
+
+  function getInfo(info, specifier) {
+    var codeUnit = loader.getCodeUnitForModuleSpecifier(specifier,
+        info.symbol.normalizedName);
+    var target = codeUnit && infos.get(codeUnit.metadata.moduleSymbol);
+    if (target)
+      target.isImported = true;
+    return target || null;
+  }
+
+  deps.forEach((symbol) => {
+    var info = infos.get(symbol);
+    symbol.tree.scriptItemList.forEach((tree) => {
+      switch (tree.type) {
+        case IMPORT_DECLARATION:
+          var target = getInfo(info, tree.moduleSpecifier.token.processedValue);
+          var clause = tree.importClause;
+          if (!target || clause === null)
+            return;
+          if (clause.type === IMPORTED_BINDING) {
+            info.imports[clause.binding.getStringValue()] =
+                {module: target, name: 'default'};
+          } else if (clause.type === IMPORT_SPECIFIER_SET) {
+            clause.specifiers.forEach((specifier) => {
+              var localName = specifier.binding.getStringValue();
+              info.imports[localName] = {
+                module: target,
+                name: specifier.name ? specifier.name.value : localName
+              };
+            });
+          }
+          return;
+
+        case MODULE_DECLARATION:
+          var target = getInfo(info, tree.expression.token.processedValue);
+          if (target) {
+            info.imports[tree.binding.getStringValue()] =
+                {module: target, name: null};
+          }
+          return;
+
+        case EXPORT_DECLARATION:
+          var declaration = tree.declaration;
+          if (declaration.type === NAMED_EXPORT) {
+            var specifierSet = declaration.specifierSet;
+            if (declaration.moduleSpecifier === null) {
+              specifierSet.specifiers.forEach((specifier) => {
+                info.localExports[(specifier.rhs || specifier.lhs).value] =
+                    specifier.lhs.value;
+              });
+              return;
+            }
+            var target = getInfo(info,
+                declaration.moduleSpecifier.token.processedValue);
+            if (!target)
+              return;
+            if (specifierSet.type === EXPORT_STAR) {
+              info.starExports.push(target);
+            } else {
+              specifierSet.specifiers.forEach((specifier) => {
+                info.reexports[(specifier.rhs || specifier.lhs).value] =
+                    {module: target, name: specifier.lhs.value};
+              });
+            }
+            return;
+          }
+          var exportNames = null;
+          if (declaration.type === EXPORT_DEFAULT) {
+            exportNames = ['default'];
+            declaration = declaration.expression;
+          }
+          if (!info.isPure)
+            return;
+          var names = getRemovableNames(declaration);
+          if (exportNames === null) {
+            // export function f() {}
+            exportNames = names;
+          } else if (names === null && isPureExpression(declaration)) {
+            // export default function() {}
+            names = [];
+          }
+          if (names !== null)
+            addRemovable(info, tree, names, exportNames);
+          return;
+      }
+      if (info.isPure) {
+        var names = getRemovableNames(tree);
+        if (names !== null)
+          addRemovable(info, tree, names, []);
+      }
+    });
+  });
+
+  function addRemovable(info, tree, names, exportNames) {
+    var removable = {tree, isLive: false};
+    info.removable.push(removable);
+    names.forEach((name) => info.removableByName[name] = removable);
+    exportNames.forEach((name) => info.removableByExport[name] = removable);
+  }
+
+  function keep(info, tree) {
+    var visitor = new ReferenceVisitor();
+    visitor.visitAny(tree);
+    visitor.names.forEach((name) => useName(info, name));
+    visitor.importCalls.forEach((specifier) => {
+      var target = getInfo(info, specifier);
+      if (target)
+        useAllExports(target);
+    });
+  }
+
+  function keepRemovable(info, removable) {
+    if (removable && !removable.isLive) {
+      removable.isLive = true;
+      keep(info, removable.tree);
+    }
+  }
+
+  function useName(info, name) {
+    if (info.liveNames[name])
+      return;
+    info.liveNames[name] = true;
+    var binding = info.imports[name];
+    if (binding) {
+      if (binding.name === null)
+        useAllExports(binding.module);
+      else
+        useExport(binding.module, binding.name);
+    }
+    keepRemovable(info, info.removableByName[name]);
+  }
+
+  function useExport(info, name) {
+    if (info.usedExports[name])
+      return;
+    info.usedExports[name] = true;
+    var reexport = info.reexports[name];
+    if (reexport) {
+      useExport(reexport.module, reexport.name);
+      return;
+    }
+    if (name in info.localExports) {
+      useName(info, info.localExports[name]);
+      return;
+    }
+    if (name in info.removableByExport) {
+      keepRemovable(info, info.removableByExport[name]);
+      return;
+    }
+    info.starExports.forEach((target) => {
+      if (target.symbol.getExport(name))
+        useExport(target, name);
+    });
+  }
+
+  function useAllExports(info) {
+    info.symbol.getExports().forEach((name) => useExport(info, name));
+  }
+
+  // The statements that are kept regardless.
+  infos.forEach((info) => {
+    var removable = new Set(info.removable.map(({tree}) => tree));
+    info.symbol.tree.scriptItemList.forEach((tree) => {
+      if (!removable.has(tree))
+        keep(info, tree);
+    });
+  });
+
+  infos.forEach((info) => {
+    if (!info.isImported || entries.indexOf(info.symbol) !== -1)
+      useAllExports(info);
+  });
+
+  var usedExports = new Map();
+  infos.forEach((info) => {
+    if (info.isPure)
+      info.symbol.tree = removeDeadStatements(info);
+    usedExports.set(info.symbol, Object.keys(info.usedExports).sort());
+  });
+  return usedExports;
+}
+
+/**
+ * @param {ModuleInfo} info
+ * @return {Module}
+ */
+function removeDeadStatements(info) {
+  var dead = new Set();
+  info.removable.forEach(({tree, isLive}) => {
+    if (!isLive)
+      dead.add(tree);
+  });
+
+  var tree = info.symbol.tree;
+  var changed = dead.size > 0;
+  var scriptItemList = [];
+  tree.scriptItemList.forEach((item) => {
+    if (dead.has(item))
+      return;
+    // Leave out the names of the local exports that are not used, the
+    // declarations they refer to may be gone.
+    if (item.type === EXPORT_DECLARATION &&
+        item.declaration.type === NAMED_EXPORT &&
+        item.declaration.moduleSpecifier === null) {
+      var specifierSet = item.declaration.specifierSet;
+      var specifiers = specifierSet.specifiers.filter((specifier) =>
+          info.usedExports[(specifier.rhs || specifier.lhs).value]);
+      if (specifiers.length !== specifierSet.specifiers.length) {
+        changed = true;
+        if (specifiers.length === 0)
+          return;
+        item = new ExportDeclaration(item.location,
+            new NamedExport(item.declaration.location, null,
+                new ExportSpecifierSet(specifierSet.location, specifiers)),
+            item.annotations);
+      }
+    }
+    scriptItemList.push(item);
+  });
+
+  if (!changed)
+    return tree;
+  return new Module(tree.location, scriptItemList, tree.moduleName);
+}
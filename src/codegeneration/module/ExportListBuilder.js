@@ -14,19 +14,33 @@
 
 import {ExportVisitor} from './ExportVisitor.js';
 import {ValidationVisitor} from './ValidationVisitor.js';
-import {transformOptions} from '../../Options.js';
 
 // TODO(arv): Validate that there are no free variables
 // TODO(arv): Validate that the exported reference exists
 
+/**
+ * Options of a code unit can be a plain object, where a missing modules
+ * option means the default, which transforms modules.
+ * @param {Object} options
+ * @return {boolean}
+ */
+function transformsModules(options) {
+  if (!('modules' in options))
+    return true;
+  return !!options.modules && options.modules !== 'parse';
+}
+
 /**
  * Builds up all module symbols and validates them.
  * @param {Array.<ModuleSymbole>} deps
  * @param {Loader} loader
+ * @param {ErrorReporter} reporter
+ * @param {Array.<Object>} traceurOptions The options of the code unit of each
+ *     dep.
  * @return {void}
  */
-export function buildExportList(deps, loader, reporter) {
-  if (!transformOptions.modules)
+export function buildExportList(deps, loader, reporter, traceurOptions) {
+  if (!traceurOptions.some(transformsModules))
     return;
 
   function doVisit(ctor) {
@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {DUPLICATE_EXPORT} from '../../util/DiagnosticCode.js';
 import {ModuleVisitor} from './ModuleVisitor.js';
 import {assert} from '../../util/assert.js';
 
@@ -41,7 +42,8 @@ export class ExportVisitor extends ModuleVisitor {
     var existingExport = moduleSymbol.getExport(name);
     if (existingExport) {
       this.reportError(tree, `Duplicate export. '${name}' was previously ` +
-          `exported at ${existingExport.location.start}`);
+          `exported at ${existingExport.location.start}`, DUPLICATE_EXPORT,
+          existingExport, `'${name}' was first exported here`);
     } else {
       moduleSymbol.addExport(name, tree);
     }
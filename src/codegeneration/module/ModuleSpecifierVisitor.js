@@ -13,7 +13,9 @@
 // limitations under the License.
 
 import {ParseTreeVisitor} from '../../syntax/ParseTreeVisitor.js';
-import {options} from '../../Options.js';
+import {LITERAL_EXPRESSION} from '../../syntax/trees/ParseTreeType.js';
+import {STRING} from '../../syntax/TokenType.js';
+import {options as globalOptions} from '../../Options.js';
 
 // TODO(arv): This is closer to the ModuleVisitor but we don't care about
 // modules.
@@ -22,11 +24,18 @@ import {options} from '../../Options.js';
  * Visits a parse tree and finds all ModuleSpecifiers in it.
  *
  *   import * as m from "url"
+ *   import("url")
+ *
+ * Dynamic imports are only found when the specifier is a string literal.
  */
 export class ModuleSpecifierVisitor extends ParseTreeVisitor {
 
-  constructor() {
+  /**
+   * @param {Options=} options Defaults to the global options.
+   */
+  constructor(options = globalOptions) {
     super();
+    this.options_ = options;
     this.moduleSpecifiers_ = Object.create(null);
   }
 
@@ -38,6 +47,15 @@ export class ModuleSpecifierVisitor extends ParseTreeVisitor {
     this.moduleSpecifiers_[tree.token.processedValue] = true;
   }
 
+  visitImportCall(tree) {
+    var expression = tree.expression;
+    if (expression.type === LITERAL_EXPRESSION &&
+        expression.literalToken.type === STRING) {
+      this.moduleSpecifiers_[expression.literalToken.processedValue] = true;
+    }
+    return super.visitImportCall(tree);
+  }
+
   visitVariableDeclaration(tree) {
     this.addTypeAssertionDependency_(tree.typeAnnotation);
     return super.visitVariableDeclaration(tree);
@@ -69,7 +87,8 @@ export class ModuleSpecifierVisitor extends ParseTreeVisitor {
   }
 
   addTypeAssertionDependency_(typeAnnotation) {
-    if (typeAnnotation !== null && options.typeAssertionModule !== null)
-      this.moduleSpecifiers_[options.typeAssertionModule] = true;
+    var typeAssertionModule = this.options_.typeAssertionModule;
+    if (typeAnnotation !== null && typeAssertionModule !== null)
+      this.moduleSpecifiers_[typeAssertionModule] = true;
   }
 }
@@ -12,6 +12,11 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {
+  Diagnostic,
+  ERROR
+} from '../../util/Diagnostic.js';
+import {UNKNOWN} from '../../util/DiagnosticCode.js';
 import {ExportsList} from './ModuleSymbol.js';
 import {ParseTreeVisitor} from '../../syntax/ParseTreeVisitor.js';
 import {
@@ -72,9 +77,16 @@ export class ModuleVisitor extends ParseTreeVisitor {
   /**
    * @param {ParseTree} tree
    * @param {string} message
+   * @param {string=} code
+   * @param {ParseTree=} previous An earlier tree the error refers to.
+   * @param {string=} previousMessage What |previous| is.
    * @return {void}
    */
-  reportError(tree, message) {
-    this.reporter.reportError(tree.location.start, message);
+  reportError(tree, message, code = UNKNOWN, previous = null,
+              previousMessage = '') {
+    var diagnostic = new Diagnostic(code, ERROR, message, tree.location);
+    if (previous && previous.location)
+      diagnostic.addSecondaryRange(previous.location, previousMessage);
+    this.reporter.report(diagnostic);
   }
 }
@@ -0,0 +1,718 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {AlphaRenamer} from '../AlphaRenamer.js';
+import {ParseTreeTransformer} from '../ParseTreeTransformer.js';
+import {ParseTreeVisitor} from '../../syntax/ParseTreeVisitor.js';
+import {
+  ASSIGNMENT_ELEMENT,
+  BINDING_ELEMENT,
+  BINDING_IDENTIFIER,
+  CLASS_DECLARATION,
+  EXPORT_DECLARATION,
+  EXPORT_DEFAULT,
+  EXPORT_STAR,
+  FUNCTION_DECLARATION,
+  IDENTIFIER_EXPRESSION,
+  IMPORT_DECLARATION,
+  IMPORT_SPECIFIER_SET,
+  IMPORTED_BINDING,
+  LITERAL_EXPRESSION,
+  MODULE_DECLARATION,
+  NAMED_EXPORT
+} from '../../syntax/trees/ParseTreeType.js';
+import {
+  ClassDeclaration,
+  FunctionDeclaration,
+  IdentifierExpression,
+  LiteralPropertyName,
+  ObjectPattern,
+  ObjectPatternField,
+  PropertyNameAssignment
+} from '../../syntax/trees/ParseTrees.js';
+import {STRING, VAR} from '../../syntax/TokenType.js';
+import {
+  createAssignmentStatement,
+  createBindingIdentifier,
+  createFunctionBody,
+  createIdentifierExpression,
+  createImmediatelyInvokedFunctionExpression,
+  createExpressionStatement,
+  createMemberExpression,
+  createObjectLiteralExpression,
+  createStringLiteral,
+  createUseStrictDirective,
+  createVariableStatement
+} from '../ParseTreeFactory.js';
+import {
+  parseExpression,
+  parsePropertyDefinition,
+  parseStatement
+} from '../PlaceholderParser.js';
+import {variablesInFunction} from '../../semantics/VariableBinder.js';
+
+// The globals the hoisted code refers to. Top level bindings with these names
+// are renamed so that they do not hide the globals.
+var GLOBALS_USED = ['Promise', 'System'];
+
+/**
+ * The name of the variable for a module in the inline module format, see
+ * ModuleTransformer getTempVarNameForModuleName.
+ * @param {string} name
+ * @return {string}
+ */
+function getModuleVarName(name) {
+  return '$__' + name.replace(/[^a-zA-Z0-9$]/g, function(c) {
+    return '_' + c.charCodeAt(0) + '_';
+  }) + '__';
+}
+
+/**
+ * Finds the names used in a module, in any scope. The names bound by imports
+ * are left out, see ScopeHoister renameLocals_.
+ */
+class NameCollector extends ParseTreeVisitor {
+  constructor() {
+    super();
+    this.references = Object.create(null);
+    this.bindings = Object.create(null);
+  }
+
+  visitIdentifierExpression(tree) {
+    this.references[tree.identifierToken.value] = true;
+  }
+
+  visitBindingIdentifier(tree) {
+    this.bindings[tree.getStringValue()] = true;
+  }
+
+  visitPropertyNameShorthand(tree) {
+    this.references[tree.name.value] = true;
+  }
+
+  visitImportedBinding(tree) {}
+}
+
+/**
+ * Finds the names declared by a top level declaration.
+ */
+class BoundNamesVisitor extends ParseTreeVisitor {
+  constructor() {
+    super();
+    this.names = [];
+  }
+
+  visitBindingIdentifier(tree) {
+    this.names.push(tree.getStringValue());
+  }
+
+  visitBindingElement(tree) {
+    this.visitAny(tree.binding);
+  }
+
+  visitObjectPatternField(tree) {
+    this.visitAny(tree.element);
+  }
+
+  visitVariableDeclaration(tree) {
+    this.visitAny(tree.lvalue);
+  }
+
+  visitFunctionDeclaration(tree) {
+    this.visitAny(tree.name);
+  }
+
+  visitClassDeclaration(tree) {
+    this.visitAny(tree.name);
+  }
+}
+
+function getBoundNames(tree) {
+  var visitor = new BoundNamesVisitor();
+  visitor.visitAny(tree);
+  return visitor.names;
+}
+
+/**
+ * Returns the name of a shorthand field of an object pattern, {x} or {x = 1},
+ * or null.
+ * @param {ParseTree} tree
+ * @return {IdentifierToken}
+ */
+function getShorthandName(tree) {
+  if (tree.type === BINDING_ELEMENT && tree.binding.type === BINDING_IDENTIFIER)
+    return tree.binding.identifierToken;
+  if (tree.type === ASSIGNMENT_ELEMENT &&
+      tree.assignment.type === IDENTIFIER_EXPRESSION) {
+    return tree.assignment.identifierToken;
+  }
+  return null;
+}
+
+/**
+ * Renames a top level binding of a module, the declaration as well as the
+ * references, or replaces the references to an import with an expression.
+ * Unlike AlphaRenamer it keeps the property names of shorthand properties.
+ */
+class HoistRenamer extends AlphaRenamer {
+  /**
+   * @param {string} varName
+   * @param {?string} newName
+   * @param {function(): ParseTree=} createExpression Creates the expression
+   *     that replaces the references, when there is no new name.
+   */
+  constructor(varName, newName, createExpression = undefined) {
+    super(varName, newName);
+    this.createExpression_ = createExpression;
+  }
+
+  transformIdentifierExpression(tree) {
+    if (this.createExpression_ && this.varName_ === tree.identifierToken.value)
+      return this.createExpression_();
+    return super.transformIdentifierExpression(tree);
+  }
+
+  transformBindingIdentifier(tree) {
+    if (this.newName_ !== null && this.varName_ === tree.getStringValue())
+      return createBindingIdentifier(this.newName_);
+    return tree;
+  }
+
+  transformPropertyNameShorthand(tree) {
+    if (this.varName_ !== tree.name.value)
+      return tree;
+    return new PropertyNameAssignment(tree.location,
+        new LiteralPropertyName(tree.location, tree.name),
+        this.transformAny(new IdentifierExpression(tree.location, tree.name)));
+  }
+
+  transformObjectPattern(tree) {
+    var fields = tree.fields.map((field) => {
+      var name = getShorthandName(field);
+      if (name === null || this.varName_ !== name.value)
+        return field;
+      return new ObjectPatternField(field.location,
+          new LiteralPropertyName(name.location, name), field);
+    });
+    return super.transformObjectPattern(
+        new ObjectPattern(tree.location, fields));
+  }
+
+  transformArrowFunctionExpression(tree) {
+    if (this.varName_ in variablesInFunction(tree))
+      return tree;
+    return super.transformArrowFunctionExpression(tree);
+  }
+}
+
+/**
+ * Replaces import() of the modules in the bundle with their namespace
+ * objects, and other import() with System.import.
+ */
+class ImportCallTransformer extends ParseTreeTransformer {
+  /**
+   * @param {string} moduleName
+   * @param {function(string): ?ParseTree} getNamespace
+   */
+  constructor(moduleName, getNamespace) {
+    super();
+    this.moduleName_ = moduleName;
+    this.getNamespace_ = getNamespace;
+  }
+
+  transformImportCall(tree) {
+    var specifier = this.transformAny(tree.expression);
+    if (specifier.type === LITERAL_EXPRESSION &&
+        specifier.literalToken.type === STRING) {
+      var namespace =
+          this.getNamespace_(specifier.literalToken.processedValue);
+      if (namespace !== null)
+        return parseExpression `Promise.resolve(${namespace})`;
+    }
+    return parseExpression
+        `System.import(${specifier}, {referrerName: ${this.moduleName_}})`;
+  }
+}
+
+function addAnnotations(tree, annotations) {
+  if (annotations.length === 0)
+    return tree;
+  annotations = annotations.concat(tree.annotations);
+  switch (tree.type) {
+    case CLASS_DECLARATION:
+      return new ClassDeclaration(tree.location, tree.name, tree.superClass,
+          tree.elements, annotations, tree.typeParameters);
+    case FUNCTION_DECLARATION:
+      return new FunctionDeclaration(tree.location, tree.name,
+          tree.functionKind, tree.parameterList, tree.typeAnnotation,
+          annotations, tree.body);
+  }
+  return tree;
+}
+
+/**
+ * A module merged by the ScopeHoister.
+ */
+class HoistedModule {
+  /**
+   * @param {ModuleSymbol} symbol
+   */
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.name = symbol.normalizedName;
+    // The statements without the import and export declarations.
+    this.statements = [];
+    // The names used anywhere in the module, see NameCollector.
+    this.references = null;
+    this.bindings = null;
+    // Top level name to the name in the merged scope.
+    this.locals = Object.create(null);
+    // Local name to {module, name}, where name is null for module x from.
+    this.imports = Object.create(null);
+    // Export name to local name.
+    this.localExports = Object.create(null);
+    // Export name to {module, name} for export {name as x} from 'module'.
+    this.reexports = Object.create(null);
+    // The names of the modules of export * from 'module'.
+    this.starExports = [];
+  }
+}
+
+/**
+ * Merges modules into a single function scope, so that they no longer need
+ * to be registered and their imports are plain variable references:
+ *
+ *   // a.js
+ *   export var x = 1;
+ *   export function f() { x++; }
+ *
+ *   // b.js
+ *   import {x, f} from './a.js';
+ *   var y = x;
+ *   f();
+ *
+ *   =>
+ *
+ *   (function() {
+ *     'use strict';
+ *     var x = 1;
+ *     function f() { x++; }
+ *     var y = x;
+ *     f();
+ *     System.registerModule('b.js', [], function() {
+ *       return ns$__0;
+ *     });
+ *   })();
+ *
+ * Top level bindings that would clash with a name used in another module
+ * are renamed, x$__1 for x for example. Since an import refers to the very
+ * binding the other module exports, the changes the exporting module makes
+ * are seen by the importing module, as with live bindings.
+ *
+ * Only the entry modules are registered, or assigned to the variables of the
+ * inline module format. The modules are evaluated in order, when the merged
+ * code runs, as with the inline module format. Imports of modules that are
+ * not merged go through System.get.
+ */
+export class ScopeHoister {
+  /**
+   * @param {UniqueIdentifierGenerator} identifierGenerator
+   * @param {function(string, string): ExportsList} getExportsList Returns the
+   *     exports of the module a specifier refers to from the named module.
+   */
+  constructor(identifierGenerator, getExportsList) {
+    this.identifierGenerator_ = identifierGenerator;
+    this.getExportsList_ = getExportsList;
+    this.format_ = null;
+    this.modules_ = [];
+    this.modulesByName_ = Object.create(null);
+    // The exports of the modules that are not merged, by name.
+    this.externalModules_ = Object.create(null);
+    // Module name to the name of the variable for its namespace object.
+    this.namespaces_ = Object.create(null);
+    this.namespaceStatements_ = [];
+  }
+
+  /**
+   * Adds a module to merge. The modules are evaluated in the order they are
+   * added, so a module needs to be added after the modules it imports.
+   * @param {ModuleSymbol} symbol
+   */
+  addModule(symbol) {
+    var module = new HoistedModule(symbol);
+    this.modules_.push(module);
+    this.modulesByName_[module.name] = module;
+  }
+
+  /**
+   * @param {Array.<string>} entries The names of the modules to register.
+   * @param {string} format The module format, 'register' or 'inline'.
+   * @return {Array.<ParseTree>} The statements of the merged code.
+   */
+  hoist(entries, format) {
+    this.format_ = format;
+    this.modules_.forEach((module) => this.splitModule_(module));
+    this.renameLocals_();
+
+    var moduleStatements = [];
+    this.modules_.forEach((module) => {
+      moduleStatements.push(...this.transformModule_(module));
+    });
+
+    var entryStatements = entries.map((name) => {
+      var namespace = createIdentifierExpression(this.getNamespace_(name));
+      if (format === 'inline') {
+        return createAssignmentStatement(
+            createIdentifierExpression(getModuleVarName(name)), namespace);
+      }
+      return parseStatement
+          `System.registerModule(${name}, [], function() {
+            return ${namespace};
+          });`;
+    });
+
+    var body = createFunctionBody([
+      createUseStrictDirective(),
+      ...this.namespaceStatements_,
+      ...moduleStatements,
+      ...entryStatements
+    ]);
+    var statements = [createExpressionStatement(
+        createImmediatelyInvokedFunctionExpression(body))];
+    if (format === 'inline') {
+      statements = entries.map((name) =>
+          createVariableStatement(VAR, getModuleVarName(name), null)).
+          concat(statements);
+    }
+    return statements;
+  }
+
+  /**
+   * Returns the name of the module a specifier refers to, remembering the
+   * exports of the modules that are not merged.
+   * @param {HoistedModule} module
+   * @param {string} specifier
+   * @return {string}
+   */
+  resolve_(module, specifier) {
+    var exportsList = this.getExportsList_(specifier, module.name);
+    var name = exportsList.normalizedName;
+    if (!(name in this.modulesByName_))
+      this.externalModules_[name] = exportsList;
+    return name;
+  }
+
+  /**
+   * Sorts the top level statements of a module into its declarations, its
+   * imports and exports, and the statements to keep.
+   * @param {HoistedModule} module
+   */
+  splitModule_(module) {
+    var collector = new NameCollector();
+    collector.visitAny(module.symbol.tree);
+    module.references = collector.references;
+    module.bindings = collector.bindings;
+
+    var addLocals = (tree) => {
+      getBoundNames(tree).forEach((name) => module.locals[name] = name);
+    };
+
+    module.symbol.tree.scriptItemList.forEach((tree) => {
+      switch (tree.type) {
+        case IMPORT_DECLARATION:
+          var name =
+              this.resolve_(module, tree.moduleSpecifier.token.processedValue);
+          var clause = tree.importClause;
+          if (clause === null)
+            return;
+          if (clause.type === IMPORTED_BINDING) {
+            module.imports[clause.binding.getStringValue()] =
+                {module: name, name: 'default'};
+          } else if (clause.type === IMPORT_SPECIFIER_SET) {
+            clause.specifiers.forEach((specifier) => {
+              var localName = specifier.binding.getStringValue();
+              module.imports[localName] = {
+                module: name,
+                name: specifier.name ? specifier.name.value : localName
+              };
+            });
+          }
+          return;
+
+        case MODULE_DECLARATION:
+          module.imports[tree.binding.getStringValue()] = {
+            module: this.resolve_(module, tree.expression.token.processedValue),
+            name: null
+          };
+          return;
+
+        case EXPORT_DECLARATION:
+          this.splitExport_(module, tree, addLocals);
+          return;
+      }
+      addLocals(tree);
+      module.statements.push(tree);
+    });
+  }
+
+  splitExport_(module, tree, addLocals) {
+    var declaration = tree.declaration;
+    switch (declaration.type) {
+      case NAMED_EXPORT:
+        var specifierSet = declaration.specifierSet;
+        if (declaration.moduleSpecifier === null) {
+          specifierSet.specifiers.forEach((specifier) => {
+            module.localExports[(specifier.rhs || specifier.lhs).value] =
+                specifier.lhs.value;
+          });
+          return;
+        }
+        var name = this.resolve_(module,
+            declaration.moduleSpecifier.token.processedValue);
+        if (specifierSet.type === EXPORT_STAR) {
+          module.starExports.push(name);
+        } else {
+          specifierSet.specifiers.forEach((specifier) => {
+            module.reexports[(specifier.rhs || specifier.lhs).value] =
+                {module: name, name: specifier.lhs.value};
+          });
+        }
+        return;
+
+      case EXPORT_DEFAULT:
+        var expression = declaration.expression;
+        switch (expression.type) {
+          case CLASS_DECLARATION:
+          case FUNCTION_DECLARATION:
+            var localName = expression.name.getStringValue();
+            module.locals[localName] = localName;
+            module.localExports.default = localName;
+            module.statements.push(addAnnotations(expression, tree.annotations));
+            return;
+        }
+        // The names of all the default exports clash so most of them end up
+        // renamed.
+        module.locals.$__default = '$__default';
+        module.bindings.$__default = true;
+        module.localExports.default = '$__default';
+        module.statements.push(
+            createVariableStatement(VAR, '$__default', expression));
+        return;
+    }
+
+    getBoundNames(declaration).forEach((name) => {
+      module.locals[name] = name;
+      module.localExports[name] = name;
+    });
+    module.statements.push(addAnnotations(declaration, tree.annotations));
+  }
+
+  /**
+   * Renames the top level bindings whose names are used by another module, or
+   * by the merged code itself. A module that only uses the name for importing
+   * the binding does not count, import {x} from './a.js' keeps the x of a.js
+   * as is.
+   */
+  renameLocals_() {
+    var users = Object.create(null);
+    this.modules_.forEach((module) => {
+      var names = Object.keys(module.references).
+          concat(Object.keys(module.bindings), Object.keys(module.imports));
+      names.forEach((name) => {
+        users[name] = users[name] || [];
+        if (users[name].indexOf(module) === -1)
+          users[name].push(module);
+      });
+    });
+
+    this.modules_.forEach((module) => {
+      Object.keys(module.locals).forEach((name) => {
+        var clashes = GLOBALS_USED.indexOf(name) !== -1 ||
+            users[name].some((user) => user !== module &&
+                                       !this.importsLocal_(user, name, module));
+        if (clashes)
+          module.locals[name] = this.generateName_(name);
+      });
+    });
+  }
+
+  /**
+   * Whether |name| in |user| always refers to the top level binding |name| of
+   * |module|.
+   * @param {HoistedModule} user
+   * @param {string} name
+   * @param {HoistedModule} module
+   * @return {boolean}
+   */
+  importsLocal_(user, name, module) {
+    var entry = user.imports[name];
+    if (!entry || entry.name === null || name in user.bindings)
+      return false;
+    var binding = this.resolveExport_(entry.module, entry.name);
+    return binding.module === module && binding.localName === name;
+  }
+
+  generateName_(name) {
+    return name + this.identifierGenerator_.generateUniqueIdentifier();
+  }
+
+  /**
+   * @param {HoistedModule} module
+   * @return {Array.<ParseTree>}
+   */
+  transformModule_(module) {
+    var statements = module.statements;
+    var rename = (renamer) => {
+      statements = statements.map((tree) => renamer.transformAny(tree));
+    };
+
+    // The new names are either unique or not used in this module at all, so
+    // the renames do not interfere with each other.
+    Object.keys(module.locals).forEach((name) => {
+      var newName = module.locals[name];
+      if (newName !== name)
+        rename(new HoistRenamer(name, newName));
+    });
+
+    Object.keys(module.imports).forEach((localName) => {
+      var {module: name, name: importName} = module.imports[localName];
+      if (importName === null) {
+        var namespace = this.getNamespace_(name);
+        if (namespace !== localName)
+          rename(new HoistRenamer(localName, namespace));
+        return;
+      }
+      var binding = this.resolveExport_(name, importName);
+      if (binding.module !== null) {
+        var newName = binding.module.locals[binding.localName];
+        if (newName !== localName)
+          rename(new HoistRenamer(localName, newName));
+        return;
+      }
+      var namespace = this.getNamespace_(binding.moduleName);
+      rename(new HoistRenamer(localName, null, () => createMemberExpression(
+          createIdentifierExpression(namespace), binding.exportName)));
+    });
+
+    if (module.references.__moduleName && !module.locals.__moduleName) {
+      rename(new HoistRenamer('__moduleName', null,
+                              () => createStringLiteral(module.name)));
+    }
+
+    var transformer = new ImportCallTransformer(module.name, (specifier) => {
+      var name = this.resolve_(module, specifier);
+      if (!(name in this.modulesByName_))
+        return null;
+      return createIdentifierExpression(this.getNamespace_(name));
+    });
+    return statements.map((tree) => transformer.transformAny(tree));
+  }
+
+  /**
+   * Finds the binding an export of a module refers to, following the
+   * reexports. For the modules that are not merged the binding is the
+   * export itself.
+   * @param {string} moduleName
+   * @param {string} exportName
+   * @param {Object=} seen The modules already searched for the export,
+   *     which only matters for export *.
+   * @return {{module: HoistedModule, localName: string, moduleName: string,
+   *     exportName: string}} The module is null for the modules that are
+   *     not merged.
+   */
+  resolveExport_(moduleName, exportName, seen = Object.create(null)) {
+    var module = this.modulesByName_[moduleName] || null;
+    if (module === null)
+      return {module, localName: null, moduleName, exportName};
+    seen[moduleName] = true;
+
+    if (exportName in module.localExports) {
+      var localName = module.localExports[exportName];
+      return {module, localName, moduleName, exportName};
+    }
+
+    var reexport = module.reexports[exportName];
+    if (reexport)
+      return this.resolveExport_(reexport.module, reexport.name, seen);
+
+    for (var i = 0; i < module.starExports.length; i++) {
+      var starName = module.starExports[i];
+      if (!(starName in seen) &&
+          this.getExports_(starName).indexOf(exportName) !== -1) {
+        return this.resolveExport_(starName, exportName, seen);
+      }
+    }
+
+    // The export list builder has checked the imports already.
+    throw new Error(`${moduleName} has no export ${exportName}`);
+  }
+
+  /**
+   * @param {string} moduleName
+   * @param {string} exportName
+   * @return {ParseTree} The variable the export is bound to in the merged
+   *     scope, or the property of the module object for the modules that are
+   *     not merged.
+   */
+  getExportExpression_(moduleName, exportName) {
+    var binding = this.resolveExport_(moduleName, exportName);
+    if (binding.module !== null) {
+      return createIdentifierExpression(
+          binding.module.locals[binding.localName]);
+    }
+    return createMemberExpression(
+        createIdentifierExpression(this.getNamespace_(binding.moduleName)),
+        binding.exportName);
+  }
+
+  getExports_(name) {
+    var module = this.modulesByName_[name];
+    var exportsList = module ? module.symbol : this.externalModules_[name];
+    return exportsList.getExports();
+  }
+
+  /**
+   * Returns the name of the variable for the namespace object of a module,
+   * creating it the first time. The namespace objects of the modules that are
+   * not merged are the module objects from System.get, or the module
+   * variables in the inline module format.
+   * @param {string} name
+   * @return {string}
+   */
+  getNamespace_(name) {
+    if (name in this.namespaces_)
+      return this.namespaces_[name];
+
+    var module = this.modulesByName_[name];
+    if (!module && this.format_ === 'inline')
+      return this.namespaces_[name] = getModuleVarName(name);
+
+    var varName = this.namespaces_[name] = this.generateName_('ns');
+    var namespace;
+    if (module) {
+      // The getters are only called once the modules have been evaluated so
+      // the namespace objects can all be created first.
+      namespace = createObjectLiteralExpression(
+          this.getExports_(name).map((exportName) => parsePropertyDefinition
+              `get ${exportName}() {
+                return ${this.getExportExpression_(name, exportName)};
+              }`));
+    } else {
+      namespace = parseExpression `System.get(${name})`;
+    }
+    this.namespaceStatements_.push(
+        createVariableStatement(VAR, varName, namespace));
+    return varName;
+  }
+}
@@ -13,6 +13,10 @@
 // limitations under the License.
 
 import {ModuleVisitor} from './ModuleVisitor.js';
+import {
+  DUPLICATE_IMPORT,
+  NOT_EXPORTED
+} from '../../util/DiagnosticCode.js';
 
 /**
  * Validates that symbols are exported when we extract them.
@@ -28,7 +32,8 @@ export class ValidationVisitor extends ModuleVisitor {
     var description = this.validatingModuleDescription_;
     if (description && !description.getExport(name)) {
       var moduleName = description.normalizedName;
-      this.reportError(tree, `'${name}' is not exported by '${moduleName}'`);
+      this.reportError(tree, `'${name}' is not exported by '${moduleName}'`,
+                       NOT_EXPORTED);
     }
   }
 
@@ -36,7 +41,8 @@ export class ValidationVisitor extends ModuleVisitor {
     var existingImport = this.moduleSymbol.getImport(name);
     if (existingImport) {
       this.reportError(tree, `'${name}' was previously imported at ${
-          existingImport.location.start}`);
+          existingImport.location.start}`, DUPLICATE_IMPORT, existingImport,
+          `'${name}' was first imported here`);
     } else {
       this.moduleSymbol.addImport(name, tree);
     }
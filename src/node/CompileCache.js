@@ -0,0 +1,165 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var mkdirRecursive = require('./file-util.js').mkdirRecursive;
+var traceur = require('./traceur.js');
+
+var Options = traceur.util.Options;
+var version = require('../../package.json').version;
+
+/**
+ * A cache of compiled code. Each entry is a file in |dir| named after the
+ * hash of everything the compiled code depends on: the source, the options
+ * and the version of the compiler.
+ *
+ * @param {string=} dir The directory to store the entries in. Without a
+ *     directory the entries are only kept in memory, and only the latest entry
+ *     for each name is kept so that a long running watch does not keep every
+ *     version of a module it compiled.
+ * @constructor
+ */
+function CompileCache(dir) {
+  this.dir = dir ? path.resolve(dir) : null;
+  this.entries_ = Object.create(null);
+  // In memory only, the name each key was computed for and the key of the
+  // entry kept for each name.
+  this.names_ = Object.create(null);
+  this.keys_ = Object.create(null);
+  // The latest trees for each name with their keys. These are kept in memory
+  // even with a directory so that a watch only parses the modules that
+  // changed.
+  this.trees_ = Object.create(null);
+}
+
+CompileCache.prototype = {
+  /**
+   * Computes the cache key for compiling |source| with |options|. Returns null
+   * when the output cannot be cached, which is the case for source maps since
+   * only the code is stored, and for transformer plugins since their code is
+   * not part of the key.
+   *
+   * @param {string} name The name the source is compiled as. This ends up in
+   *     the output for some module formats.
+   * @param {string} source
+   * @param {Object} options
+   * @param {Array.<string>=} dependencyKeys Keys of the modules the output
+   *     depends on.
+   * @return {?string}
+   */
+  key: function(name, source, options, dependencyKeys) {
+    var key = this.treeKey(name, source, options, dependencyKeys);
+    if (key !== null && this.dir === null)
+      this.names_[key] = name;
+    return key;
+  },
+
+  /**
+   * Computes the key for a tree, like key does for the code. Only the latest
+   * tree for each name is kept so computing a key does not record anything.
+   *
+   * @param {string} name
+   * @param {string} source
+   * @param {Object} options
+   * @param {Array.<string>=} dependencyKeys
+   * @return {?string}
+   */
+  treeKey: function(name, source, options, dependencyKeys) {
+    options = new Options(options);
+    if (options.sourceMaps || options.plugins)
+      return null;
+    var hash = crypto.createHash('sha1');
+    hash.update(version + '\0');
+    hash.update(JSON.stringify(options) + '\0');
+    hash.update(name + '\0');
+    hash.update((dependencyKeys || []).join(',') + '\0');
+    hash.update(source);
+    return hash.digest('hex');
+  },
+
+  /**
+   * @param {string} name
+   * @param {?string} key
+   * @return {ParseTree} The tree kept for |name| or null if there is none or
+   *     it was kept under another key.
+   */
+  getTree: function(name, key) {
+    var entry = this.trees_[name];
+    return key !== null && entry && entry.key === key ? entry.tree : null;
+  },
+
+  /**
+   * Keeps |tree| as the tree for |name|, replacing the earlier one.
+   * @param {string} name
+   * @param {?string} key
+   * @param {ParseTree} tree
+   */
+  setTree: function(name, key, tree) {
+    if (key !== null)
+      this.trees_[name] = {key: key, tree: tree};
+  },
+
+  /**
+   * @param {?string} key
+   * @return {?string} The cached code or null if there is no entry for |key|.
+   */
+  get: function(key) {
+    if (key === null)
+      return null;
+    if (this.dir === null)
+      return key in this.entries_ ? this.entries_[key] : null;
+    try {
+      return fs.readFileSync(this.fileName_(key), 'utf8');
+    } catch (ex) {
+      return null;
+    }
+  },
+
+  /**
+   * @param {?string} key
+   * @param {string} code
+   */
+  set: function(key, code) {
+    if (key === null)
+      return;
+    if (this.dir === null) {
+      var name = this.names_[key];
+      var staleKey = this.keys_[name];
+      if (staleKey !== undefined && staleKey !== key) {
+        delete this.entries_[staleKey];
+        delete this.names_[staleKey];
+      }
+      this.keys_[name] = key;
+      this.entries_[key] = code;
+      return;
+    }
+    mkdirRecursive(this.dir);
+    // Write to a temporary file first so that a concurrent run never reads a
+    // partially written entry.
+    var fileName = this.fileName_(key);
+    var tempFileName = fileName + '.' + process.pid;
+    fs.writeFileSync(tempFileName, code, 'utf8');
+    fs.renameSync(tempFileName, fileName);
+  },
+
+  fileName_: function(key) {
+    return path.join(this.dir, key + '.js');
+  }
+};
+
+exports.CompileCache = CompileCache;
@@ -35,6 +35,11 @@ function NodeCompiler(options, sourceRoot) {
 NodeCompiler.prototype = {
   __proto__: Compiler.prototype,
 
+  /**
+   * @param {ParseTree} tree
+   * @param {string} filename
+   * @return {string} The code written.
+   */
   writeTreeToFile: function(tree, filename) {
     filename = this.normalize(filename);
     var compiledCode = this.write(tree, filename);
@@ -46,6 +51,41 @@ NodeCompiler.prototype = {
     }
 
     writeFile(filename, compiledCode);
+    return compiledCode;
+  },
+
+  /**
+   * Writes the declarations of the exports of a module to the .d.ts file
+   * that goes with |filename|.
+   *
+   * @param {Module} tree The tree before it is transformed.
+   * @param {string} filename The name of the compiled file.
+   */
+  writeDeclarationsToFile: function(tree, filename) {
+    filename = this.normalize(filename);
+    writeFile(this.declarationFileName(filename), this.writeDeclarations(tree));
+  },
+
+  /**
+   * Writes the declarations of the modules compiled into |filename| to the
+   * .d.ts file that goes with it. Each module gets a declare module block.
+   *
+   * @param {Array.<{name: string, tree: Module, normalize: Function}>} modules
+   *     The names of the modules, their trees before they are transformed and
+   *     functions that normalize the names of their dependencies.
+   * @param {string} filename The name of the compiled file.
+   */
+  writeModuleDeclarationsToFile: function(modules, filename) {
+    filename = this.normalize(filename);
+    var declarations = modules.map(function(module) {
+      return this.writeDeclarations(module.tree, module.name,
+                                    module.normalize);
+    }, this);
+    writeFile(this.declarationFileName(filename), declarations.join(''));
+  },
+
+  declarationFileName: function(filename) {
+    return filename.replace(/\.js$/, '') + '.d.ts';
   },
 
   compileSingleFile: function(inputFilePath, outputFilePath, errback) {
@@ -58,6 +98,8 @@ NodeCompiler.prototype = {
       }
 
       var parsed = this.parse(contents.toString(), inputFilePath);
+      if (this.options_.declarations)
+        this.writeDeclarationsToFile(parsed, outputFilePath);
       this.writeTreeToFile(this.transform(parsed, undefined, inputFilePath),
                            outputFilePath);
     }.bind(this));
@@ -25,8 +25,10 @@ var traceur = require('./traceur.js');
 var NodeCompilerModule = require('./NodeCompiler.js');
 var NodeCompiler = NodeCompilerModule.NodeCompiler;
 
+var CompileCache = require('./CompileCache.js').CompileCache;
 var recursiveModuleCompile = require('./recursiveModuleCompile.js');
 var compileAllJsFilesInDir = require('./compileAllJsFilesInDir.js');
+var Watcher = require('./watch.js').Watcher;
 
 var Compiler = traceur.Compiler;
 
@@ -46,14 +48,21 @@ module.exports = {
   __proto__: traceur,
   recursiveModuleCompileToSingleFile:
       recursiveModuleCompile.recursiveModuleCompileToSingleFile,
+  recursiveModuleCompileToDir:
+      recursiveModuleCompile.recursiveModuleCompileToDir,
+  recursiveModuleCompileToChunks:
+      recursiveModuleCompile.recursiveModuleCompileToChunks,
   forEachRecursiveModuleCompile:
       recursiveModuleCompile.forEachRecursiveModuleCompile,
   compileAllJsFilesInDir:
     compileAllJsFilesInDir.compileAllJsFilesInDir,
   NodeCompiler: NodeCompiler,
+  CompileCache: CompileCache,
+  Watcher: Watcher,
   compile: compile,
   commonJSOptions: Compiler.commonJSOptions,
   amdOptions: Compiler.amdOptions,
   closureOptions: Compiler.closureOptions,
+  umdOptions: Compiler.umdOptions,
   RUNTIME_PATH: RUNTIME_PATH
 };
@@ -51,6 +51,16 @@ commandLine.option('--inline <fileName>', 'Parse as Module, format \'inline\'',
 
 commandLine.option('--out <FILE>', 'Compile all input files into a single file');
 commandLine.option('--dir <INDIR> <OUTDIR>', 'Compile an input directory of modules into an output directory');
+commandLine.option('--split', 'With --out DIR, put the modules shared by several input files into common chunks and write a manifest.json');
+commandLine.option('--cache-dir <DIR>', 'Reuse modules compiled by earlier --out or --dir runs, cached in DIR');
+commandLine.option('--watch', 'Keep running and recompile --out or --dir when the input files change');
+var plugins = [];
+commandLine.option('--plugin <FILE>', 'Load a transformer plugin from FILE, a module exporting {transformer, before or after: stage}; can be repeated',
+  function(fileName) {
+    plugins.push(require(path.resolve(fileName)));
+  }
+);
+commandLine.option('--error-format <FORMAT>', 'How to print compile errors: plain (default), pretty with the source lines or json with one object per line', 'plain');
 
 commandLine.option('--longhelp', 'Show all known options');
 commandLine.on('longhelp', function() {
@@ -94,6 +104,7 @@ commandLine.on('--help', function() {
   console.log('    $ %s a.js [args]', cmdName);
   console.log('    $ %s --out compiled.js b.js c.js', cmdName);
   console.log('    $ %s --dir indir outdir', cmdName);
+  console.log('    $ %s --out outdir --split a.js b.js', cmdName);
   console.log('');
 });
 
@@ -116,6 +127,8 @@ commandLine.parse(process.argv);
 // To support --source-maps a legacy boolean we need to transfer the
 // the self value here.
 commandOptions.sourceMaps = commandLine.sourceMaps;
+if (plugins.length)
+  commandOptions.plugins = plugins;
 
 // Set the global options for back compat, but try to use options by argument.
 traceurAPI.options.setFromObject(commandOptions);
@@ -129,24 +142,91 @@ if (!shouldExit && !rootSources.length) {
 
 var out = commandLine.out;
 var dir = commandLine.dir;
+var cache = commandLine.cacheDir ?
+    new traceurAPI.CompileCache(commandLine.cacheDir) : undefined;
+var watcher;
+if (commandLine.watch) {
+  watcher = new traceurAPI.Watcher(printErrors);
+  // Only the changed modules and the modules that import them are compiled
+  // again, the others come from the cache.
+  cache = cache || new traceurAPI.CompileCache();
+}
+
+var errorFormat = commandLine.errorFormat;
+if (['plain', 'pretty', 'json'].indexOf(errorFormat) === -1) {
+  console.error('\n  Error: Unknown --error-format ' + errorFormat);
+  process.exit(1);
+}
+
+function printErrors(err) {
+  var formatDiagnostic = traceurAPI.util.formatDiagnostic;
+  // Compile errors carry diagnostics, anything else is printed as is.
+  if (err.diagnostics && err.diagnostics.length) {
+    err.diagnostics.forEach(function(diagnostic) {
+      console.error(formatDiagnostic(diagnostic, errorFormat));
+    });
+    return;
+  }
+  var errors = err.errors || [err];
+  errors.forEach(function(err) {
+    if (errorFormat === 'json') {
+      var diagnostic = new traceurAPI.util.Diagnostic(
+          traceurAPI.util.DiagnosticCode.UNKNOWN, 'error', String(err), null);
+      console.error(formatDiagnostic(diagnostic, errorFormat));
+    } else {
+      console.error(err.stack || err);
+    }
+  });
+}
 
 function compileAll(out, sources, options) {
   var isSingleFileCompile = /\.js$/.test(out);
-  if (!isSingleFileCompile) {
-    traceurAPI.forEachRecursiveModuleCompile(out, sources, options);
+  if (!isSingleFileCompile && commandLine.split) {
+    compileChunks(out, sources, options);
+  } else if (watcher) {
+    if (isSingleFileCompile) {
+      watcher.add(function(fileNames) {
+        return traceurAPI.recursiveModuleCompileToSingleFile(out, sources,
+            options, cache, fileNames);
+      });
+    } else {
+      sources.forEach(function(input) {
+        watcher.add(function(fileNames) {
+          return traceurAPI.recursiveModuleCompileToDir(out, input, options,
+              cache, fileNames);
+        });
+      });
+    }
+  } else if (!isSingleFileCompile) {
+    traceurAPI.forEachRecursiveModuleCompile(out, sources, options, cache,
+                                             printErrors);
   } else {
-    traceurAPI.recursiveModuleCompileToSingleFile(out, sources, options).then(function() {
+    traceurAPI.recursiveModuleCompileToSingleFile(out, sources, options, cache).then(function() {
       process.exit(0);
     }).catch(function(err) {
-      var errors = err.errors || [err];
-      errors.forEach(function(err) {
-        console.error(err.stack || err);
-      });
+      printErrors(err);
       process.exit(1);
     });
   }
 }
 
+function compileChunks(out, sources, options) {
+  if (watcher) {
+    watcher.add(function(fileNames) {
+      return traceurAPI.recursiveModuleCompileToChunks(out, sources, options,
+          cache, fileNames);
+    });
+    return;
+  }
+  traceurAPI.recursiveModuleCompileToChunks(out, sources, options, cache).
+      then(function() {
+        process.exit(0);
+      }).catch(function(err) {
+        printErrors(err);
+        process.exit(1);
+      });
+}
+
 function globSources(sourcesToGlob, cb) {
   var processedCount = 0;
   var globbedSources = [];
@@ -197,10 +277,11 @@ if (!shouldExit) {
   } else if (dir) {
     if (rootSources.length !== 1)
       throw new Error('Compile all in directory requires exactly one input filename');
-    traceurAPI.compileAllJsFilesInDir(dir, rootSources[0].name, commandOptions);
+    traceurAPI.compileAllJsFilesInDir(dir, rootSources[0].name, commandOptions,
+                                      cache, watcher, printErrors);
   } else {
     rootSources.forEach(function(obj) {
-      interpret(path.resolve(obj.name), commandOptions);
+      interpret(path.resolve(obj.name), commandOptions, printErrors);
     });
   }
 }
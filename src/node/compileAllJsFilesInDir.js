@@ -14,23 +14,138 @@
 
 'use strict';
 
+var fs = require('fs');
 var glob = require('glob');
 var path = require('path');
+var Promise = require('rsvp').Promise;
 var NodeCompiler = require('./NodeCompiler.js').NodeCompiler;
+var writeFile = require('./file-util.js').writeFile;
 
-function compileAllJsFilesInDir(inputDir, outputDir, options) {
+/**
+ * Compiles a single file.
+ *
+ * @param {string} inputFilePath
+ * @param {string} outputFilePath
+ * @param {Object} options
+ * @param {CompileCache=} cache Used to reuse the output when the file did not
+ *     change.
+ * @return {Promise}
+ */
+function compileFile(inputFilePath, outputFilePath, options, cache) {
+  var compiler = new NodeCompiler(options);
+  inputFilePath = compiler.normalize(inputFilePath);
+  outputFilePath = compiler.normalize(outputFilePath);
+  return new Promise(function(resolve, reject) {
+    fs.readFile(inputFilePath, 'utf8', function(err, contents) {
+      if (err)
+        reject(new Error('While reading ' + inputFilePath + ': ' + err));
+      else
+        resolve(contents);
+    });
+  }).then(function(contents) {
+    var tree = null;
+    if (compiler.options_.declarations) {
+      tree = compiler.parse(contents, inputFilePath);
+      compiler.writeDeclarationsToFile(tree, outputFilePath);
+    }
+    var key = cache ? cache.key(inputFilePath, contents, compiler.options_) :
+        null;
+    var code = cache ? cache.get(key) : null;
+    if (code !== null) {
+      writeFile(outputFilePath, code);
+      return;
+    }
+    tree = tree || compiler.parse(contents, inputFilePath);
+    tree = compiler.transform(tree, undefined, inputFilePath);
+    code = compiler.writeTreeToFile(tree, outputFilePath);
+    if (cache)
+      cache.set(key, code);
+  });
+}
+
+/**
+ * @param {string} pattern
+ * @return {Promise.<Array.<string>>}
+ */
+function globPromise(pattern) {
+  return new Promise(function(resolve, reject) {
+    glob(pattern, {}, function(er, matches) {
+      if (er)
+        reject(new Error('While scanning ' + pattern + ': ' + er));
+      else
+        resolve(matches);
+    });
+  });
+}
+
+/**
+ * Adds a target that compiles each file in |inputDir| to |watcher|. The
+ * directories are watched too so that the files added to them later get a
+ * target as well.
+ *
+ * @param {string} inputDir
+ * @param {string} outputDir
+ * @param {Object} options
+ * @param {CompileCache=} cache
+ * @param {Watcher} watcher
+ */
+function watchAllJsFilesInDir(inputDir, outputDir, options, cache, watcher) {
+  var added = Object.create(null);
+  watcher.add(function(fileNames) {
+    return globPromise(inputDir + '/**/').then(function(dirs) {
+      fileNames.push.apply(fileNames, dirs);
+      return globPromise(inputDir + '/**/*.js');
+    }).then(function(files) {
+      files.forEach(function(inputFilePath) {
+        if (inputFilePath in added)
+          return;
+        added[inputFilePath] = true;
+        var outputFilePath = inputFilePath.replace(inputDir, outputDir);
+        // Not returned, the watcher builds it after this target.
+        watcher.add(function(fileNames) {
+          fileNames.push(inputFilePath);
+          return compileFile(inputFilePath, outputFilePath, options, cache);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * @param {string} inputDir
+ * @param {string} outputDir
+ * @param {Object} options
+ * @param {CompileCache=} cache Used to reuse files that did not change.
+ * @param {Watcher=} watcher Used to compile the files again when they change,
+ *     and the files added to |inputDir|.
+ * @param {Function=} printErrors Called with the error before exiting when a
+ *     file does not compile. Without it the error is thrown.
+ */
+function compileAllJsFilesInDir(inputDir, outputDir, options, cache, watcher,
+                                printErrors) {
   inputDir = path.normalize(inputDir).replace(/\\/g, '/');
   outputDir = path.normalize(outputDir).replace(/\\/g, '/');
+  if (watcher) {
+    watchAllJsFilesInDir(inputDir, outputDir, options, cache, watcher);
+    return;
+  }
   glob(inputDir + '/**/*.js', {}, function (er, files) {
     if (er)
       throw new Error('While scanning ' + inputDir + ': ' + er);
 
     files.forEach(function(inputFilePath) {
       var outputFilePath = inputFilePath.replace(inputDir, outputDir);
-      var compiler = new NodeCompiler(options);
-      compiler.compileSingleFile(inputFilePath, outputFilePath, function(err) {
-        throw new Error('While reading ' + inputFilePath + ': ' + err);
-      });
+      compileFile(inputFilePath, outputFilePath, options, cache).
+          catch(function(err) {
+            if (printErrors) {
+              printErrors(err);
+              process.exit(1);
+            }
+            // Throw outside of the promise so that the process fails.
+            setTimeout(function() {
+              throw err;
+            });
+          });
     });
   });
 }
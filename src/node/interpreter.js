@@ -18,7 +18,15 @@ var fs = require('fs');
 var traceur = require('./traceur.js');
 var nodeLoader = require('./nodeLoader.js');
 
-function interpret(filename, options) {
+/**
+ * Loads and runs |filename| and exits the process if it fails.
+ *
+ * @param {string} filename
+ * @param {Object} options
+ * @param {Function=} printErrors Called with the error before exiting, instead
+ *     of printing its stack.
+ */
+function interpret(filename, options, printErrors) {
   // Interpret the filename argument as a platform-independent,
   // normalized module name.
   var moduleName = filename.replace(/\\/g, '/');
@@ -28,7 +36,10 @@ function interpret(filename, options) {
   };
   System.import(moduleName, {metadata: metadata}).
     catch(function(err) {
-      console.error(err.stack || err + '');
+      if (printErrors)
+        printErrors(err);
+      else
+        console.error(err.stack || err + '');
       process.exit(1);
     });
 }
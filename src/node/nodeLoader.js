@@ -13,6 +13,7 @@
 // limitations under the License.
 
 var fs = require('fs');
+var path = require('path');
 
 function stripShebang(data) {
   if (/^#!/.test(data))
@@ -20,7 +21,95 @@ function stripShebang(data) {
   return data;
 }
 
+function isFile(fileName) {
+  try {
+    return fs.statSync(fileName).isFile();
+  } catch (ex) {
+    return false;
+  }
+}
+
+function isDirectory(dirName) {
+  try {
+    return fs.statSync(dirName).isDirectory();
+  } catch (ex) {
+    return false;
+  }
+}
+
+function fileCandidates(fileName) {
+  return [fileName, fileName + '.js', path.join(fileName, 'index.js')];
+}
+
+/**
+ * The files that can be the entry point of a package. The module field of
+ * the package.json names the ES6 entry point, the main field the CommonJS
+ * one.
+ */
+function entryCandidates(packageDir) {
+  var candidates = [];
+  var packageJson = path.join(packageDir, 'package.json');
+  if (isFile(packageJson)) {
+    var metadata = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+    ['module', 'main'].forEach(function(field) {
+      if (typeof metadata[field] === 'string') {
+        candidates.push.apply(candidates,
+            fileCandidates(path.join(packageDir, metadata[field])));
+      }
+    });
+  }
+  candidates.push(path.join(packageDir, 'index.js'));
+  return candidates;
+}
+
 var nodeLoader = {
+  /**
+   * Resolves a bare module specifier, 'lodash/map.js' for example, to a file
+   * in the closest node_modules directory that has the package, looking in
+   * the directory of the referrer and its ancestors.
+   *
+   * @param {string} name
+   * @param {string} referrer The address of the importing module or, ending
+   *     with a slash, the directory to start looking in.
+   * @param {Array.<string>} tried Filled with the directories tried.
+   * @return {?string} The path of the file or null if no node_modules
+   *     directory has the package.
+   */
+  resolve: function(name, referrer, tried) {
+    // Only files have node_modules directories.
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(referrer))
+      return null;
+
+    var parts = name.split('/');
+    var packageLength = name[0] === '@' ? 2 : 1;
+    var packageName = parts.slice(0, packageLength).join('/');
+    var subPath = parts.slice(packageLength).join('/');
+
+    var dir = /\/$/.test(referrer) ? referrer : path.dirname(referrer);
+    dir = path.resolve(dir);
+    while (true) {
+      var packageDir = path.join(dir, 'node_modules', packageName);
+      tried.push(packageDir);
+      if (isDirectory(packageDir))
+        break;
+      var parent = path.dirname(dir);
+      if (parent === dir)
+        return null;
+      dir = parent;
+    }
+
+    var candidates = subPath ?
+        fileCandidates(path.join(packageDir, subPath)) :
+        entryCandidates(packageDir);
+    for (var i = 0; i < candidates.length; i++) {
+      if (isFile(candidates[i]))
+        return candidates[i].replace(/\\/g, '/');
+    }
+    throw new Error('Cannot find module \'' + name + '\' in ' + packageDir +
+        '. Tried:\n  ' + candidates.join('\n  '));
+  },
+
+
   load: function(url, callback, errback) {
     fs.readFile(url, 'utf8', function(err, data) {
       if (err) {
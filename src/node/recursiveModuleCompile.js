@@ -29,14 +29,26 @@ function revertCwd() {
   process.chdir(cwd);
 }
 
-function recursiveModuleCompileToSingleFile(outputFile, includes, options) {
+/**
+ * @param {string} outputFile
+ * @param {Array.<Object>} includes
+ * @param {Object} options
+ * @param {CompileCache=} cache Used to reuse modules that did not change.
+ * @param {Array.<string>=} fileNames Filled with the names of the files read.
+ * @return {Promise}
+ */
+function recursiveModuleCompileToSingleFile(outputFile, includes, options,
+                                            cache, fileNames) {
   var resolvedOutputFile = path.resolve(outputFile);
   var outputDir = path.dirname(resolvedOutputFile);
 
   // Resolve includes before changing directory.
   var resolvedIncludes = includes.map(function(include) {
-    include.name = path.resolve(include.name);
-    return include;
+    return {
+      name: path.resolve(include.name),
+      type: include.type,
+      format: include.format
+    };
   });
 
   var compiler = new NodeCompiler(options);
@@ -50,27 +62,210 @@ function recursiveModuleCompileToSingleFile(outputFile, includes, options) {
     return include;
   });
 
-  return recursiveModuleCompile(resolvedIncludes, options)
-      .then(function(tree) {
+  var modules = [];
+  return recursiveModuleCompile(resolvedIncludes, options, cache, fileNames,
+                                modules).then(function(tree) {
         compiler.writeTreeToFile(tree, resolvedOutputFile);
+        if (compiler.options_.declarations)
+          compiler.writeModuleDeclarationsToFile(modules, resolvedOutputFile);
       }).then(revertCwd, function(err) {
         revertCwd();
         throw err;
       });
 }
 
-function forEachRecursiveModuleCompile(outputDir, includes, options) {
-  var outputDir = path.resolve(outputDir);
+/**
+ * Compiles |input| along with the modules it imports into a file of the same
+ * name in |outputDir|.
+ *
+ * @param {string} outputDir
+ * @param {Object} input
+ * @param {Object} options
+ * @param {CompileCache=} cache Used to reuse modules that did not change.
+ * @param {Array.<string>=} fileNames Filled with the names of the files read.
+ * @return {Promise}
+ */
+function recursiveModuleCompileToDir(outputDir, input, options, cache,
+                                     fileNames) {
+  var outputFileName = path.join(path.resolve(outputDir), input.name);
   var compiler = new NodeCompiler(options);
+  var modules = [];
+  return recursiveModuleCompile([input], options, cache, fileNames, modules).
+      then(function(tree) {
+        compiler.writeTreeToFile(tree, outputFileName);
+        if (compiler.options_.declarations)
+          compiler.writeModuleDeclarationsToFile(modules, outputFileName);
+      });
+}
 
-  Promise.all(includes.map(function(input) {
-    return recursiveModuleCompile([input], options).then(function(tree) {
-      var outputFileName = path.join(outputDir, input.name);
-      compiler.writeTreeToFile(tree, outputFileName);
+/**
+ * Compiles several entry modules into |outputDir|, sharing the modules they
+ * have in common. The modules that only one entry imports go into the bundle
+ * for that entry, named after it as in recursiveModuleCompileToDir. The
+ * modules that several entries import go into common chunks, one for each
+ * set of entries, named after the paths of the entries: common-a-lib_b.js for
+ * the modules shared by a.js and lib/b.js. Each file is a list of module
+ * registrations, the modules are evaluated when imported.
+ *
+ * A manifest.json in |outputDir| maps each module to its file, and each file
+ * to the files with the modules it imports:
+ *
+ *   {
+ *     "modules": {"a.js": "a.js", "b.js": "b.js", "shared.js": "common-a-b.js"},
+ *     "chunks": {"a.js": ["common-a-b.js"], "b.js": ["common-a-b.js"],
+ *                "common-a-b.js": []}
+ *   }
+ *
+ * Giving the manifest to a TraceurLoader makes it load the files on demand,
+ * see TraceurLoader.chunkManifest.
+ *
+ * @param {string} outputDir
+ * @param {Array.<Object>} includes The entry modules.
+ * @param {Object} options
+ * @param {CompileCache=} cache Used to reuse modules that did not change.
+ * @param {Array.<string>=} fileNames Filled with the names of the files read.
+ * @return {Promise.<Object>} The manifest.
+ */
+function recursiveModuleCompileToChunks(outputDir, includes, options, cache,
+                                        fileNames) {
+  var resolvedOutputDir = path.resolve(outputDir);
+
+  if (options && options.scopeHoisting)
+    throw new Error('Scope hoisting cannot be combined with chunks');
+
+  var resolvedIncludes = includes.map(function(include) {
+    if (include.type !== 'module')
+      throw new Error('Only modules can be split into chunks: ' + include.name);
+    return {
+      name: path.resolve(include.name),
+      outputName: include.name,
+      type: include.type,
+      format: include.format
+    };
+  });
+
+  mkdirRecursive(resolvedOutputDir);
+  process.chdir(resolvedOutputDir);
+
+  // Module names are relative to the output dir, like in a single file.
+  resolvedIncludes.forEach(function(include) {
+    include.name = normalizePath(path.relative(resolvedOutputDir,
+                                               include.name));
+  });
+
+  var modules = [];
+  return recursiveModuleCompile(resolvedIncludes, options, cache, fileNames,
+                                modules).then(function() {
+        var manifest = splitChunks(resolvedIncludes, modules);
+        Object.keys(manifest.chunks).forEach(function(chunkName) {
+          var elements = [];
+          modules.forEach(function(module) {
+            if (manifest.modules[module.name] === chunkName) {
+              elements.push.apply(elements,
+                                  module.transformedTree.scriptItemList);
+            }
+          });
+          var tree = new traceur.syntax.trees.Script(null, elements);
+          new NodeCompiler(options).writeTreeToFile(tree,
+              path.join(resolvedOutputDir, chunkName));
+        });
+        fs.writeFileSync(path.join(resolvedOutputDir, 'manifest.json'),
+                         JSON.stringify(manifest, null, 2) + '\n');
+        return manifest;
+      }).then(function(manifest) {
+        revertCwd();
+        return manifest;
+      }, function(err) {
+        revertCwd();
+        throw err;
+      });
+}
+
+/**
+ * Assigns each module to a chunk, given the entries it is imported by.
+ *
+ * @param {Array.<Object>} includes The entry modules, with an outputName for
+ *     their bundles.
+ * @param {Array.<Object>} modules The compiled modules, in dependency order.
+ * @return {Object} The manifest, see recursiveModuleCompileToChunks.
+ */
+function splitChunks(includes, modules) {
+  var modulesByName = Object.create(null);
+  modules.forEach(function(module) {
+    modulesByName[module.name] = module;
+    module.entries = [];
+  });
+
+  var entryNames = [];
+  modules.forEach(function(module) {
+    module.inputs.forEach(function(index) {
+      entryNames[index] = module.name;
+    });
+  });
+
+  includes.forEach(function(include, index) {
+    (function visit(name) {
+      var module = modulesByName[name];
+      // Modules that are not compiled, like the ones from plugins, and the
+      // modules already visited.
+      if (!module || module.entries.indexOf(index) !== -1)
+        return;
+      module.entries.push(index);
+      module.dependencies.forEach(visit);
+    })(entryNames[index]);
+  });
+
+  var manifest = {modules: {}, chunks: {}};
+  modules.forEach(function(module) {
+    var chunkName;
+    if (module.entries.length === 1) {
+      chunkName = normalizePath(includes[module.entries[0]].outputName);
+    } else {
+      // Entries with the same base name in different directories must not
+      // share a chunk name.
+      chunkName = 'common-' + module.entries.map(function(index) {
+        return normalizePath(includes[index].outputName).
+            replace(/\.js$/, '').replace(/\//g, '_');
+      }).join('-') + '.js';
+    }
+    manifest.modules[module.name] = chunkName;
+    manifest.chunks[chunkName] = manifest.chunks[chunkName] || [];
+  });
+
+  modules.forEach(function(module) {
+    var chunkName = manifest.modules[module.name];
+    var chunkDependencies = manifest.chunks[chunkName];
+    module.dependencies.forEach(function(name) {
+      var dependency = manifest.modules[name];
+      if (dependency && dependency !== chunkName &&
+          chunkDependencies.indexOf(dependency) === -1) {
+        chunkDependencies.push(dependency);
+      }
     });
+  });
+
+  return manifest;
+}
+
+/**
+ * Compiles each of |includes| into |outputDir| and exits the process.
+ *
+ * @param {string} outputDir
+ * @param {Array.<{name: string, type: string, format: string}>} includes
+ * @param {Object} options
+ * @param {CompileCache=} cache
+ * @param {Function=} printErrors Called with the error before exiting when a
+ *     compile fails.
+ */
+function forEachRecursiveModuleCompile(outputDir, includes, options, cache,
+                                       printErrors) {
+  Promise.all(includes.map(function(input) {
+    return recursiveModuleCompileToDir(outputDir, input, options, cache);
   })).then(function() {
     process.exit(0);
-  }, function() {
+  }, function(err) {
+    if (printErrors)
+      printErrors(err);
     process.exit(1);
   });
 }
@@ -78,6 +273,84 @@ function forEachRecursiveModuleCompile(outputDir, includes, options) {
 var TraceurLoader = traceur.runtime.TraceurLoader;
 var InlineLoaderCompiler = traceur.runtime.InlineLoaderCompiler;
 var Options = traceur.util.Options;
+var Compiler = traceur.Compiler;
+
+/**
+ * An InlineLoaderCompiler that reuses the code in |cache| for modules that
+ * did not change since they were last compiled. The key of a module includes
+ * the keys of its dependencies since its output depends on their exports.
+ *
+ * The trees are reused as well, so that compiling again in the same process,
+ * in a watch, only parses the modules that changed and only transforms these
+ * and the modules that import them.
+ *
+ * @param {Array.<ParseTree>} elements
+ * @param {CompileCache} cache
+ * @constructor
+ */
+function CachingLoaderCompiler(elements, cache) {
+  InlineLoaderCompiler.call(this, elements);
+  this.cache_ = cache;
+}
+
+CachingLoaderCompiler.prototype = {
+  __proto__: InlineLoaderCompiler.prototype,
+
+  parseSource: function(codeUnit) {
+    var metadata = codeUnit.metadata;
+    // Kept apart from the transformed tree, which is kept under the name.
+    var name = 'parse:' + codeUnit.type + ':' + codeUnit.normalizedName;
+    var key = this.cache_.treeKey(name, codeUnit.source,
+                                  metadata.traceurOptions);
+    var tree = this.cache_.getTree(name, key);
+    if (tree === null) {
+      tree = InlineLoaderCompiler.prototype.parseSource.call(this, codeUnit);
+      this.cache_.setTree(name, key, tree);
+    }
+    return tree;
+  },
+
+  transform: function(codeUnit) {
+    var metadata = codeUnit.metadata;
+    var dependencyKeys = codeUnit.dependencies.map(function(dependency) {
+      return dependency.metadata.cacheKey || dependency.normalizedName;
+    });
+    var name = codeUnit.type + ':' + codeUnit.normalizedName;
+    // With tree shaking the output depends on the exports the other modules
+    // use.
+    if (metadata.usedExports)
+      name += ':' + metadata.usedExports.join(',');
+    var key = metadata.cacheKey = this.cache_.key(name, codeUnit.source,
+        metadata.traceurOptions, dependencyKeys);
+    var tree = this.cache_.getTree(name, key);
+    if (tree !== null) {
+      metadata.transformedTree = tree;
+      metadata.fromCache = true;
+      return;
+    }
+    var code = this.cache_.get(key);
+    if (code === null) {
+      InlineLoaderCompiler.prototype.transform.call(this, codeUnit);
+    } else {
+      // The cached code is already compiled so it only needs to be parsed.
+      var options = new Options(metadata.traceurOptions);
+      options.script = true;
+      metadata.transformedTree =
+          new Compiler(options).parse(code, metadata.sourceName);
+      metadata.fromCache = true;
+    }
+    this.cache_.setTree(name, key, metadata.transformedTree);
+  },
+
+  write: function(codeUnit) {
+    // The code is only written for the cache.
+    if (codeUnit.metadata.fromCache)
+      return;
+    InlineLoaderCompiler.prototype.write.call(this, codeUnit);
+    var metadata = codeUnit.metadata;
+    this.cache_.set(metadata.cacheKey, metadata.transcoded);
+  }
+};
 
 /**
  * Chains .then() calls along a list after applying a function. The function
@@ -111,8 +384,15 @@ function sequencePromises(list, f) {
  *     indicates that recursiveModuleCompile has returned successfully from a
  *     non-compile request.
  * @param {Function} errback Callback used to return errors.
+ * @param {CompileCache=} cache Used to reuse modules that did not change.
+ * @param {Array.<string>=} fileNames Filled with the names of the files read.
+ * @param {Array.<Object>=} modules Filled with the names, the trees and the
+ *     dependencies of the compiled modules, and the indexes of the inputs
+ *     they were loaded for, for writing their declarations and splitting them
+ *     into chunks.
  */
-function recursiveModuleCompile(fileNamesAndTypes, options) {
+function recursiveModuleCompile(fileNamesAndTypes, options, cache, fileNames,
+                                modules) {
   var depTarget = options && options.depTarget;
   var referrerName = options && options.referrer;
 
@@ -120,9 +400,24 @@ function recursiveModuleCompile(fileNamesAndTypes, options) {
   basePath = basePath.replace(/\\/g, '/');
 
   var elements = [];
-  var loaderCompiler = new InlineLoaderCompiler(elements);
+  // With scope hoisting the modules are compiled together so there is
+  // nothing to cache.
+  var loaderCompiler = cache && !(options && options.scopeHoisting) ?
+      new CachingLoaderCompiler(elements, cache) :
+      new InlineLoaderCompiler(elements);
 
-  var loader = new TraceurLoader(nodeLoader, basePath, loaderCompiler);
+  var fileLoader = nodeLoader;
+  if (fileNames) {
+    fileLoader = {
+      load: function(url, callback, errback) {
+        fileNames.push(url);
+        return nodeLoader.load(url, callback, errback);
+      },
+      resolve: nodeLoader.resolve
+    };
+  }
+
+  var loader = new TraceurLoader(fileLoader, basePath, loaderCompiler);
 
   function appendEvaluateModule(name) {
     var normalizedName =
@@ -152,13 +447,60 @@ function recursiveModuleCompile(fileNamesAndTypes, options) {
     };
 
     return loadFunction.call(loader, name, loadOptions).then(function() {
-      if (doEvaluateModule) {
+      return doEvaluateModule ? name : null;
+    });
+  }
+
+  function appendEvaluateModules(names) {
+    names.forEach(function(name) {
+      if (name !== null)
         appendEvaluateModule(name);
-      }
     });
   }
 
-  return sequencePromises(fileNamesAndTypes, loadInput).then(function() {
+  var loaded;
+  if (options && options.treeShaking) {
+    // Tree shaking needs to see all the modules that import a module before
+    // compiling it, so load all the inputs together.
+    loaded = Promise.all(fileNamesAndTypes.map(loadInput)).
+        then(appendEvaluateModules);
+  } else {
+    loaded = sequencePromises(fileNamesAndTypes, function(input) {
+      return loadInput(input).then(function(name) {
+        appendEvaluateModules([name]);
+      });
+    });
+  }
+
+  return loaded.then(function() {
+    if (modules) {
+      // Like the InternalLoader, resolve the inputs without a referrer
+      // against the baseURL.
+      var inputNames = fileNamesAndTypes.map(function(input) {
+        return loader.normalize(input.name,
+            referrerName === undefined ? basePath : referrerName);
+      });
+      loaderCompiler.moduleCodeUnits.forEach(function(codeUnit) {
+        var name = codeUnit.normalizedName;
+        var inputs = [];
+        inputNames.forEach(function(inputName, index) {
+          if (inputName === name)
+            inputs.push(index);
+        });
+        modules.push({
+          name: name,
+          inputs: inputs,
+          tree: codeUnit.metadata.tree,
+          transformedTree: codeUnit.metadata.transformedTree,
+          dependencies: codeUnit.dependencies.map(function(dependency) {
+            return dependency.normalizedName;
+          }),
+          normalize: function(specifier) {
+            return loader.normalize(specifier, name);
+          }
+        });
+      });
+    }
     if (depTarget) {
       return null;
     } else {
@@ -168,4 +510,6 @@ function recursiveModuleCompile(fileNamesAndTypes, options) {
 }
 
 exports.recursiveModuleCompileToSingleFile = recursiveModuleCompileToSingleFile;
+exports.recursiveModuleCompileToDir = recursiveModuleCompileToDir;
+exports.recursiveModuleCompileToChunks = recursiveModuleCompileToChunks;
 exports.forEachRecursiveModuleCompile = forEachRecursiveModuleCompile;
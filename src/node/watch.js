@@ -0,0 +1,144 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Promise = require('rsvp').Promise;
+
+// Editors tend to write a file in several steps so wait a bit for the changes
+// to settle before building.
+var DELAY = 100;
+
+/**
+ * Builds targets and builds them again when the files they read change.
+ *
+ * A target is a function that writes some output and returns a promise. It is
+ * passed an array to fill with the names of the files it read. Only the
+ * targets that read a changed file are built again.
+ *
+ * @param {function(Error)} onError Called when a build fails. The watcher
+ *     keeps running.
+ * @constructor
+ */
+function Watcher(onError) {
+  this.onError_ = onError;
+  this.targets_ = [];
+  this.watchers_ = Object.create(null);
+  this.changed_ = Object.create(null);
+  this.timeout_ = null;
+  this.queue_ = Promise.resolve();
+}
+
+Watcher.prototype = {
+  /**
+   * @param {function(Array.<string>): Promise} build
+   * @return {Promise} Resolved when the target has been built for the first
+   *     time.
+   */
+  add: function(build) {
+    var target = {build: build, fileNames: []};
+    this.targets_.push(target);
+    return this.enqueue_(function() {
+      return this.build_(target);
+    });
+  },
+
+  close: function() {
+    clearTimeout(this.timeout_);
+    this.timeout_ = null;
+    Object.keys(this.watchers_).forEach(function(fileName) {
+      this.watchers_[fileName].close();
+    }, this);
+    this.watchers_ = Object.create(null);
+    this.targets_ = [];
+  },
+
+  enqueue_: function(f) {
+    return this.queue_ = this.queue_.then(f.bind(this));
+  },
+
+  build_: function(target) {
+    var fileNames = [];
+    var done = function(failed) {
+      // The watcher was closed while building.
+      if (this.targets_.indexOf(target) === -1)
+        return;
+      fileNames = fileNames.map(function(fileName) {
+        return path.resolve(fileName);
+      });
+      // A failed build may not have read all of its files, so keep watching
+      // the ones from the earlier build as well.
+      if (failed) {
+        fileNames = fileNames.concat(target.fileNames.filter(function(name) {
+          return fileNames.indexOf(name) === -1;
+        }));
+      }
+      target.fileNames = fileNames;
+      fileNames.forEach(this.watch_, this);
+    }.bind(this);
+
+    return target.build(fileNames).then(function() {
+      done(false);
+    }, function(err) {
+      done(true);
+      this.onError_(err);
+    }.bind(this));
+  },
+
+  watch_: function(fileName) {
+    if (fileName in this.watchers_)
+      return;
+    try {
+      this.watchers_[fileName] =
+          fs.watch(fileName, this.handleChange_.bind(this, fileName));
+    } catch (ex) {
+      // The file is gone. It is watched again when a build reads it.
+    }
+  },
+
+  handleChange_: function(fileName) {
+    this.changed_[fileName] = true;
+    if (!this.timeout_)
+      this.timeout_ = setTimeout(this.rebuild_.bind(this), DELAY);
+  },
+
+  rebuild_: function() {
+    this.timeout_ = null;
+    var changed = this.changed_;
+    this.changed_ = Object.create(null);
+
+    // Editors that save by replacing the file end the watch on the old one.
+    // The builds below watch the new file.
+    Object.keys(changed).forEach(function(fileName) {
+      if (fileName in this.watchers_) {
+        this.watchers_[fileName].close();
+        delete this.watchers_[fileName];
+      }
+    }, this);
+
+    this.targets_.filter(function(target) {
+      return target.fileNames.some(function(fileName) {
+        return fileName in changed;
+      });
+    }).forEach(function(target) {
+      this.enqueue_(function() {
+        return this.build_(target);
+      });
+    }, this);
+  }
+};
+
+exports.Watcher = Watcher;
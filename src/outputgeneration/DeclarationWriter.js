@@ -0,0 +1,502 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import {DirectExportVisitor} from
+    '../codegeneration/module/DirectExportVisitor.js';
+import {Map} from '../runtime/polyfills/Map.js';
+import {ParseTreeWriter} from './ParseTreeWriter.js';
+import {
+  BINDING_IDENTIFIER,
+  CLASS_DECLARATION,
+  CLASS_EXPRESSION,
+  COMPUTED_PROPERTY_NAME,
+  EXPORT_DECLARATION,
+  EXPORT_DEFAULT,
+  EXPORT_SPECIFIER,
+  FUNCTION_DECLARATION,
+  FUNCTION_EXPRESSION,
+  GET_ACCESSOR,
+  IDENTIFIER_EXPRESSION,
+  IMPORT_DECLARATION,
+  INTERFACE_DECLARATION,
+  LITERAL_EXPRESSION,
+  MODULE_DECLARATION,
+  NAMED_EXPORT,
+  REST_PARAMETER,
+  TEMPLATE_LITERAL_EXPRESSION,
+  VARIABLE_STATEMENT
+} from '../syntax/trees/ParseTreeType.js';
+import {CONSTRUCTOR} from '../syntax/PredefinedName.js';
+import {
+  CLASS,
+  CLOSE_PAREN,
+  COLON,
+  COMMA,
+  DEFAULT,
+  DOT_DOT_DOT,
+  EXPORT,
+  EXTENDS,
+  FALSE,
+  FUNCTION,
+  NUMBER,
+  OPEN_PAREN,
+  QUESTION,
+  SEMI_COLON,
+  STATIC,
+  STRING,
+  TRUE,
+  VAR
+} from '../syntax/TokenType.js';
+
+var ANY = 'any';
+var DECLARE = 'declare';
+var DEFAULT_NAME = '_default';
+var MODULE = 'module';
+
+/**
+ * The type of a binding without an annotation. Only literals are inferred.
+ * @param {ParseTree} initializer
+ * @return {string}
+ */
+function inferType(initializer) {
+  if (initializer === null)
+    return ANY;
+  switch (initializer.type) {
+    case LITERAL_EXPRESSION:
+      switch (initializer.literalToken.type) {
+        case NUMBER:
+          return 'number';
+        case STRING:
+          return 'string';
+        case TRUE:
+        case FALSE:
+          return 'boolean';
+      }
+      break;
+    case TEMPLATE_LITERAL_EXPRESSION:
+      if (initializer.operand === null)
+        return 'string';
+      break;
+  }
+  return ANY;
+}
+
+/**
+ * Writes a TypeScript declaration file (.d.ts) for the exports of a module:
+ *
+ *   import {Point} from './point.js';
+ *   export class Circle {
+ *     constructor(center: Point, radius: number) { ... }
+ *     get area(): number { ... }
+ *   }
+ *   export function unit(center = origin) { ... }
+ *
+ *   =>
+ *
+ *   import {Point} from './point.js';
+ *   export declare class Circle {
+ *     constructor(center: Point, radius: number);
+ *     area: number;
+ *   }
+ *   export declare function unit(center?: any): any;
+ *
+ * The tree must not have been transformed since the transformers remove the
+ * type annotations. Anything that is not annotated is written as any.
+ *
+ * Interfaces cannot be exported but they are only useful to the users of the
+ * module so they are all written as exported.
+ */
+export class DeclarationWriter extends ParseTreeWriter {
+  /**
+   * @param {{prettyPrint: boolean=}=} options
+   * @param {string=} moduleName When given the declarations are written to a
+   *     `declare module` block of this name, which allows several modules to
+   *     share a declaration file.
+   * @param {function(string): string=} normalize Maps the module specifiers
+   *     of the imports and exports to the names of the modules. A declare
+   *     module block cannot refer to other modules by relative names.
+   */
+  constructor(options = undefined, moduleName = undefined,
+              normalize = (name) => name) {
+    super(options);
+    this.moduleName_ = moduleName;
+    this.normalize_ = normalize;
+    this.locals_ = null;
+    this.written_ = null;
+    this.superClassNames_ = null;
+    this.declarationTypes_ = null;
+    this.getterNames_ = null;
+  }
+
+  visitScript(tree) {
+    // Scripts have no exports.
+  }
+
+  visitModule(tree) {
+    this.locals_ = Object.create(null);
+    this.written_ = Object.create(null);
+    this.superClassNames_ = [];
+    this.declarationTypes_ = new Map();
+    tree.scriptItemList.forEach((item) => {
+      this.addLocal_(
+          item.type === EXPORT_DECLARATION ? item.declaration : item);
+    });
+
+    if (this.moduleName_) {
+      this.write_(DECLARE);
+      this.write_(MODULE);
+      this.writeSpace_();
+      this.write_(JSON.stringify(this.moduleName_));
+      this.writeSpace_();
+      this.writeOpenCurly_();
+      this.writeln_();
+    }
+
+    // The annotations may refer to the imported types.
+    tree.scriptItemList.forEach((item) => {
+      if (item.type === IMPORT_DECLARATION ||
+          item.type === MODULE_DECLARATION) {
+        this.visitAny(item);
+        this.writeln_();
+      }
+    });
+
+    // Interfaces cannot be exported by declaration, an export {I} below
+    // exports them.
+    tree.scriptItemList.forEach((item) => {
+      if (item.type === INTERFACE_DECLARATION) {
+        this.visitAny(item);
+        this.writeln_();
+      }
+    });
+
+    var exportVisitor = new DirectExportVisitor();
+    exportVisitor.visitAny(tree);
+    var specifiers = [];
+    exportVisitor.namedExports.forEach(({tree, moduleSpecifier}) => {
+      switch (tree.type) {
+        case EXPORT_DEFAULT:
+          this.writeExportDefault_(tree.expression);
+          break;
+        case EXPORT_SPECIFIER:
+          // Exports from other modules are written as is below.
+          if (moduleSpecifier === null)
+            specifiers.push(tree);
+          break;
+        default:
+          this.writeDeclaration_(tree, true);
+      }
+    });
+    // After the exported declarations so that these are not written twice.
+    specifiers.forEach((tree) => this.writeLocal_(tree.lhs.value));
+    // The local classes the written classes extend. This grows while the
+    // superclasses are written.
+    for (var i = 0; i < this.superClassNames_.length; i++) {
+      this.writeLocal_(this.superClassNames_[i]);
+    }
+
+    // export {a as b}, export {c} from 'd' and export * from 'e'.
+    tree.scriptItemList.forEach((item) => {
+      if (item.type === EXPORT_DECLARATION &&
+          item.declaration.type === NAMED_EXPORT) {
+        this.visitAny(item);
+        this.writeln_();
+      }
+    });
+
+    if (this.moduleName_) {
+      this.writeCloseCurly_();
+      this.writeln_();
+    }
+  }
+
+  addLocal_(tree) {
+    switch (tree.type) {
+      case CLASS_DECLARATION:
+      case FUNCTION_DECLARATION:
+        this.locals_[tree.name.getStringValue()] = tree;
+        break;
+      case VARIABLE_STATEMENT:
+        var list = tree.declarations;
+        list.declarations.forEach((declaration) => {
+          if (declaration.lvalue.type === BINDING_IDENTIFIER) {
+            this.locals_[declaration.lvalue.getStringValue()] = declaration;
+            this.declarationTypes_.set(declaration, list.declarationType);
+          }
+        });
+        break;
+    }
+  }
+
+  /**
+   * Writes the declaration of a binding that is exported by name only, as in
+   * `export {a as b}` or `export default a`.
+   * @param {string} name
+   */
+  writeLocal_(name) {
+    var tree = this.locals_[name];
+    if (tree && !(name in this.written_))
+      this.writeDeclaration_(tree, false);
+  }
+
+  /**
+   * @param {ClassDeclaration|FunctionDeclaration|VariableDeclaration} tree
+   * @param {boolean} exported
+   */
+  writeDeclaration_(tree, exported) {
+    if (exported)
+      this.write_(EXPORT);
+    // Declarations in a declare module block are already ambient.
+    if (!this.moduleName_)
+      this.write_(DECLARE);
+    switch (tree.type) {
+      case CLASS_DECLARATION:
+        this.writeClass_(tree);
+        break;
+      case FUNCTION_DECLARATION:
+        this.writeFunction_(tree);
+        break;
+      default:
+        this.writeVariable_(tree);
+    }
+    this.writeln_();
+  }
+
+  writeExportDefault_(expression) {
+    switch (expression.type) {
+      case CLASS_DECLARATION:
+      case CLASS_EXPRESSION:
+        this.write_(EXPORT);
+        this.write_(DEFAULT);
+        this.writeClass_(expression);
+        this.writeln_();
+        return;
+      case FUNCTION_DECLARATION:
+      case FUNCTION_EXPRESSION:
+        this.write_(EXPORT);
+        this.write_(DEFAULT);
+        this.writeFunction_(expression);
+        this.writeln_();
+        return;
+    }
+
+    var name;
+    if (expression.type === IDENTIFIER_EXPRESSION &&
+        expression.identifierToken.value in this.locals_) {
+      name = expression.identifierToken.value;
+      this.writeLocal_(name);
+    } else {
+      name = DEFAULT_NAME;
+      if (!this.moduleName_)
+        this.write_(DECLARE);
+      this.write_(VAR);
+      this.write_(DEFAULT_NAME);
+      this.write_(COLON);
+      this.writeSpace_();
+      this.write_(inferType(expression));
+      this.write_(SEMI_COLON);
+      this.writeln_();
+    }
+    this.write_(EXPORT);
+    this.write_(DEFAULT);
+    this.write_(name);
+    this.write_(SEMI_COLON);
+    this.writeln_();
+  }
+
+  /**
+   * @param {ClassDeclaration|ClassExpression} tree The expression of an
+   *     anonymous export default has no name.
+   */
+  writeClass_(tree) {
+    this.write_(CLASS);
+    if (tree.name !== null) {
+      this.written_[tree.name.getStringValue()] = true;
+      this.visitAny(tree.name);
+    }
+    if (tree.typeParameters !== null) {
+      this.visitAny(tree.typeParameters);
+      this.writeSpace_();
+    }
+    if (tree.superClass !== null) {
+      this.write_(EXTENDS);
+      this.writeSpace_();
+      this.visitAny(tree.superClass);
+      var superClass = tree.superClass;
+      if (superClass.type === IDENTIFIER_EXPRESSION &&
+          superClass.identifierToken.value in this.locals_) {
+        this.superClassNames_.push(superClass.identifierToken.value);
+      }
+    }
+    this.writeSpace_();
+
+    // A getter and setter pair is written as one property.
+    this.getterNames_ = Object.create(null);
+    tree.elements.forEach((element) => {
+      if (element.type === GET_ACCESSOR &&
+          element.name.type !== COMPUTED_PROPERTY_NAME) {
+        this.getterNames_[element.name.literalToken.value] = true;
+      }
+    });
+
+    this.writeOpenCurly_();
+    this.writelnList_(tree.elements);
+    this.writeCloseCurly_();
+  }
+
+  /**
+   * @param {FunctionDeclaration|FunctionExpression} tree The expression of an
+   *     anonymous export default has no name.
+   */
+  writeFunction_(tree) {
+    this.write_(FUNCTION);
+    if (tree.name !== null) {
+      this.written_[tree.name.getStringValue()] = true;
+      this.visitAny(tree.name);
+    }
+    this.writeParameters_(tree.parameterList);
+    this.writeType_(tree.typeAnnotation);
+    this.write_(SEMI_COLON);
+  }
+
+  /**
+   * @param {VariableDeclaration} tree
+   */
+  writeVariable_(tree) {
+    this.written_[tree.lvalue.getStringValue()] = true;
+    this.write_(this.declarationTypes_.get(tree));
+    this.visitAny(tree.lvalue);
+    if (tree.typeAnnotation !== null) {
+      this.writeType_(tree.typeAnnotation);
+    } else {
+      this.write_(COLON);
+      this.writeSpace_();
+      this.write_(inferType(tree.initializer));
+    }
+    this.write_(SEMI_COLON);
+  }
+
+  /**
+   * @param {FormalParameterList} tree
+   */
+  writeParameters_(tree) {
+    // Parameters with initializers are optional unless a parameter that is
+    // not optional follows them.
+    var firstOptional = tree.parameters.length;
+    while (firstOptional > 0) {
+      var parameter = tree.parameters[firstOptional - 1].parameter;
+      if (parameter.type !== REST_PARAMETER && parameter.initializer === null)
+        break;
+      firstOptional--;
+    }
+
+    this.write_(OPEN_PAREN);
+    tree.parameters.forEach((formal, index) => {
+      if (index > 0) {
+        this.write_(COMMA);
+        this.writeSpace_();
+      }
+      var parameter = formal.parameter;
+      if (parameter.type === REST_PARAMETER) {
+        this.write_(DOT_DOT_DOT);
+        this.visitAny(parameter.identifier);
+        this.write_(COLON);
+        this.writeSpace_();
+        var typeAnnotation = formal.typeAnnotation || parameter.typeAnnotation;
+        if (typeAnnotation !== null)
+          this.visitAny(typeAnnotation);
+        else
+          this.write_(ANY + '[]');
+        return;
+      }
+      // Patterns cannot be written without their initializers.
+      if (parameter.binding.type === BINDING_IDENTIFIER)
+        this.visitAny(parameter.binding);
+      else
+        this.write_('arg' + index);
+      if (index >= firstOptional)
+        this.write_(QUESTION);
+      if (formal.typeAnnotation !== null) {
+        this.writeType_(formal.typeAnnotation);
+      } else {
+        this.write_(COLON);
+        this.writeSpace_();
+        this.write_(inferType(parameter.initializer));
+      }
+    });
+    this.write_(CLOSE_PAREN);
+  }
+
+  /**
+   * @param {ParseTree} typeAnnotation
+   */
+  writeType_(typeAnnotation) {
+    this.write_(COLON);
+    this.writeSpace_();
+    if (typeAnnotation !== null)
+      this.visitAny(typeAnnotation);
+    else
+      this.write_(ANY);
+  }
+
+  writeMemberName_(tree) {
+    if (tree.isStatic)
+      this.write_(STATIC);
+    this.visitAny(tree.name);
+  }
+
+  visitModuleSpecifier(tree) {
+    var name = tree.token.processedValue;
+    var normalizedName = this.normalize_(name);
+    if (normalizedName === name)
+      super.visitModuleSpecifier(tree);
+    else
+      this.write_(JSON.stringify(normalizedName));
+  }
+
+  visitPropertyMethodAssignment(tree) {
+    if (tree.name.type === COMPUTED_PROPERTY_NAME)
+      return;
+    this.writeMemberName_(tree);
+    this.writeParameters_(tree.parameterList);
+    if (tree.isStatic || tree.name.literalToken.value !== CONSTRUCTOR)
+      this.writeType_(tree.typeAnnotation);
+    this.write_(SEMI_COLON);
+  }
+
+  visitGetAccessor(tree) {
+    if (tree.name.type === COMPUTED_PROPERTY_NAME)
+      return;
+    this.writeMemberName_(tree);
+    this.writeType_(tree.typeAnnotation);
+    this.write_(SEMI_COLON);
+  }
+
+  visitSetAccessor(tree) {
+    if (tree.name.type === COMPUTED_PROPERTY_NAME ||
+        tree.name.literalToken.value in this.getterNames_) {
+      return;
+    }
+    this.writeMemberName_(tree);
+    this.writeType_(tree.parameterList.parameters[0].typeAnnotation);
+    this.write_(SEMI_COLON);
+  }
+
+  visitPropertyVariableDeclaration(tree) {
+    this.writeMemberName_(tree);
+    this.writeType_(tree.typeAnnotation);
+    this.write_(SEMI_COLON);
+  }
+}
@@ -29,7 +29,8 @@ import {
   FROM,
   GET,
   OF,
-  SET
+  SET,
+  TARGET
 } from '../syntax/PredefinedName.js';
 import {
   isIdentifierPart,
@@ -590,6 +591,24 @@ export class ParseTreeWriter extends ParseTreeVisitor {
     this.visitAny(tree.block);
   }
 
+  /**
+   * @param {ForAwaitStatement} tree
+   */
+  visitForAwaitStatement(tree) {
+    this.write_(FOR);
+    this.writeSpace_();
+    this.write_(AWAIT);
+    this.writeSpace_();
+    this.write_(OPEN_PAREN);
+    this.visitAny(tree.initializer);
+    this.writeSpace_();
+    this.write_(OF);
+    this.writeSpace_();
+    this.visitAny(tree.collection);
+    this.write_(CLOSE_PAREN);
+    this.visitAnyBlockOrIndent_(tree.body);
+  }
+
   /**
    * @param {ForOfStatement} tree
    */
@@ -697,9 +716,13 @@ export class ParseTreeWriter extends ParseTreeVisitor {
     this.writeAnnotations_(tree.annotations);
     if (tree.isAsyncFunction())
       this.write_(tree.functionKind);
+    if (tree.isAsyncGenerator())
+      this.write_(ASYNC);
     this.write_(FUNCTION);
     if (tree.isGenerator())
       this.write_(tree.functionKind);
+    if (tree.isAsyncGenerator())
+      this.write_(STAR);
 
     if (tree.name) {
       this.writeSpace_();
@@ -841,6 +864,16 @@ export class ParseTreeWriter extends ParseTreeVisitor {
       }
   }
 
+  /**
+   * @param {ImportCall} tree
+   */
+  visitImportCall(tree) {
+    this.write_(IMPORT);
+    this.write_(OPEN_PAREN);
+    this.visitAny(tree.expression);
+    this.write_(CLOSE_PAREN);
+  }
+
   /**
    * @param {ImportDeclaration} tree
    */
@@ -942,6 +975,14 @@ export class ParseTreeWriter extends ParseTreeVisitor {
     this.write_(SEMI_COLON);
   }
 
+  /**
+   * @param {ErrorTree} tree
+   */
+  visitErrorTree(tree) {
+    this.write_(`throw SyntaxError(${JSON.stringify(tree.message)})`);
+    this.write_(SEMI_COLON);
+  }
+
   /**
    * @param {SyntaxErrorTree} tree
    */
@@ -989,6 +1030,15 @@ export class ParseTreeWriter extends ParseTreeVisitor {
     this.visitAny(tree.args);
   }
 
+  /**
+   * @param {NewTargetExpression} tree
+   */
+  visitNewTargetExpression(tree) {
+    this.write_(NEW);
+    this.write_(PERIOD);
+    this.write_(TARGET);
+  }
+
   /**
    * @param {ObjectLiteralExpression} tree
    */
@@ -1083,6 +1133,11 @@ export class ParseTreeWriter extends ParseTreeVisitor {
     if (tree.isAsyncFunction())
       this.write_(ASYNC);
 
+    if (tree.isAsyncGenerator()) {
+      this.write_(ASYNC);
+      this.write_(STAR);
+    }
+
     this.visitAny(tree.name);
     this.write_(OPEN_PAREN);
     this.visitAny(tree.parameterList);
@@ -0,0 +1,116 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {isAbsolute, resolveUrl} from '../util/url.js';
+
+/*
+  An import map maps bare module specifiers to addresses:
+
+    {
+      "imports": {
+        "moment": "/node_modules/moment/src/moment.js",
+        "lodash/": "/node_modules/lodash-es/"
+      },
+      "scopes": {
+        "/legacy/": {
+          "lodash/": "/node_modules/lodash-3/"
+        }
+      }
+    }
+
+  Keys ending with a slash map all specifiers that start with them, so
+  'lodash/map.js' maps to '/node_modules/lodash-es/map.js'. The entries of
+  the most specific scope that contains the importing module win over the top
+  level imports.
+*/
+
+function isUrlLike(name) {
+  return isAbsolute(name) || /^\.\.?\//.test(name);
+}
+
+/**
+ * @param {Object} imports
+ * @param {string} baseURL
+ * @return {Array.<{key: string, address: string}>} The entries, most
+ *     specific first.
+ */
+function parseImports(imports, baseURL) {
+  return Object.keys(imports).map((key) => {
+    var address = imports[key];
+    if (typeof address !== 'string')
+      throw new TypeError(`Import map address for '${key}' must be a string`);
+    if (!isUrlLike(address)) {
+      throw new TypeError(
+          `Import map address '${address}' for '${key}' must start with ` +
+          `'/', './' or '../'`);
+    }
+    if (/\/$/.test(key) && !/\/$/.test(address)) {
+      throw new TypeError(
+          `Import map address '${address}' for '${key}' must end with '/'`);
+    }
+    return {key, address: resolveUrl(baseURL, address)};
+  }).sort((a, b) => b.key.length - a.key.length);
+}
+
+function resolveInImports(specifier, imports) {
+  for (var i = 0; i < imports.length; i++) {
+    var {key, address} = imports[i];
+    if (key === specifier)
+      return address;
+    if (/\/$/.test(key) && specifier.indexOf(key) === 0)
+      return address + specifier.slice(key.length);
+  }
+  return null;
+}
+
+export class ImportMap {
+  /**
+   * @param {Object|string} config The import map or its JSON text.
+   * @param {string=} baseURL The addresses and scopes are resolved against
+   *     this.
+   */
+  constructor(config, baseURL = '') {
+    if (typeof config === 'string')
+      config = JSON.parse(config);
+    this.imports_ = parseImports(config.imports || {}, baseURL);
+    var scopes = config.scopes || {};
+    this.scopes_ = Object.keys(scopes).map((prefix) => {
+      return {
+        prefix: resolveUrl(baseURL, prefix),
+        imports: parseImports(scopes[prefix], baseURL)
+      };
+    }).sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  /**
+   * @param {string} specifier A bare specifier.
+   * @param {?string} referrerAddress The address of the importing module.
+   * @return {?string} The address the specifier maps to or null if it is not
+   *     in the map.
+   */
+  resolve(specifier, referrerAddress) {
+    if (referrerAddress) {
+      for (var i = 0; i < this.scopes_.length; i++) {
+        var {prefix, imports} = this.scopes_[i];
+        if (referrerAddress === prefix ||
+            /\/$/.test(prefix) && referrerAddress.indexOf(prefix) === 0) {
+          var address = resolveInImports(specifier, imports);
+          if (address !== null)
+            return address;
+        }
+      }
+    }
+    return resolveInImports(specifier, this.imports_);
+  }
+}
@@ -12,24 +12,114 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {Compiler} from '../Compiler.js';
 import {LoaderCompiler} from './LoaderCompiler.js';
+import {MODULE} from '../syntax/trees/ParseTreeType.js';
 import {Script} from '../syntax/trees/ParseTrees.js';
+import {ScopeHoister} from '../codegeneration/module/ScopeHoister.js';
+import {UniqueIdentifierGenerator} from
+    '../codegeneration/UniqueIdentifierGenerator.js';
+import {eliminateDeadExports} from
+    '../codegeneration/module/DeadExportEliminator.js';
+
+/**
+ * Whether the module is merged with the others in its bundle, see
+ * ScopeHoister.
+ * @param {CodeUnit} codeUnit
+ * @return {boolean}
+ */
+function isHoisted(codeUnit) {
+  var metadata = codeUnit.metadata;
+  return codeUnit.type === 'module' && metadata.traceurOptions.scopeHoisting &&
+      metadata.tree.type === MODULE;
+}
 
 export class InlineLoaderCompiler extends LoaderCompiler {
 
   constructor(elements) {
     super();
     this.elements = elements;
+    // The code units of the modules in the output, in order.
+    this.moduleCodeUnits = [];
+    // With scope hoisting the modules are only compiled once they have all
+    // been loaded. They go where the first one would have gone.
+    this.hoistedCodeUnits_ = [];
+    this.hoistIndex_ = -1;
+    this.loader_ = null;
+  }
+
+  analyzeDependencies(dependencies, loader) {
+    this.loader_ = loader;
+    var deps = super.analyzeDependencies(dependencies, loader);
+    var codeUnits = dependencies.filter(
+        (codeUnit) => deps.indexOf(codeUnit.metadata.moduleSymbol) !== -1);
+    if (codeUnits.some(
+        (codeUnit) => codeUnit.metadata.traceurOptions.treeShaking)) {
+      var entries = codeUnits.filter((codeUnit) => codeUnit.isRoot).
+          map((codeUnit) => codeUnit.metadata.moduleSymbol);
+      var usedExports = eliminateDeadExports(deps, entries, loader);
+      codeUnits.forEach((codeUnit) => {
+        var metadata = codeUnit.metadata;
+        metadata.tree = metadata.moduleSymbol.tree;
+        metadata.usedExports = usedExports.get(metadata.moduleSymbol);
+      });
+    }
+    return deps;
+  }
+
+  transform(codeUnit) {
+    if (!isHoisted(codeUnit))
+      super.transform(codeUnit);
+  }
+
+  write(codeUnit) {
+    if (!isHoisted(codeUnit))
+      super.write(codeUnit);
   }
 
   evaluateCodeUnit(codeUnit) {
+    if (isHoisted(codeUnit)) {
+      if (this.hoistIndex_ === -1)
+        this.hoistIndex_ = this.elements.length;
+      this.hoistedCodeUnits_.push(codeUnit);
+      this.moduleCodeUnits.push(codeUnit);
+      return;
+    }
     // Don't eval. Instead append the trees to the output.
     var tree = codeUnit.metadata.transformedTree;
     this.elements.push(...tree.scriptItemList);
+    if (codeUnit.type === 'module')
+      this.moduleCodeUnits.push(codeUnit);
   }
 
   toTree() {
-    return new Script(null, this.elements);
+    var elements = this.elements;
+    if (this.hoistedCodeUnits_.length > 0) {
+      elements = elements.slice();
+      elements.splice(this.hoistIndex_, 0, ...this.hoistModules_());
+    }
+    return new Script(null, elements);
+  }
+
+  hoistModules_() {
+    var codeUnits = this.hoistedCodeUnits_;
+    var options = codeUnits[0].metadata.traceurOptions;
+    if (options.modules !== 'register' && options.modules !== 'inline') {
+      throw new Error(
+          'Scope hoisting needs the register or inline module format');
+    }
+
+    var hoister = new ScopeHoister(new UniqueIdentifierGenerator(),
+        (specifier, referrerName) =>
+            this.loader_.getExportsListForModuleSpecifier(specifier,
+                                                          referrerName));
+    codeUnits.forEach((codeUnit) => {
+      hoister.addModule(codeUnit.metadata.moduleSymbol);
+    });
+    var entries = codeUnits.filter((codeUnit) => codeUnit.isRoot).
+        map((codeUnit) => codeUnit.normalizedName);
+    var tree = new Script(null, hoister.hoist(entries, options.modules));
+    return new Compiler(options).transform(tree).scriptItemList;
   }
 }
 
@@ -74,11 +74,29 @@ class CodeUnit {
       this.result = null;
       this.metadata_ = {};
       this.dependencies = [];
+      // The loader plugin that translates or instantiates the module, if any.
+      this.plugin = null;
+      // Whether the code unit was loaded directly, rather than imported.
+      this.isRoot = false;
       this.resolve = res;
       this.reject = rej;
     });
   }
 
+  /**
+   * @return {string} The name the code unit was specified as.
+   */
+  get name() {
+    return this.name_;
+  }
+
+  /**
+   * @return {string} The normalized name of the code unit that imported it.
+   */
+  get referrerName() {
+    return this.referrerName_;
+  }
+
   get state() {
     return this.state_;
   }
@@ -168,6 +186,9 @@ class BundledCodeUnit extends CodeUnit {
  */
 class HookedCodeUnit extends CodeUnit {
   getModuleSpecifiers() {
+    // Modules instantiated by a loader plugin are not compiled.
+    if (this.state === COMPLETE)
+      return [];
     return this.loaderCompiler.getModuleSpecifiers(this);
   }
   evaluate() {
@@ -247,6 +268,7 @@ export class InternalLoader {
       address, metadata = {}) {
     metadata = this.defaultMetadata_(metadata);
     var codeUnit = this.getOrCreateCodeUnit_(name, referrerName, address, metadata);
+    codeUnit.isRoot = true;
     this.load_(codeUnit);
     return codeUnit.promise.then(() => codeUnit);
   }
@@ -274,7 +296,19 @@ export class InternalLoader {
       }).
       then((source) => {
         codeUnit.source = source;
-        codeUnit.state = LOADED;
+        var plugin = codeUnit.plugin;
+        return plugin && plugin.instantiate ?
+            plugin.instantiate(codeUnit) : undefined;
+      }).
+      then((module) => {
+        if (module === undefined) {
+          codeUnit.state = LOADED;
+        } else {
+          this.loader_.set(codeUnit.normalizedName, module);
+          codeUnit.result = module;
+          codeUnit.state = COMPLETE;
+          codeUnit.resolve(module);
+        }
         this.handleCodeUnitLoaded(codeUnit);
         return codeUnit;
       }).
@@ -372,6 +406,7 @@ export class InternalLoader {
           codeUnit = new LoadCodeUnit(this.loaderCompiler, normalizedName,
               name, referrerName, address);
           codeUnit.type = type;
+          codeUnit.plugin = this.loader_.getPlugin(normalizedName);
         }
       }
       // We copy the incoming metadata to pass values from the API and to
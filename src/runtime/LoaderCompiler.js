@@ -23,7 +23,6 @@ import {ModuleSpecifierVisitor} from
     '../codegeneration/module/ModuleSpecifierVisitor.js';
 import {ModuleSymbol} from '../codegeneration/module/ModuleSymbol.js';
 import {Parser} from '../syntax/Parser.js';
-import {options as globalOptions} from '../Options.js';
 import {SourceFile} from '../syntax/SourceFile.js';
 import {systemjs} from '../runtime/system-map.js';
 import {UniqueIdentifierGenerator} from
@@ -52,7 +51,8 @@ export class LoaderCompiler {
     codeUnit.state = PARSED;
 
     // Analyze to find dependencies
-    var moduleSpecifierVisitor = new ModuleSpecifierVisitor();
+    var moduleSpecifierVisitor =
+        new ModuleSpecifierVisitor(codeUnit.metadata.traceurOptions);
     moduleSpecifierVisitor.visit(codeUnit.metadata.tree);
     return moduleSpecifierVisitor.moduleSpecifiers;
   }
@@ -67,9 +67,19 @@ export class LoaderCompiler {
     metadata.compiler = new Compiler(options);
 
     // The name used in sourceMaps
-    var sourceName = codeUnit.metadata.sourceName = codeUnit.address ||
+    codeUnit.metadata.sourceName = codeUnit.address ||
         codeUnit.normalizedName || String(++anonymousSourcesSeen);
-    metadata.tree = metadata.compiler.parse(codeUnit.source, sourceName);
+    metadata.tree = this.parseSource(codeUnit);
+  }
+
+  /**
+   * Parses the source of |codeUnit| with the compiler set up by parse.
+   * @param {CodeUnit} codeUnit
+   * @return {ParseTree}
+   */
+  parseSource(codeUnit) {
+    var metadata = codeUnit.metadata;
+    return metadata.compiler.parse(codeUnit.source, metadata.sourceName);
   }
 
   transform(codeUnit) {
@@ -97,6 +107,7 @@ export class LoaderCompiler {
 
   analyzeDependencies(dependencies, loader) {
     var deps = [];  // moduleSymbol for each dependency
+    var traceurOptions = [];  // options of the code unit of each dependency
     for (var i = 0; i < dependencies.length; i++) {
       var codeUnit = dependencies[i];
 
@@ -107,10 +118,13 @@ export class LoaderCompiler {
         var symbol = codeUnit.metadata.moduleSymbol =
             new ModuleSymbol(codeUnit.metadata.tree, codeUnit.normalizedName);
         deps.push(symbol);
+        traceurOptions.push(codeUnit.metadata.traceurOptions);
       }
     }
 
-    this.checkForErrors((reporter) => buildExportList(deps, loader, reporter));
+    this.checkForErrors((reporter) =>
+        buildExportList(deps, loader, reporter, traceurOptions));
+    return deps;
   }
 
   checkForErrors(fncOfReporter) {
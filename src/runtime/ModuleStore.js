@@ -80,6 +80,11 @@
 
   }
 
+  /**
+   * @param {Array.<string>} lines
+   * @param {number} number A one based line number.
+   * @return {Array.<string>} The line and the two lines before it.
+   */
   function beforeLines(lines, number) {
     var result = [];
     var first = number - 3;
@@ -91,6 +96,11 @@
     return result;
   }
 
+  /**
+   * @param {Array.<string>} lines
+   * @param {number} number A one based line number.
+   * @return {Array.<string>} The two lines after the line.
+   */
   function afterLines(lines, number) {
     var last = number + 1;
     if (last > lines.length - 1)
@@ -243,6 +253,16 @@
 
     // -- Non standard extensions to ModuleStore.
 
+    /**
+     * Whether a module is registered or set under |normalizedName|. Unlike get
+     * this does not instantiate the module.
+     * @param {string} normalizedName
+     * @return {boolean}
+     */
+    has(normalizedName) {
+      return !!getUncoatedModuleInstantiator(normalizedName);
+    },
+
     registerModule(name, deps, func) {
       var normalizedName = ModuleStore.normalize(name);
       if (moduleInstantiators[normalizedName])
@@ -315,6 +335,9 @@
     setupGlobals(global);
   };
   $traceurRuntime.ModuleStore = ModuleStore;
+  // The compiler shows the source around its errors the same way.
+  $traceurRuntime.beforeLines = beforeLines;
+  $traceurRuntime.afterLines = afterLines;
 
   global.System = {
     register: ModuleStore.register.bind(ModuleStore),
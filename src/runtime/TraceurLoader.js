@@ -13,13 +13,20 @@
 // limitations under the License.
 
 import {isAbsolute, resolveUrl} from '../util/url.js';
+import {ImportMap} from '../runtime/ImportMap.js';
 import {Loader} from '../runtime/Loader.js';
 import {LoaderCompiler} from '../runtime/LoaderCompiler.js';
+import {jsonPlugin, textPlugin} from '../runtime/loaderPlugins.js';
 import {systemjs} from '../runtime/system-map.js';
 
 var version = __moduleName.slice(0, __moduleName.indexOf('/'));
 var uniqueNameCount = 0;
 
+function isBareSpecifier(name) {
+  return typeof name === 'string' && name !== '' && name[0] !== '.' &&
+      !isAbsolute(name);
+}
+
 export class TraceurLoader extends Loader {
 
   /**
@@ -31,6 +38,15 @@ export class TraceurLoader extends Loader {
     this.baseURL_ = baseURL && String(baseURL);
 
     this.moduleStore_ = $traceurRuntime.ModuleStore;
+    this.importMap_ = null;
+    this.chunkManifest_ = null;
+    // Promises for the chunks loaded, by file name.
+    this.chunks_ = Object.create(null);
+
+    this.plugins_ = [];
+    this.registerPlugin('.json', jsonPlugin);
+    this.registerPlugin('!json', jsonPlugin);
+    this.registerPlugin('!text', textPlugin);
   }
 
   get baseURL() {
@@ -49,21 +65,181 @@ export class TraceurLoader extends Loader {
     this.moduleStore_.set(normalizedName, module);
   }
 
+  get importMap() {
+    return this.importMap_;
+  }
+
+  /**
+   * @param {Object|string|null} value An import map or its JSON text. See
+   *     ImportMap.js.
+   */
+  set importMap(value) {
+    this.importMap_ = value ? new ImportMap(value, this.baseURL_) : null;
+  }
+
+  get chunkManifest() {
+    return this.chunkManifest_;
+  }
+
+  /**
+   * The manifest written by recursiveModuleCompileToChunks. Importing a module
+   * listed in the manifest loads the file it is in, along with the files that
+   * one depends on. The names in the manifest are relative to the baseURL.
+   * @param {Object|string|null} value The manifest or its JSON text.
+   */
+  set chunkManifest(value) {
+    if (typeof value === 'string')
+      value = JSON.parse(value);
+    this.chunkManifest_ = value || null;
+    this.chunks_ = Object.create(null);
+    // The names the modules are registered under, by address.
+    this.chunkModuleNames_ = Object.create(null);
+    if (value) {
+      Object.keys(value.modules).forEach((name) => {
+        this.chunkModuleNames_[resolveUrl(this.baseURL_ || '', name)] = name;
+      });
+    }
+  }
+
+  import(name, {referrerName, address, metadata} = {}) {
+    var chunkModuleName = this.chunkModuleName_(name, referrerName, address);
+    if (chunkModuleName === null)
+      return super.import(name, {referrerName, address, metadata});
+    var fileName = this.chunkManifest_.modules[chunkModuleName];
+    return this.loadChunk_(fileName).then(() => this.get(chunkModuleName));
+  }
+
+  /**
+   * @return {?string} The name of the module in the chunk manifest or null if
+   *     it is not in there.
+   * @private
+   */
+  chunkModuleName_(name, referrerName, address) {
+    if (!this.chunkManifest_)
+      return null;
+    var modules = this.chunkManifest_.modules;
+    // Like the InternalLoader, resolve names without a referrer against the
+    // baseURL.
+    var normalizedName = this.normalize(name,
+        referrerName === undefined ? this.baseURL_ : referrerName, address);
+    if (Object.prototype.hasOwnProperty.call(modules, normalizedName))
+      return normalizedName;
+    return this.chunkModuleNames_[normalizedName] || null;
+  }
+
+  /**
+   * Loads and evaluates a file of compiled modules, and the ones it depends
+   * on, once.
+   * @param {string} fileName The name of the file in the chunk manifest.
+   * @return {Promise}
+   * @private
+   */
+  loadChunk_(fileName) {
+    if (fileName in this.chunks_)
+      return this.chunks_[fileName];
+    var dependencies = this.chunkManifest_.chunks[fileName] || [];
+    var address = resolveUrl(this.baseURL_ || '', fileName);
+    return this.chunks_[fileName] = Promise.all(
+        dependencies.map((dependency) => this.loadChunk_(dependency))).
+        then(() => new Promise((resolve, reject) => {
+          this.fileLoader_.load(address, resolve, reject);
+        })).
+        then((source) => {
+          ('global', eval)(source + '\n//# sourceURL=' + address);
+        });
+  }
+
+  /**
+   * Registers a plugin for the modules with normalized names that match
+   * pattern. See loaderPlugins.js. A string pattern matches the end of the
+   * name, '.json' for example. A pattern like '!text' names a suffix that is
+   * not part of the address, as in 'template.html!text'. Plugins registered
+   * later take precedence.
+   * @param {RegExp|string} pattern
+   * @param {{translate: Function, instantiate: Function}} plugin
+   */
+  registerPlugin(pattern, plugin) {
+    this.plugins_.unshift({pattern, plugin});
+  }
+
+  /**
+   * @param {string} normalizedName
+   * @return {Object} The plugin for the module or null.
+   */
+  getPlugin(normalizedName) {
+    if (typeof normalizedName !== 'string')
+      return null;
+    for (var i = 0; i < this.plugins_.length; i++) {
+      var {pattern, plugin} = this.plugins_[i];
+      if (typeof pattern === 'string' ?
+          normalizedName.slice(-pattern.length) === pattern :
+          pattern.test(normalizedName)) {
+        return plugin;
+      }
+    }
+    return null;
+  }
+
   normalize(name, referrerName, referrerAddress) {
+    // The names of the modules already registered, like the traceur@0.0.n/
+    // ones, are not looked up as packages.
+    if (isBareSpecifier(name) && !this.moduleStore_.has(name)) {
+      var resolvedName = this.resolveBareSpecifier_(name, referrerName,
+                                                    referrerAddress, []);
+      if (resolvedName !== null)
+        return resolvedName;
+    }
+
     var normalizedName =
         this.moduleStore_.normalize(name, referrerName, referrerAddress);
     if (typeof systemjs !== 'undefined' && System.map)
-      return systemjs.applyMap(System.map, normalizedName, referrerName);
+      normalizedName =
+          systemjs.applyMap(System.map, normalizedName, referrerName);
 
     return normalizedName;
   }
 
+  /**
+   * Resolves a bare specifier, 'lodash/map.js' for example, using the import
+   * map and the package resolution of the file loader, if any.
+   * @param {Array.<string>} tried Filled with the candidates tried.
+   * @return {?string} The normalized name or null if neither applies, in
+   *     which case the specifier is resolved against the baseURL.
+   */
+  resolveBareSpecifier_(name, referrerName, referrerAddress, tried) {
+    var baseURL = this.baseURL_ || '';
+    var referrer = referrerAddress ||
+        (referrerName ? resolveUrl(baseURL, referrerName) : baseURL);
+
+    var address = null;
+    if (this.importMap_) {
+      address = this.importMap_.resolve(name, referrer);
+      if (address === null)
+        tried.push('the import map');
+    }
+    if (address === null && this.fileLoader_ && this.fileLoader_.resolve)
+      address = this.fileLoader_.resolve(name, referrer, tried);
+
+    if (address === null)
+      return null;
+    // Keep the names of the modules below the baseURL relative, like the
+    // names of the modules imported with relative specifiers.
+    if (baseURL && address.indexOf(baseURL) === 0)
+      return address.slice(baseURL.length);
+    return address;
+  }
+
   locate(load) {
     var normalizedModuleName = load.normalizedName;
     load.metadata.traceurOptions = load.metadata.traceurOptions || {};
     var options = load.metadata.traceurOptions;
     var asJS;
-    if (/\.js$/.test(normalizedModuleName) || options && options.script) {
+    if (load.plugin) {
+      // The plugin suffix, as in 'template.html!text', is not part of the
+      // address.
+      asJS = normalizedModuleName.replace(/![^\/]*$/, '');
+    } else if (/\.js$/.test(normalizedModuleName) ||
+               options && options.script) {
       asJS = normalizedModuleName;
     } else {
       // Backwards compat.
@@ -126,6 +302,15 @@ export class TraceurLoader extends Loader {
 
   nameTrace(load) {
     var trace = '';
+    // The candidates tried for a bare specifier are only needed when the load
+    // fails, so they are looked up again here rather than kept for every name.
+    var tried = [];
+    if (isBareSpecifier(load.name) &&
+        this.resolveBareSpecifier_(load.name, load.referrerName, undefined,
+                                   tried) === null &&
+        tried.length) {
+      trace += 'Resolving tried ' + tried.join(', ') + '\n';
+    }
     if (load.metadata.locateMap) {
       trace += this.locateMapTrace(load);
     }
@@ -158,8 +343,10 @@ export class TraceurLoader extends Loader {
     });
   }
 
-  // Synchronous
   translate(load) {
+    var plugin = load.plugin;
+    if (plugin && plugin.translate)
+      return plugin.translate(load);
     return load.source;
   }
 
@@ -17,12 +17,15 @@
 
   var $Object = Object;
   var $TypeError = TypeError;
+  var $bind = Function.prototype.bind;
+  var $slice = Array.prototype.slice;
   var $create = $Object.create;
   var $defineProperties = $traceurRuntime.defineProperties;
   var $defineProperty = $traceurRuntime.defineProperty;
   var $getOwnPropertyDescriptor = $traceurRuntime.getOwnPropertyDescriptor;
   var $getOwnPropertyNames = $traceurRuntime.getOwnPropertyNames;
   var $getPrototypeOf = Object.getPrototypeOf;
+  var $isPrototypeOf = Object.prototype.isPrototypeOf;
 
   var {
     getOwnPropertyNames,
@@ -46,6 +49,62 @@
     return ctor.__proto__;
   }
 
+  // Built-in constructors that create exotic objects or objects with internal
+  // slots. Calling these with an existing object as this does not initialize
+  // it so subclasses need to let them create the instance.
+  var builtinNames = ['Array', 'Date', 'Error', 'EvalError', 'Map', 'Promise',
+                      'RangeError', 'ReferenceError', 'RegExp', 'Set',
+                      'SyntaxError', 'TypeError', 'URIError', 'WeakMap',
+                      'WeakSet'];
+
+  function isBuiltin(ctor) {
+    var global = Reflect.global;
+    for (var i = 0; i < builtinNames.length; i++) {
+      if (global[builtinNames[i]] === ctor)
+        return true;
+    }
+    return false;
+  }
+
+  var setPrototypeOf = $Object.setPrototypeOf;
+  if (!setPrototypeOf && {__proto__: []} instanceof Array) {
+    setPrototypeOf = function(object, proto) {
+      object.__proto__ = proto;
+      return object;
+    };
+  }
+
+  /**
+   * Calls the super constructor of ctor and returns the object that the
+   * constructor should use as this from then on.
+   *
+   * When the super class is a built-in, such as Array or Error, a real
+   * instance is created and the prototype of self is reattached to it so that
+   * it behaves like the built-in (length tracks, stack traces are captured).
+   * This is only done if the engine allows changing the prototype of an
+   * existing object.
+   *
+   * @param {Function} ctor The class whose super constructor to call.
+   * @param {Object} self The object created for the current new expression.
+   * @param {Array|Arguments} args
+   * @return {Object}
+   */
+  function superConstruct(ctor, self, args) {
+    var superClass = superConstructor(ctor);
+    if (setPrototypeOf && isBuiltin(superClass)) {
+      var boundArgs = [null].concat($slice.call(args));
+      var instance = new ($bind.apply(superClass, boundArgs));
+      return setPrototypeOf(instance, $getPrototypeOf(self));
+    }
+    var result = superClass.apply(self, args);
+    // A super class that extends a built-in returns the real instance.
+    if (result !== self && $Object(result) === result &&
+        $isPrototypeOf.call(ctor.prototype, result)) {
+      return result;
+    }
+    return self;
+  }
+
   // TODO(arv): Remove once we have pushed new version to npm.
   // https://github.com/google/traceur-compiler/issues/1425
   function superCall(self, homeObject, name, args) {
@@ -134,6 +193,7 @@
   $traceurRuntime.createClass = createClass;
   $traceurRuntime.defaultSuperCall = defaultSuperCall;
   $traceurRuntime.superCall = superCall;
+  $traceurRuntime.superConstruct = superConstruct;
   $traceurRuntime.superConstructor = superConstructor;
   $traceurRuntime.superGet = superGet;
   $traceurRuntime.superSet = superSet;
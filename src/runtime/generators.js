@@ -46,6 +46,11 @@
   var END_STATE = -2;
   var RETHROW_STATE = -3;
 
+  // Thrown inside the state machine when the generator is asked to return.
+  // This unwinds the try stack so that the finally blocks run, without
+  // entering any catch blocks.
+  var RETURN_SENTINEL = {};
+
 
   function getInternalError(state) {
     return new Error('Traceur compiler bug: invalid state in state machine: ' +
@@ -84,8 +89,20 @@
         this.tryStack_.push({catch: catchState});
       }
     },
-    popTry: function() {
-      this.tryStack_.pop();
+    /**
+     * @param {number=} finallyState Given at the start of a finally block. A
+     *     break, continue or return in the try block jumps there without
+     *     leaving the catch, so everything up to the finally is popped.
+     */
+    popTry: function(finallyState) {
+      if (finallyState === undefined) {
+        this.tryStack_.pop();
+        return;
+      }
+      var entry;
+      do {
+        entry = this.tryStack_.pop();
+      } while (entry !== undefined && entry.finally !== finallyState);
     },
     get sent() {
       this.maybeThrow();
@@ -102,6 +119,14 @@
         this.action = 'next';
         throw this.sent_;
       }
+      this.maybeReturn();
+    },
+    maybeReturn: function() {
+      if (this.action === 'return') {
+        this.action = 'next';
+        this.returnValue = this.sent_;
+        throw RETURN_SENTINEL;
+      }
     },
     end: function() {
       switch (this.state) {
@@ -132,6 +157,12 @@
             done: true
           };
         }
+        if (action === 'return') {
+          return {
+            value: x,
+            done: true
+          };
+        }
         throw x;
 
       case ST_NEWBORN:
@@ -139,6 +170,13 @@
           ctx.GState = ST_CLOSED;
           throw x;
         }
+        if (action === 'return') {
+          ctx.GState = ST_CLOSED;
+          return {
+            value: x,
+            done: true
+          };
+        }
         if (x !== undefined)
           throw $TypeError('Sent value to newborn generator');
         // fall through
@@ -175,6 +213,9 @@
     },
     throw: function(v) {
       return nextOrThrow(this[ctxName], this[moveNextName], 'throw', v);
+    },
+    return: function(v) {
+      return nextOrThrow(this[ctxName], this[moveNextName], 'return', v);
     }
   };
 
@@ -182,6 +223,7 @@
     constructor: {enumerable: false},
     next: {enumerable: false},
     throw: {enumerable: false},
+    return: {enumerable: false},
   });
 
   Object.defineProperty(GeneratorFunctionPrototype.prototype, Symbol.iterator,
@@ -252,6 +294,178 @@
     return ctx.result;
   }
 
+  // Async generators queue up the next, throw and return requests. The
+  // requests are answered in order, each one by the yield, return or throw
+  // that completes it. Between those the generator may be waiting for awaits.
+  function AsyncGeneratorContext(moveNext) {
+    GeneratorContext.call(this);
+    this.moveNext_ = moveNext;
+    this.queue_ = [];
+    this.value = undefined;
+    var ctx = this;
+    // Passed to then without a receiver.
+    this.errback = function(err) {
+      handleCatch(ctx, err);
+      ctx.run_();
+    };
+  }
+  AsyncGeneratorContext.prototype = $create(GeneratorContext.prototype);
+  AsyncGeneratorContext.prototype.createCallback = function(newState) {
+    var ctx = this;
+    return function(value) {
+      ctx.state = newState;
+      ctx.value = value;
+      ctx.run_();
+    };
+  };
+  AsyncGeneratorContext.prototype.run_ = function() {
+    this.moveNext_(this);
+    this.resumeQueue_();
+  };
+  AsyncGeneratorContext.prototype.yield = function(value) {
+    this.GState = ST_SUSPENDED;
+    this.queue_.shift().resolve({value: value, done: false});
+  };
+  AsyncGeneratorContext.prototype.end = function() {
+    if (this.state === RETHROW_STATE &&
+        this.storedException === RETURN_SENTINEL) {
+      // Done with a finally block while returning. Continue unwinding.
+      throw RETURN_SENTINEL;
+    }
+    this.GState = ST_CLOSED;
+    var request = this.queue_.shift();
+    switch (this.state) {
+      case END_STATE:
+        request.resolve({value: this.returnValue, done: true});
+        break;
+      case RETHROW_STATE:
+        request.reject(this.storedException);
+        break;
+      default:
+        request.reject(getInternalError(this.state));
+    }
+  };
+  AsyncGeneratorContext.prototype.handleException = function() {
+    this.state = RETHROW_STATE;
+  };
+  AsyncGeneratorContext.prototype.request_ = function(action, x) {
+    var ctx = this;
+    return new Promise(function(resolve, reject) {
+      ctx.queue_.push({action: action, value: x, resolve: resolve,
+                       reject: reject});
+      ctx.resumeQueue_();
+    });
+  };
+  AsyncGeneratorContext.prototype.resumeQueue_ = function() {
+    while (this.GState !== ST_EXECUTING && this.queue_.length > 0) {
+      var request = this.queue_[0];
+      if (this.GState === ST_NEWBORN && request.action !== 'next')
+        this.GState = ST_CLOSED;
+
+      if (this.GState === ST_CLOSED) {
+        this.queue_.shift();
+        if (request.action === 'throw') {
+          request.reject(request.value);
+        } else {
+          request.resolve({
+            value: request.action === 'return' ? request.value : undefined,
+            done: true
+          });
+        }
+        continue;
+      }
+
+      this.GState = ST_EXECUTING;
+      this.action = request.action;
+      this.sent = request.value;
+      this.moveNext_(this);
+    }
+  };
+
+  function AsyncGeneratorFunction() {}
+
+  function AsyncGeneratorFunctionPrototype() {}
+
+  AsyncGeneratorFunction.prototype = AsyncGeneratorFunctionPrototype;
+
+  $defineProperty(AsyncGeneratorFunctionPrototype, 'constructor',
+      nonEnum(AsyncGeneratorFunction));
+
+  AsyncGeneratorFunctionPrototype.prototype = {
+    constructor: AsyncGeneratorFunctionPrototype,
+    next: function(v) {
+      return this[ctxName].request_('next', v);
+    },
+    throw: function(v) {
+      return this[ctxName].request_('throw', v);
+    },
+    return: function(v) {
+      return this[ctxName].request_('return', v);
+    }
+  };
+
+  $defineProperties(AsyncGeneratorFunctionPrototype.prototype, {
+    constructor: {enumerable: false},
+    next: {enumerable: false},
+    throw: {enumerable: false},
+    return: {enumerable: false},
+  });
+
+  Object.defineProperty(AsyncGeneratorFunctionPrototype.prototype,
+      Symbol.asyncIterator,
+      nonEnum(function() {
+        return this;
+      }));
+
+  function createAsyncGeneratorInstance(innerFunction, functionObject, self) {
+    var ctx = new AsyncGeneratorContext(getMoveNext(innerFunction, self));
+    var object = $create(functionObject.prototype);
+    object[ctxName] = ctx;
+    return object;
+  }
+
+  function initAsyncGeneratorFunction(functionObject) {
+    functionObject.prototype =
+        $create(AsyncGeneratorFunctionPrototype.prototype);
+    functionObject.__proto__ = AsyncGeneratorFunctionPrototype;
+    return functionObject;
+  }
+
+  function asyncFromSyncStep(iterator, action, x) {
+    return new Promise(function(resolve) {
+      var result = iterator[action](x);
+      resolve(Promise.resolve(result.value).then(function(value) {
+        return {value: value, done: result.done};
+      }));
+    });
+  }
+
+  /**
+   * Returns the async iterator for |iterable|. Sync iterables are adapted so
+   * that the values they produce are awaited.
+   */
+  function getAsyncIterator(iterable) {
+    var toProperty = $traceurRuntime.toProperty;
+    var method = iterable[toProperty(Symbol.asyncIterator)];
+    if (method != null)
+      return method.call(iterable);
+
+    var iterator = iterable[toProperty(Symbol.iterator)]();
+    var asyncIterator = {
+      next: function(x) {
+        return asyncFromSyncStep(iterator, 'next', x);
+      }
+    };
+    ['throw', 'return'].forEach(function(action) {
+      if (iterator[action] != null) {
+        asyncIterator[action] = function(x) {
+          return asyncFromSyncStep(iterator, action, x);
+        };
+      }
+    });
+    return asyncIterator;
+  }
+
   function getMoveNext(innerFunction, self) {
     return function(ctx) {
       while (true) {
@@ -265,6 +479,11 @@
   }
 
   function handleCatch(ctx, ex) {
+    if (ex === RETURN_SENTINEL) {
+      handleReturn(ctx);
+      return;
+    }
+
     ctx.storedException = ex;
     var last = ctx.tryStack_[ctx.tryStack_.length - 1];
     if (!last) {
@@ -278,7 +497,28 @@
       ctx.finallyFallThrough = last.finallyFallThrough;
   }
 
+  function handleReturn(ctx) {
+    // Returning skips the catch blocks but runs the finally blocks. Once a
+    // finally block is done it rethrows the sentinel which brings us back here
+    // for the next enclosing finally block.
+    var tryStack = ctx.tryStack_;
+    while (tryStack.length > 0 &&
+           tryStack[tryStack.length - 1].finally === undefined) {
+      tryStack.pop();
+    }
+    if (tryStack.length === 0) {
+      ctx.state = END_STATE;
+      return;
+    }
+    ctx.storedException = RETURN_SENTINEL;
+    ctx.state = tryStack[tryStack.length - 1].finally;
+    ctx.finallyFallThrough = RETHROW_STATE;
+  }
+
   $traceurRuntime.asyncWrap = asyncWrap;
   $traceurRuntime.initGeneratorFunction = initGeneratorFunction;
   $traceurRuntime.createGeneratorInstance = createGeneratorInstance;
+  $traceurRuntime.initAsyncGeneratorFunction = initAsyncGeneratorFunction;
+  $traceurRuntime.createAsyncGeneratorInstance = createAsyncGeneratorInstance;
+  $traceurRuntime.getAsyncIterator = getAsyncIterator;
 })();
@@ -0,0 +1,60 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/*
+  Loader plugins handle the modules with names that match a pattern, see
+  TraceurLoader.registerPlugin. A plugin has one or both of:
+
+    translate(load)    Returns the source of an ES6 module, or a promise for
+                       it, given the fetched load.source.
+    instantiate(load)  Returns an object with the exports of the module, or a
+                       promise for it. The module is then not compiled. Return
+                       undefined to compile the translated source.
+
+  The built-in plugins translate to modules with a default export so that the
+  result can be bundled like any other module.
+*/
+
+function exportDefault(value) {
+  // JSON allows the line and paragraph separators in strings, JavaScript does
+  // not.
+  var json = JSON.stringify(value).
+      replace(/\u2028/g, '\\u2028').
+      replace(/\u2029/g, '\\u2029');
+  return `export default ${json};`;
+}
+
+/**
+ * import data from './data.json';
+ */
+export var jsonPlugin = {
+  translate(load) {
+    var value;
+    try {
+      value = JSON.parse(load.source);
+    } catch (ex) {
+      throw new SyntaxError(`${load.address}: ${ex.message}`);
+    }
+    return exportDefault(value);
+  }
+};
+
+/**
+ * import template from './template.html!text';
+ */
+export var textPlugin = {
+  translate(load) {
+    return exportDefault(load.source);
+  }
+};
@@ -21,8 +21,10 @@ import {
   checkIterable,
   isCallable,
   isConstructor,
+  isObject,
   maybeAddFunctions,
   maybeAddIterator,
+  maybeAddSpecies,
   registerPolyfill,
   toInteger,
   toLength,
@@ -143,6 +145,60 @@ function findHelper(self, predicate, thisArg = undefined, returnIndex = false) {
   return returnIndex ? -1 : undefined;
 }
 
+// https://people.mozilla.org/~jorendorff/es6-draft.html#sec-arrayspeciescreate
+function arraySpeciesCreate(original, length) {
+  var C;
+  if (Array.isArray(original)) {
+    C = original.constructor;
+    if (isObject(C)) {
+      C = C[$traceurRuntime.toProperty(Symbol.species)];
+      if (C === null)
+        C = undefined;
+    }
+  }
+  if (C === undefined)
+    return new Array(length);
+  if (!isConstructor(C))
+    throw TypeError();
+  return new C(length);
+}
+
+// Wraps a native method that creates a new array so that the result is
+// created with the @@species constructor of the receiver.
+function speciesMethod(method) {
+  return function() {
+    var result = method.apply(this, arguments);
+    if (!Array.isArray(this) || this.constructor === Array)
+      return result;
+
+    var arr = arraySpeciesCreate(this, 0);
+    for (var k = 0; k < result.length; k++) {
+      arr[k] = result[k];
+    }
+    arr.length = result.length;
+    return arr;
+  };
+}
+
+function polyfillArraySpecies(Array, Symbol) {
+  // Native array methods that know about @@species also come with
+  // Array[@@species].
+  if (!Symbol || !Symbol.species ||
+      Array[$traceurRuntime.toProperty(Symbol.species)]) {
+    return;
+  }
+
+  maybeAddSpecies(Array, Symbol);
+  ['concat', 'filter', 'map', 'slice', 'splice'].forEach((name) => {
+    Object.defineProperty(Array.prototype, name, {
+      value: speciesMethod(Array.prototype[name]),
+      configurable: true,
+      enumerable: false,
+      writable: true
+    });
+  });
+}
+
 export function polyfillArray(global) {
   var {Array, Object, Symbol} = global;
   maybeAddFunctions(Array.prototype, [
@@ -162,6 +218,8 @@ export function polyfillArray(global) {
   maybeAddIterator(Array.prototype, values, Symbol);
   maybeAddIterator(Object.getPrototypeOf([].values()),
       function() { return this; }, Symbol);
+
+  polyfillArraySpecies(Array, Symbol);
 }
 
 registerPolyfill(polyfillArray);
@@ -18,7 +18,11 @@
 //   https://github.com/domenic/promises-unwrapping/blob/master/testable-implementation.js
 
 import async from '../../../node_modules/rsvp/lib/rsvp/asap.js';
-import {registerPolyfill} from './utils.js';
+import {
+  maybeAddSpecies,
+  registerPolyfill,
+  speciesConstructor
+} from './utils.js';
 
 // Status values: 0 = pending, +1 = resolved, -1 = rejected
 
@@ -40,7 +44,7 @@ function idRejectHandler(x) {
 function chain(promise,
                onResolve = idResolveHandler,
                onReject = idRejectHandler) {
-  var deferred = getDeferred(promise.constructor);
+  var deferred = getDeferred(speciesConstructor(promise, $Promise));
   switch (promise.status_) {
     case undefined:
       throw TypeError;
@@ -275,6 +279,7 @@ function promiseCoerce(constructor, x) {
 export function polyfillPromise(global) {
   if (!global.Promise)
     global.Promise = Promise;
+  maybeAddSpecies(global.Promise, global.Symbol);
 }
 
 registerPolyfill(polyfillPromise);
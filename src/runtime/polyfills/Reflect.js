@@ -0,0 +1,246 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  isCallable,
+  isConstructor,
+  isObject,
+  maybeAddFunctions,
+  registerPolyfill
+} from './utils.js';
+
+var {toProperty} = $traceurRuntime;
+
+// These are the versions patched by the runtime so they know about symbols.
+var {
+  create: $create,
+  defineProperty: $defineProperty,
+  getOwnPropertyDescriptor: $getOwnPropertyDescriptor,
+  getOwnPropertyNames: $getOwnPropertyNames,
+  getPrototypeOf: $getPrototypeOf,
+  isExtensible: $isExtensible,
+  preventExtensions: $preventExtensions,
+  setPrototypeOf: $setPrototypeOf
+} = Object;
+
+// When the engine has no symbols this is the shim from runtime.js.
+var $getOwnPropertySymbols = Object.getOwnPropertySymbols ||
+    $traceurRuntime.getOwnPropertySymbols;
+
+var $apply = Function.prototype.apply;
+var $bind = Function.prototype.bind;
+var $concat = Array.prototype.concat;
+var $slice = Array.prototype.slice;
+
+function checkObject(target) {
+  if (!isObject(target))
+    throw new TypeError('Reflect called on non-object');
+}
+
+function createListFromArrayLike(argumentsList) {
+  if (!isObject(argumentsList))
+    throw new TypeError('CreateListFromArrayLike called on non-object');
+  return $slice.call(argumentsList);
+}
+
+// Reflect.apply (26.1.1)
+export function apply(target, thisArgument, argumentsList) {
+  if (!isCallable(target))
+    throw new TypeError(target + ' is not a function');
+  return $apply.call(target, thisArgument,
+                     createListFromArrayLike(argumentsList));
+}
+
+// Reflect.construct (26.1.2)
+export function construct(target, argumentsList, newTarget = target) {
+  if (!isConstructor(target))
+    throw new TypeError(target + ' is not a constructor');
+  if (!isConstructor(newTarget))
+    throw new TypeError(newTarget + ' is not a constructor');
+  var args = createListFromArrayLike(argumentsList);
+
+  // Going through new makes built-ins such as Date work.
+  if (newTarget === target) {
+    var bound = $apply.call($bind, target, $concat.call([null], args));
+    return new bound();
+  }
+
+  // ES5 has no way to pass along newTarget so we emulate it by creating the
+  // object from the prototype of newTarget.
+  var proto = newTarget.prototype;
+  var object = $create(isObject(proto) ? proto : Object.prototype);
+  var result = $apply.call(target, object, args);
+  return isObject(result) ? result : object;
+}
+
+// Reflect.defineProperty (26.1.3)
+export function defineProperty(target, propertyKey, attributes) {
+  checkObject(target);
+  try {
+    $defineProperty(target, propertyKey, attributes);
+    return true;
+  } catch (ex) {
+    return false;
+  }
+}
+
+// Reflect.deleteProperty (26.1.4)
+export function deleteProperty(target, propertyKey) {
+  checkObject(target);
+  var desc = $getOwnPropertyDescriptor(target, propertyKey);
+  if (desc && !desc.configurable)
+    return false;
+  return delete target[toProperty(propertyKey)];
+}
+
+// Reflect.get (26.1.6)
+export function get(target, propertyKey, receiver = target) {
+  checkObject(target);
+  var desc = $getOwnPropertyDescriptor(target, propertyKey);
+  if (desc === undefined) {
+    var parent = $getPrototypeOf(target);
+    if (parent === null)
+      return undefined;
+    return get(parent, propertyKey, receiver);
+  }
+  if ('value' in desc)
+    return desc.value;
+  var getter = desc.get;
+  if (getter === undefined)
+    return undefined;
+  return getter.call(receiver);
+}
+
+// Reflect.getOwnPropertyDescriptor (26.1.7)
+export function getOwnPropertyDescriptor(target, propertyKey) {
+  checkObject(target);
+  return $getOwnPropertyDescriptor(target, propertyKey);
+}
+
+// Reflect.getPrototypeOf (26.1.8)
+export function getPrototypeOf(target) {
+  checkObject(target);
+  return $getPrototypeOf(target);
+}
+
+// Reflect.has (26.1.9)
+export function has(target, propertyKey) {
+  checkObject(target);
+  return toProperty(propertyKey) in target;
+}
+
+// Reflect.isExtensible (26.1.10)
+export function isExtensible(target) {
+  checkObject(target);
+  return $isExtensible(target);
+}
+
+// Reflect.ownKeys (26.1.11)
+export function ownKeys(target) {
+  checkObject(target);
+  var keys = $getOwnPropertyNames(target);
+  if ($getOwnPropertySymbols)
+    keys = $concat.call(keys, $getOwnPropertySymbols(target));
+  return keys;
+}
+
+// Reflect.preventExtensions (26.1.12)
+export function preventExtensions(target) {
+  checkObject(target);
+  $preventExtensions(target);
+  return true;
+}
+
+function createDataProperty(object, propertyKey, value) {
+  return defineProperty(object, propertyKey, {
+    value: value,
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+}
+
+// Reflect.set (26.1.13)
+export function set(target, propertyKey, value, receiver = target) {
+  checkObject(target);
+  var desc = $getOwnPropertyDescriptor(target, propertyKey);
+  if (desc === undefined) {
+    var parent = $getPrototypeOf(target);
+    if (parent !== null)
+      return set(parent, propertyKey, value, receiver);
+    desc = {
+      value: undefined,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    };
+  }
+
+  if ('value' in desc) {
+    if (!desc.writable || !isObject(receiver))
+      return false;
+    var existing = $getOwnPropertyDescriptor(receiver, propertyKey);
+    if (existing === undefined)
+      return createDataProperty(receiver, propertyKey, value);
+    if (!('value' in existing) || !existing.writable)
+      return false;
+    return defineProperty(receiver, propertyKey, {value: value});
+  }
+
+  var setter = desc.set;
+  if (setter === undefined)
+    return false;
+  setter.call(receiver, value);
+  return true;
+}
+
+// Reflect.setPrototypeOf (26.1.14)
+export function setPrototypeOf(target, proto) {
+  checkObject(target);
+  if (proto !== null && !isObject(proto))
+    throw new TypeError('Object prototype may only be an Object or null');
+  if ($getPrototypeOf(target) === proto)
+    return true;
+  if (!$isExtensible(target))
+    return false;
+  try {
+    if ($setPrototypeOf)
+      $setPrototypeOf(target, proto);
+    else
+      target.__proto__ = proto;
+  } catch (ex) {
+    return false;
+  }
+  return $getPrototypeOf(target) === proto;
+}
+
+export function polyfillReflect(global) {
+  maybeAddFunctions(global.Reflect, [
+    'apply', apply,
+    'construct', construct,
+    'defineProperty', defineProperty,
+    'deleteProperty', deleteProperty,
+    'get', get,
+    'getOwnPropertyDescriptor', getOwnPropertyDescriptor,
+    'getPrototypeOf', getPrototypeOf,
+    'has', has,
+    'isExtensible', isExtensible,
+    'ownKeys', ownKeys,
+    'preventExtensions', preventExtensions,
+    'set', set,
+    'setPrototypeOf', setPrototypeOf,
+  ]);
+}
+
+registerPolyfill(polyfillReflect);
@@ -0,0 +1,123 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  isObject,
+  registerPolyfill
+} from './utils.js'
+
+var getOwnHashObject = $traceurRuntime.getOwnHashObject;
+var $hasOwnProperty = Object.prototype.hasOwnProperty;
+
+// The values are stored on the hash object of the key, indexed by the id of
+// the WeakMap. That way the WeakMap never references its keys and the entries
+// go away together with the key.
+var weakMapCounter = 0;
+
+function initWeakMap(weakMap) {
+  weakMap.id_ = '$weakMap' + weakMapCounter++;
+  // Objects that were made non extensible before the runtime was loaded do not
+  // have a hash object. These have to be kept in the map itself.
+  weakMap.frozenKeys_ = [];
+  weakMap.frozenValues_ = [];
+}
+
+function checkKey(key) {
+  if (!isObject(key))
+    throw new TypeError('Invalid value used as weak map key');
+}
+
+function frozenIndex(weakMap, key) {
+  return weakMap.frozenKeys_.indexOf(key);
+}
+
+export class WeakMap {
+  constructor(iterable = undefined) {
+    if (!isObject(this))
+      throw new TypeError('WeakMap called on incompatible type');
+
+    if ($hasOwnProperty.call(this, 'id_')) {
+      throw new TypeError('WeakMap can not be reentrantly initialised');
+    }
+
+    initWeakMap(this);
+
+    if (iterable !== null && iterable !== undefined) {
+      for (var [key, value] of iterable) {
+        this.set(key, value);
+      }
+    }
+  }
+
+  get(key) {
+    if (!isObject(key))
+      return undefined;
+    var hashObject = getOwnHashObject(key);
+    if (hashObject)
+      return hashObject[this.id_];
+    var index = frozenIndex(this, key);
+    if (index !== -1)
+      return this.frozenValues_[index];
+  }
+
+  set(key, value) {
+    checkKey(key);
+    var hashObject = getOwnHashObject(key);
+    if (hashObject) {
+      hashObject[this.id_] = value;
+    } else {
+      var index = frozenIndex(this, key);
+      if (index === -1) {
+        index = this.frozenKeys_.length;
+        this.frozenKeys_[index] = key;
+      }
+      this.frozenValues_[index] = value;
+    }
+    return this;  // 23.3.3.5
+  }
+
+  has(key) {
+    if (!isObject(key))
+      return false;
+    var hashObject = getOwnHashObject(key);
+    if (hashObject)
+      return this.id_ in hashObject;
+    return frozenIndex(this, key) !== -1;
+  }
+
+  delete(key) {
+    if (!isObject(key))
+      return false;
+    var hashObject = getOwnHashObject(key);
+    if (hashObject) {
+      if (!(this.id_ in hashObject))
+        return false;
+      delete hashObject[this.id_];
+      return true;
+    }
+    var index = frozenIndex(this, key);
+    if (index === -1)
+      return false;
+    this.frozenKeys_.splice(index, 1);
+    this.frozenValues_.splice(index, 1);
+    return true;
+  }
+}
+
+export function polyfillWeakMap(global) {
+  if (!global.WeakMap)
+    global.WeakMap = WeakMap;
+}
+
+registerPolyfill(polyfillWeakMap);
@@ -0,0 +1,66 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  isObject,
+  registerPolyfill
+} from './utils.js'
+import {WeakMap} from './WeakMap.js'
+
+var $hasOwnProperty = Object.prototype.hasOwnProperty;
+
+function initWeakSet(weakSet) {
+  weakSet.map_ = new WeakMap();
+}
+
+export class WeakSet {
+  constructor(iterable = undefined) {
+    if (!isObject(this))
+      throw new TypeError('WeakSet called on incompatible type');
+
+    if ($hasOwnProperty.call(this, 'map_')) {
+      throw new TypeError('WeakSet can not be reentrantly initialised');
+    }
+
+    initWeakSet(this);
+
+    if (iterable !== null && iterable !== undefined) {
+      for (var item of iterable) {
+        this.add(item);
+      }
+    }
+  }
+
+  has(value) {
+    return this.map_.has(value);
+  }
+
+  add(value) {
+    if (!isObject(value))
+      throw new TypeError('Invalid value used in weak set');
+    this.map_.set(value, true);
+    return this;  // 23.4.3.1
+  }
+
+  delete(value) {
+    return this.map_.delete(value);
+  }
+}
+
+export function polyfillWeakSet(global) {
+  if (!global.WeakSet)
+    global.WeakSet = WeakSet;
+}
+
+registerPolyfill(polyfillWeakSet);
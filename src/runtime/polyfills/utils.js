@@ -20,6 +20,7 @@ var $pow = Math.pow;
 var $min = Math.min;
 
 export var toObject = $traceurRuntime.toObject;
+export var speciesConstructor = $traceurRuntime.speciesConstructor;
 
 export function toUint32(x) {
   return x >>> 0;
@@ -125,6 +126,21 @@ export function maybeAddIterator(object, func, Symbol) {
   });
 }
 
+// https://people.mozilla.org/~jorendorff/es6-draft.html#sec-get-array-@@species
+export function maybeAddSpecies(constructor, Symbol) {
+  if (!Symbol || !Symbol.species)
+    return;
+  var species = $traceurRuntime.toProperty(Symbol.species);
+  if (constructor[species])
+    return;
+
+  Object.defineProperty(constructor, species, {
+    get: function() { return this; },
+    configurable: true,
+    enumerable: false
+  });
+}
+
 var polyfills = [];
 
 export function registerPolyfill(func) {
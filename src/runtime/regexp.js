@@ -0,0 +1,79 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+(function() {
+  'use strict';
+
+  var $defineProperty = Object.defineProperty;
+  var $exec = RegExp.prototype.exec;
+
+  function method(value) {
+    return {
+      configurable: true,
+      enumerable: false,
+      value: value,
+      writable: true
+    };
+  }
+
+  function countGroups(source) {
+    // An alternative that matches the empty string gives us a match with one
+    // entry per group.
+    return new RegExp(source + '|').exec('').length - 1;
+  }
+
+  /**
+   * Emulates the sticky (y) flag for a regular expression literal that has
+   * been compiled without it.
+   *
+   * The literal keeps its source and its other flags and gets own exec and
+   * test methods (and a sticky property) that match only at lastIndex. These
+   * use a hidden copy of the pattern, rewritten to (?:pattern)|() and compiled
+   * with the g flag. Since the trailing empty alternative always matches, a
+   * search that starts at lastIndex never moves past lastIndex. If the match
+   * comes from the empty group the original pattern did not match at
+   * lastIndex.
+   *
+   * The Symbol.match, Symbol.replace, Symbol.search and Symbol.split methods
+   * call exec so they honor the emulation. In engines without these the
+   * String.prototype methods use the internal exec and do not stick.
+   *
+   * @param {RegExp} re
+   * @return {RegExp}
+   */
+  function stickyRegExp(re) {
+    var flags = 'g' + (re.ignoreCase ? 'i' : '') + (re.multiline ? 'm' : '');
+    var emulation = new RegExp('(?:' + re.source + ')|()', flags);
+    var groups = countGroups(re.source);
+
+    $defineProperty(re, 'exec', method(function(string) {
+      emulation.lastIndex = re.lastIndex;
+      var match = $exec.call(emulation, string);
+      if (match === null || match[groups + 1] !== undefined) {
+        re.lastIndex = 0;
+        return null;
+      }
+      re.lastIndex = emulation.lastIndex;
+      match.length = groups + 1;
+      return match;
+    }));
+    $defineProperty(re, 'test', method(function(string) {
+      return re.exec(string) !== null;
+    }));
+    $defineProperty(re, 'sticky', {value: true});
+    return re;
+  }
+
+  $traceurRuntime.stickyRegExp = stickyRegExp;
+})();
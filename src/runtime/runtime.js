@@ -337,6 +337,60 @@
     return argument;
   }
 
+  // https://people.mozilla.org/~jorendorff/es6-draft.html#sec-instanceofoperator
+  function instanceOf(value, constructor) {
+    if (!isObject(constructor))
+      throw new $TypeError('Right-hand side of instanceof is not an object');
+    var hasInstance = constructor[toProperty(global.Symbol.hasInstance)];
+    if (hasInstance != null)
+      return !!hasInstance.call(constructor, value);
+    if (typeof constructor !== 'function')
+      throw new $TypeError('Right-hand side of instanceof is not callable');
+    return value instanceof constructor;
+  }
+
+  // https://people.mozilla.org/~jorendorff/es6-draft.html#sec-toprimitive
+  //
+  // Only the exotic @@toPrimitive method is called here. Objects without one
+  // are returned as is and the operator that needed the primitive value will
+  // call valueOf and toString.
+  function toPrimitive(value, hint) {
+    if (!isObject(value) || isShimSymbol(value))
+      return value;
+    var exoticToPrim = value[toProperty(global.Symbol.toPrimitive)];
+    if (exoticToPrim == null)
+      return value;
+    var result = exoticToPrim.call(value, hint);
+    if (isObject(result))
+      throw new $TypeError('Cannot convert object to primitive value');
+    return result;
+  }
+
+  // https://people.mozilla.org/~jorendorff/es6-draft.html#sec-speciesconstructor
+  function speciesConstructor(object, defaultConstructor) {
+    var constructor = object.constructor;
+    if (constructor === undefined)
+      return defaultConstructor;
+    if (!isObject(constructor))
+      throw new $TypeError('object.constructor is not an object');
+    var species = constructor[toProperty(global.Symbol.species)];
+    if (species == null)
+      return defaultConstructor;
+    if (typeof species !== 'function')
+      throw new $TypeError('@@species is not a constructor');
+    return species;
+  }
+
+  // Object.prototype.toString that honors an emulated @@toStringTag.
+  function objectToString() {
+    if (this != null) {
+      var tag = this[toProperty(global.Symbol.toStringTag)];
+      if (typeof tag === 'string')
+        return '[object ' + tag + ']';
+    }
+    return $toString.call(this);
+  }
+
   function polyfillSymbol(global, Symbol) {
     if (!global.Symbol) {
       global.Symbol = Symbol;
@@ -345,6 +399,23 @@
     if (!global.Symbol.iterator) {
       global.Symbol.iterator = Symbol('Symbol.iterator');
     }
+    if (!global.Symbol.asyncIterator) {
+      global.Symbol.asyncIterator = Symbol('Symbol.asyncIterator');
+    }
+    if (!global.Symbol.hasInstance) {
+      global.Symbol.hasInstance = Symbol('Symbol.hasInstance');
+    }
+    if (!global.Symbol.species) {
+      global.Symbol.species = Symbol('Symbol.species');
+    }
+    if (!global.Symbol.toPrimitive) {
+      global.Symbol.toPrimitive = Symbol('Symbol.toPrimitive');
+    }
+    if (!global.Symbol.toStringTag) {
+      global.Symbol.toStringTag = Symbol('Symbol.toStringTag');
+      $defineProperty(global.Object.prototype, 'toString',
+                      method(objectToString));
+    }
   }
 
   function setupGlobals(global) {
@@ -366,12 +437,16 @@
     getOwnHashObject: getOwnHashObject,
     getOwnPropertyDescriptor: $getOwnPropertyDescriptor,
     getOwnPropertyNames: $getOwnPropertyNames,
+    getOwnPropertySymbols: getOwnPropertySymbols,
+    instanceOf: instanceOf,
     isObject: isObject,
     isPrivateName: isPrivateName,
     isSymbolString: isSymbolString,
     keys: $keys,
     setupGlobals: setupGlobals,
+    speciesConstructor: speciesConstructor,
     toObject: toObject,
+    toPrimitive: toPrimitive,
     toProperty: toProperty,
     typeof: typeOf,
   };
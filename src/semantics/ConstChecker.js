@@ -12,6 +12,11 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {CONST_ASSIGNMENT} from '../util/DiagnosticCode.js';
+import {
+  Diagnostic,
+  ERROR as ERROR_SEVERITY
+} from '../util/Diagnostic.js';
 import {IDENTIFIER_EXPRESSION} from '../syntax/trees/ParseTreeType.js';
 import {
   CONST,
@@ -73,14 +78,14 @@ export class ConstChecker extends ScopeVisitor {
 
     var {type, tree} = binding;
     if (type === CONST) {
-      this.reportError_(identifierExpression.location,
-          `${tree.getStringValue()} is read-only`);
+      var name = tree.getStringValue();
+      var diagnostic = new Diagnostic(CONST_ASSIGNMENT, ERROR_SEVERITY,
+          `${name} is read-only`, identifierExpression.location);
+      if (tree.location)
+        diagnostic.addSecondaryRange(tree.location, `${name} is declared here`);
+      this.reporter_.report(diagnostic);
     }
   }
-
-  reportError_(location, message) {
-    this.reporter_.reportError(location.start, message);
-  }
 }
 
 export function validate(tree, reporter) {
@@ -13,6 +13,11 @@
 // limitations under the License.
 
 import {ScopeChainBuilderWithReferences} from './ScopeChainBuilderWithReferences.js';
+import {UNDEFINED_VARIABLE} from '../util/DiagnosticCode.js';
+import {
+  Diagnostic,
+  ERROR
+} from '../util/Diagnostic.js';
 
 class FreeVariableChecker extends ScopeChainBuilderWithReferences {
   constructor(reporter, global) {
@@ -26,7 +31,8 @@ class FreeVariableChecker extends ScopeChainBuilderWithReferences {
   referenceFound(tree, name) {
     if (this.scope.getBinding(tree)) return;
     if (!(name in this.global_)) {
-      this.reporter.reportError(tree.location.start, `${name} is not defined`);
+      this.reporter.report(new Diagnostic(UNDEFINED_VARIABLE, ERROR,
+          `${name} is not defined`, tree.location));
     }
   }
 
@@ -17,11 +17,21 @@ import {
   CATCH
 } from '../syntax/trees/ParseTreeType.js';
 import {VAR} from '../syntax/TokenType.js';
+import {DUPLICATE_DECLARATION} from '../util/DiagnosticCode.js';
+import {
+  Diagnostic,
+  ERROR
+} from '../util/Diagnostic.js';
 import {isTreeStrict} from './isTreeStrict.js';
 
-function reportDuplicateVar(reporter, tree, name) {
-  reporter.reportError(tree.location && tree.location.start,
-      `Duplicate declaration, ${name}`);
+function reportDuplicateVar(reporter, tree, name, previous) {
+  var diagnostic = new Diagnostic(DUPLICATE_DECLARATION, ERROR,
+      `Duplicate declaration, ${name}`, tree.location);
+  if (previous.tree.location) {
+    diagnostic.addSecondaryRange(previous.tree.location,
+                                 `${name} was previously declared here`);
+  }
+  reporter.report(diagnostic);
 }
 
 /**
@@ -56,7 +66,7 @@ export class Scope {
     // We add VAR bindings to blocks so that we can check for duplicates.
     var name = tree.getStringValue();
     if (this.lexicalDeclarations[name]) {
-      reportDuplicateVar(reporter, tree, name);
+      reportDuplicateVar(reporter, tree, name, this.lexicalDeclarations[name]);
       return;
     }
     this.variableDeclarations[name] = {type: VAR, tree};
@@ -68,8 +78,10 @@ export class Scope {
 
   addDeclaration(tree, type, reporter) {
     var name = tree.getStringValue();
-    if (this.lexicalDeclarations[name] || this.variableDeclarations[name]) {
-      reportDuplicateVar(reporter, tree, name);
+    var previous = this.lexicalDeclarations[name] ||
+        this.variableDeclarations[name];
+    if (previous) {
+      reportDuplicateVar(reporter, tree, name, previous);
       return;
     }
     this.lexicalDeclarations[name] = {type, tree};
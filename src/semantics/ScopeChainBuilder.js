@@ -47,8 +47,12 @@ export class ScopeChainBuilder extends ScopeVisitor {
   }
 
   visitVariableDeclarationList(tree) {
-    this.declarationType_ = tree.declarationType;
-    super.visitVariableDeclarationList(tree);
+    // The initializers may contain declarations of their own, in a function
+    // expression for example, so set the type for every declaration.
+    tree.declarations.forEach((declaration) => {
+      this.declarationType_ = tree.declarationType;
+      this.visitAny(declaration);
+    });
   }
 
   visitBindingIdentifier(tree) {
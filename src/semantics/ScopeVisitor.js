@@ -169,6 +169,10 @@ export class ScopeVisitor extends ParseTreeVisitor {
     this.visitLoop_(tree, () => super.visitForOfStatement(tree));
   }
 
+  visitForAwaitStatement(tree) {
+    this.visitLoop_(tree, () => super.visitForAwaitStatement(tree));
+  }
+
   visitForStatement(tree) {
     if (!tree.initializer) {
       super.visitForStatement(tree);
@@ -209,4 +213,6 @@ export class ScopeVisitor extends ParseTreeVisitor {
   visitPredefinedType(tree) {}
   visitTypeArguments(tree) {}
   visitFunctionType(tree) {}
+  visitConstructorType(tree) {}
+  visitObjectType(tree) {}
 }
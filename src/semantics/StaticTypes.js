@@ -0,0 +1,343 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * The types used by the static type checker. These are resolved from the type
+ * annotations or inferred from expressions.
+ */
+
+export class PrimitiveType {
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+export var ANY = new PrimitiveType('any');
+export var BOOLEAN = new PrimitiveType('boolean');
+export var NULL = new PrimitiveType('null');
+export var NUMBER = new PrimitiveType('number');
+export var STRING = new PrimitiveType('string');
+export var SYMBOL = new PrimitiveType('symbol');
+export var UNDEFINED = new PrimitiveType('undefined');
+export var VOID = new PrimitiveType('void');
+
+export class ArrayOfType {
+  /**
+   * @param {Object} elementType
+   */
+  constructor(elementType) {
+    this.elementType = elementType;
+  }
+
+  toString() {
+    var element = String(this.elementType);
+    if (this.elementType instanceof UnionOfType ||
+        this.elementType instanceof SignatureType) {
+      element = `(${element})`;
+    }
+    return element + '[]';
+  }
+}
+
+export class UnionOfType {
+  /**
+   * @param {Array.<Object>} types
+   */
+  constructor(types) {
+    this.types = types;
+  }
+
+  toString() {
+    return this.types.join(' | ');
+  }
+}
+
+/**
+ * The type of a function.
+ */
+export class SignatureType {
+  /**
+   * @param {Array.<{name: string, type: Object, optional: boolean,
+   *     rest: boolean}>} parameters
+   * @param {Object} returnType
+   */
+  constructor(parameters, returnType) {
+    this.parameters = parameters;
+    this.returnType = returnType;
+  }
+
+  /**
+   * @param {number} index
+   * @return {Object} The type of the argument at |index| or null if there is
+   *     no parameter for it.
+   */
+  getArgumentType(index) {
+    var parameters = this.parameters;
+    var last = parameters[parameters.length - 1];
+    if (index < parameters.length && !parameters[index].rest)
+      return parameters[index].type;
+    if (last && last.rest) {
+      return last.type instanceof ArrayOfType ?
+          last.type.elementType : ANY;
+    }
+    return null;
+  }
+
+  toString() {
+    var parameters = this.parameters.map(({name, type, optional, rest}) =>
+        `${rest ? '...' : ''}${name}${optional ? '?' : ''}: ${type}`);
+    return `(${parameters.join(', ')}) => ${this.returnType}`;
+  }
+}
+
+/**
+ * The type of an object literal or an object type annotation.
+ */
+export class ObjectShapeType {
+  /**
+   * @param {Object} members Maps the member names to
+   *     {type: Object, optional: boolean}.
+   */
+  constructor(members) {
+    this.members = members;
+  }
+
+  getMember(name) {
+    return this.members[name] || null;
+  }
+
+  toString() {
+    var members = Object.keys(this.members).map((name) => {
+      var {type, optional} = this.members[name];
+      return `${name}${optional ? '?' : ''}: ${type}`;
+    });
+    return `{${members.join('; ')}}`;
+  }
+}
+
+export var CLASS = 'class';
+export var INTERFACE = 'interface';
+export var OPAQUE = 'opaque';
+
+/**
+ * A type referred to by name. Classes and interfaces have their members
+ * resolved on first use since they may refer to types declared after them.
+ * Opaque types are the ones we know nothing about, such as imported bindings
+ * and the constructors of the global object.
+ */
+export class NominalType {
+  /**
+   * @param {string} name
+   * @param {string} kind CLASS, INTERFACE or OPAQUE.
+   * @param {function():Object=} resolveMembers Returns the own members, as
+   *     for ObjectShapeType, and the super types as {members, superTypes}.
+   */
+  constructor(name, kind, resolveMembers = () => ({})) {
+    this.name = name;
+    this.kind = kind;
+    this.resolveMembers_ = resolveMembers;
+    this.members_ = null;
+    this.superTypes_ = null;
+  }
+
+  resolve_() {
+    if (this.members_ === null) {
+      // Guard against cycles in the super types.
+      this.members_ = Object.create(null);
+      this.superTypes_ = [];
+      var {members = Object.create(null), superTypes = []} =
+          this.resolveMembers_();
+      this.members_ = members;
+      this.superTypes_ = superTypes;
+    }
+  }
+
+  get superTypes() {
+    this.resolve_();
+    return this.superTypes_;
+  }
+
+  /**
+   * @return {Array.<string>} The names of the own and inherited members.
+   */
+  getMemberNames() {
+    this.resolve_();
+    var names = Object.keys(this.members_);
+    this.superTypes_.forEach((superType) => {
+      if (superType instanceof NominalType ||
+          superType instanceof ObjectShapeType) {
+        var superNames = superType instanceof NominalType ?
+            superType.getMemberNames() : Object.keys(superType.members);
+        superNames.forEach((name) => {
+          if (names.indexOf(name) === -1)
+            names.push(name);
+        });
+      }
+    });
+    return names;
+  }
+
+  getMember(name) {
+    this.resolve_();
+    if (name in this.members_)
+      return this.members_[name];
+    for (var i = 0; i < this.superTypes_.length; i++) {
+      var superType = this.superTypes_[i];
+      if (superType instanceof NominalType ||
+          superType instanceof ObjectShapeType) {
+        var member = superType.getMember(name);
+        if (member)
+          return member;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {NominalType} type
+   * @return {boolean} Whether this is |type| or extends it.
+   */
+  isSubtypeOf(type) {
+    return this === type ||
+        this.superTypes.some((superType) => superType instanceof NominalType &&
+                                            superType.isSubtypeOf(type));
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+// The primitive values that the wrapper types of the global object accept.
+var wrapperTypes = {
+  Boolean: BOOLEAN,
+  Number: NUMBER,
+  String: STRING,
+  Symbol: SYMBOL
+};
+
+function isPrimitive(type) {
+  return type instanceof PrimitiveType;
+}
+
+function getMemberNames(type) {
+  return type instanceof NominalType ?
+      type.getMemberNames() : Object.keys(type.members);
+}
+
+// The pairs of types whose members are being compared. Types may refer to
+// themselves through their members, in which case we assume they match.
+var comparing = [];
+
+/**
+ * Whether the members of |from| match the members of |to|. Members that are
+ * missing in |from| are only allowed when it is a class, which may add them
+ * in its constructor, or when the member is optional.
+ */
+function hasMembersOf(from, to) {
+  if (comparing.some(([f, t]) => f === from && t === to))
+    return true;
+  var isClass = from instanceof NominalType && from.kind === CLASS;
+  comparing.push([from, to]);
+  try {
+    return getMemberNames(to).every((name) => {
+      var toMember = to.getMember(name);
+      var fromMember = from.getMember(name);
+      if (!fromMember)
+        return isClass || toMember.optional;
+      return isAssignable(fromMember.type, toMember.type);
+    });
+  } finally {
+    comparing.pop();
+  }
+}
+
+/**
+ * Whether a value of type |from| can be used where a value of type |to| is
+ * expected. When in doubt this returns true so that we only report errors we
+ * are sure about.
+ * @param {Object} from
+ * @param {Object} to
+ * @return {boolean}
+ */
+export function isAssignable(from, to) {
+  if (from === to || from === ANY || to === ANY)
+    return true;
+
+  // null and undefined are values of every type.
+  if (from === NULL || from === UNDEFINED)
+    return true;
+
+  if (from instanceof UnionOfType)
+    return from.types.every((type) => isAssignable(type, to));
+  if (to instanceof UnionOfType)
+    return to.types.some((type) => isAssignable(from, type));
+
+  if (from instanceof NominalType && from.kind === OPAQUE)
+    return !isPrimitive(to);
+
+  if (to instanceof PrimitiveType)
+    return false;
+
+  if (to instanceof ArrayOfType) {
+    return from instanceof ArrayOfType &&
+        isAssignable(from.elementType, to.elementType);
+  }
+
+  if (to instanceof SignatureType) {
+    if (!(from instanceof SignatureType))
+      return false;
+    // A function may ignore some of the arguments it is called with.
+    for (var i = 0; i < from.parameters.length; i++) {
+      var toType = to.getArgumentType(i);
+      if (toType !== null && !isAssignable(toType, from.parameters[i].type))
+        return false;
+    }
+    return to.returnType === VOID ||
+        isAssignable(from.returnType, to.returnType);
+  }
+
+  if (to instanceof NominalType) {
+    switch (to.kind) {
+      case OPAQUE:
+        if (isPrimitive(from))
+          return wrapperTypes[to.name] === from;
+        return true;
+      case CLASS:
+        if (from instanceof NominalType && from.kind === CLASS)
+          return from.isSubtypeOf(to);
+        return from instanceof ObjectShapeType ||
+            from instanceof NominalType;
+    }
+  }
+
+  // Interfaces and object types.
+  if (isPrimitive(from) || from instanceof ArrayOfType ||
+      from instanceof SignatureType) {
+    return getMemberNames(to).length === 0;
+  }
+  if (from instanceof NominalType && to instanceof NominalType &&
+      from.isSubtypeOf(to)) {
+    return true;
+  }
+  return hasMembersOf(from, to);
+}
@@ -0,0 +1,844 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import {
+  ANY,
+  ArrayOfType,
+  BOOLEAN,
+  CLASS,
+  INTERFACE,
+  NominalType,
+  NULL,
+  NUMBER,
+  OPAQUE,
+  ObjectShapeType,
+  STRING,
+  SYMBOL,
+  SignatureType,
+  UNDEFINED,
+  UnionOfType,
+  VOID,
+  isAssignable
+} from './StaticTypes.js';
+import {Map} from '../runtime/polyfills/Map.js';
+import {
+  ARRAY_LITERAL_EXPRESSION,
+  ARRAY_TYPE,
+  ARROW_FUNCTION_EXPRESSION,
+  BINARY_EXPRESSION,
+  BINDING_ELEMENT,
+  BINDING_IDENTIFIER,
+  CALL_EXPRESSION,
+  COMMA_EXPRESSION,
+  CONDITIONAL_EXPRESSION,
+  FUNCTION_EXPRESSION,
+  FUNCTION_TYPE,
+  GET_ACCESSOR,
+  IDENTIFIER_EXPRESSION,
+  LITERAL_EXPRESSION,
+  MEMBER_EXPRESSION,
+  MEMBER_LOOKUP_EXPRESSION,
+  METHOD_SIGNATURE,
+  NEW_EXPRESSION,
+  OBJECT_LITERAL_EXPRESSION,
+  OBJECT_TYPE,
+  PAREN_EXPRESSION,
+  POSTFIX_EXPRESSION,
+  PREDEFINED_TYPE,
+  PROPERTY_METHOD_ASSIGNMENT,
+  PROPERTY_NAME_ASSIGNMENT,
+  PROPERTY_SIGNATURE,
+  PROPERTY_VARIABLE_DECLARATION,
+  REST_PARAMETER,
+  SPREAD_EXPRESSION,
+  TEMPLATE_LITERAL_EXPRESSION,
+  TYPE_NAME,
+  TYPE_REFERENCE,
+  UNARY_EXPRESSION,
+  UNION_TYPE
+} from '../syntax/trees/ParseTreeType.js';
+import {
+  AND,
+  BANG,
+  DELETE,
+  EQUAL,
+  EQUAL_EQUAL,
+  EQUAL_EQUAL_EQUAL,
+  FALSE,
+  GREATER_EQUAL,
+  IN,
+  INSTANCEOF,
+  LESS_EQUAL,
+  MINUS_MINUS,
+  NOT_EQUAL,
+  NOT_EQUAL_EQUAL,
+  NULL as NULL_TOKEN,
+  NUMBER as NUMBER_TOKEN,
+  OPEN_ANGLE,
+  CLOSE_ANGLE,
+  OR,
+  PLUS,
+  PLUS_EQUAL,
+  PLUS_PLUS,
+  STRING as STRING_TOKEN,
+  TRUE,
+  TYPEOF,
+  VOID as VOID_TOKEN
+} from '../syntax/TokenType.js';
+import {CONSTRUCTOR} from '../syntax/PredefinedName.js';
+import {ScopeChainBuilder} from './ScopeChainBuilder.js';
+import {ScopeVisitor} from './ScopeVisitor.js';
+import {propName} from '../staticsemantics/PropName.js';
+
+var predefinedTypes = {
+  any: ANY,
+  boolean: BOOLEAN,
+  number: NUMBER,
+  string: STRING,
+  symbol: SYMBOL
+};
+
+/**
+ * Unions with a single distinct member are just that member.
+ * @param {Array.<Object>} types
+ * @return {Object}
+ */
+function createUnion(types) {
+  var distinct = [];
+  types.forEach((type) => {
+    if (distinct.indexOf(type) === -1)
+      distinct.push(type);
+  });
+  if (distinct.indexOf(ANY) !== -1)
+    return ANY;
+  return distinct.length === 1 ? distinct[0] : new UnionOfType(distinct);
+}
+
+/**
+ * A binding that is not annotated gets the type of its initializer. null and
+ * undefined are not useful as such.
+ */
+function widen(type) {
+  return type === NULL || type === UNDEFINED ? ANY : type;
+}
+
+/**
+ * The annotation of a rest parameter may be on either tree.
+ * @param {FormalParameter} tree
+ * @return {ParseTree}
+ */
+function getParameterAnnotation(tree) {
+  if (tree.typeAnnotation === null && tree.parameter.type === REST_PARAMETER)
+    return tree.parameter.typeAnnotation;
+  return tree.typeAnnotation;
+}
+
+function getTypeParameterNames(tree) {
+  if (!tree)
+    return [];
+  return tree.parameters.map((parameter) => parameter.identifierToken.value);
+}
+
+/**
+ * Finds the declarations and the bindings that are assigned to. This runs
+ * before the checking so that hoisted functions and classes are known where
+ * they are used.
+ */
+class DeclarationCollector extends ScopeVisitor {
+  /**
+   * @param {ScopeVisitor} scopeBuilder
+   * @param {TypeChecker} checker
+   */
+  constructor(scopeBuilder, checker) {
+    super();
+    this.scopeBuilder_ = scopeBuilder;
+    this.checker_ = checker;
+  }
+
+  pushScope(tree) {
+    // Override to return the cached scope.
+    return this.scope = this.scopeBuilder_.getScopeForTree(tree);
+  }
+
+  visitVariableDeclaration(tree) {
+    if (tree.lvalue.type === BINDING_IDENTIFIER)
+      this.checker_.declareVariable(tree, this.scope);
+    super.visitVariableDeclaration(tree);
+  }
+
+  visitFormalParameter(tree) {
+    var parameter = tree.parameter;
+    var binding = parameter.type === REST_PARAMETER ?
+        parameter.identifier : parameter.binding;
+    var typeAnnotation = getParameterAnnotation(tree);
+    if (binding.type === BINDING_IDENTIFIER && typeAnnotation)
+      this.checker_.declareAnnotated(binding, typeAnnotation, this.scope);
+    super.visitFormalParameter(tree);
+  }
+
+  visitFunctionDeclaration(tree) {
+    this.checker_.declareFunction(tree, this.scope);
+    super.visitFunctionDeclaration(tree);
+  }
+
+  visitClassDeclaration(tree) {
+    this.checker_.declareClass(tree, this.scope);
+    super.visitClassDeclaration(tree);
+  }
+
+  visitInterfaceDeclaration(tree) {
+    this.checker_.declareInterface(tree, this.scope);
+    super.visitInterfaceDeclaration(tree);
+  }
+
+  visitBinaryExpression(tree) {
+    if (tree.operator.isAssignmentOperator())
+      this.markAssigned_(tree.left);
+    super.visitBinaryExpression(tree);
+  }
+
+  visitUnaryExpression(tree) {
+    if (tree.operator.type === PLUS_PLUS ||
+        tree.operator.type === MINUS_MINUS) {
+      this.markAssigned_(tree.operand);
+    }
+    super.visitUnaryExpression(tree);
+  }
+
+  visitPostfixExpression(tree) {
+    this.markAssigned_(tree.operand);
+    super.visitPostfixExpression(tree);
+  }
+
+  visitForInStatement(tree) {
+    this.markAssigned_(tree.initializer);
+    super.visitForInStatement(tree);
+  }
+
+  visitForOfStatement(tree) {
+    this.markAssigned_(tree.initializer);
+    super.visitForOfStatement(tree);
+  }
+
+  markAssigned_(tree) {
+    if (tree.type === IDENTIFIER_EXPRESSION && !this.inWithBlock) {
+      var binding = this.scope.getBinding(tree);
+      if (binding !== null)
+        this.checker_.markAssigned(binding.tree);
+    }
+  }
+}
+
+/**
+ * Checks the values that are assigned, passed as arguments and returned
+ * against the type annotations. The types of bindings without annotations
+ * are inferred from their initializers when they are never assigned to.
+ *
+ * Only mismatches we are sure about are reported. Anything we cannot resolve
+ * has type any.
+ */
+export class TypeChecker extends ScopeVisitor {
+  /**
+   * @param {ScopeVisitor} scopeBuilder
+   * @param {ErrorReporter} reporter
+   * @param {Object} global
+   */
+  constructor(scopeBuilder, reporter, global) {
+    super();
+    this.scopeBuilder_ = scopeBuilder;
+    this.reporter_ = reporter;
+    this.global_ = global;
+    // Maps binding trees to functions returning their types.
+    this.bindingTypes_ = new Map();
+    this.assigned_ = new Map();
+    this.classTypes_ = new Map();
+    // Maps class types to functions returning the types of their
+    // constructors.
+    this.constructorTypes_ = new Map();
+    this.interfaceTypes_ = Object.create(null);
+    this.resolvedTypes_ = new Map();
+    this.returnTypes_ = [];
+  }
+
+  pushScope(tree) {
+    // Override to return the cached scope.
+    return this.scope = this.scopeBuilder_.getScopeForTree(tree);
+  }
+
+  declareBinding_(binding, computeType) {
+    var type = null;
+    var computing = false;
+    this.bindingTypes_.set(binding, () => {
+      if (type === null) {
+        // The initializer may refer to the binding itself.
+        if (computing)
+          return ANY;
+        computing = true;
+        type = computeType();
+      }
+      return type;
+    });
+  }
+
+  declareVariable(tree, scope) {
+    this.declareBinding_(tree.lvalue, () => {
+      if (tree.typeAnnotation)
+        return this.resolveType_(tree.typeAnnotation, scope);
+      if (tree.initializer && !this.assigned_.has(tree.lvalue))
+        return widen(this.inferType_(tree.initializer, scope));
+      return ANY;
+    });
+  }
+
+  declareAnnotated(binding, typeAnnotation, scope) {
+    this.declareBinding_(binding,
+                         () => this.resolveType_(typeAnnotation, scope));
+  }
+
+  declareFunction(tree, scope) {
+    this.declareBinding_(tree.name, () => {
+      if (this.assigned_.has(tree.name))
+        return ANY;
+      return this.getFunctionType_(tree, scope);
+    });
+  }
+
+  declareClass(tree, scope) {
+    var name = tree.name.getStringValue();
+    var typeParameters = getTypeParameterNames(tree.typeParameters);
+    var classScope = this.scopeBuilder_.getScopeForTree(tree);
+    var type = new NominalType(name, CLASS, () => {
+      var members = Object.create(null);
+      tree.elements.forEach((element) => {
+        var memberName = propName(element.name);
+        // Computed names are not known until run time.
+        if (element.isStatic || memberName === '')
+          return;
+        switch (element.type) {
+          case PROPERTY_METHOD_ASSIGNMENT:
+            if (memberName !== CONSTRUCTOR) {
+              members[memberName] = {
+                type: this.getFunctionType_(element, classScope,
+                                            typeParameters),
+                optional: false
+              };
+            }
+            break;
+          case GET_ACCESSOR:
+          case PROPERTY_VARIABLE_DECLARATION:
+            members[memberName] = {
+              type: this.resolveType_(element.typeAnnotation, classScope,
+                                      typeParameters),
+              optional: false
+            };
+            break;
+        }
+      });
+      var superTypes = [];
+      if (tree.superClass) {
+        var superType = this.inferConstructedType_(tree.superClass, scope);
+        superTypes.push(superType === ANY ?
+            new NominalType('', OPAQUE) : superType);
+      }
+      return {members, superTypes};
+    });
+    this.constructorTypes_.set(type, () => {
+      var constructor = null;
+      tree.elements.forEach((element) => {
+        if (element.type === PROPERTY_METHOD_ASSIGNMENT && !element.isStatic &&
+            propName(element.name) === CONSTRUCTOR) {
+          constructor = element;
+        }
+      });
+      if (!constructor)
+        return null;
+      return this.getFunctionType_(constructor, classScope, typeParameters);
+    });
+    this.classTypes_.set(tree.name, type);
+  }
+
+  declareInterface(tree, scope) {
+    var name = tree.name.value;
+    var typeParameters = getTypeParameterNames(tree.typeParameters);
+    this.interfaceTypes_[name] = new NominalType(name, INTERFACE, () => {
+      var shape = this.resolveType_(tree.objectType, scope, typeParameters);
+      var superTypes = tree.extendsClause.map((type) =>
+          this.resolveType_(type, scope, typeParameters));
+      return {members: shape.members, superTypes};
+    });
+  }
+
+  markAssigned(binding) {
+    this.assigned_.set(binding, true);
+  }
+
+  /**
+   * @param {Scope} scope
+   * @param {ParseTree} tree IdentifierExpression or BindingIdentifier.
+   * @return {Object}
+   */
+  getBindingType_(scope, tree) {
+    var binding = scope.getBinding(tree);
+    if (binding === null) {
+      switch (tree.getStringValue()) {
+        case 'undefined':
+          return UNDEFINED;
+        case 'NaN':
+        case 'Infinity':
+          return NUMBER;
+      }
+      return ANY;
+    }
+    var getType = this.bindingTypes_.get(binding.tree);
+    return getType ? getType() : ANY;
+  }
+
+  /**
+   * @param {FunctionDeclaration|FunctionExpression|PropertyMethodAssignment|
+   *     ArrowFunctionExpression|FunctionType} tree
+   * @param {Scope} scope
+   * @param {Array.<string>=} typeParameters
+   * @return {SignatureType}
+   */
+  getFunctionType_(tree, scope, typeParameters = []) {
+    var parameters = tree.parameterList.parameters.map((formal) => {
+      var parameter = formal.parameter;
+      var rest = parameter.type === REST_PARAMETER;
+      var binding = rest ? parameter.identifier : parameter.binding;
+      return {
+        name: binding.type === BINDING_IDENTIFIER ?
+            binding.getStringValue() : '_',
+        type: this.resolveType_(getParameterAnnotation(formal), scope,
+                                typeParameters),
+        optional: !rest && parameter.initializer !== null,
+        rest
+      };
+    });
+    var returnType = tree.type === FUNCTION_TYPE ?
+        tree.returnType : tree.typeAnnotation;
+    // The annotation of generators and async functions is not the type of
+    // the values they return.
+    if (tree.functionKind)
+      returnType = null;
+    return new SignatureType(parameters,
+        this.resolveType_(returnType, scope, typeParameters));
+  }
+
+  /**
+   * @param {ParseTree} tree The type annotation.
+   * @param {Scope} scope
+   * @param {Array.<string>=} typeParameters
+   * @return {Object}
+   */
+  resolveType_(tree, scope, typeParameters = []) {
+    if (tree === null || tree === undefined)
+      return ANY;
+    var type = this.resolvedTypes_.get(tree);
+    if (!type) {
+      type = this.resolveTypeUncached_(tree, scope, typeParameters);
+      this.resolvedTypes_.set(tree, type);
+    }
+    return type;
+  }
+
+  resolveTypeUncached_(tree, scope, typeParameters) {
+    switch (tree.type) {
+      case PREDEFINED_TYPE:
+        if (tree.typeToken.type === VOID_TOKEN)
+          return VOID;
+        return predefinedTypes[tree.typeToken.value] || ANY;
+
+      case TYPE_NAME:
+        return this.resolveTypeName_(tree, scope, typeParameters);
+
+      case TYPE_REFERENCE:
+        var type = this.resolveTypeName_(tree.typeName, scope, typeParameters);
+        if (type instanceof ArrayOfType && tree.args.args.length === 1) {
+          return new ArrayOfType(
+              this.resolveType_(tree.args.args[0], scope, typeParameters));
+        }
+        tree.args.args.forEach((arg) =>
+            this.resolveType_(arg, scope, typeParameters));
+        return type;
+
+      case ARRAY_TYPE:
+        return new ArrayOfType(
+            this.resolveType_(tree.elementType, scope, typeParameters));
+
+      case UNION_TYPE:
+        return createUnion(tree.types.map((type) =>
+            this.resolveType_(type, scope, typeParameters)));
+
+      case FUNCTION_TYPE:
+        return this.getFunctionType_(tree, scope, typeParameters.concat(
+            getTypeParameterNames(tree.typeParameters)));
+
+      case OBJECT_TYPE:
+        var members = Object.create(null);
+        tree.typeMembers.forEach((member) => {
+          switch (member.type) {
+            case PROPERTY_SIGNATURE:
+              members[propName(member.name)] = {
+                type: this.resolveType_(member.typeAnnotation, scope,
+                                        typeParameters),
+                optional: member.optional
+              };
+              break;
+            case METHOD_SIGNATURE:
+              var signature = member.callSignature;
+              members[propName(member.name)] = {
+                type: this.getFunctionType_(signature, scope,
+                    typeParameters.concat(
+                        getTypeParameterNames(signature.typeParameters))),
+                optional: member.optional
+              };
+              break;
+          }
+        });
+        return new ObjectShapeType(members);
+    }
+    return ANY;
+  }
+
+  resolveTypeName_(tree, scope, typeParameters) {
+    // Qualified names refer to types in other modules.
+    if (tree.moduleName !== null)
+      return ANY;
+
+    var name = tree.name.value;
+    if (typeParameters.indexOf(name) !== -1 ||
+        this.isClassTypeParameter_(scope, name)) {
+      return ANY;
+    }
+
+    var binding = scope.getBindingByName(name);
+    if (binding !== null) {
+      return this.classTypes_.get(binding.tree) ||
+          new NominalType(name, OPAQUE);
+    }
+
+    if (name in this.interfaceTypes_)
+      return this.interfaceTypes_[name];
+
+    if (name in this.global_) {
+      switch (name) {
+        case 'Object':
+        case 'Function':
+          return ANY;
+        case 'Array':
+          return new ArrayOfType(ANY);
+      }
+      return new NominalType(name, OPAQUE);
+    }
+
+    this.reportError_(tree, `Cannot find type ${name}`);
+    return ANY;
+  }
+
+  isClassTypeParameter_(scope, name) {
+    for (; scope !== null; scope = scope.parent) {
+      var typeParameters = scope.tree.typeParameters;
+      if (typeParameters &&
+          getTypeParameterNames(typeParameters).indexOf(name) !== -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {ParseTree} tree The operand of a new expression or a super class.
+   * @param {Scope} scope
+   * @return {Object} The type of the instances.
+   */
+  inferConstructedType_(tree, scope) {
+    if (tree.type === IDENTIFIER_EXPRESSION) {
+      var binding = scope.getBinding(tree);
+      if (binding !== null && !this.assigned_.has(binding.tree))
+        return this.classTypes_.get(binding.tree) || ANY;
+    }
+    return ANY;
+  }
+
+  /**
+   * @param {ParseTree} tree
+   * @param {Scope} scope
+   * @return {Object}
+   */
+  inferType_(tree, scope) {
+    switch (tree.type) {
+      case LITERAL_EXPRESSION:
+        switch (tree.literalToken.type) {
+          case NUMBER_TOKEN:
+            return NUMBER;
+          case STRING_TOKEN:
+            return STRING;
+          case TRUE:
+          case FALSE:
+            return BOOLEAN;
+          case NULL_TOKEN:
+            return NULL;
+        }
+        return ANY;
+
+      case TEMPLATE_LITERAL_EXPRESSION:
+        return tree.operand === null ? STRING : ANY;
+
+      case IDENTIFIER_EXPRESSION:
+        if (this.inWithBlock)
+          return ANY;
+        return this.getBindingType_(scope, tree);
+
+      case PAREN_EXPRESSION:
+        return this.inferType_(tree.expression, scope);
+
+      case COMMA_EXPRESSION:
+        return this.inferType_(
+            tree.expressions[tree.expressions.length - 1], scope);
+
+      case CONDITIONAL_EXPRESSION:
+        return createUnion([this.inferType_(tree.left, scope),
+                            this.inferType_(tree.right, scope)]);
+
+      case UNARY_EXPRESSION:
+        switch (tree.operator.type) {
+          case BANG:
+          case DELETE:
+            return BOOLEAN;
+          case TYPEOF:
+            return STRING;
+          case VOID_TOKEN:
+            return UNDEFINED;
+        }
+        return NUMBER;
+
+      case POSTFIX_EXPRESSION:
+        return NUMBER;
+
+      case BINARY_EXPRESSION:
+        return this.inferBinaryType_(tree, scope);
+
+      case ARRAY_LITERAL_EXPRESSION:
+        var elements = tree.elements.filter((element) => element !== null);
+        if (elements.length === 0 ||
+            elements.some((element) => element.type === SPREAD_EXPRESSION)) {
+          return new ArrayOfType(ANY);
+        }
+        return new ArrayOfType(createUnion(elements.map((element) =>
+            widen(this.inferType_(element, scope)))));
+
+      case OBJECT_LITERAL_EXPRESSION:
+        var members = Object.create(null);
+        tree.propertyNameAndValues.forEach((property) => {
+          if (property.type === PROPERTY_NAME_ASSIGNMENT) {
+            var name = propName(property);
+            if (name) {
+              members[name] = {
+                type: widen(this.inferType_(property.value, scope)),
+                optional: false
+              };
+            }
+          }
+        });
+        return new ObjectShapeType(members);
+
+      case FUNCTION_EXPRESSION:
+      case ARROW_FUNCTION_EXPRESSION:
+        return this.getFunctionType_(tree,
+            this.scopeBuilder_.getScopeForTree(tree) || scope);
+
+      case NEW_EXPRESSION:
+        return this.inferConstructedType_(tree.operand, scope);
+
+      case CALL_EXPRESSION:
+        var callee = this.inferType_(tree.operand, scope);
+        return callee instanceof SignatureType ? callee.returnType : ANY;
+
+      case MEMBER_EXPRESSION:
+        return this.inferMemberType_(this.inferType_(tree.operand, scope),
+                                     tree.memberName.value);
+
+      case MEMBER_LOOKUP_EXPRESSION:
+        var object = this.inferType_(tree.operand, scope);
+        return object instanceof ArrayOfType ? object.elementType : ANY;
+    }
+    return ANY;
+  }
+
+  inferMemberType_(object, name) {
+    if (object instanceof NominalType && object.kind !== OPAQUE ||
+        object instanceof ObjectShapeType) {
+      var member = object.getMember(name);
+      return member ? member.type : ANY;
+    }
+    if ((object instanceof ArrayOfType || object === STRING) &&
+        name === 'length') {
+      return NUMBER;
+    }
+    return ANY;
+  }
+
+  inferBinaryType_(tree, scope) {
+    switch (tree.operator.type) {
+      case EQUAL:
+        return this.inferType_(tree.right, scope);
+      case AND:
+      case OR:
+        return createUnion([this.inferType_(tree.left, scope),
+                            this.inferType_(tree.right, scope)]);
+      case EQUAL_EQUAL:
+      case EQUAL_EQUAL_EQUAL:
+      case NOT_EQUAL:
+      case NOT_EQUAL_EQUAL:
+      case OPEN_ANGLE:
+      case CLOSE_ANGLE:
+      case LESS_EQUAL:
+      case GREATER_EQUAL:
+      case IN:
+      case INSTANCEOF:
+        return BOOLEAN;
+      case PLUS:
+      case PLUS_EQUAL:
+        var left = this.inferType_(tree.left, scope);
+        var right = this.inferType_(tree.right, scope);
+        if (left === STRING || right === STRING)
+          return STRING;
+        if (left === NUMBER && right === NUMBER)
+          return NUMBER;
+        return ANY;
+    }
+    if (tree.operator.isAssignmentOperator())
+      return ANY;
+    return NUMBER;
+  }
+
+  checkAssignable_(tree, to, message) {
+    var from = this.inferType_(tree, this.scope);
+    if (!isAssignable(from, to))
+      this.reportError_(tree, message(String(from), String(to)));
+  }
+
+  checkArguments_(signature, args) {
+    for (var i = 0; i < args.length; i++) {
+      if (args[i].type === SPREAD_EXPRESSION)
+        return;
+      var type = signature.getArgumentType(i);
+      if (type === null)
+        return;
+      this.checkAssignable_(args[i], type, (from, to) =>
+          `Argument of type '${from}' is not assignable to parameter of ` +
+          `type '${to}'`);
+    }
+  }
+
+  checkAssignment_(tree, to) {
+    this.checkAssignable_(tree, to, (from, to) =>
+        `Type '${from}' is not assignable to type '${to}'`);
+  }
+
+  visitFunctionBodyForScope(tree, parameterList = tree.parameterList) {
+    var returnType = ANY;
+    if (tree.type !== ARROW_FUNCTION_EXPRESSION && !tree.functionKind)
+      returnType = this.resolveType_(tree.typeAnnotation, this.scope);
+    this.returnTypes_.push(returnType);
+    super.visitFunctionBodyForScope(tree, parameterList);
+    this.returnTypes_.pop();
+  }
+
+  visitVariableDeclaration(tree) {
+    if (tree.typeAnnotation) {
+      var type = this.resolveType_(tree.typeAnnotation, this.scope);
+      if (tree.initializer)
+        this.checkAssignment_(tree.initializer, type);
+    }
+    super.visitVariableDeclaration(tree);
+  }
+
+  visitFormalParameter(tree) {
+    var type = this.resolveType_(getParameterAnnotation(tree), this.scope);
+    var parameter = tree.parameter;
+    if (parameter.type === BINDING_ELEMENT && parameter.initializer)
+      this.checkAssignment_(parameter.initializer, type);
+    super.visitFormalParameter(tree);
+  }
+
+  visitPropertyVariableDeclaration(tree) {
+    this.resolveType_(tree.typeAnnotation, this.scope);
+    super.visitPropertyVariableDeclaration(tree);
+  }
+
+  visitInterfaceDeclaration(tree) {
+    var type = this.interfaceTypes_[tree.name.value];
+    // Resolves the member types, which reports the unknown ones.
+    type.getMemberNames();
+  }
+
+  visitBinaryExpression(tree) {
+    if (tree.operator.type === EQUAL) {
+      var left = tree.left;
+      var type = ANY;
+      if (left.type === IDENTIFIER_EXPRESSION && !this.inWithBlock) {
+        type = this.getBindingType_(this.scope, left);
+      } else if (left.type === MEMBER_EXPRESSION) {
+        type = this.inferMemberType_(this.inferType_(left.operand, this.scope),
+                                     left.memberName.value);
+      }
+      this.checkAssignment_(tree.right, type);
+    }
+    super.visitBinaryExpression(tree);
+  }
+
+  visitCallExpression(tree) {
+    var callee = this.inferType_(tree.operand, this.scope);
+    if (callee instanceof SignatureType)
+      this.checkArguments_(callee, tree.args.args);
+    super.visitCallExpression(tree);
+  }
+
+  visitNewExpression(tree) {
+    var type = this.inferConstructedType_(tree.operand, this.scope);
+    if (type instanceof NominalType && tree.args !== null) {
+      var constructorType = this.constructorTypes_.get(type)();
+      if (constructorType !== null)
+        this.checkArguments_(constructorType, tree.args.args);
+    }
+    super.visitNewExpression(tree);
+  }
+
+  visitReturnStatement(tree) {
+    var returnType = this.returnTypes_[this.returnTypes_.length - 1];
+    if (tree.expression !== null && returnType !== undefined)
+      this.checkAssignment_(tree.expression, returnType);
+    super.visitReturnStatement(tree);
+  }
+
+  reportError_(tree, message) {
+    this.reporter_.reportError(tree.location && tree.location.start, message);
+  }
+}
+
+/**
+ * Checks the types of a tree against its type annotations.
+ * @param {ParseTree} tree
+ * @param {ErrorReporter} reporter
+ * @param {Object=} global
+ */
+export function validate(tree, reporter, global = Reflect.global) {
+  var builder = new ScopeChainBuilder(reporter);
+  builder.visitAny(tree);
+  var checker = new TypeChecker(builder, reporter, global);
+  new DeclarationCollector(builder, checker).visitAny(tree);
+  checker.visitAny(tree);
+}
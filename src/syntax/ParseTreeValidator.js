@@ -527,6 +527,13 @@ export class ParseTreeValidator extends ParseTreeVisitor {
         'block expected');
   }
 
+  /**
+   * @param {ForAwaitStatement} tree
+   */
+  visitForAwaitStatement(tree) {
+    this.visitForOfStatement(tree);
+  }
+
   /**
    * @param {ForOfStatement} tree
    */
@@ -730,6 +737,13 @@ export class ParseTreeValidator extends ParseTreeVisitor {
     this.visitAny(tree.operand);
   }
 
+  /**
+   * @param {ErrorTree} tree
+   */
+  visitErrorTree(tree) {
+    this.fail_(tree, `parse tree contains SyntaxError: ${tree.message}`);
+  }
+
   /**
    * @param {SyntaxErrorTree} tree
    */
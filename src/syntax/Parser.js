@@ -30,12 +30,26 @@ import {
 import {
   AS,
   ASYNC,
+  ASYNC_STAR,
   AWAIT,
   FROM,
   GET,
   OF,
-  SET
+  SET,
+  TARGET
 } from './PredefinedName.js';
+import {
+  Diagnostic,
+  ERROR as ERROR_SEVERITY
+} from '../util/Diagnostic.js';
+import {
+  EXPECTED_TOKEN,
+  MISSING_SEMI_COLON,
+  RESERVED_IDENTIFIER,
+  SYNTAX_ERROR,
+  UNEXPECTED_TOKEN
+} from '../util/DiagnosticCode.js';
+import {ErrorReporter} from '../util/ErrorReporter.js';
 import {SyntaxErrorReporter} from '../util/SyntaxErrorReporter.js';
 import {Scanner} from './Scanner.js';
 import {SourceRange} from '../util/SourceRange.js';
@@ -179,6 +193,7 @@ import {
   DefaultClause,
   DoWhileStatement,
   EmptyStatement,
+  ErrorTree,
   ExportDeclaration,
   ExportDefault,
   ExportSpecifier,
@@ -187,6 +202,7 @@ import {
   ExpressionStatement,
   Finally,
   ForInStatement,
+  ForAwaitStatement,
   ForOfStatement,
   ForStatement,
   FormalParameter,
@@ -199,6 +215,7 @@ import {
   GetAccessor,
   IdentifierExpression,
   IfStatement,
+  ImportCall,
   ImportDeclaration,
   ImportSpecifier,
   ImportSpecifierSet,
@@ -216,6 +233,7 @@ import {
   ModuleSpecifier,
   NamedExport,
   NewExpression,
+  NewTargetExpression,
   ObjectLiteralExpression,
   ObjectPattern,
   ObjectPatternField,
@@ -310,6 +328,80 @@ function containsInitializer(declarations) {
   return declarations.some((v) => v.initializer);
 }
 
+/**
+ * @param {TokenType} type
+ * @return {boolean} Whether a token of |type| on a new line most likely starts
+ *     a new statement.
+ */
+function isStatementKeyword(type) {
+  switch (type) {
+    case BREAK:
+    case CLASS:
+    case CONST:
+    case CONTINUE:
+    case DO:
+    case EXPORT:
+    case FOR:
+    case FUNCTION:
+    case IF:
+    case IMPORT:
+    case RETURN:
+    case SWITCH:
+    case THROW:
+    case TRY:
+    case VAR:
+    case WHILE:
+      return true;
+  }
+  return false;
+}
+
+/**
+ * Used by the parser in error recovery mode. Once an error is reported the
+ * errors that follow are dropped until the parser sets |recovering| to false
+ * again, after it skipped the rest of the broken statement.
+ */
+class RecoveringErrorReporter extends ErrorReporter {
+  /**
+   * @param {ErrorReporter} reporter The reporter to forward to.
+   */
+  constructor(reporter) {
+    super();
+    this.reporter_ = reporter;
+    this.recovering = false;
+    // The message of the error that started the recovery.
+    this.message = '';
+    // The start of the last error. A token that is kept for the next item is
+    // often reported again by it.
+    this.lastLocation_ = null;
+  }
+
+  report(diagnostic) {
+    if (diagnostic.severity === ERROR_SEVERITY) {
+      if (this.recovering)
+        return;
+      this.recovering = true;
+      this.message = diagnostic.message;
+      var location = diagnostic.location;
+      var last = this.lastLocation_;
+      this.lastLocation_ = location;
+      if (location && last && location.source === last.source &&
+          location.offset === last.offset) {
+        return;
+      }
+    }
+    this.reporter_.report(diagnostic);
+  }
+
+  hadError() {
+    return this.reporter_.hadError();
+  }
+
+  clearError() {
+    this.reporter_.clearError();
+  }
+}
+
 /**
  * Parses a javascript file.
  *
@@ -325,7 +417,10 @@ function containsInitializer(declarations) {
  * }
  *
  * this.parseX_() methods must consume at least 1 token - even in error cases.
- * This prevents infinite loops in the parser.
+ * This prevents infinite loops in the parser. The exception is error recovery
+ * mode, where keepToken_() leaves an unexpected token that most likely ends
+ * the broken statement for the parse to continue from. Each token is only
+ * kept once, so the next method that fails on it consumes it.
  *
  * Many this.parseX_() methods are matched by a 'boolean this.peekX_()' method
  * which will return true if the beginning of an X appears at the current
@@ -356,6 +451,8 @@ export class Parser {
    */
   constructor(file, errorReporter = new SyntaxErrorReporter(),
               options = traceurOptions) {
+    if (options.errorRecovery)
+      errorReporter = new RecoveringErrorReporter(errorReporter);
     this.errorReporter_ = errorReporter;
     this.scanner_ = new Scanner(errorReporter, file, this, options);
     this.options_ = options;
@@ -365,6 +462,9 @@ export class Parser {
     this.allowYield = false;
     this.allowAwait = false;
 
+    // new.target is only allowed inside a non arrow function.
+    this.allowNewTarget = false;
+
     // This is used in conjunction with ensureNoCoverInitializedNames_ to
     // determine  if there has been any added CoverInitializedName since last
     // time this was read.
@@ -376,6 +476,9 @@ export class Parser {
     this.strictMode_ = false;
 
     this.annotations_ = [];
+
+    // The last token that keepToken_ did not consume.
+    this.keptToken_ = null;
   }
 
   // 14 Script
@@ -386,6 +489,12 @@ export class Parser {
     this.strictMode_ = false;
     var start = this.getTreeStartLocation_();
     var scriptItemList = this.parseStatementList_(true);
+    // A stray closing curly ends the statement list early.
+    while (this.options_.errorRecovery && this.peek_(CLOSE_CURLY)) {
+      scriptItemList.push(this.parseRecoverable_(this.parseUnexpectedToken_,
+                                                 CLOSE_CURLY, false));
+      scriptItemList.push(...this.parseStatementList_(false));
+    }
     this.eat_(END_OF_FILE);
     return new Script(this.getTreeLocation_(start), scriptItemList);
   }
@@ -405,7 +514,9 @@ export class Parser {
     // We do a lot of type assignment in loops like these for performance
     // reasons.
     while ((type = this.peekType_()) !== CLOSE_CURLY && type !== END_OF_FILE) {
-      var statement = this.parseStatementListItem_(type);
+      var statement = this.options_.errorRecovery ?
+          this.parseRecoverable_(this.parseStatementListItem_, type, false) :
+          this.parseStatementListItem_(type);
       if (checkUseStrictDirective) {
         if (!statement.isDirectivePrologue()) {
           checkUseStrictDirective = false;
@@ -447,7 +558,9 @@ export class Parser {
     var type;
 
     while ((type = this.peekType_()) !== END_OF_FILE) {
-      var statement = this.parseModuleItem_(type);
+      var statement = this.options_.errorRecovery ?
+          this.parseRecoverable_(this.parseModuleItem_, type, false) :
+          this.parseModuleItem_(type);
       result.push(statement);
     }
     return result;
@@ -456,6 +569,8 @@ export class Parser {
   parseModuleItem_(type) {
     switch (type) {
       case IMPORT:
+        if (this.peekImportCall_())
+          break;
         return this.parseImportDeclaration_();
       case EXPORT:
         return this.parseExportDeclaration_();
@@ -515,6 +630,26 @@ export class Parser {
         importClause, moduleSpecifier);
   }
 
+  peekImportCall_() {
+    return this.options_.dynamicImport && this.peek_(OPEN_PAREN, 1);
+  }
+
+  /**
+   * ImportCall :
+   *   import ( AssignmentExpression )
+   *
+   * @return {ImportCall}
+   * @private
+   */
+  parseImportCall_() {
+    var start = this.getTreeStartLocation_();
+    this.eat_(IMPORT);
+    this.eat_(OPEN_PAREN);
+    var expression = this.parseAssignmentExpression();
+    this.eat_(CLOSE_PAREN);
+    return new ImportCall(this.getTreeLocation_(start), expression);
+  }
+
   peekImportClause_(type) {
     return type === OPEN_CURLY || this.peekBindingIdentifier_(type);
   }
@@ -731,7 +866,7 @@ export class Parser {
       // These are represented as IdentifierTokens because we used eatIdName.
       if (getKeywordType(specifier.lhs.value)) {
         this.reportError_(specifier.lhs.location,
-            `Unexpected token ${specifier.lhs.value}`);
+            `Unexpected token ${specifier.lhs.value}`, UNEXPECTED_TOKEN);
       }
     }
   }
@@ -804,6 +939,12 @@ export class Parser {
       var type = this.peekType_();
       if (type === SEMI_COLON) {
         this.nextToken_();
+      } else if (this.options_.errorRecovery) {
+        if (type === CLOSE_CURLY || type === END_OF_FILE)
+          break;
+        var parse = this.peekClassElement_(type) ?
+            this.parseClassElement_ : this.parseUnexpectedToken_;
+        result.push(this.parseRecoverable_(parse, this.peekToken_(), true));
       } else if (this.peekClassElement_(this.peekType_())) {
         result.push(this.parseClassElement_());
       } else {
@@ -962,7 +1103,10 @@ export class Parser {
   parseAsyncFunction_(asyncToken, ctor) {
     var start = asyncToken.location.start;
     this.eat_(FUNCTION);
-    return this.parseFunction2_(start, asyncToken, ctor);
+    var functionKind = asyncToken;
+    if (this.options_.asyncGenerators && this.eatIf_(STAR))
+      functionKind = new IdentifierToken(asyncToken.location, ASYNC_STAR);
+    return this.parseFunction2_(start, functionKind, ctor);
   }
 
   parseFunction_(ctor) {
@@ -985,7 +1129,14 @@ export class Parser {
 
     this.eat_(OPEN_PAREN);
     var parameters = this.parseFormalParameters_();
-    this.eat_(CLOSE_PAREN);
+    if (this.eat_(CLOSE_PAREN) === null && this.options_.errorRecovery &&
+        !this.peek_(OPEN_CURLY)) {
+      // Do not take the next statement as the body. The recovery of the
+      // enclosing statement skips to it.
+      return new ctor(this.getTreeLocation_(start), name, functionKind,
+                      parameters, null, annotations,
+                      new FunctionBody(this.getTreeLocation_(start), []));
+    }
 
     var typeAnnotation = this.parseTypeAnnotationOpt_();
     var body = this.parseFunctionBody_(functionKind, parameters);
@@ -1029,7 +1180,8 @@ export class Parser {
       formals.push(this.parseFormalRestParameter_());
     } else {
       if (this.peekFormalParameter_(this.peekType_()))
-        formals.push(this.parseFormalParameter_());
+        formals.push(this.parseListElement_(this.parseFormalParameter_,
+                                            CLOSE_PAREN));
 
       while (this.eatIf_(COMMA)) {
         this.pushAnnotations_();
@@ -1037,7 +1189,8 @@ export class Parser {
           formals.push(this.parseFormalRestParameter_());
           break;
         }
-        formals.push(this.parseFormalParameter_());
+        formals.push(this.parseListElement_(this.parseFormalParameter_,
+                                            CLOSE_PAREN));
       }
     }
 
@@ -1079,17 +1232,25 @@ export class Parser {
    * @return {Block}
    * @private
    */
-  parseFunctionBody_(functionKind, params) {
+  parseFunctionBody_(functionKind, params, isArrow = false) {
     var start = this.getTreeStartLocation_();
     this.eat_(OPEN_CURLY);
 
     var allowYield = this.allowYield;
     var allowAwait = this.allowAwait;
+    var allowNewTarget = this.allowNewTarget;
     var strictMode = this.strictMode_;
 
-    this.allowYield = functionKind && functionKind.type === STAR;
+    var isAsyncGenerator = functionKind && functionKind.type === IDENTIFIER &&
+        functionKind.value === ASYNC_STAR;
+    this.allowYield = functionKind && functionKind.type === STAR ||
+        isAsyncGenerator;
     this.allowAwait = functionKind &&
-        functionKind.type === IDENTIFIER && functionKind.value === ASYNC;
+        functionKind.type === IDENTIFIER && functionKind.value === ASYNC ||
+        isAsyncGenerator;
+    // Arrow functions use the new.target of the enclosing function.
+    if (!isArrow)
+      this.allowNewTarget = true;
 
     var result = this.parseStatementList_(!strictMode);
 
@@ -1099,6 +1260,7 @@ export class Parser {
     this.strictMode_ = strictMode;
     this.allowYield = allowYield;
     this.allowAwait = allowAwait;
+    this.allowNewTarget = allowNewTarget;
 
     this.eat_(CLOSE_CURLY);
     return new FunctionBody(this.getTreeLocation_(start), result);
@@ -1346,6 +1508,11 @@ export class Parser {
   parseForStatement_() {
     var start = this.getTreeStartLocation_();
     this.eat_(FOR);
+    if (this.options_.asyncGenerators && this.allowAwait &&
+        this.peekPredefinedString_(AWAIT)) {
+      this.eatId_();
+      return this.parseForAwaitStatement_(start);
+    }
     this.eat_(OPEN_PAREN);
 
     var type = this.peekType_();
@@ -1412,6 +1579,40 @@ export class Parser {
                               collection, body);
   }
 
+  // for await ( { let | var | const } ForBinding of AssignmentExpression )
+  //     Statement
+  // for await ( LeftHandSideExpression of AssignmentExpression ) Statement
+  /**
+   * @param {SourcePosition} start
+   * @return {ForAwaitStatement}
+   * @private
+   */
+  parseForAwaitStatement_(start) {
+    this.eat_(OPEN_PAREN);
+    var initializer;
+    if (this.peekVariableDeclarationList_(this.peekType_())) {
+      initializer = this.parseVariableDeclarationList_(
+          Expression.NO_IN, DestructuringInitializer.OPTIONAL);
+      var declarations = initializer.declarations;
+      if (declarations.length > 1 || containsInitializer(declarations)) {
+        this.reportError_(initializer.location,
+            'for await must have a single declaration without an initializer');
+      }
+    } else {
+      initializer = this.parseExpressionAllowPattern_(Expression.NO_IN);
+      if (!initializer.isLeftHandSideExpression())
+        this.reportError_(initializer.location,
+            'Invalid left hand side in for await');
+      initializer = this.transformLeftHandSideExpression_(initializer);
+    }
+    this.eatId_(OF);
+    var collection = this.parseAssignmentExpression();
+    this.eat_(CLOSE_PAREN);
+    var body = this.parseStatement_();
+    return new ForAwaitStatement(this.getTreeLocation_(start), initializer,
+                                 collection, body);
+  }
+
   /**
    * Checks variable declaration in variable and for statements.
    *
@@ -1658,7 +1859,9 @@ export class Parser {
         case END_OF_FILE:
           return result;
       }
-      result.push(this.parseStatementWithType_(type));
+      result.push(this.options_.errorRecovery ?
+          this.parseRecoverable_(this.parseStatementWithType_, type, false) :
+          this.parseStatementWithType_(type));
     }
   }
 
@@ -2043,7 +2246,8 @@ export class Parser {
 
     this.eat_(OPEN_CURLY);
     while (this.peekPropertyDefinition_(this.peekType_())) {
-      var propertyDefinition = this.parsePropertyDefinition();
+      var propertyDefinition =
+          this.parseListElement_(this.parsePropertyDefinition, CLOSE_CURLY);
       result.push(propertyDefinition);
       if (!this.eatIf_(COMMA))
         break;
@@ -2096,10 +2300,8 @@ export class Parser {
       }
 
       if (this.options_.asyncFunctions && nameLiteral.value === ASYNC &&
-          this.peekPropertyName_(type)) {
-        var async = nameLiteral;
-        var name = this.parsePropertyName_();
-        return this.parseMethod_(start, isStatic, async, name, []);
+          this.peekAsyncMethodName_(type)) {
+        return this.parseAsyncMethod_(start, isStatic, nameLiteral, []);
       }
 
       if (this.options_.propertyNameShorthand &&
@@ -2224,10 +2426,9 @@ export class Parser {
     if (this.options_.asyncFunctions &&
         name.type === LITERAL_PROPERTY_NAME &&
         name.literalToken.value === ASYNC &&
-        this.peekPropertyName_(type)) {
-      var async = name.literalToken;
-      var name = this.parsePropertyName_();
-      return this.parseMethod_(start, isStatic, async, name, annotations);
+        this.peekAsyncMethodName_(type)) {
+      return this.parseAsyncMethod_(start, isStatic, name.literalToken,
+                                    annotations);
     }
 
     if (!this.options_.memberVariables || type === OPEN_PAREN) {
@@ -2237,6 +2438,19 @@ export class Parser {
     return this.parsePropertyVariableDeclaration_(start, isStatic, name, annotations);
   }
 
+  peekAsyncMethodName_(type) {
+    return this.peekPropertyName_(type) ||
+        this.options_.asyncGenerators && type === STAR;
+  }
+
+  parseAsyncMethod_(start, isStatic, asyncToken, annotations) {
+    var functionKind = asyncToken;
+    if (this.options_.asyncGenerators && this.eatIf_(STAR))
+      functionKind = new IdentifierToken(asyncToken.location, ASYNC_STAR);
+    var name = this.parsePropertyName_();
+    return this.parseMethod_(start, isStatic, functionKind, name, annotations);
+  }
+
   parseGetAccessor_(start, isStatic, annotations) {
     var functionKind = null;
     var name = this.parsePropertyName_();
@@ -2332,9 +2546,13 @@ export class Parser {
     return this.parseCoverFormals_(start);
   }
 
-  parseSyntaxError_(message) {
+  parseSyntaxError_(message, code = SYNTAX_ERROR) {
     var start = this.getTreeStartLocation_();
-    this.reportError_(message);
+    this.errorReporter_.reportError(this.scanner_.getPosition(), message, code);
+    if (this.keepToken_()) {
+      return new SyntaxErrorTree(new SourceRange(start, start),
+                                 this.peekToken_(), message);
+    }
     var token = this.nextToken_();
     return new SyntaxErrorTree(this.getTreeLocation_(start), token, message);
   }
@@ -2345,7 +2563,8 @@ export class Parser {
    * @return {SyntaxErrorTree}
    */
   parseUnexpectedToken_(name) {
-    return this.parseSyntaxError_(`Unexpected token ${name}`);
+    return this.parseSyntaxError_(`Unexpected token ${name}`,
+                                  UNEXPECTED_TOKEN);
   }
 
   // 11.14 Expressions
@@ -2359,6 +2578,8 @@ export class Parser {
       case NO_SUBSTITUTION_TEMPLATE:
       case TEMPLATE_HEAD:
         return this.options_.templateLiterals;
+      case IMPORT:
+        return this.options_.dynamicImport;
       case BANG:
       case CLASS:
       case DELETE:
@@ -2962,10 +3183,15 @@ export class Parser {
   parseMemberExpressionNoNew_() {
     var start = this.getTreeStartLocation_();
     var operand;
-    if (this.peekType_() === FUNCTION) {
-      operand = this.parseFunctionExpression_();
-    } else {
-      operand = this.parsePrimaryExpression_();
+    switch (this.peekType_()) {
+      case FUNCTION:
+        operand = this.parseFunctionExpression_();
+        break;
+      case NEW:
+        operand = this.parseNewTargetExpression_();
+        break;
+      default:
+        operand = this.parsePrimaryExpression_();
     }
 
     loop: while (true) {
@@ -3023,6 +3249,8 @@ export class Parser {
     var operand;
     switch (this.peekType_()) {
       case NEW:
+        if (this.options_.newTarget && this.peek_(PERIOD, 1))
+          return this.parseMemberExpressionNoNew_();
         var start = this.getTreeStartLocation_();
         this.eat_(NEW);
         if (this.peek_(SUPER))
@@ -3035,6 +3263,11 @@ export class Parser {
         }
         return new NewExpression(this.getTreeLocation_(start), operand, args);
 
+      case IMPORT:
+        if (this.peekImportCall_())
+          return this.parseImportCall_();
+        return this.parseMemberExpressionNoNew_();
+
       case SUPER:
         operand = this.parseSuperExpression_();
         var type = this.peekType_();
@@ -3055,6 +3288,24 @@ export class Parser {
     }
   }
 
+  /**
+   * NewTarget :
+   *   new . target
+   *
+   * @return {ParseTree}
+   * @private
+   */
+  parseNewTargetExpression_() {
+    var start = this.getTreeStartLocation_();
+    this.eat_(NEW);
+    this.eat_(PERIOD);
+    this.eatId_(TARGET);
+    var location = this.getTreeLocation_(start);
+    if (!this.allowNewTarget)
+      this.reportError_(location, 'new.target is only allowed in functions');
+    return new NewTargetExpression(location);
+  }
+
   /**
    * @return {ArgumentList}
    * @private
@@ -3186,7 +3437,7 @@ export class Parser {
     finder.visitAny(tree);
     if (finder.found) {
       var token = finder.errorToken;
-      this.reportError_(token.location, `Unexpected token ${token}`);
+      this.reportError_(token, `Unexpected token ${token}`, UNEXPECTED_TOKEN);
     }
   }
 
@@ -3204,7 +3455,8 @@ export class Parser {
     for (var i = 0; i < tree.expressions.length; i++) {
       if (tree.expressions[i].type === REST_PARAMETER) {
         var token = new Token(DOT_DOT_DOT, tree.expressions[i].location);
-        this.reportError_(token.location, `Unexpected token ${token}`);
+        this.reportError_(token, `Unexpected token ${token}`,
+                          UNEXPECTED_TOKEN);
         return;
       }
     }
@@ -3215,7 +3467,7 @@ export class Parser {
       var expressions = tree.expressions;
       if (expressions.length === 0) {
         var message = 'Unexpected token )';
-        this.reportError_(tree.location, message);
+        this.reportError_(tree.location, message, UNEXPECTED_TOKEN);
       } else {
         this.validateCoverFormalsAsParenExpression_(tree);
 
@@ -3267,7 +3519,7 @@ export class Parser {
     // The body can be a block or an expression. A '{' is always treated as
     // the beginning of a block.
     if (this.peek_(OPEN_CURLY))
-      return this.parseFunctionBody_(asyncToken);
+      return this.parseFunctionBody_(asyncToken, null, true);
 
     var allowAwait = this.allowAwait;
     this.allowAwait = asyncToken !== null;
@@ -3671,7 +3923,10 @@ export class Parser {
     var expression = this.parseExpression();
     elements.push(new TemplateSubstitution(expression.location, expression));
 
-    while (expression.type !== SYNTAX_ERROR_TREE) {
+    // In error recovery mode the template goes on after an empty or broken
+    // substitution if its closing curly was kept.
+    while (expression.type !== SYNTAX_ERROR_TREE ||
+           this.options_.errorRecovery && this.peek_(CLOSE_CURLY)) {
       token = this.nextTemplateLiteralToken_();
       if (token.type === ERROR || token.type === END_OF_FILE)
         break;
@@ -4188,7 +4443,12 @@ export class Parser {
         return;
     }
 
-    this.reportError_('Semi-colon expected');
+    var position = this.scanner_.getPosition();
+    var diagnostic = new Diagnostic(MISSING_SEMI_COLON, ERROR_SEVERITY,
+                                    'Semi-colon expected', position);
+    // Insert the semi-colon right after the previous token.
+    diagnostic.addFix(this.getTreeEndLocation_(), ';');
+    this.errorReporter_.report(diagnostic);
   }
 
   /**
@@ -4242,7 +4502,8 @@ export class Parser {
     var token = this.nextToken_();
     if (!token) {
       if (expected)
-        this.reportError_(this.peekToken_(), `expected '${expected}'`);
+        this.reportError_(this.peekToken_(), `expected '${expected}'`,
+                          EXPECTED_TOKEN);
       return null;
     }
 
@@ -4296,6 +4557,10 @@ export class Parser {
    * @private
    */
   eat_(expectedTokenType) {
+    if (!this.peek_(expectedTokenType) && this.keepToken_()) {
+      this.reportExpectedError_(this.peekToken_(), expectedTokenType);
+      return null;
+    }
     var token = this.nextToken_();
     if (token.type != expectedTokenType) {
       this.reportExpectedError_(token, expectedTokenType);
@@ -4325,7 +4590,7 @@ export class Parser {
    * @private
    */
   reportExpectedError_(token, expected) {
-    this.reportError_(token, `Unexpected token ${token}`);
+    this.reportError_(token, `Unexpected token ${token}`, UNEXPECTED_TOKEN);
   }
 
   /**
@@ -4443,9 +4708,192 @@ export class Parser {
     return this.scanner_.peekTokenNoLineTerminator();
   }
 
+  /**
+   * Used in error recovery mode to parse an item of a statement list or a
+   * class body. If |parse| reports an error, the rest of the item is skipped
+   * and an ErrorTree takes its place. The errors that follow the first one are
+   * dropped until then since they are most likely caused by it.
+   *
+   * @param {Function} parse The parse method to call with |arg|.
+   * @param {*} arg
+   * @param {boolean} inClassBody
+   * @return {ParseTree}
+   * @private
+   */
+  parseRecoverable_(parse, arg, inClassBody) {
+    var reporter = this.errorReporter_;
+    var {recovering, message} = reporter;
+    reporter.recovering = false;
+    var start = this.getTreeStartLocation_();
+    var lastToken = this.scanner_.lastToken;
+    var tree = parse.call(this, arg);
+    if (reporter.recovering) {
+      // Make sure the parse moves forward.
+      if (this.scanner_.lastToken === lastToken && !this.peek_(END_OF_FILE))
+        this.nextToken_();
+      this.skipToBoundary_(inClassBody);
+      tree = new ErrorTree(this.getTreeLocation_(start), reporter.message);
+    }
+    reporter.recovering = recovering;
+    reporter.message = message;
+    return tree;
+  }
+
+  /**
+   * Parses an element of a parameter list or an object literal. In error
+   * recovery mode, when the element does not end at a comma or at
+   * |closeType| the rest of it is skipped. If that finds the end of the
+   * element, the errors of the next one are reported again.
+   *
+   * @param {Function} parse The parse method for the element.
+   * @param {TokenType} closeType The token that closes the list.
+   * @return {ParseTree}
+   * @private
+   */
+  parseListElement_(parse, closeType) {
+    if (!this.options_.errorRecovery)
+      return parse.call(this);
+    var reporter = this.errorReporter_;
+    if (reporter.recovering)
+      return parse.call(this);
+    var tree = parse.call(this);
+    if (!reporter.recovering) {
+      if (this.peek_(COMMA) || this.peek_(closeType))
+        return tree;
+      this.reportExpectedError_(this.peekToken_(), closeType);
+    }
+    if (this.skipToListBoundary_(closeType))
+      reporter.recovering = false;
+    return tree;
+  }
+
+  /**
+   * Skips tokens up to the comma or the |closeType| token that ends the
+   * current list element. Stops without finding it at the end of input, at a
+   * closing token of an enclosing list and at a statement keyword on a new
+   * line.
+   *
+   * @param {TokenType} closeType
+   * @return {boolean} Whether the end of the element was found.
+   * @private
+   */
+  skipToListBoundary_(closeType) {
+    var depth = 0;
+    while (true) {
+      var type = this.peekType_();
+      switch (type) {
+        case END_OF_FILE:
+          return false;
+        case COMMA:
+          if (depth === 0)
+            return true;
+          break;
+        case OPEN_CURLY:
+        case OPEN_PAREN:
+        case OPEN_SQUARE:
+          depth++;
+          break;
+        case CLOSE_CURLY:
+        case CLOSE_PAREN:
+        case CLOSE_SQUARE:
+          if (depth === 0)
+            return type === closeType;
+          depth--;
+          break;
+        default:
+          if (depth === 0 && !this.peekTokenNoLineTerminator_() &&
+              isStatementKeyword(type)) {
+            return false;
+          }
+      }
+      this.nextToken_();
+    }
+  }
+
+  /**
+   * In error recovery mode, a token that most likely ends the broken statement
+   * or list element is not consumed when it is unexpected so that the parse
+   * can continue from there. A token is only kept once to make sure the parse
+   * moves forward.
+   *
+   * @return {boolean}
+   * @private
+   */
+  keepToken_() {
+    if (!this.options_.errorRecovery)
+      return false;
+    var token = this.peekToken_();
+    if (token === this.keptToken_)
+      return false;
+    switch (token.type) {
+      case CLOSE_CURLY:
+      case CLOSE_PAREN:
+      case CLOSE_SQUARE:
+      case COMMA:
+      case END_OF_FILE:
+      case SEMI_COLON:
+        break;
+      default:
+        if (this.peekTokenNoLineTerminator_() || !isStatementKeyword(token.type))
+          return false;
+    }
+    this.keptToken_ = token;
+    return true;
+  }
+
+  /**
+   * Skips tokens until the end of the statement or class element that failed
+   * to parse. That is after a semi-colon or a block, or before a closing curly
+   * of the enclosing block. A token on a new line also starts a new item if
+   * it is a class element or starts with a statement keyword.
+   *
+   * @param {boolean} inClassBody
+   * @return {void}
+   * @private
+   */
+  skipToBoundary_(inClassBody) {
+    var lastToken = this.scanner_.lastToken;
+    if (lastToken &&
+        (lastToken.type === SEMI_COLON || lastToken.type === CLOSE_CURLY)) {
+      return;
+    }
+
+    var depth = 0;
+    while (true) {
+      var type = this.peekType_();
+      switch (type) {
+        case END_OF_FILE:
+          return;
+        case SEMI_COLON:
+          if (depth === 0) {
+            this.nextToken_();
+            return;
+          }
+          break;
+        case OPEN_CURLY:
+          depth++;
+          break;
+        case CLOSE_CURLY:
+          if (depth === 0)
+            return;
+          if (--depth === 0 && inClassBody) {
+            this.nextToken_();
+            return;
+          }
+          break;
+        default:
+          if (depth === 0 && !this.peekTokenNoLineTerminator_() &&
+              (inClassBody || isStatementKeyword(type))) {
+            return;
+          }
+      }
+      this.nextToken_();
+    }
+  }
+
   /**
    * Reports an error message at a given token.
-   * @param {traceur.util.SourcePostion|Token} token The location to report
+   * @param {SourceRange|SourcePosition|Token} token The location to report
    *     the message at.
    * @param {string} message The message to report in String.format style.
    *
@@ -4454,17 +4902,20 @@ export class Parser {
    */
   reportError_(...args) {
     if (args.length == 1) {
-      this.errorReporter_.reportError(this.scanner_.getPosition(), args[0]);
+      this.errorReporter_.reportError(this.scanner_.getPosition(), args[0],
+                                      SYNTAX_ERROR);
     } else {
-      var location = args[0];
+      var [location, message, code = SYNTAX_ERROR] = args;
       if (location instanceof Token) {
         location = location.location;
       }
-      this.errorReporter_.reportError(location.start, args[1]);
+      this.errorReporter_.report(
+          new Diagnostic(code, ERROR_SEVERITY, message, location));
     }
   }
 
   reportReservedIdentifier_(token) {
-    this.reportError_(token, `${token.type} is a reserved identifier`);
+    this.reportError_(token, `${token.type} is a reserved identifier`,
+                      RESERVED_IDENTIFIER);
   }
 }
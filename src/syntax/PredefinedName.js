@@ -19,6 +19,7 @@ export var ARGUMENTS = 'arguments';
 export var ARRAY = 'Array';
 export var AS = 'as';
 export var ASYNC = 'async';
+export var ASYNC_STAR = 'async star';
 export var AWAIT = 'await';
 export var BIND = 'bind';
 export var CALL = 'call';
@@ -44,6 +45,7 @@ export var PROTOTYPE = 'prototype';
 export var PUSH = 'push';
 export var SET = 'set';
 export var SLICE = 'slice';
+export var TARGET = 'target';
 export var THIS = 'this';
 export var TRACEUR_RUNTIME = '$traceurRuntime';
 export var UNDEFINED = 'undefined';
@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {INVALID_TOKEN} from '../util/DiagnosticCode.js';
 import {IdentifierToken} from './IdentifierToken.js';
 import {KeywordToken} from './KeywordToken.js';
 import {LiteralToken} from './LiteralToken.js';
@@ -1196,5 +1197,5 @@ function updateCurrentCharCode() {
 
 function reportError(message, indexArg = index) {
   var position = getPosition(indexArg);
-  errorReporter.reportError(position, message);
+  errorReporter.reportError(position, message, INVALID_TOKEN);
 }
@@ -21,7 +21,10 @@ import {
 } from '../TokenType.js';
 import {Token} from '../Token.js';
 import * as utilJSON from '../../util/JSON.js';
-import {ASYNC} from '../PredefinedName.js';
+import {
+  ASYNC,
+  ASYNC_STAR
+} from '../PredefinedName.js';
 
 import {
   ARRAY_COMPREHENSION,
@@ -45,6 +48,7 @@ import {
   EXPORT_DECLARATION,
   EXPRESSION_STATEMENT,
   FORMAL_PARAMETER,
+  FOR_AWAIT_STATEMENT,
   FOR_IN_STATEMENT,
   FOR_OF_STATEMENT,
   FOR_STATEMENT,
@@ -53,6 +57,7 @@ import {
   GENERATOR_COMPREHENSION,
   IDENTIFIER_EXPRESSION,
   IF_STATEMENT,
+  IMPORT_CALL,
   IMPORTED_BINDING,
   IMPORT_DECLARATION,
   INTERFACE_DECLARATION,
@@ -62,6 +67,7 @@ import {
   MEMBER_LOOKUP_EXPRESSION,
   MODULE_DECLARATION,
   NEW_EXPRESSION,
+  NEW_TARGET_EXPRESSION,
   OBJECT_LITERAL_EXPRESSION,
   OBJECT_PATTERN,
   PAREN_EXPRESSION,
@@ -139,9 +145,11 @@ export class ParseTree {
       case ARRAY_LITERAL_EXPRESSION:
       case OBJECT_LITERAL_EXPRESSION:
       case NEW_EXPRESSION:
+      case NEW_TARGET_EXPRESSION:
       case MEMBER_EXPRESSION:
       case MEMBER_LOOKUP_EXPRESSION:
       case CALL_EXPRESSION:
+      case IMPORT_CALL:
       case FUNCTION_EXPRESSION:
       case TEMPLATE_LITERAL_EXPRESSION:
         return true;
@@ -166,10 +174,12 @@ export class ParseTree {
       case FUNCTION_EXPRESSION:
       case GENERATOR_COMPREHENSION:
       case IDENTIFIER_EXPRESSION:
+      case IMPORT_CALL:
       case LITERAL_EXPRESSION:
       case MEMBER_EXPRESSION:
       case MEMBER_LOOKUP_EXPRESSION:
       case NEW_EXPRESSION:
+      case NEW_TARGET_EXPRESSION:
       case OBJECT_LITERAL_EXPRESSION:
       case PAREN_EXPRESSION:
       case POSTFIX_EXPRESSION:
@@ -205,6 +215,8 @@ export class ParseTree {
       case PAREN_EXPRESSION:
       case TEMPLATE_LITERAL_EXPRESSION:
       case FUNCTION_EXPRESSION:
+      // MetaProperty
+      case NEW_TARGET_EXPRESSION:
       // MemberExpression [ Expression ]
       case MEMBER_LOOKUP_EXPRESSION:
       // MemberExpression . IdentifierName
@@ -212,6 +224,7 @@ export class ParseTree {
       // CallExpression:
       //   CallExpression . IdentifierName
       case CALL_EXPRESSION:
+      case IMPORT_CALL:
         return true;
 
       // new MemberExpression Arguments
@@ -308,6 +321,7 @@ export class ParseTree {
   isIterationStatement() {
     switch (this.type) {
       case DO_WHILE_STATEMENT:
+      case FOR_AWAIT_STATEMENT:
       case FOR_IN_STATEMENT:
       case FOR_OF_STATEMENT:
       case FOR_STATEMENT:
@@ -342,6 +356,12 @@ export class ParseTree {
         this.functionKind.value === ASYNC;
   }
 
+  isAsyncGenerator() {
+    return this.functionKind !== null &&
+        this.functionKind.type === IDENTIFIER &&
+        this.functionKind.value === ASYNC_STAR;
+  }
+
   isType() {
     switch (this.type) {
       case PREDEFINED_TYPE:
@@ -34,12 +34,18 @@ export {Compiler} from './Compiler.js';
 
 import {ErrorReporter} from './util/ErrorReporter.js';
 import {CollectingErrorReporter} from './util/CollectingErrorReporter.js';
+import {Diagnostic} from './util/Diagnostic.js';
+import * as DiagnosticCode from './util/DiagnosticCode.js';
+import {formatDiagnostic} from './util/formatDiagnostic.js';
 
 export var util = {
   addOptions,
   CommandOptions,
   CollectingErrorReporter,
+  Diagnostic,
+  DiagnosticCode,
   ErrorReporter,
+  formatDiagnostic,
   Options
 };
 
@@ -57,6 +63,7 @@ export var syntax = {
   }
 };
 
+import {DeclarationWriter} from './outputgeneration/DeclarationWriter.js';
 import {ParseTreeMapWriter} from './outputgeneration/ParseTreeMapWriter.js';
 import {ParseTreeWriter} from './outputgeneration/ParseTreeWriter.js';
 import {regexpuRewritePattern} from './outputgeneration/regexpuRewritePattern.js';
@@ -65,6 +72,7 @@ import {SourceMapGenerator} from './outputgeneration/SourceMapIntegration.js';
 import {TreeWriter} from './outputgeneration/TreeWriter.js';
 
 export var outputgeneration = {
+  DeclarationWriter,
   ParseTreeMapWriter,
   ParseTreeWriter,
   regexpuRewritePattern,
@@ -76,6 +84,7 @@ export var outputgeneration = {
 import {AttachModuleNameTransformer} from './codegeneration/module/AttachModuleNameTransformer.js';
 import {CloneTreeTransformer} from './codegeneration/CloneTreeTransformer.js';
 import {FromOptionsTransformer} from './codegeneration/FromOptionsTransformer.js';
+import {ParseTreeTransformer} from './codegeneration/ParseTreeTransformer.js';
 import {PureES6Transformer} from './codegeneration/PureES6Transformer.js';
 import {createModuleEvaluationStatement} from './codegeneration/module/createModuleEvaluationStatement.js';
 import {parseExpression, parseModule, parseScript, parseStatement} from './codegeneration/PlaceholderParser.js';
@@ -83,6 +92,7 @@ import {parseExpression, parseModule, parseScript, parseStatement} from './codeg
 export var codegeneration = {
   CloneTreeTransformer,
   FromOptionsTransformer,
+  ParseTreeTransformer,
   PureES6Transformer,
   parseExpression,
   parseModule,
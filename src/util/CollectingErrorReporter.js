@@ -12,31 +12,36 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {ERROR} from './Diagnostic.js';
 import {ErrorReporter} from '../util/ErrorReporter.js';
 
 export class MultipleErrors extends Error {
-  constructor(errors) {
+  constructor(errors, diagnostics = []) {
     this.message = errors ? errors.join('\n')  + '': '';
     this.name = errors && (errors.length > 1) ? 'MultipleErrors' : '';
     // Access for alternative formatting.
     this.errors = errors;
+    this.diagnostics = diagnostics;
   }
 }
 
 export class CollectingErrorReporter extends ErrorReporter {
   constructor() {
     super();
+    // The messages of the errors.
     this.errors = [];
+    // All the reported diagnostics, including warnings.
+    this.diagnostics = [];
   }
-  reportMessageInternal(location, message) {
-    if (location)
-      message = `${location}: ${message}`;
-    this.errors.push(message);
+  reportDiagnosticInternal(diagnostic) {
+    this.diagnostics.push(diagnostic);
+    if (diagnostic.severity === ERROR)
+      this.errors.push(String(diagnostic));
   }
   errorsAsString() {
     return this.toError().message;
   }
   toError() {
-    return new MultipleErrors(this.errors);
+    return new MultipleErrors(this.errors, this.diagnostics);
   }
 }
@@ -0,0 +1,134 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {SourceRange} from './SourceRange.js';
+
+// Severities.
+export var ERROR = 'error';
+export var WARNING = 'warning';
+export var INFO = 'info';
+
+function toRange(location) {
+  if (!location || location instanceof SourceRange)
+    return location || null;
+  return new SourceRange(location, location);
+}
+
+function positionToJSON(position) {
+  return {
+    line: position.line + 1,
+    column: position.column + 1,
+    offset: position.offset
+  };
+}
+
+function rangeToJSON(range) {
+  if (!range)
+    return null;
+  var source = range.start.source;
+  return {
+    source: source ? source.name : null,
+    start: positionToJSON(range.start),
+    end: positionToJSON(range.end)
+  };
+}
+
+/**
+ * A machine readable problem report. Besides the message it carries a stable
+ * code, a severity, the range it applies to, secondary ranges that explain it
+ * (the earlier declaration for a duplicate for example) and fixes that can be
+ * applied to the source to make it go away.
+ */
+export class Diagnostic {
+  /**
+   * @param {string} code One of the codes in DiagnosticCode.js.
+   * @param {string} severity ERROR, WARNING or INFO.
+   * @param {string} message
+   * @param {SourceRange|SourcePosition} location
+   */
+  constructor(code, severity, message, location) {
+    this.code = code;
+    this.severity = severity;
+    this.message = message;
+    this.range = toRange(location);
+    // Array.<{range: SourceRange, message: string}>
+    this.secondaryRanges = [];
+    // Array.<{range: SourceRange, text: string}>
+    this.fixes = [];
+  }
+
+  /**
+   * @return {SourcePosition} The start of the primary range.
+   */
+  get location() {
+    return this.range && this.range.start;
+  }
+
+  /**
+   * @param {SourceRange|SourcePosition} location
+   * @param {string} message
+   * @return {Diagnostic}
+   */
+  addSecondaryRange(location, message) {
+    this.secondaryRanges.push({range: toRange(location), message});
+    return this;
+  }
+
+  /**
+   * Adds a fix that replaces the source in |location| with |text|. Use a
+   * SourcePosition to insert text.
+   * @param {SourceRange|SourcePosition} location
+   * @param {string} text
+   * @return {Diagnostic}
+   */
+  addFix(location, text) {
+    this.fixes.push({range: toRange(location), text});
+    return this;
+  }
+
+  /**
+   * The message as shown to the user. Warnings and infos are prefixed with
+   * their severity.
+   * @return {string}
+   */
+  formatMessage() {
+    if (this.severity === ERROR)
+      return this.message;
+    return `${this.severity}: ${this.message}`;
+  }
+
+  toString() {
+    var message = this.formatMessage();
+    var location = this.location;
+    return location ? `${location}: ${message}` : message;
+  }
+
+  /**
+   * Lines and columns are 1-based, like in the messages.
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      severity: this.severity,
+      message: this.message,
+      range: rangeToJSON(this.range),
+      secondaryRanges: this.secondaryRanges.map(({range, message}) => {
+        return {range: rangeToJSON(range), message};
+      }),
+      fixes: this.fixes.map(({range, text}) => {
+        return {range: rangeToJSON(range), text};
+      })
+    };
+  }
+}
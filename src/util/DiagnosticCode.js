@@ -0,0 +1,37 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Stable codes for the diagnostics reported by the compiler. Tools match on
+// these rather than on the message text so a code must never be reused for a
+// different kind of problem.
+
+export var UNKNOWN = 'T0000';
+
+// Syntax errors.
+export var SYNTAX_ERROR = 'T1000';
+export var UNEXPECTED_TOKEN = 'T1001';
+export var RESERVED_IDENTIFIER = 'T1002';
+export var MISSING_SEMI_COLON = 'T1003';
+export var EXPECTED_TOKEN = 'T1004';
+export var INVALID_TOKEN = 'T1100';
+
+// Semantic errors.
+export var CONST_ASSIGNMENT = 'T2001';
+export var UNDEFINED_VARIABLE = 'T2002';
+export var DUPLICATE_DECLARATION = 'T2003';
+
+// Module errors.
+export var NOT_EXPORTED = 'T3001';
+export var DUPLICATE_IMPORT = 'T3002';
+export var DUPLICATE_EXPORT = 'T3003';
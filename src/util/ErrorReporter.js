@@ -12,6 +12,13 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {
+  Diagnostic,
+  ERROR,
+  WARNING
+} from './Diagnostic.js';
+import {UNKNOWN} from './DiagnosticCode.js';
+
 /**
  * A conduit for reporting errors and warnings to the user using the Firebug
  * console API.
@@ -21,13 +28,43 @@ export class ErrorReporter {
     this.hadError_ = false;
   }
 
+  /**
+   * Use report() to report a diagnostic with a range.
+   * @param {SourcePosition} location
+   * @param {string} message
+   * @param {string=} code One of the codes in DiagnosticCode.js.
+   */
+  reportError(location, message, code = UNKNOWN) {
+    this.report(new Diagnostic(code, ERROR, message, location));
+  }
+
   /**
    * @param {SourcePosition} location
    * @param {string} message
+   * @param {string=} code One of the codes in DiagnosticCode.js.
+   */
+  reportWarning(location, message, code = UNKNOWN) {
+    this.report(new Diagnostic(code, WARNING, message, location));
+  }
+
+  /**
+   * Reports a diagnostic. Only errors make hadError() return true.
+   * @param {Diagnostic} diagnostic
+   */
+  report(diagnostic) {
+    if (diagnostic.severity === ERROR)
+      this.hadError_ = true;
+    this.reportDiagnosticInternal(diagnostic);
+  }
+
+  /**
+   * Subclasses that only deal with messages override reportMessageInternal
+   * instead.
+   * @param {Diagnostic} diagnostic
    */
-  reportError(location, message) {
-    this.hadError_ = true;
-    this.reportMessageInternal(location, message);
+  reportDiagnosticInternal(diagnostic) {
+    this.reportMessageInternal(diagnostic.location,
+                               diagnostic.formatMessage());
   }
 
   /**
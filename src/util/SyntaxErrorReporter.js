@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import {ERROR} from './Diagnostic.js';
 import {
   ErrorReporter,
   format
@@ -23,6 +24,12 @@ import {
  */
 export class SyntaxErrorReporter extends ErrorReporter {
 
+  reportDiagnosticInternal(diagnostic) {
+    // Warnings do not stop the parse.
+    if (diagnostic.severity === ERROR)
+      super.reportDiagnosticInternal(diagnostic);
+  }
+
   /**
    * @param {SourcePosition} location
    * @param {string} message
@@ -12,9 +12,27 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import {options} from '../Options.js';
+var enabled = false;
 
+/**
+ * Turns the checks of assert on or off. The Compiler turns them on while it
+ * works on a tree when its debug option is set.
+ * @param {boolean} value
+ * @return {boolean} The previous value.
+ */
+export function setAssertionsEnabled(value) {
+  var previous = enabled;
+  enabled = value;
+  return previous;
+}
+
+/**
+ * Checks an invariant of the compiler, when assertions are enabled. This does
+ * not look at the options since it is called from code that has no options at
+ * hand.
+ * @param {*} b
+ */
 export function assert(b) {
-  if (!b && options.debug)
+  if (!b && enabled)
     throw Error('Assertion failed');
 }
@@ -0,0 +1,102 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The lines around an error, as shown by the ModuleStore for the errors
+// thrown when evaluating a module.
+var {beforeLines, afterLines} = $traceurRuntime;
+
+function padStart(s, width) {
+  while (s.length < width) {
+    s = ' ' + s;
+  }
+  return s;
+}
+
+/**
+ * Renders the source lines around |range| with a caret line underneath the
+ * part of the first line the range covers:
+ *
+ *     1 | var x = 1
+ *   > 2 | var y = x +;
+ *       |            ^
+ *     3 | f(y);
+ *
+ * @param {SourceRange} range
+ * @return {string} The rendered lines or '' if there is no source to show.
+ */
+export function codeFrame(range) {
+  var source = range && range.start.source;
+  if (!source || typeof source.contents !== 'string')
+    return '';
+
+  var lines = source.contents.split(/\r\n?|\n|\u2028|\u2029/);
+  var {line, column} = range.start;
+  var text = lines[line];
+  var length = range.end.line === line ?
+      range.end.column - column : text.length - column;
+
+  var before = beforeLines(lines, line + 1);
+  var shown = before.concat(afterLines(lines, line + 1));
+  var first = line + 1 - before.length;
+  var width = String(first + shown.length).length;
+  var result = [];
+  for (var i = first; i < first + shown.length; i++) {
+    var gutter = `${i === line ? '>' : ' '} ${padStart(String(i + 1), width)} |`;
+    result.push(lines[i] ? `${gutter} ${lines[i]}` : gutter);
+    if (i === line) {
+      // Keep the tabs so that the caret lines up with the source above.
+      var indent = text.slice(0, column).replace(/[^\t]/g, ' ');
+      var carets = new Array(Math.max(length, 1) + 1).join('^');
+      result.push(`  ${padStart('', width)} | ${indent}${carets}`);
+    }
+  }
+  return result.join('\n');
+}
+
+/**
+ * Formats a diagnostic for output.
+ *
+ * @param {Diagnostic} diagnostic
+ * @param {string} format 'plain' for the one line message, 'pretty' for the
+ *     message followed by code frames of its ranges, 'json' for one line of
+ *     JSON.
+ * @return {string}
+ */
+export function formatDiagnostic(diagnostic, format = 'plain') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(diagnostic);
+    case 'plain':
+      return String(diagnostic);
+    case 'pretty':
+      var result = [String(diagnostic)];
+      var frame = codeFrame(diagnostic.range);
+      if (frame)
+        result.push(frame);
+      diagnostic.secondaryRanges.forEach(({range, message}) => {
+        result.push(range ? `${range.start}: note: ${message}` :
+                            `note: ${message}`);
+        var frame = codeFrame(range);
+        if (frame)
+          result.push(frame);
+      });
+      diagnostic.fixes.forEach(({range, text}) => {
+        var action = range.start.offset === range.end.offset ?
+            'insert' : 'replace with';
+        result.push(`${range.start}: fix: ${action} '${text}'`);
+      });
+      return result.join('\n');
+  }
+  throw new Error(`Unknown error format '${format}'`);
+}
@@ -0,0 +1,36 @@
+// Options: --async-functions --async-generators
+// Async.
+
+class C {
+  constructor(n) {
+    this.n = n;
+  }
+  async *[Symbol.asyncIterator]() {
+    for (var i = 0; i < this.n; i++) {
+      yield await i;
+    }
+  }
+}
+
+var object = {
+  async *values(a, b) {
+    yield a;
+    yield b;
+  }
+};
+
+(async function() {
+  var values = [];
+  for await (var x of new C(3)) {
+    values.push(x);
+  }
+  assert.deepEqual([0, 1, 2], values);
+
+  values = [];
+  for await (var y of object.values('a', 'b')) {
+    values.push(y);
+  }
+  assert.deepEqual(['a', 'b'], values);
+
+  done();
+})().catch(done);
@@ -0,0 +1,28 @@
+// Options: --async-functions --async-generators
+// Async.
+
+function asyncTimeout(ms, value) {
+  return new Promise((resolve) => {
+    setTimeout(() => resolve(value), ms);
+  });
+}
+
+async function* f(x) {
+  var y = await asyncTimeout(1, x + 1);
+  yield y;
+  yield asyncTimeout(1, y + 1);
+  var z = yield y + 2;
+  return z + await asyncTimeout(1, 10);
+}
+
+(async function() {
+  var g = f(1);
+  assert.equal(g[Symbol.asyncIterator](), g);
+  assert.deepEqual({value: 2, done: false}, await g.next());
+  assert.deepEqual({value: 3, done: false}, await g.next());
+  assert.deepEqual({value: 4, done: false}, await g.next());
+  assert.deepEqual({value: 15, done: true}, await g.next(5));
+  assert.deepEqual({value: undefined, done: true}, await g.next());
+
+  done();
+})();
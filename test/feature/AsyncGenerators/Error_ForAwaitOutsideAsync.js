@@ -0,0 +1,6 @@
+// Options: --async-functions --async-generators
+// Error: :5:7: Unexpected token await
+
+function f() {
+  for await (var x of []) {}
+}
@@ -0,0 +1,52 @@
+// Options: --async-functions --async-generators
+// Async.
+
+async function* f() {
+  yield 1;
+  yield Promise.resolve(2);
+  yield 3;
+}
+
+var closed = false;
+var syncIterable = {
+  [Symbol.iterator]() {
+    var i = 0;
+    return {
+      next() {
+        return {value: Promise.resolve(i), done: i++ === 3};
+      },
+      return() {
+        closed = true;
+        return {};
+      }
+    };
+  }
+};
+
+(async function() {
+  var values = [];
+  for await (var x of f()) {
+    values.push(x);
+  }
+  assert.deepEqual([1, 2, 3], values);
+
+  // Sync iterables have their values awaited.
+  values = [];
+  for await (let y of syncIterable) {
+    values.push(y);
+  }
+  assert.deepEqual([0, 1, 2], values);
+  assert.isFalse(closed);
+
+  var z;
+  values = [];
+  outer: for await (z of syncIterable) {
+    values.push(z);
+    if (z === 1)
+      break outer;
+  }
+  assert.deepEqual([0, 1], values);
+  assert.isTrue(closed);
+
+  done();
+})().catch(done);
@@ -0,0 +1,64 @@
+// Options: --async-functions --async-generators
+// Async.
+
+var log = [];
+
+function asyncIterable() {
+  return {
+    [Symbol.asyncIterator]() {
+      var i = 0;
+      return {
+        next() {
+          return Promise.resolve({value: i, done: i++ === 3});
+        },
+        return() {
+          return new Promise((resolve) => {
+            setTimeout(() => {
+              log.push('closed');
+              resolve({done: true});
+            }, 0);
+          });
+        }
+      };
+    }
+  };
+}
+
+async function breakLoop() {
+  for await (var x of asyncIterable()) {
+    if (x === 1)
+      break;
+  }
+  log.push('after break');
+}
+
+async function returnFromLoop() {
+  for await (var x of asyncIterable()) {
+    return x;
+  }
+}
+
+async function* generator() {
+  for await (var x of asyncIterable()) {
+    yield x;
+  }
+}
+
+(async function() {
+  await breakLoop();
+  assert.deepEqual(['closed', 'after break'], log);
+
+  log = [];
+  var value = await returnFromLoop();
+  log.push('returned ' + value);
+  assert.deepEqual(['closed', 'returned 0'], log);
+
+  log = [];
+  var g = generator();
+  assert.deepEqual({value: 0, done: false}, await g.next());
+  await g.return(5);
+  log.push('generator returned');
+  assert.deepEqual(['closed', 'generator returned'], log);
+
+  done();
+})().catch(done);
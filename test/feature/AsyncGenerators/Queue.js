@@ -0,0 +1,30 @@
+// Options: --async-functions --async-generators
+// Async.
+
+function asyncTimeout(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+var log = [];
+
+async function* f() {
+  log.push('start');
+  await asyncTimeout(5);
+  yield 1;
+  await asyncTimeout(1);
+  yield 2;
+}
+
+var g = f();
+// The requests are answered in the order they were made.
+Promise.all([g.next(), g.next(), g.next(), g.next()]).then((results) => {
+  assert.deepEqual(['start'], log);
+  assert.deepEqual([
+    {value: 1, done: false},
+    {value: 2, done: false},
+    {value: undefined, done: true},
+    {value: undefined, done: true}
+  ], results);
+}).then(done, done);
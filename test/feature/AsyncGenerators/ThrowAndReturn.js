@@ -0,0 +1,61 @@
+// Options: --async-functions --async-generators
+// Async.
+
+var log = [];
+
+async function* f() {
+  try {
+    yield 1;
+    yield 2;
+  } catch (ex) {
+    log.push('catch ' + ex);
+    yield 3;
+  } finally {
+    log.push('finally');
+  }
+}
+
+(async function() {
+  var g = f();
+  assert.deepEqual({value: 1, done: false}, await g.next());
+  assert.deepEqual({value: 3, done: false}, await g.throw('x'));
+  assert.deepEqual({value: 4, done: true}, await g.return(4));
+  assert.deepEqual(['catch x', 'finally'], log);
+
+  log = [];
+  g = f();
+  assert.deepEqual({value: 1, done: false}, await g.next());
+  assert.deepEqual({value: 5, done: true}, await g.return(5));
+  assert.deepEqual(['finally'], log);
+
+  // Newborn generators are closed without running the body.
+  log = [];
+  g = f();
+  assert.deepEqual({value: 6, done: true}, await g.return(6));
+  try {
+    await g.throw('y');
+    fail('should have thrown');
+  } catch (ex) {
+    assert.equal('y', ex);
+  }
+  assert.deepEqual({value: undefined, done: true}, await g.next());
+  assert.deepEqual([], log);
+
+  // Errors in the body reject the pending request.
+  async function* h() {
+    yield 1;
+    var error = await Promise.resolve('z');
+    throw error;
+  }
+  g = h();
+  await g.next();
+  try {
+    await g.next();
+    fail('should have thrown');
+  } catch (ex) {
+    assert.equal('z', ex);
+  }
+  assert.deepEqual({value: undefined, done: true}, await g.next());
+
+  done();
+})().catch(done);
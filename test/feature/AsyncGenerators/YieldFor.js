@@ -0,0 +1,26 @@
+// Options: --async-functions --async-generators
+// Async.
+
+async function* delegate() {
+  var x = yield 1;
+  yield x;
+  return 'inner';
+}
+
+async function* delegating() {
+  var result = yield* delegate();
+  yield result;
+  yield* [Promise.resolve(3), 4];
+}
+
+(async function() {
+  var g = delegating();
+  assert.deepEqual({value: 1, done: false}, await g.next());
+  assert.deepEqual({value: 2, done: false}, await g.next(2));
+  assert.deepEqual({value: 'inner', done: false}, await g.next());
+  assert.deepEqual({value: 3, done: false}, await g.next());
+  assert.deepEqual({value: 4, done: false}, await g.next());
+  assert.deepEqual({value: undefined, done: true}, await g.next());
+
+  done();
+})().catch(done);
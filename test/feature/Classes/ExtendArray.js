@@ -0,0 +1,55 @@
+class MyArray extends Array {
+  constructor(...args) {
+    super(...args);
+    this.created = true;
+    this.getThis = () => this;
+    this.object = {
+      method() {
+        return this;
+      }
+    };
+  }
+  last() {
+    return this[this.length - 1];
+  }
+}
+
+class DefaultArray extends Array {}
+
+class MoreArray extends MyArray {
+  get first() {
+    return this[0];
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+var a = new MyArray();
+assert.isTrue(Array.isArray(a));
+assert.instanceOf(a, MyArray);
+assert.instanceOf(a, Array);
+assert.isTrue(a.created);
+assert.equal(a, a.getThis());
+assert.equal(a.object, a.object.method());
+assert.equal(0, a.length);
+
+a.push(1, 2);
+assert.equal(2, a.length);
+assert.equal(2, a.last());
+a[5] = 6;
+assert.equal(6, a.length);
+a.length = 1;
+assert.equal(1, a[0]);
+assert.isUndefined(a[1]);
+
+var b = new DefaultArray(3);
+assert.instanceOf(b, DefaultArray);
+assert.equal(3, b.length);
+
+var c = new MoreArray(1, 2, 3);
+assert.instanceOf(c, MoreArray);
+assert.instanceOf(c, MyArray);
+assert.isTrue(c.created);
+assert.equal(1, c.first);
+assert.equal(3, c.last());
+assert.equal(3, c.length);
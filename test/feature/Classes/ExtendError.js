@@ -0,0 +1,42 @@
+class MyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MyError';
+  }
+}
+
+class SubError extends MyError {
+  get isSubError() {
+    return true;
+  }
+}
+
+class DefaultError extends TypeError {}
+
+function thrower() {
+  throw new SubError('sub');
+}
+
+// ----------------------------------------------------------------------------
+
+var e = new MyError('boom');
+assert.instanceOf(e, MyError);
+assert.instanceOf(e, Error);
+assert.equal('boom', e.message);
+assert.equal('MyError: boom', String(e));
+assert.equal('[object Error]', Object.prototype.toString.call(e));
+
+try {
+  thrower();
+  assert.fail();
+} catch (ex) {
+  assert.instanceOf(ex, SubError);
+  assert.isTrue(ex.isSubError);
+  assert.equal('sub', ex.message);
+  assert.include(ex.stack, 'thrower');
+}
+
+var d = new DefaultError('bad');
+assert.instanceOf(d, DefaultError);
+assert.instanceOf(d, TypeError);
+assert.equal('bad', d.message);
@@ -0,0 +1,21 @@
+class CountingMap extends Map {
+  constructor() {
+    super();
+    this.sets = 0;
+  }
+  set(key, value) {
+    this.sets++;
+    return super.set(key, value);
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+var map = new CountingMap();
+assert.instanceOf(map, CountingMap);
+assert.instanceOf(map, Map);
+map.set('a', 1).set('b', 2);
+assert.equal(2, map.sets);
+assert.equal(2, map.size);
+assert.equal(1, map.get('a'));
+assert.isTrue(map.has('b'));
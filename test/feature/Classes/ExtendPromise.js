@@ -0,0 +1,20 @@
+// Async.
+
+class MyPromise extends Promise {
+  constructor(executor) {
+    super(executor);
+    this.isMine = true;
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+var p = new MyPromise((resolve) => resolve(42));
+assert.instanceOf(p, MyPromise);
+assert.instanceOf(p, Promise);
+assert.isTrue(p.isMine);
+
+p.then((value) => {
+  assert.equal(42, value);
+  done();
+}).catch(done);
@@ -0,0 +1,56 @@
+var t = new WeakMap();
+
+var objectKey = {};
+var functionKey = function() {};
+var setReturnValue;
+
+t.set(objectKey, 'value1');
+setReturnValue = t.set(functionKey, 'value2');
+
+assert.equal(t, setReturnValue);
+
+assert.isTrue(t.has(objectKey));
+assert.isTrue(t.has(functionKey));
+assert.isFalse(t.has({}));
+assert.isFalse(t.has('key'));
+assert.isFalse(t.has(undefined));
+
+assert.equal(t.get(objectKey), 'value1');
+assert.equal(t.get(functionKey), 'value2');
+assert.isUndefined(t.get({}));
+assert.isUndefined(t.get(42));
+
+t.set(objectKey, undefined);
+assert.isTrue(t.has(objectKey));
+assert.isUndefined(t.get(objectKey));
+
+assert.isTrue(t.delete(objectKey));
+assert.isFalse(t.has(objectKey));
+assert.isFalse(t.delete(objectKey));
+assert.isFalse(t.delete('key'));
+
+// Two maps do not share entries.
+var t2 = new WeakMap();
+assert.isFalse(t2.has(functionKey));
+t2.set(functionKey, 'other');
+assert.equal(t.get(functionKey), 'value2');
+assert.equal(t2.get(functionKey), 'other');
+
+var frozenKey = Object.freeze({});
+t.set(frozenKey, 'frozen');
+assert.equal(t.get(frozenKey), 'frozen');
+assert.isTrue(t.delete(frozenKey));
+assert.isFalse(t.has(frozenKey));
+
+assert.throws(function() {
+  t.set('key', 'value');
+}, TypeError);
+
+assert.throws(function() {
+  t.set(undefined, 'value');
+}, TypeError);
+
+var a = {}, b = {};
+var t3 = new WeakMap([[a, 1], [b, 2]]);
+assert.equal(t3.get(a), 1);
+assert.equal(t3.get(b), 2);
@@ -0,0 +1,30 @@
+var t = new WeakSet();
+
+var objectKey = {};
+var functionKey = function() {};
+var addReturnValue;
+
+t.add(objectKey);
+addReturnValue = t.add(functionKey);
+
+assert.equal(t, addReturnValue);
+
+assert.isTrue(t.has(objectKey));
+assert.isTrue(t.has(functionKey));
+assert.isFalse(t.has({}));
+assert.isFalse(t.has('key'));
+
+assert.isTrue(t.delete(objectKey));
+assert.isFalse(t.has(objectKey));
+assert.isFalse(t.delete(objectKey));
+assert.isFalse(t.delete(42));
+
+assert.throws(function() {
+  t.add('value');
+}, TypeError);
+
+var a = {}, b = {};
+var t2 = new WeakSet([a, b]);
+assert.isTrue(t2.has(a));
+assert.isTrue(t2.has(b));
+assert.isFalse(t.has(a));
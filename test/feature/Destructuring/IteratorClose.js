@@ -0,0 +1,40 @@
+var log = [];
+
+function* G() {
+  try {
+    yield 1;
+    yield 2;
+  } finally {
+    log.push('closed');
+  }
+}
+
+var [a] = G();
+assert.equal(a, 1);
+assert.deepEqual(log, ['closed']);
+
+log = [];
+var [b, c, d] = G();
+assert.deepEqual([b, c, d], [1, 2, undefined]);
+assert.deepEqual(log, ['closed']);
+
+log = [];
+var [] = G();
+assert.deepEqual(log, []);
+
+log = [];
+var [, ...rest] = G();
+assert.deepEqual(rest, [2]);
+assert.deepEqual(log, ['closed']);
+
+log = [];
+var e, f;
+[e, f] = G();
+assert.deepEqual([e, f], [1, 2]);
+assert.deepEqual(log, ['closed']);
+
+log = [];
+var [[g], h] = [G(), 3];
+assert.equal(g, 1);
+assert.equal(h, 3);
+assert.deepEqual(log, ['closed']);
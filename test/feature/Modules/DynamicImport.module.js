@@ -0,0 +1,13 @@
+// Async.
+// Options: --dynamic-import
+
+var name = './resources/default-name.js';
+
+Promise.all([
+  import('./resources/default.js'),
+  import(name)
+]).then(([x, y]) => {
+  assert.equal(x.default, 42);
+  assert.equal(y.default, 4);
+  done();
+}).catch(done);
@@ -0,0 +1,4 @@
+// Options: --dynamic-import=false
+// Error: :4:7: Unexpected token (
+
+import('./resources/default.js');
@@ -0,0 +1,17 @@
+function F() {
+  var f = () => new.target;
+  var g = () => () => new.target;
+  return [f(), g()()];
+}
+
+class A {
+  constructor() {
+    this.f = () => new.target;
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+assert.deepEqual([F, F], new F());
+assert.deepEqual([undefined, undefined], F());
+assert.equal(A, new A().f());
@@ -0,0 +1,45 @@
+class A {
+  constructor() {
+    this.newTarget = new.target;
+  }
+  method() {
+    return new.target;
+  }
+  get getter() {
+    return new.target;
+  }
+  static create() {
+    return new.target;
+  }
+}
+
+class B extends A {}
+
+class C extends A {
+  constructor() {
+    super();
+    this.newTargetInC = new.target;
+  }
+}
+
+var D = class {
+  constructor() {
+    this.newTarget = new.target;
+  }
+};
+
+// ----------------------------------------------------------------------------
+
+var a = new A();
+assert.equal(A, a.newTarget);
+assert.isUndefined(a.method());
+assert.isUndefined(a.getter);
+assert.isUndefined(A.create());
+
+assert.equal(B, new B().newTarget);
+
+var c = new C();
+assert.equal(C, c.newTarget);
+assert.equal(C, c.newTargetInC);
+
+assert.equal(D, new D().newTarget);
@@ -0,0 +1,3 @@
+// Error: :3:15: new.target is only allowed in functions
+
+var f = () => new.target;
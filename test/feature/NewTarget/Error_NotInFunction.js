@@ -0,0 +1,3 @@
+// Error: :3:1: new.target is only allowed in functions
+
+new.target;
@@ -0,0 +1,18 @@
+function F() {
+  return {newTarget: new.target};
+}
+
+var G = function() {
+  this.newTarget = new.target;
+};
+
+// ----------------------------------------------------------------------------
+
+assert.equal(F, new F().newTarget);
+assert.isUndefined(F().newTarget);
+assert.isUndefined(F.call({}).newTarget);
+
+assert.equal(G, new G().newTarget);
+var o = {};
+G.call(o);
+assert.isUndefined(o.newTarget);
@@ -0,0 +1,14 @@
+function F() {
+  function G() {
+    return new.target;
+  }
+  return {outer: new.target, inner: G(), innerNew: new G(), G: G};
+}
+
+// ----------------------------------------------------------------------------
+
+var result = new F();
+assert.equal(F, result.outer);
+assert.isUndefined(result.inner);
+assert.equal(result.G, result.innerNew);
+assert.isUndefined(F().outer);
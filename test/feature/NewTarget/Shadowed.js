@@ -0,0 +1,37 @@
+function F() {
+  var F = 1;
+  this.newTarget = new.target;
+}
+
+var G = function G() {
+  {
+    let G = 1;
+    this.newTarget = new.target;
+  }
+};
+
+function H() {
+  this.newTarget = new.target;
+}
+var I = H;
+H = null;
+
+function outer() {
+  return new J();
+  function J() {
+    let J = 2;
+    this.newTarget = new.target;
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+var f = new F();
+assert.equal(F, f.newTarget);
+assert.equal(G, new G().newTarget);
+assert.equal(I, new I().newTarget);
+var j = outer();
+assert.equal(j.constructor, j.newTarget);
+var o = {};
+G.call(o);
+assert.isUndefined(o.newTarget);
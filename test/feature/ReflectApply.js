@@ -0,0 +1,44 @@
+function sum() {
+  var total = this.initial;
+  for (var i = 0; i < arguments.length; i++) {
+    total += arguments[i];
+  }
+  return total;
+}
+
+assert.equal(Reflect.apply(sum, {initial: 1}, [2, 3]), 6);
+assert.equal(Reflect.apply(Math.max, undefined, [1, 3, 2]), 3);
+assert.equal(Reflect.apply(String.prototype.slice, 'abcde', [1, 3]), 'bc');
+
+assert.throws(function() {
+  Reflect.apply({}, undefined, []);
+}, TypeError);
+
+assert.throws(function() {
+  Reflect.apply(sum, undefined);
+}, TypeError);
+
+// ----------------------------------------------------------------------------
+
+function Point(x, y) {
+  this.x = x;
+  this.y = y;
+}
+
+var p = Reflect.construct(Point, [1, 2]);
+assert.instanceOf(p, Point);
+assert.equal(p.x, 1);
+assert.equal(p.y, 2);
+
+var d = Reflect.construct(Date, [2014, 0, 1]);
+assert.instanceOf(d, Date);
+assert.equal(d.getFullYear(), 2014);
+
+function Other() {}
+var o = Reflect.construct(Point, [3, 4], Other);
+assert.instanceOf(o, Other);
+assert.equal(o.x, 3);
+
+assert.throws(function() {
+  Reflect.construct({}, []);
+}, TypeError);
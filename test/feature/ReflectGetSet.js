@@ -0,0 +1,37 @@
+var object = {
+  a: 1,
+  get b() {
+    return this.a + 1;
+  },
+  set c(value) {
+    this.a = value;
+  }
+};
+
+assert.equal(Reflect.get(object, 'a'), 1);
+assert.equal(Reflect.get(object, 'b'), 2);
+assert.equal(Reflect.get(object, 'b', {a: 41}), 42);
+assert.isUndefined(Reflect.get(object, 'c'));
+assert.isUndefined(Reflect.get(object, 'd'));
+assert.equal(Reflect.get(Object.create(object), 'a'), 1);
+
+assert.isTrue(Reflect.set(object, 'a', 2));
+assert.equal(object.a, 2);
+assert.isTrue(Reflect.set(object, 'c', 3));
+assert.equal(object.a, 3);
+assert.isFalse(Reflect.set(object, 'b', 4));
+
+var receiver = {};
+assert.isTrue(Reflect.set(object, 'a', 5, receiver));
+assert.equal(receiver.a, 5);
+assert.equal(object.a, 3);
+
+var child = Object.create(object);
+assert.isTrue(Reflect.set(child, 'a', 6));
+assert.equal(child.a, 6);
+assert.equal(object.a, 3);
+assert.isTrue(child.hasOwnProperty('a'));
+
+var frozen = Object.freeze({a: 1});
+assert.isFalse(Reflect.set(frozen, 'a', 2));
+assert.equal(frozen.a, 1);
@@ -0,0 +1,17 @@
+// Options: --symbols
+
+var s = Symbol();
+var object = {a: 1};
+object[s] = 2;
+
+var keys = Reflect.ownKeys(object);
+assert.equal(keys.length, 2);
+assert.equal(keys[0], 'a');
+assert.equal(keys[1], s);
+
+assert.isTrue(Reflect.has(object, s));
+assert.equal(Reflect.get(object, s), 2);
+assert.isTrue(Reflect.set(object, s, 3));
+assert.equal(object[s], 3);
+assert.isTrue(Reflect.deleteProperty(object, s));
+assert.isFalse(Reflect.has(object, s));
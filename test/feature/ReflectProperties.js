@@ -0,0 +1,46 @@
+var object = {a: 1};
+
+assert.isTrue(Reflect.defineProperty(object, 'b', {value: 2}));
+assert.equal(object.b, 2);
+assert.isFalse(Reflect.defineProperty(object, 'b', {value: 3}));
+assert.equal(object.b, 2);
+
+assert.deepEqual(Reflect.getOwnPropertyDescriptor(object, 'a'), {
+  value: 1,
+  writable: true,
+  enumerable: true,
+  configurable: true
+});
+assert.isUndefined(Reflect.getOwnPropertyDescriptor(object, 'c'));
+
+assert.isTrue(Reflect.has(object, 'a'));
+assert.isTrue(Reflect.has(object, 'toString'));
+assert.isFalse(Reflect.has(object, 'c'));
+
+assert.isTrue(Reflect.deleteProperty(object, 'a'));
+assert.isFalse(Reflect.has(object, 'a'));
+assert.isFalse(Reflect.deleteProperty(object, 'b'));
+assert.isTrue(Reflect.has(object, 'b'));
+
+assert.deepEqual(Reflect.ownKeys({x: 1, y: 2}), ['x', 'y']);
+assert.deepEqual(Reflect.ownKeys([]), ['length']);
+
+var extensible = {};
+assert.isTrue(Reflect.isExtensible(extensible));
+assert.isTrue(Reflect.preventExtensions(extensible));
+assert.isFalse(Reflect.isExtensible(extensible));
+
+var proto = {};
+var child = Object.create(proto);
+assert.equal(Reflect.getPrototypeOf(child), proto);
+assert.isTrue(Reflect.setPrototypeOf(child, Array.prototype));
+assert.equal(Reflect.getPrototypeOf(child), Array.prototype);
+assert.isFalse(Reflect.setPrototypeOf(extensible, proto));
+
+assert.throws(function() {
+  Reflect.getPrototypeOf(1);
+}, TypeError);
+
+assert.throws(function() {
+  Reflect.has('abc', 'length');
+}, TypeError);
@@ -0,0 +1,82 @@
+// Options: --sticky-expressions
+
+(function() {
+  var re = /foo/y;
+  assert.isTrue(re.sticky);
+  assert.equal(re.lastIndex, 0);
+
+  var s = 'foofoo-foo';
+  var m = re.exec(s);
+  assert.equal(m[0], 'foo');
+  assert.equal(m.index, 0);
+  assert.equal(re.lastIndex, 3);
+
+  m = re.exec(s);
+  assert.equal(m[0], 'foo');
+  assert.equal(m.index, 3);
+  assert.equal(re.lastIndex, 6);
+
+  // Does not search forward from lastIndex.
+  assert.isNull(re.exec(s));
+  assert.equal(re.lastIndex, 0);
+
+  re.lastIndex = 7;
+  assert.isTrue(re.test(s));
+  assert.equal(re.lastIndex, 10);
+  assert.isFalse(re.test(s));
+  assert.equal(re.lastIndex, 0);
+})();
+
+(function() {
+  // Capture groups are kept and the emulation group is not exposed.
+  var re = /(a)(b)?/y;
+  var m = re.exec('aab');
+  assert.equal(m.length, 3);
+  assert.equal(m[1], 'a');
+  assert.isUndefined(m[2]);
+  m = re.exec('aab');
+  assert.equal(m.length, 3);
+  assert.equal(m[0], 'ab');
+  assert.equal(m[2], 'b');
+})();
+
+(function() {
+  var re = /a/iy;
+  assert.isFalse(re.test('bA'));
+  assert.isTrue(re.test('A'));
+
+  // Empty matches succeed at lastIndex.
+  var empty = /x*/y;
+  empty.lastIndex = 1;
+  var m = empty.exec('abc');
+  assert.equal(m[0], '');
+  assert.equal(m.index, 1);
+})();
+
+(function() {
+  // Combined with the u flag.
+  var re = /./uy;
+  var s = '💩a';
+  assert.equal(re.exec(s)[0], '💩');
+  assert.equal(re.lastIndex, 2);
+  assert.equal(re.exec(s)[0], 'a');
+})();
+
+(function() {
+  // The literal keeps its source and flags.
+  var re = /a/y;
+  assert.equal(re.source, 'a');
+  assert.isFalse(re.global);
+  assert.equal(re.toString(), '/a/y');
+  assert.isTrue(/a/gy.global);
+
+  // The String methods only match at lastIndex.
+  assert.equal('aaa'.replace(/a/y, 'b'), 'baa');
+  assert.equal('baa'.replace(/a/y, 'c'), 'baa');
+  assert.equal('aaba'.replace(/a/gy, 'c'), 'ccba');
+  assert.deepEqual('aaba'.match(/a/gy), ['a', 'a']);
+  assert.isNull('ba'.match(/a/y));
+  assert.equal('ba'.search(/a/y), -1);
+  assert.equal('ab'.search(/a/y), 0);
+  assert.deepEqual('a,b'.split(/,/y), ['a', 'b']);
+})();
@@ -0,0 +1,29 @@
+// Options: --unicode-expressions
+
+(function() {
+  // Astral ranges.
+  var emoticon = /^[\u{1F600}-\u{1F64F}]$/u;
+  assert.isTrue(emoticon.test('😀'));
+  assert.isTrue(emoticon.test('🙏'));
+  assert.isFalse(emoticon.test('🙐'));
+  assert.isFalse(emoticon.test('\uD83D'));
+
+  // Code point escapes.
+  assert.isTrue(/^\u{61}$/u.test('a'));
+  assert.isTrue(/^\u{1D306}$/u.test('𝌆'));
+
+  // The dot and quantifiers work on code points.
+  assert.isTrue(/^.$/u.test('𝌆'));
+  assert.isFalse(/^.$/.test('𝌆'));
+  assert.isTrue(/^\u{1D306}{2}$/u.test('𝌆𝌆'));
+
+  // Negated classes do not match half of a surrogate pair.
+  var notA = /^[^a]$/u;
+  assert.isTrue(notA.test('𝌆'));
+  assert.isFalse(notA.test('a'));
+
+  // Case folding with the i flag, K and KELVIN SIGN.
+  assert.isTrue(/K/iu.test('k'));
+  assert.isTrue(/k/iu.test('K'));
+  assert.isFalse(/K/i.test('k'));
+})();
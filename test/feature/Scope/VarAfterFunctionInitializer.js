@@ -0,0 +1,8 @@
+// The declarations in the function must not change how y is declared.
+var f = function() {
+  let x = 1;
+  return x;
+}, y = 2;
+var y;
+
+assert.equal(f() + y, 3);
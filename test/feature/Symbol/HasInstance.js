@@ -0,0 +1,23 @@
+// Options: --symbols
+
+var Even = {};
+Object.defineProperty(Even, Symbol.hasInstance, {
+  value: function(value) {
+    return value % 2 === 0;
+  }
+});
+
+function F() {}
+
+// ----------------------------------------------------------------------------
+
+assert.isTrue(2 instanceof Even);
+assert.isFalse(3 instanceof Even);
+
+assert.isTrue(new F() instanceof F);
+assert.isFalse({} instanceof F);
+assert.isTrue([] instanceof Array);
+
+assert.throws(function() {
+  ({}) instanceof {};
+}, TypeError);
@@ -0,0 +1,31 @@
+// Options: --symbols
+
+function FakePromise(executor) {
+  executor(function() {}, function() {});
+}
+
+function SpeciesArray() {}
+SpeciesArray[Symbol.species] = function(length) {
+  this.createdWith = length;
+};
+
+// ----------------------------------------------------------------------------
+
+assert.equal(Array, Array[Symbol.species]);
+assert.equal(Promise, Promise[Symbol.species]);
+
+var p = Promise.resolve(1);
+p.constructor = {};
+p.constructor[Symbol.species] = FakePromise;
+assert.instanceOf(p.then(), FakePromise);
+
+var array = [1, 2, 3];
+array.constructor = SpeciesArray;
+var mapped = array.map(function(x) {
+  return x * 2;
+});
+assert.instanceOf(mapped, SpeciesArray[Symbol.species]);
+assert.equal(2, mapped[0]);
+assert.equal(6, mapped[2]);
+
+assert.isFalse(Array.isArray(array.filter(function() { return true; })));
@@ -0,0 +1,57 @@
+// Options: --symbols
+
+var hints = [];
+var object = {};
+object[Symbol.toPrimitive] = function(hint) {
+  hints.push(hint);
+  return hint === 'number' ? 42 : 'str';
+};
+
+// ----------------------------------------------------------------------------
+
+assert.equal('str!', object + '!');
+assert.equal(43, +object + 1);
+assert.equal(-42, -object);
+assert.equal(40, object - 2);
+assert.equal(84, object * 2);
+assert.isTrue(object > 41);
+assert.deepEqual(['default', 'number', 'number', 'number', 'number',
+                  'number'], hints);
+
+hints = [];
+assert.equal('a str', `a ${object}`);
+assert.equal('str', String(object));
+assert.deepEqual(['string', 'string'], hints);
+
+// Both operands are evaluated before they are converted.
+var log = [];
+function logged(name) {
+  var value = {};
+  value[Symbol.toPrimitive] = function(hint) {
+    log.push('convert ' + name);
+    return name;
+  };
+  return function() {
+    log.push('evaluate ' + name);
+    return value;
+  };
+}
+var a = logged('a'), b = logged('b');
+assert.equal('ab', a() + b());
+assert.deepEqual(['evaluate a', 'evaluate b', 'convert a', 'convert b'], log);
+
+log = [];
+assert.equal('a-b', `${a()}-${b()}`);
+assert.deepEqual(['evaluate a', 'convert a', 'evaluate b', 'convert b'], log);
+
+var bad = {};
+bad[Symbol.toPrimitive] = function() {
+  return {};
+};
+assert.throws(function() {
+  bad + '';
+}, TypeError);
+
+// Objects without @@toPrimitive still use valueOf and toString.
+assert.equal(3, {valueOf() { return 2; }} + 1);
+assert.equal('x!', {toString() { return 'x'; }} + '!');
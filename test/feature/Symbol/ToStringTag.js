@@ -0,0 +1,18 @@
+// Options: --symbols
+
+var object = {};
+object[Symbol.toStringTag] = 'Custom';
+
+class Tagged {
+  get [Symbol.toStringTag]() {
+    return 'Tagged';
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+var toString = Object.prototype.toString;
+assert.equal('[object Custom]', toString.call(object));
+assert.equal('[object Tagged]', String(new Tagged()));
+assert.equal('[object Object]', toString.call({}));
+assert.equal('[object Array]', toString.call([]));
@@ -0,0 +1,24 @@
+// Options: --error-recovery
+// Error: :9:12: Unexpected token ;
+// Error: :10:9: Unexpected token ;
+// Error: :14:5: Semi-colon expected
+// Error: :19:19: Unexpected token ;
+// Error: :20:3: Unexpected token )
+// Error: :24:11: Unexpected token ;
+
+var a = 1 +;
+var b = ;
+var c = 3;
+
+function f() {
+  x y;
+  return c;
+}
+
+class C {
+  m() { return 1 +; }
+  ) n() {}
+  o() {}
+}
+
+var d = (1;
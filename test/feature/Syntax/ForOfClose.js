@@ -0,0 +1,73 @@
+var log = [];
+
+function iterable(n) {
+  var i = 0;
+  return {
+    [Symbol.iterator]() {
+      return {
+        next() {
+          return {value: i, done: i++ >= n};
+        },
+        return() {
+          log.push('return');
+          return {};
+        }
+      };
+    }
+  };
+}
+
+for (var x of iterable(2)) {}
+assert.deepEqual(log, []);
+
+for (var x of iterable(2)) {
+  break;
+}
+assert.deepEqual(log, ['return']);
+
+log = [];
+(function() {
+  for (var x of iterable(2)) {
+    return;
+  }
+})();
+assert.deepEqual(log, ['return']);
+
+log = [];
+assert.throws(() => {
+  for (var x of iterable(2)) {
+    throw new Error('body');
+  }
+}, 'body');
+assert.deepEqual(log, ['return']);
+
+// Continuing does not close the iterator.
+log = [];
+for (var x of iterable(2)) {
+  continue;
+}
+assert.deepEqual(log, []);
+
+// Errors from closing are ignored when the body threw.
+var iter = {
+  [Symbol.iterator]() {
+    return {
+      next() {
+        return {value: 1, done: false};
+      },
+      return() {
+        throw new Error('return');
+      }
+    };
+  }
+};
+assert.throws(() => {
+  for (var x of iter) {
+    throw new Error('body');
+  }
+}, 'body');
+assert.throws(() => {
+  for (var x of iter) {
+    break;
+  }
+}, 'return');
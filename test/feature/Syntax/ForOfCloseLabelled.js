@@ -0,0 +1,28 @@
+var log = [];
+
+function* G(name) {
+  try {
+    yield 1;
+    yield 2;
+  } finally {
+    log.push(name);
+  }
+}
+
+var result = [];
+outer: for (var x of G('outer')) {
+  inner: for (var y of G('inner')) {
+    result.push(x + y);
+    continue outer;
+  }
+}
+assert.deepEqual(result, [2, 3]);
+assert.deepEqual(log, ['inner', 'inner', 'outer']);
+
+log = [];
+a: b: for (var x of G('outer')) {
+  for (var y of G('inner')) {
+    break a;
+  }
+}
+assert.deepEqual(log, ['inner', 'outer']);
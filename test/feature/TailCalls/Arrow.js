@@ -0,0 +1,10 @@
+// Options: --tail-calls
+
+'use strict';
+
+const count = (n, acc = 0) => n === 0 ? acc : count(n - 1, acc + 1);
+
+// ----------------------------------------------------------------------------
+
+assert.equal(count(5), 5);
+assert.equal(count(100000), 100000);
@@ -0,0 +1,14 @@
+// Options: --tail-calls
+
+'use strict';
+
+function sum(n, acc) {
+  if (n === 0)
+    return acc;
+  return sum(n - 1, acc + n);
+}
+
+// ----------------------------------------------------------------------------
+
+assert.equal(sum(10, 0), 55);
+assert.equal(sum(100000, 0), 5000050000);
@@ -0,0 +1,34 @@
+// Options: --tail-calls
+
+class Counter {
+  count(n, acc = 0) {
+    if (n === 0)
+      return acc;
+    return this.count(n - 1, acc + 1);
+  }
+
+  static countDown(n) {
+    return n === 0 ? 'done' : this.countDown(n - 1);
+  }
+}
+
+class LoggingCounter extends Counter {
+  constructor() {
+    this.log = [];
+  }
+
+  count(n, acc = 0) {
+    this.log.push(n);
+    return super.count(n, acc);
+  }
+}
+
+// ----------------------------------------------------------------------------
+
+assert.equal(new Counter().count(100000), 100000);
+assert.equal(Counter.countDown(100000), 'done');
+
+// The overriding method must still be called.
+var counter = new LoggingCounter();
+assert.equal(counter.count(3), 3);
+assert.deepEqual(counter.log, [3, 2, 1, 0]);
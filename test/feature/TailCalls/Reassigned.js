@@ -0,0 +1,31 @@
+// Options: --tail-calls
+
+'use strict';
+
+// The self call goes through the binding, which may refer to another
+// function by the time it is made.
+function loop(n) {
+  if (n === 0)
+    return 'orig';
+  return loop(n - 1);
+}
+
+var orig = loop;
+loop = function() {
+  return 'wrapped';
+};
+
+assert.equal(orig(3), 'wrapped');
+
+function count(n) {
+  if (n === 0)
+    return 'function';
+  return count(n - 1);
+}
+
+var keep = count;
+var count = function() {
+  return 'var';
+};
+
+assert.equal(keep(3), 'var');
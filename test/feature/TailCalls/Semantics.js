@@ -0,0 +1,56 @@
+// Options: --tail-calls
+
+'use strict';
+
+// Arguments are evaluated before the parameters are updated.
+function swap(a, b, n) {
+  if (n === 0)
+    return [a, b];
+  return swap(b, a, n - 1);
+}
+
+assert.deepEqual(swap(1, 2, 0), [1, 2]);
+assert.deepEqual(swap(1, 2, 1), [2, 1]);
+assert.deepEqual(swap(1, 2, 100001), [2, 1]);
+
+// Locals start out as undefined in every call.
+function locals(n, seen) {
+  var x;
+  seen.push(x);
+  x = n;
+  if (n === 0)
+    return seen;
+  return locals(n - 1, seen);
+}
+
+assert.deepEqual(locals(2, []), [undefined, undefined, undefined]);
+
+// Missing arguments get the default value.
+function defaults(n, acc = 'x') {
+  if (n === 0)
+    return acc;
+  return n === 2 ? defaults(n - 1) : defaults(n - 1, acc + 'y');
+}
+
+assert.equal(defaults(3, 'a'), 'xy');
+
+// Calls in a try block are not tail calls.
+function withTry(n) {
+  if (n === 0)
+    throw new Error('bottom');
+  try {
+    return withTry(n - 1);
+  } catch (e) {
+    return n;
+  }
+}
+
+assert.equal(withTry(3), 1);
+
+// Falling off the end of the function returns undefined.
+function noReturn(n) {
+  if (n > 0)
+    return noReturn(n - 1);
+}
+
+assert.isUndefined(noReturn(3));
@@ -0,0 +1,8 @@
+// Options: --types --type-checker
+// Error: :8:16: Argument of type 'string' is not assignable to parameter of type 'number'
+
+function square(x: number): number {
+  return x * x;
+}
+
+var y = square('3');
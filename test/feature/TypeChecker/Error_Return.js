@@ -0,0 +1,6 @@
+// Options: --types --type-checker
+// Error: :5:10: Type 'string' is not assignable to type 'boolean'
+
+function isEmpty(s: string): boolean {
+  return s.length === 0 ? 'yes' : 'no';
+}
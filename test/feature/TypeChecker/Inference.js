@@ -0,0 +1,24 @@
+// Options: --types --type-checker --member-variables
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+class Vector {
+  x: number;
+  y: number;
+  constructor(x: number, y: number) {
+    this.x = x;
+    this.y = y;
+  }
+  add(other: Point): Vector {
+    return new Vector(this.x + other.x, this.y + other.y);
+  }
+}
+
+var origin = {x: 0, y: 0};
+var sum: Point = new Vector(1, 2).add(origin);
+var count = 0;
+count = sum.x + sum.y;
+assert.equal(count, 3);
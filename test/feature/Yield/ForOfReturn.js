@@ -0,0 +1,33 @@
+var log = [];
+
+function* Inner() {
+  try {
+    yield 1;
+    yield 2;
+  } finally {
+    log.push('closed');
+  }
+}
+
+function* Break() {
+  for (var x of Inner()) {
+    yield x;
+    break;
+  }
+  yield 'after';
+}
+
+assert.deepEqual([...Break()], [1, 'after']);
+assert.deepEqual(log, ['closed']);
+
+function* Return() {
+  for (var x of Inner()) {
+    yield x;
+  }
+}
+
+log = [];
+var g = Return();
+g.next();
+assert.deepEqual(g.return(42), {value: 42, done: true});
+assert.deepEqual(log, ['closed']);
@@ -0,0 +1,24 @@
+function* G() {
+  yield 1;
+  yield 2;
+}
+
+var g = G();
+assert.deepEqual(g.next(), {value: 1, done: false});
+assert.deepEqual(g.return(42), {value: 42, done: true});
+assert.deepEqual(g.next(), {value: undefined, done: true});
+assert.deepEqual(g.return(43), {value: 43, done: true});
+
+// Newborn generators are closed without running.
+var started = false;
+function* G2() {
+  started = true;
+  yield 1;
+}
+
+g = G2();
+assert.deepEqual(g.return(), {value: undefined, done: true});
+assert.isFalse(started);
+assert.deepEqual(g.next(), {value: undefined, done: true});
+
+assert.isFalse(G.prototype.__proto__.propertyIsEnumerable('return'));
@@ -0,0 +1,50 @@
+var log = [];
+
+function* G() {
+  try {
+    try {
+      yield 1;
+    } catch (ex) {
+      log.push('catch');
+    } finally {
+      log.push('inner');
+    }
+    yield 2;
+  } finally {
+    log.push('outer');
+  }
+}
+
+var g = G();
+g.next();
+assert.deepEqual(g.return(42), {value: 42, done: true});
+assert.deepEqual(log, ['inner', 'outer']);
+
+// A finally block can yield and override the return value.
+function* G2() {
+  try {
+    yield 1;
+  } finally {
+    yield 2;
+    return 3;
+  }
+}
+
+g = G2();
+g.next();
+assert.deepEqual(g.return(42), {value: 2, done: false});
+assert.deepEqual(g.next(), {value: 3, done: true});
+
+// Errors thrown by a finally block replace the return.
+function* G3() {
+  try {
+    yield 1;
+  } finally {
+    throw 'error';
+  }
+}
+
+g = G3();
+g.next();
+assert.throws(() => g.return(42), 'error');
+assert.deepEqual(g.next(), {value: undefined, done: true});
@@ -0,0 +1,41 @@
+var log = [];
+
+function* Inner() {
+  try {
+    yield 1;
+  } finally {
+    log.push('inner');
+  }
+}
+
+function* Outer() {
+  try {
+    yield* Inner();
+    log.push('not reached');
+  } finally {
+    log.push('outer');
+  }
+}
+
+var g = Outer();
+g.next();
+assert.deepEqual(g.return(42), {value: 42, done: true});
+assert.deepEqual(log, ['inner', 'outer']);
+
+// Iterators without a return method.
+var iterator = {
+  next() {
+    return {value: 1, done: false};
+  },
+  [Symbol.iterator]() {
+    return this;
+  }
+};
+
+function* Outer2() {
+  yield* iterator;
+}
+
+g = Outer2();
+g.next();
+assert.deepEqual(g.return(42), {value: 42, done: true});
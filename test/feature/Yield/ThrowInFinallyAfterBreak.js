@@ -0,0 +1,31 @@
+// A break or return in the try block jumps to the finally block without
+// leaving the catch. A throw from the finally block must not run it again.
+
+var log = [];
+
+function* f(x) {
+  while (true) {
+    try {
+      yield 1;
+      if (x)
+        return 2;
+      break;
+    } catch (ex) {
+      log.push('catch');
+    } finally {
+      log.push('finally');
+      throw 'finally error';
+    }
+  }
+}
+
+var g = f(false);
+assert.deepEqual(g.next(), {value: 1, done: false});
+assert.throws(() => g.next(), 'finally error');
+assert.deepEqual(['finally'], log);
+
+log = [];
+g = f(true);
+assert.deepEqual(g.next(), {value: 1, done: false});
+assert.throws(() => g.next(), 'finally error');
+assert.deepEqual(['finally'], log);
@@ -138,4 +138,156 @@ suite('node public api', function() {
 
     assert.ok(gotName == 'test-module', 'module defines into named AMD');
   });
+
+  suite('umd', function() {
+    var source = 'import {q} from \'./dep.js\';\nexport var p = q + 1;\n';
+    var dep = {q: 1, __esModule: true};
+
+    // Evaluates the compiled code with the given free variables and with
+    // |root| as the top level this.
+    function evaluate(compiled, define, exports, module, require, root) {
+      Function('define', 'exports', 'module', 'require', compiled).
+          call(root, define, exports, module, require);
+    }
+
+    test('AMD', function() {
+      var compiled = traceurAPI.compile(source, traceurAPI.umdOptions(),
+          'my-module.js');
+      var deps, result;
+      var define = function(d, factory) {
+        deps = d;
+        result = factory(dep);
+      };
+      define.amd = true;
+      evaluate(compiled, define, undefined, undefined, undefined, {});
+      assert.deepEqual(deps, ['./dep']);
+      assert.equal(result.p, 2);
+    });
+
+    test('CommonJS', function() {
+      var compiled = traceurAPI.compile(source, traceurAPI.umdOptions(),
+          'my-module.js');
+      var module = {exports: {}};
+      var required = [];
+      var require = function(name) {
+        required.push(name);
+        return dep;
+      };
+      evaluate(compiled, undefined, module.exports, module, require, {});
+      assert.deepEqual(required, ['./dep.js']);
+      assert.equal(module.exports.p, 2);
+    });
+
+    test('Browser globals', function() {
+      var compiled = traceurAPI.compile(source, traceurAPI.umdOptions(),
+          'lib/my-module.js');
+      var root = {dep: dep};
+      evaluate(compiled, undefined, undefined, undefined, undefined, root);
+      assert.equal(root.myModule.p, 2);
+    });
+
+    test('Configured browser globals', function() {
+      var compiled = traceurAPI.compile(source, traceurAPI.umdOptions({
+        globals: 'my-module=MyModule,./dep.js=Dep'
+      }), 'my-module.js');
+      var root = {Dep: dep};
+      evaluate(compiled, undefined, undefined, undefined, undefined, root);
+      assert.equal(root.MyModule.p, 2);
+    });
+  });
+
+  suite('dynamic import', function() {
+    var source = 'export function load() {\n' +
+        '  return import(\'./dep.js\');\n' +
+        '}\n';
+    var dep = {q: 1, __esModule: true};
+
+    function compile(modules) {
+      return traceurAPI.compile(source, {
+        modules: modules,
+        dynamicImport: true
+      }, 'my-module.js');
+    }
+
+    test('CommonJS', function(done) {
+      var module = {exports: {}};
+      var required = [];
+      var require = function(name) {
+        required.push(name);
+        return name === './dep.js' ? dep : {q: 2};
+      };
+      Function('exports', 'module', 'require', compile('commonjs')).
+          call({}, module.exports, module, require);
+      assert.deepEqual(required, []);
+      module.exports.load().then(function(m) {
+        assert.deepEqual(required, ['./dep.js']);
+        assert.equal(m, dep);
+      }).then(done, done);
+    });
+
+    test('CommonJS module without __esModule', function(done) {
+      var module = {exports: {}};
+      var require = function(name) {
+        return 42;
+      };
+      Function('exports', 'module', 'require', compile('commonjs')).
+          call({}, module.exports, module, require);
+      module.exports.load().then(function(m) {
+        assert.equal(m.default, 42);
+      }).then(done, done);
+    });
+
+    test('AMD', function(done) {
+      var deps, result;
+      var require = function(names, callback, errback) {
+        assert.deepEqual(names, ['./dep']);
+        callback(dep);
+      };
+      var define = function(d, factory) {
+        deps = d;
+        result = factory(require);
+      };
+      Function('define', compile('amd')).call({}, define);
+      assert.deepEqual(deps, ['require']);
+      result.load().then(function(m) {
+        assert.equal(m, dep);
+      }).then(done, done);
+    });
+
+    test('AMD load error', function(done) {
+      var error = new Error('not found');
+      var result;
+      var require = function(names, callback, errback) {
+        errback(error);
+      };
+      Function('define', compile('amd')).call({}, function(d, factory) {
+        result = factory(require);
+      });
+      result.load().then(function() {
+        assert.fail('Should have been rejected');
+      }, function(err) {
+        assert.equal(err, error);
+      }).then(done, done);
+    });
+
+    test('register', function() {
+      assert.include(compile('register'), 'System.import(\'./dep.js\'');
+    });
+
+    test('UMD', function() {
+      assert.throws(function() {
+        compile('umd');
+      }, /Dynamic import\(\) is not supported by the umd module format/);
+    });
+
+    test('closure', function() {
+      assert.throws(function() {
+        traceurAPI.compile(source, {
+          modules: 'closure',
+          moduleName: true,
+          dynamicImport: true
+        }, 'my-module.js');
+      }, /Dynamic import\(\) is not supported by the closure module format/);
+    });
+  });
 });
@@ -38,6 +38,17 @@ suite('Compiler', function() {
     assert.throws(function() { compiler.compile(content); });
   });
 
+  test('Compiler parse with error recovery', function() {
+    var compiler = new Compiler({errorRecovery: true});
+    var tree = compiler.parse('var a = 1 +;\nvar b = 2;\n', 'file.js');
+    assert.deepEqual(tree.scriptItemList.map(function(item) {
+      return item.type;
+    }), ['ERROR_TREE', 'VARIABLE_STATEMENT']);
+    assert.deepEqual(tree.diagnostics.map(String),
+                     ['file.js:1:12: Unexpected token ;']);
+    assert.throws(function() { compiler.transform(tree); });
+  });
+
   test('Compiler synchronous, experimental option', function() {
     var compiler = new Compiler({experimental: true});
     var content = 'let x = 5;';
@@ -45,6 +56,144 @@ suite('Compiler', function() {
     assert.isTrue(result.length > 0);
   });
 
+  test('Compiler instances do not share options', function() {
+    var content = 'var f = (x) => x ** 2;';
+    var es6 = new Compiler({arrowFunctions: 'parse', exponentiation: 'parse'});
+    var es5 = new Compiler({exponentiation: true});
+    var es6Tree = es6.parse(content);
+    var es5Tree = es5.parse(content);
+    var es5Result = es5.write(es5.transform(es5Tree));
+    var es6Result = es6.write(es6.transform(es6Tree));
+    assert.include(es6Result, '=>');
+    assert.include(es6Result, '**');
+    assert.notInclude(es5Result, '=>');
+    assert.include(es5Result, 'Math.pow');
+    assert.isFalse(traceur.options.exponentiation);
+  });
+
+  function recordingPlugin(name, log, stage) {
+    var ParseTreeTransformer =
+        get('src/codegeneration/ParseTreeTransformer.js').ParseTreeTransformer;
+    function RecordingTransformer(idGenerator, reporter) {
+      this.idGenerator = idGenerator;
+      this.reporter = reporter;
+    }
+    RecordingTransformer.prototype =
+        Object.create(ParseTreeTransformer.prototype);
+    RecordingTransformer.prototype.transformArrowFunctionExpression =
+        function(tree) {
+          log.push(name + ' saw an arrow function');
+          return tree;
+        };
+    RecordingTransformer.prototype.transformAny = function(tree) {
+      // The modules stage turns the Module into a Script.
+      if (tree && (tree.type === 'MODULE' || tree.type === 'SCRIPT')) {
+        log.push(name);
+        log.push(this);
+      }
+      return ParseTreeTransformer.prototype.transformAny.call(this, tree);
+    };
+    var plugin = {transformer: RecordingTransformer};
+    if (stage)
+      plugin[stage.split(' ')[0]] = stage.split(' ')[1];
+    return plugin;
+  }
+
+  function names(log) {
+    return log.filter(function(entry) {
+      return typeof entry === 'string';
+    });
+  }
+
+  test('Compiler plugins', function() {
+    var log = [];
+    var compiler = new Compiler().
+        addPlugin(recordingPlugin('last', log)).
+        addPlugin(recordingPlugin('after', log, 'after arrowFunctions')).
+        addPlugin(recordingPlugin('before', log, 'before arrowFunctions'));
+    compiler.compile('var f = () => 42;');
+    assert.deepEqual(names(log),
+        ['before', 'before saw an arrow function', 'after', 'last']);
+
+    // The plugins share the id generator and the reporter.
+    var transformers = log.filter(function(entry) {
+      return typeof entry !== 'string';
+    });
+    assert.equal(transformers[0].idGenerator, transformers[1].idGenerator);
+    assert.equal(transformers[0].reporter, transformers[2].reporter);
+    assert.isFunction(transformers[0].idGenerator.generateUniqueIdentifier);
+  });
+
+  test('Compiler plugins keep their order', function() {
+    var log = [];
+    new Compiler({plugins: [
+      recordingPlugin('a', log, 'after classes'),
+      recordingPlugin('b', log, 'after classes'),
+      recordingPlugin('c', log, 'before classes'),
+      recordingPlugin('d', log, 'before classes')
+    ]}).compile('');
+    assert.deepEqual(names(log), ['c', 'd', 'a', 'b']);
+  });
+
+  test('Compiler plugins with a stage that is turned off', function() {
+    var log = [];
+    // Symbols are off by default but come after generators.
+    new Compiler({generators: false, plugins: [
+      recordingPlugin('symbols', log, 'before symbols'),
+      recordingPlugin('generators', log, 'after generators'),
+      recordingPlugin('blockBinding', log, 'after blockBinding')
+    ]}).compile('');
+    assert.deepEqual(names(log), ['blockBinding', 'generators', 'symbols']);
+  });
+
+  test('Compiler plugins in the ES6 output', function() {
+    var log = [];
+    var result = new Compiler({outputLanguage: 'es6', plugins: [
+      recordingPlugin('modules', log, 'before modules')
+    ]}).compile('var f = () => 42;');
+    assert.deepEqual(names(log), ['modules', 'modules saw an arrow function']);
+    assert.include(result, '=>');
+  });
+
+  test('Compiler plugins report errors', function() {
+    var plugin = recordingPlugin('error', [], 'after classes');
+    plugin.transformer.prototype.transformAny = function(tree) {
+      this.reporter.reportError(null, 'Plugin error');
+      return tree;
+    };
+    var errors = null;
+    try {
+      new Compiler({plugins: [plugin]}).compile('');
+    } catch (ex) {
+      errors = ex;
+    }
+    assert.deepEqual(errors, ['Plugin error']);
+  });
+
+  test('Compiler assertions with the debug option', function() {
+    var assertInvariant = get('src/util/assert.js').assert;
+    var plugin = recordingPlugin('assert', [], 'after classes');
+    plugin.transformer.prototype.transformAny = function(tree) {
+      assertInvariant(false);
+      return tree;
+    };
+    new Compiler({plugins: [plugin]}).compile('');
+    assert.throws(function() {
+      new Compiler({debug: true, plugins: [plugin]}).compile('');
+    }, /Assertion failed/);
+    // Only while the compiler works on a tree.
+    assertInvariant(false);
+  });
+
+  test('Compiler plugins with an unknown stage', function() {
+    var compiler = new Compiler({plugins: [
+      recordingPlugin('unknown', [], 'before nothing')
+    ]});
+    assert.throws(function() {
+      compiler.compile('');
+    }, /Unknown transformer stage 'nothing'/);
+  });
+
   test('Compiler options locked', function() {
     var Options = get('src/Options.js').Options;
     var checkDiff =
@@ -50,4 +50,55 @@ suite('AmdTransformer.js', function() {
     });
   });
 
+  suite('import()', function() {
+    var Compiler = get('src/Compiler.js').Compiler;
+
+    // Runs the compiled module with a define and a require that load the
+    // modules in |modules| and returns the exports.
+    function run(content, modules) {
+      var code = new Compiler({modules: 'amd', dynamicImport: true}).
+          compile(content, 'a.js');
+      var exports;
+      function require(deps, callback) {
+        callback(modules[deps[0]]);
+      }
+      function define(deps, factory) {
+        exports = factory.apply(null, deps.map(function(dep) {
+          return dep === 'require' ? require : modules[dep];
+        }));
+      }
+      new Function('define', code)(define);
+      return exports;
+    }
+
+    test('at the top level', function(done) {
+      var b = {__esModule: true, b: 'b'};
+      var exports = run('export var x = import("./b.js");', {'./b': b});
+      exports.x.then(function(m) {
+        assert.equal(m, b);
+      }).then(done, done);
+    });
+
+    test('in a function and at the top level', function(done) {
+      var b = {__esModule: true, b: 'b'};
+      var c = {__esModule: true, c: 'c'};
+      var exports = run(
+          'export function f() { return import("./b.js"); }\n' +
+          'export var x = import("./c.js");', {'./b': b, './c': c});
+      exports.x.then(function(m) {
+        assert.equal(m, c);
+        return exports.f();
+      }).then(function(m) {
+        assert.equal(m, b);
+      }).then(done, done);
+    });
+
+    test('of a module without __esModule', function(done) {
+      var exports = run('export var x = import("./b.js");', {'./b': 42});
+      exports.x.then(function(m) {
+        assert.deepEqual(m, {default: 42});
+      }).then(done, done);
+    });
+  });
+
 });
@@ -0,0 +1,69 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('CommonJsModuleTransformer.js', function() {
+
+  function get(name) {
+    return $traceurRuntime.ModuleStore.getForTesting(name);
+  }
+
+  var Compiler = get('src/Compiler.js').Compiler;
+
+  // Runs the compiled module with a require that returns the modules in
+  // |modules| and returns the exports.
+  function run(content, modules) {
+    var code = new Compiler({modules: 'commonjs', dynamicImport: true}).
+        compile(content, 'a.js');
+    var module = {exports: {}};
+    function require(name) {
+      return modules[name];
+    }
+    new Function('module', 'exports', 'require', code)(
+        module, module.exports, require);
+    return module.exports;
+  }
+
+  test('import', function() {
+    var exports = run('import {b} from "./b.js"; export var x = b;',
+        {'./b.js': {__esModule: true, b: 'b'}});
+    assert.equal(exports.x, 'b');
+  });
+
+  test('import default of a module without __esModule', function() {
+    var exports = run('import b from "./b.js"; export var x = b;',
+        {'./b.js': 42});
+    assert.equal(exports.x, 42);
+  });
+
+  test('import() in a function and at the top level', function(done) {
+    var b = {__esModule: true, b: 'b'};
+    var c = {__esModule: true, c: 'c'};
+    var exports = run(
+        'export function f() { return import("./b.js"); }\n' +
+        'export var x = import("./c.js");', {'./b.js': b, './c.js': c});
+    exports.x.then(function(m) {
+      assert.equal(m, c);
+      return exports.f();
+    }).then(function(m) {
+      assert.equal(m, b);
+    }).then(done, done);
+  });
+
+  test('import() of a module without __esModule', function(done) {
+    var exports = run('export var x = import("./b.js");', {'./b.js': 42});
+    exports.x.then(function(m) {
+      assert.deepEqual(m, {default: 42});
+    }).then(done, done);
+  });
+});
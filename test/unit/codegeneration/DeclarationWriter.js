@@ -0,0 +1,151 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('DeclarationWriter.js', function() {
+
+  function get(name) {
+    return $traceurRuntime.ModuleStore.getForTesting(name);
+  }
+
+  var Compiler = get('src/Compiler.js').Compiler;
+
+  function declarations(lines) {
+    var compiler = new Compiler({types: true, memberVariables: true});
+    return compiler.compileDeclarations(lines.join('\n'), 'test.js');
+  }
+
+  function assertDeclarations(source, expected) {
+    assert.equal(declarations(source), expected.join('\n') + '\n');
+  }
+
+  test('classes', function() {
+    assertDeclarations([
+      'export class Circle extends Shape {',
+      '  radius: number;',
+      '  constructor(radius: number) { super(); }',
+      '  area(): number { return 0; }',
+      '  get diameter(): number { return 0; }',
+      '  set diameter(value: number) {}',
+      '  static unit() { return new Circle(1); }',
+      '  [Symbol.iterator]() {}',
+      '}'
+    ], [
+      'export declare class Circle extends Shape {',
+      '  radius: number;',
+      '  constructor(radius: number);',
+      '  area(): number;',
+      '  diameter: number;',
+      '  static unit(): any;',
+      '}'
+    ]);
+  });
+
+  test('functions', function() {
+    assertDeclarations([
+      'export function f(a: string, b = 1, ...rest): boolean {}',
+      'export function g(a = \'\', b, {c}) {}'
+    ], [
+      'export declare function f(a: string, b?: number, ...rest: any[]): ' +
+          'boolean;',
+      'export declare function g(a: string, b: any, arg2: any): any;'
+    ]);
+  });
+
+  test('variables', function() {
+    assertDeclarations([
+      'export var a: number, b = \'b\';',
+      'export let c = true;',
+      'export const d = f();',
+      'var e = `e`;'
+    ], [
+      'export declare var a: number;',
+      'export declare var b: string;',
+      'export declare let c: boolean;',
+      'export declare const d: any;'
+    ]);
+  });
+
+  test('interfaces', function() {
+    assertDeclarations([
+      'interface Point {',
+      '  x: number;',
+      '  y: number;',
+      '}',
+      'export function origin(): Point {}'
+    ], [
+      'interface Point {',
+      '  x: number;',
+      '  y: number;',
+      '}',
+      'export declare function origin(): Point;'
+    ]);
+    assertDeclarations(['interface I {}', 'export {I};'],
+                       ['interface I {}', 'export {I};']);
+  });
+
+  test('local superclasses', function() {
+    assertDeclarations([
+      'class A {}',
+      'class B extends A {}',
+      'export class C<T> extends B {}'
+    ], [
+      'export declare class C<T> extends B {}',
+      'declare class B extends A {}',
+      'declare class A {}'
+    ]);
+  });
+
+  test('export default', function() {
+    assertDeclarations(['export default class C { m() {} }'],
+                       ['export default class C {', '  m(): any;', '}']);
+    assertDeclarations(['export default function f(a: number) {}'],
+                       ['export default function f(a: number): any;']);
+    assertDeclarations(['export default class { m() {} }'],
+                       ['export default class {', '  m(): any;', '}']);
+    assertDeclarations(['export default function(a: string) {}'],
+                       ['export default function(a: string): any;']);
+    assertDeclarations(['export default 42;'], [
+      'declare var _default: number;',
+      'export default _default;'
+    ]);
+    assertDeclarations(['var a = \'a\';', 'export default a;'], [
+      'declare var a: string;',
+      'export default a;'
+    ]);
+  });
+
+  test('imports and exports', function() {
+    assertDeclarations([
+      'import {Point} from \'./point.js\';',
+      'import * as util from "./util.js";',
+      'function f(p: Point) {}',
+      'export {f as g};',
+      'export {x} from \'./x.js\';',
+      'export * from \'./y.js\';'
+    ], [
+      'import {Point} from \'./point.js\';',
+      'import * as util from "./util.js";',
+      'declare function f(p: Point): any;',
+      'export {f as g};',
+      'export {x} from \'./x.js\';',
+      'export * from \'./y.js\';'
+    ]);
+  });
+
+  test('scripts have no declarations', function() {
+    var compiler = new Compiler({script: true});
+    assert.equal(compiler.compileDeclarations('var a = 1;'), '');
+  });
+
+});
@@ -20,6 +20,7 @@ suite('ModuleTransformer', function() {
 
   var ModuleTransformer = get('src/codegeneration/ModuleTransformer.js').ModuleTransformer;
   var options = get('src/Options.js').options;
+  var Options = get('src/Options.js').Options;
   var parseOptions = get('src/Options.js').parseOptions;
   var transformOptions = get('src/Options.js').transformOptions;
   var Compiler = get('src/Compiler.js').Compiler;
@@ -31,14 +32,15 @@ suite('ModuleTransformer', function() {
 
   function makeTest(name, content, included, options) {
     test(name, function() {
-      var compiler = new Compiler(options || {});
+      var traceurOptions = new Options(options || {});
+      var compiler = new Compiler(traceurOptions);
       var tree = compiler.parse(content, 'ModuleTransformerTest.js');
       var id = 0;
       var transformer = new ModuleTransformer({
         generateUniqueIdentifier: function() {
           return '$' + id++;
         }
-      });
+      }, null, traceurOptions);
       var transformed = transformer.transformAny(tree);
       var output = write(transformed);
 
@@ -84,4 +86,11 @@ suite('ModuleTransformer', function() {
       '; System.get("name");',
       {destructuring: 'parse'});
 
+  makeTest('Import call', 'import("name").then(f)',
+      'System.import("name").then(f);',
+      {dynamicImport: true});
+  makeTest('Import call, computed specifier', 'var n; import(n)',
+      'System.import(n);',
+      {dynamicImport: true});
+
 });
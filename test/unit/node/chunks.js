@@ -0,0 +1,140 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('chunks', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var nodeLoader = require('../../../src/node/nodeLoader.js');
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+
+  var outDir;
+  var commonChunk = 'common-resources_chunks_a-resources_chunks_b.js';
+
+  function removeRecursive(name) {
+    if (fs.statSync(name).isDirectory()) {
+      fs.readdirSync(name).forEach(function(child) {
+        removeRecursive(path.join(name, child));
+      });
+      fs.rmdirSync(name);
+    } else {
+      fs.unlinkSync(name);
+    }
+  }
+
+  function compile(names, options) {
+    var includes = (names || ['a.js', 'b.js', 'c.js']).map(function(name) {
+      return {name: 'resources/chunks/' + name, type: 'module'};
+    });
+    var cwd = process.cwd();
+    process.chdir(__dirname);
+    var promise = recursiveModuleCompile.recursiveModuleCompileToChunks(
+        outDir, includes, options || new traceur.util.Options());
+    process.chdir(cwd);
+    return promise;
+  }
+
+  setup(function() {
+    outDir = path.resolve(__dirname, uuid.v4());
+  });
+
+  teardown(function() {
+    if (fs.existsSync(outDir))
+      removeRecursive(outDir);
+    traceur.options.reset();
+  });
+
+  test('shared modules go into common chunks', function(done) {
+    compile().then(function(manifest) {
+      var prefix = '../resources/chunks/';
+      var expected = {modules: {}, chunks: {
+        'resources/chunks/a.js': [commonChunk],
+        'resources/chunks/b.js': [commonChunk],
+        'resources/chunks/c.js': []
+      }};
+      expected.chunks[commonChunk] = [];
+      expected.modules[prefix + 'util.js'] = commonChunk;
+      expected.modules[prefix + 'shared.js'] = commonChunk;
+      expected.modules[prefix + 'a.js'] = 'resources/chunks/a.js';
+      expected.modules[prefix + 'b.js'] = 'resources/chunks/b.js';
+      expected.modules[prefix + 'c.js'] = 'resources/chunks/c.js';
+      assert.deepEqual(manifest, expected);
+      assert.deepEqual(
+          JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'))),
+          manifest);
+
+      // Each module is in exactly one file.
+      var common = fs.readFileSync(path.join(outDir, commonChunk), 'utf8');
+      var b = fs.readFileSync(path.join(outDir, 'resources/chunks/b.js'),
+                              'utf8');
+      assert.include(common, 'System.registerModule("' + prefix + 'util.js"');
+      assert.include(common,
+          'System.registerModule("' + prefix + 'shared.js"');
+      assert.notInclude(common, prefix + 'b.js');
+      assert.include(b, 'System.registerModule("' + prefix + 'b.js"');
+      assert.notInclude(b, 'System.registerModule("' + prefix + 'util.js"');
+    }).then(done, done);
+  });
+
+  test('plain options', function(done) {
+    compile(['a.js', 'b.js'], {}).then(function(manifest) {
+      assert.deepEqual(Object.keys(manifest.chunks).sort(), [
+        commonChunk,
+        'resources/chunks/a.js',
+        'resources/chunks/b.js'
+      ]);
+    }).then(done, done);
+  });
+
+  test('entries with the same base name', function(done) {
+    compile(['x/a.js', 'y/a.js', 'z.js']).then(function(manifest) {
+      var prefix = '../resources/chunks/';
+      assert.equal(manifest.modules[prefix + 'util.js'],
+                   'common-resources_chunks_x_a-resources_chunks_z.js');
+      assert.equal(manifest.modules[prefix + 'c.js'],
+                   'common-resources_chunks_y_a-resources_chunks_z.js');
+    }).then(done, done);
+  });
+
+  test('the loader fetches the chunks on demand', function(done) {
+    compile().then(function(manifest) {
+      var loaded = [];
+      var fileLoader = {
+        load: function(url, callback, errback) {
+          loaded.push(path.relative(outDir, url).replace(/\\/g, '/'));
+          return nodeLoader.load(url, callback, errback);
+        }
+      };
+      var loader = new traceur.runtime.TraceurLoader(fileLoader,
+                                                     outDir + '/');
+      loader.chunkManifest = JSON.stringify(manifest);
+      return loader.import('../resources/chunks/a.js').then(function(m) {
+        assert.equal(m.a, 'asu');
+        assert.deepEqual(loaded, [commonChunk, 'resources/chunks/a.js']);
+        return loader.import('../resources/chunks/b.js');
+      }).then(function(m) {
+        assert.equal(m.b, 'bsuu');
+        assert.deepEqual(loaded, [
+          commonChunk,
+          'resources/chunks/a.js',
+          'resources/chunks/b.js'
+        ]);
+      });
+    }).then(done, done);
+  });
+});
@@ -0,0 +1,143 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('compile-cache.js', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var CompileCache = require('../../../src/node/CompileCache.js').CompileCache;
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+
+  var cacheDir;
+  var outFile;
+
+  setup(function() {
+    cacheDir = path.resolve(__dirname, uuid.v4());
+    outFile = path.resolve(__dirname, uuid.v4() + '.js');
+  });
+
+  teardown(function() {
+    if (fs.existsSync(cacheDir)) {
+      fs.readdirSync(cacheDir).forEach(function(name) {
+        fs.unlinkSync(path.join(cacheDir, name));
+      });
+      fs.rmdirSync(cacheDir);
+    }
+    if (fs.existsSync(outFile))
+      fs.unlinkSync(outFile);
+    traceur.options.reset();
+  });
+
+  test('key depends on source, name, options and dependencies', function() {
+    var cache = new CompileCache(cacheDir);
+    var key = cache.key('a.js', 'var a;', {});
+    assert.equal(key, cache.key('a.js', 'var a;', {}));
+    assert.notEqual(key, cache.key('a.js', 'var b;', {}));
+    assert.notEqual(key, cache.key('b.js', 'var a;', {}));
+    assert.notEqual(key, cache.key('a.js', 'var a;', {modules: 'amd'}));
+    assert.notEqual(key, cache.key('a.js', 'var a;', {types: true}));
+    assert.notEqual(key, cache.key('a.js', 'var a;', {}, ['b']));
+  });
+
+  test('no key with source maps', function() {
+    var cache = new CompileCache(cacheDir);
+    assert.isNull(cache.key('a.js', 'var a;', {sourceMaps: 'file'}));
+  });
+
+  test('no key with plugins', function() {
+    var cache = new CompileCache(cacheDir);
+    var plugin = {transformer: function() {}};
+    assert.isNull(cache.key('a.js', 'var a;', {plugins: [plugin]}));
+  });
+
+  test('get and set', function() {
+    var cache = new CompileCache(cacheDir);
+    var key = cache.key('a.js', 'var a;', {});
+    assert.isNull(cache.get(key));
+    cache.set(key, 'var a;');
+    assert.equal(cache.get(key), 'var a;');
+    assert.equal(new CompileCache(cacheDir).get(key), 'var a;');
+  });
+
+  test('get and set in memory', function() {
+    var cache = new CompileCache();
+    var key = cache.key('a.js', 'var a;', {});
+    assert.isNull(cache.get(key));
+    cache.set(key, 'var a;');
+    assert.equal(cache.get(key), 'var a;');
+    assert.isNull(new CompileCache().get(key));
+  });
+
+  test('in memory only the latest entry of a name is kept', function() {
+    var cache = new CompileCache();
+    var first = cache.key('a.js', 'var a;', {});
+    cache.set(first, 'var a;');
+    var second = cache.key('a.js', 'var a = 1;', {});
+    cache.set(second, 'var a = 1;');
+    assert.isNull(cache.get(first));
+    assert.equal(cache.get(second), 'var a = 1;');
+    assert.deepEqual(Object.keys(cache.entries_), [second]);
+    var other = cache.key('b.js', 'var b;', {});
+    cache.set(other, 'var b;');
+    assert.equal(cache.get(second), 'var a = 1;');
+  });
+
+  test('trees are kept in memory by name', function() {
+    var cache = new CompileCache(cacheDir);
+    var tree = {};
+    var key = cache.treeKey('a.js', 'var a;', {});
+    assert.isNull(cache.getTree('a.js', key));
+    cache.setTree('a.js', key, tree);
+    assert.equal(cache.getTree('a.js', key), tree);
+    assert.isNull(new CompileCache(cacheDir).getTree('a.js', key));
+    var changed = cache.treeKey('a.js', 'var a = 1;', {});
+    assert.isNull(cache.getTree('a.js', changed));
+    assert.isFalse(fs.existsSync(cacheDir));
+  });
+
+  test('recursive compile reuses cached modules', function(done) {
+    var input = './test/unit/node/resources/import-x.js';
+    var options = new traceur.util.Options();
+
+    function compile() {
+      // A new cache each time, like a new process, since a cache keeps the
+      // trees it compiled in memory.
+      var cache = new CompileCache(cacheDir);
+      return recursiveModuleCompile.recursiveModuleCompileToSingleFile(
+          outFile, [{name: input, type: 'module'}], options, cache).
+          then(function() {
+            return fs.readFileSync(outFile, 'utf8');
+          });
+    }
+
+    compile().then(function(first) {
+      // import-x.js, reexport-x.js and x.js.
+      var entries = fs.readdirSync(cacheDir);
+      assert.equal(entries.length, 3);
+      // Mark the cached x.js so we can tell it was reused.
+      entries.forEach(function(name) {
+        var fileName = path.join(cacheDir, name);
+        var code = fs.readFileSync(fileName, 'utf8');
+        fs.writeFileSync(fileName, code.replace('\'x\'', '\'cached\''));
+      });
+      return compile().then(function(second) {
+        assert.equal(second, first.replace('\'x\'', '\'cached\''));
+      });
+    }).then(done, done);
+  });
+});
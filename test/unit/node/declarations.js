@@ -0,0 +1,72 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('declarations', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+
+  var outFile;
+  var declarationFile;
+
+  setup(function() {
+    var name = path.resolve(__dirname, uuid.v4());
+    outFile = name + '.js';
+    declarationFile = name + '.d.ts';
+  });
+
+  teardown(function() {
+    [outFile, declarationFile].forEach(function(fileName) {
+      if (fs.existsSync(fileName))
+        fs.unlinkSync(fileName);
+    });
+    traceur.options.reset();
+  });
+
+  test('recursive compile writes a module block per module', function(done) {
+    var input = './test/unit/node/resources/import-x.js';
+    var options = new traceur.util.Options({declarations: true});
+    recursiveModuleCompile.recursiveModuleCompileToSingleFile(
+        outFile, [{name: input, type: 'module'}], options).then(function() {
+      var declarations = fs.readFileSync(declarationFile, 'utf8');
+      // The modules are named relative to the output file.
+      assert.equal(declarations, [
+        'declare module "resources/x.js" {',
+        '  export var x: string;',
+        '}',
+        'declare module "resources/reexport-x.js" {',
+        '  export {x} from "resources/x.js";',
+        '}',
+        'declare module "resources/import-x.js" {',
+        '  import {x} from "resources/reexport-x.js";',
+        '}',
+        ''
+      ].join('\n'));
+    }).then(done, done);
+  });
+
+  test('no declarations by default', function(done) {
+    var input = './test/unit/node/resources/import-x.js';
+    recursiveModuleCompile.recursiveModuleCompileToSingleFile(
+        outFile, [{name: input, type: 'module'}],
+        new traceur.util.Options()).then(function() {
+      assert.isFalse(fs.existsSync(declarationFile));
+    }).then(done, done);
+  });
+});
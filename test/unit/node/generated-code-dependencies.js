@@ -347,6 +347,96 @@ suite('context test', function() {
     });
   });
 
+  test('./traceur --error-format=json', function(done) {
+    tempFileName = resolve(uuid.v4() + '.js');
+    var cmd = './traceur --error-format=json --out ' + tempFileName +
+        ' ./test/unit/node/resources/syntax-error.js';
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNotNull(error);
+      var lines = stderr.trim().split('\n');
+      assert.equal(lines.length, 1);
+      var diagnostic = JSON.parse(lines[0]);
+      assert.equal(diagnostic.code, 'T1003');
+      assert.equal(diagnostic.severity, 'error');
+      assert.equal(diagnostic.message, 'Semi-colon expected');
+      assert.equal(diagnostic.range.start.line, 1);
+      assert.equal(diagnostic.range.start.column, 8);
+      done();
+    });
+  });
+
+  test('./traceur --error-format=pretty', function(done) {
+    tempFileName = resolve(uuid.v4() + '.js');
+    var cmd = './traceur --error-format=pretty --out ' + tempFileName +
+        ' ./test/unit/node/resources/syntax-error.js';
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNotNull(error);
+      assert.include(stderr, 'syntax-error.js:1:8: Semi-colon expected\n' +
+          '> 1 | syntax error\n' +
+          '    |        ^\n');
+      done();
+    });
+  });
+
+  test('./traceur --error-format=json --out DIR', function(done) {
+    tempFileName = resolve(uuid.v4());
+    var cmd = './traceur --error-format=json --out ' + tempFileName +
+        ' ./test/unit/node/resources/syntax-error.js';
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNotNull(error);
+      var lines = stderr.trim().split('\n');
+      assert.equal(lines.length, 1);
+      var diagnostic = JSON.parse(lines[0]);
+      assert.equal(diagnostic.code, 'T1003');
+      assert.equal(diagnostic.message, 'Semi-colon expected');
+      done();
+    });
+  });
+
+  test('./traceur --error-format=json --dir', function(done) {
+    var inputDir = './test/unit/node/resources/compile-dir-error';
+    tempFileName = resolve(uuid.v4());
+    var cmd = './traceur --error-format=json --dir ' + inputDir + ' ' +
+        tempFileName;
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNotNull(error);
+      var lines = stderr.trim().split('\n');
+      assert.equal(lines.length, 1);
+      var diagnostic = JSON.parse(lines[0]);
+      assert.equal(diagnostic.code, 'T1003');
+      assert.equal(diagnostic.message, 'Semi-colon expected');
+      done();
+    });
+  });
+
+  test('./traceur --error-format=json run', function(done) {
+    var cmd = './traceur --error-format=json ' +
+        './test/unit/node/resources/syntax-error.js';
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNotNull(error);
+      var lines = stderr.trim().split('\n');
+      assert.equal(lines.length, 1);
+      var diagnostic = JSON.parse(lines[0]);
+      assert.equal(diagnostic.code, 'T1003');
+      assert.equal(diagnostic.message, 'Semi-colon expected');
+      done();
+    });
+  });
+
+  test('./traceur --plugin', function(done) {
+    tempFileName = resolve(uuid.v4() + '.js');
+    var cmd = './traceur --plugin ./test/unit/node/resources/plugin.js' +
+        ' --out ' + tempFileName +
+        ' ./test/unit/node/resources/use-plugin.js';
+    exec(cmd, function(error, stdout, stderr) {
+      assert.isNull(error);
+      var fileContents = fs.readFileSync(tempFileName, 'utf8');
+      assert.include(fileContents, '\'before modules\'');
+      assert.notInclude(fileContents, '__PLUGIN__');
+      done();
+    });
+  });
+
   test('compile module dir option AMD', function(done) {
     var executable = 'node ' + resolve('src/node/command.js');
     var inputDir = './test/unit/node/resources/compile-dir';
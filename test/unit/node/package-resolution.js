@@ -0,0 +1,147 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('package resolution', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var mkdirRecursive = require('../../../src/node/file-util.js').mkdirRecursive;
+  var nodeLoader = require('../../../src/node/nodeLoader.js');
+  var TraceurLoader = traceur.runtime.TraceurLoader;
+
+  var dir;
+
+  function writeFile(name, contents) {
+    var fileName = path.join(dir, name);
+    mkdirRecursive(path.dirname(fileName));
+    fs.writeFileSync(fileName, contents);
+  }
+
+  function removeRecursive(name) {
+    if (fs.statSync(name).isDirectory()) {
+      fs.readdirSync(name).forEach(function(child) {
+        removeRecursive(path.join(name, child));
+      });
+      fs.rmdirSync(name);
+    } else {
+      fs.unlinkSync(name);
+    }
+  }
+
+  function getLoader() {
+    return new TraceurLoader(nodeLoader, dir + '/');
+  }
+
+  setup(function() {
+    dir = path.resolve(__dirname, uuid.v4()).replace(/\\/g, '/');
+    writeFile('node_modules/es/package.json',
+              JSON.stringify({module: 'src/es.js', main: 'cjs.js'}));
+    writeFile('node_modules/es/src/es.js', 'export var es = true;');
+    writeFile('node_modules/es/cjs.js', 'exports.es = true;');
+    writeFile('node_modules/es/lib/util.js', 'export var util = true;');
+    writeFile('node_modules/cjs/package.json', JSON.stringify({main: 'lib'}));
+    writeFile('node_modules/cjs/lib/index.js', 'exports.cjs = true;');
+    writeFile('node_modules/plain/index.js', 'export var plain = true;');
+    writeFile('node_modules/@scope/pkg/index.js', 'export var pkg = true;');
+    writeFile('node_modules/broken/package.json',
+              JSON.stringify({main: 'missing.js'}));
+    writeFile('app/node_modules/plain/index.js', 'export var nested = true;');
+    writeFile('app/main.js', 'import {es} from \'es\';\nthis.result = es;');
+  });
+
+  teardown(function() {
+    if (fs.existsSync(dir))
+      removeRecursive(dir);
+  });
+
+  test('package.json fields', function() {
+    var loader = getLoader();
+    assert.equal(loader.normalize('es'), 'node_modules/es/src/es.js');
+    assert.equal(loader.normalize('cjs'), 'node_modules/cjs/lib/index.js');
+    assert.equal(loader.normalize('plain'), 'node_modules/plain/index.js');
+    assert.equal(loader.normalize('@scope/pkg'),
+                 'node_modules/@scope/pkg/index.js');
+  });
+
+  test('sub paths', function() {
+    var loader = getLoader();
+    assert.equal(loader.normalize('es/lib/util.js'),
+                 'node_modules/es/lib/util.js');
+    assert.equal(loader.normalize('es/lib/util'),
+                 'node_modules/es/lib/util.js');
+    assert.equal(loader.normalize('cjs/lib'), 'node_modules/cjs/lib/index.js');
+  });
+
+  test('closest node_modules wins', function() {
+    var loader = getLoader();
+    assert.equal(loader.normalize('plain', 'app/main.js'),
+                 'app/node_modules/plain/index.js');
+    assert.equal(loader.normalize('es', 'app/main.js'),
+                 'node_modules/es/src/es.js');
+  });
+
+  test('missing entry lists the candidates', function() {
+    var loader = getLoader();
+    var packageDir = path.join(dir, 'node_modules', 'broken');
+    assert.throws(function() {
+      loader.normalize('broken');
+    }, 'Cannot find module \'broken\' in ' + packageDir + '. Tried:\n  ' +
+        [
+          path.join(packageDir, 'missing.js'),
+          path.join(packageDir, 'missing.js.js'),
+          path.join(packageDir, 'missing.js', 'index.js'),
+          path.join(packageDir, 'index.js')
+        ].join('\n  '));
+  });
+
+  test('missing packages resolve against the baseURL', function() {
+    var loader = getLoader();
+    assert.equal(loader.normalize('missing/a.js'), 'missing/a.js');
+  });
+
+  test('registered names are not looked up as packages', function() {
+    var resolved = [];
+    var loader = new TraceurLoader({
+      resolve: function(name) {
+        resolved.push(name);
+        return null;
+      }
+    }, dir + '/');
+    assert.equal(loader.normalize('@traceur/src/runtime/ModuleStore.js'),
+                 '@traceur/src/runtime/ModuleStore.js');
+    assert.equal(loader.normalize('missing/a.js'), 'missing/a.js');
+    assert.deepEqual(resolved, ['missing/a.js']);
+  });
+
+  test('failed loads list the candidates', function(done) {
+    getLoader().import('missing/a.js').then(function() {
+      throw new Error('Expected the load to fail');
+    }, function(err) {
+      assert.include(String(err), 'Resolving tried ' +
+          path.join(dir, 'node_modules', 'missing') + ', ');
+    }).then(done, done);
+  });
+
+  test('load', function(done) {
+    // The dependencies are normalized by the global System.
+    var System = require('../../../src/node/System.js');
+    System.import(dir + '/app/main.js').then(function() {
+      assert.isTrue(global.result);
+      delete global.result;
+    }).then(done, done);
+  });
+});
@@ -0,0 +1,3 @@
+import {shared} from './shared.js';
+import {util} from './util.js';
+export var b = 'b' + shared + util;
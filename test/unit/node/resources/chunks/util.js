@@ -0,0 +1 @@
+export var util = 'u';
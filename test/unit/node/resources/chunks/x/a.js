@@ -0,0 +1,2 @@
+import {util} from '../util.js';
+export var a = 'xa' + util;
@@ -0,0 +1,3 @@
+import {util} from './util.js';
+import {c} from './c.js';
+export var z = 'z' + util + c;
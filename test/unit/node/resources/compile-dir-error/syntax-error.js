@@ -0,0 +1 @@
+syntax error
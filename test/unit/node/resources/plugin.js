@@ -0,0 +1,41 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+// A transformer plugin that replaces __PLUGIN__ with the stage it ran in.
+
+var traceur = require('../../../../src/node/traceur.js');
+var ParseTreeTransformer = traceur.codegeneration.ParseTreeTransformer;
+var parseExpression = traceur.codegeneration.parseExpression;
+
+var sourceLiterals = ['\'before modules\''];
+
+function PluginTransformer(idGenerator, reporter) {
+  this.idGenerator = idGenerator;
+  this.reporter = reporter;
+}
+
+PluginTransformer.prototype = Object.create(ParseTreeTransformer.prototype);
+
+PluginTransformer.prototype.transformIdentifierExpression = function(tree) {
+  if (tree.identifierToken.value === '__PLUGIN__')
+    return parseExpression(sourceLiterals);
+  return tree;
+};
+
+module.exports = {
+  before: 'modules',
+  transformer: PluginTransformer
+};
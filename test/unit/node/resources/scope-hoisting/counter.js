@@ -0,0 +1,9 @@
+export var count = 0;
+export function increment() {
+  count++;
+}
+var name = 'counter';
+export {name as counterName};
+export default function reset() {
+  count = 0;
+}
@@ -0,0 +1,16 @@
+import {count, increment, counterName} from './all.js';
+import reset from './counter.js';
+import {getName} from './other.js';
+import * as other from './other.js';
+
+export var before = count;
+increment();
+export var after = {count};
+export var names = [counterName, getName(), other.getName()];
+reset();
+export function current() {
+  return count;
+}
+export function shadowed(count) {
+  return count;
+}
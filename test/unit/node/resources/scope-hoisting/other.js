@@ -0,0 +1,4 @@
+var name = 'other';
+export function getName() {
+  return name;
+}
@@ -0,0 +1,3 @@
+export function a() {}
+export function b() {}
+b.called = false;
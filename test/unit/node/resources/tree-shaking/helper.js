@@ -0,0 +1,2 @@
+export function helper() { return 'helper'; }
+export function other() { return 'other'; }
@@ -0,0 +1,2 @@
+export function lazy() { return 'lazy'; }
+export function alsoLazy() { return 'also lazy'; }
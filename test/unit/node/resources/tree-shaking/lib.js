@@ -0,0 +1,11 @@
+import {helper} from './helper.js';
+export function used() { return helper(); }
+export function unused() { return 'unused'; }
+export class Unused {}
+export const UNUSED = 1;
+const internal = 2;
+export const USED = internal + 1;
+export var kept = 3;
+function local() { return 'local'; }
+export {local as aliased};
+export default function() { return 'default'; }
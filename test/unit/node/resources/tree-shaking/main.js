@@ -0,0 +1,5 @@
+import {used, USED} from './lib.js';
+import {a} from './effect.js';
+import {other} from './reexport.js';
+
+export var result = [used(), USED, other()];
@@ -0,0 +1,2 @@
+export * from './helper.js';
+export {unused as x} from './lib.js';
@@ -0,0 +1 @@
+export var stage = __PLUGIN__;
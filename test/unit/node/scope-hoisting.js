@@ -0,0 +1,116 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('scope-hoisting', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+
+  var outFile;
+
+  setup(function() {
+    outFile = path.resolve(__dirname, uuid.v4() + '.js');
+  });
+
+  teardown(function() {
+    if (fs.existsSync(outFile))
+      fs.unlinkSync(outFile);
+    traceur.options.reset();
+  });
+
+  function compile(name, options) {
+    options = new traceur.util.Options(options);
+    options.scopeHoisting = true;
+    var include = {
+      name: './test/unit/node/resources/scope-hoisting/' + name,
+      type: 'module'
+    };
+    return recursiveModuleCompile.recursiveModuleCompileToSingleFile(
+        outFile, [include], options).then(function() {
+          return fs.readFileSync(outFile, 'utf8');
+        });
+  }
+
+  // Evaluates the output with a System of its own, see tree-shaking.js.
+  function evaluate(code) {
+    var factories = Object.create(null);
+    var system = {
+      registerModule: function(name, deps, factory) {
+        factories[name] = factory;
+      },
+      get: function(name) {
+        return factories[name]();
+      }
+    };
+    Function('System', code)(system);
+    return factories;
+  }
+
+  test('merges the modules into one scope', function(done) {
+    compile('main.js').then(function(code) {
+      var factories = evaluate(code);
+      // Only the entry is registered.
+      assert.deepEqual(Object.keys(factories),
+                       ['resources/scope-hoisting/main.js']);
+      var main = factories['resources/scope-hoisting/main.js']();
+      assert.equal(main.before, 0);
+      assert.deepEqual(main.after, {count: 1});
+      // counter.js and other.js both have a name.
+      assert.deepEqual(main.names, ['counter', 'other', 'other']);
+      assert.equal(main.shadowed(5), 5);
+    }).then(done, done);
+  });
+
+  test('imports are live', function(done) {
+    compile('main.js').then(function(code) {
+      var main = evaluate(code)['resources/scope-hoisting/main.js']();
+      // reset() has set the count of counter.js back to 0.
+      assert.equal(main.current(), 0);
+    }).then(done, done);
+  });
+
+  test('inline module format', function(done) {
+    compile('main.js', {modules: 'inline'}).then(function(code) {
+      assert.notInclude(code, 'System');
+      var varName = /^var (\$__\w+);/.exec(code)[1];
+      var main = Function(code + '\nreturn ' + varName + ';')();
+      assert.deepEqual(main.names, ['counter', 'other', 'other']);
+      assert.equal(main.current(), 0);
+    }).then(done, done);
+  });
+
+  test('import() of a merged module', function(done) {
+    compile('dynamic.js', {dynamicImport: true}).then(function(code) {
+      assert.notInclude(code, 'System.import');
+      var dynamic = evaluate(code)['resources/scope-hoisting/dynamic.js']();
+      return dynamic.load();
+    }).then(function(other) {
+      assert.equal(other.getName(), 'other');
+    }).then(done, done);
+  });
+
+  test('needs the register or inline module format', function(done) {
+    compile('main.js', {modules: 'amd'}).then(function() {
+      done(new Error('Expected an error'));
+    }, function(err) {
+      assert.include(String(err), 'register or inline');
+      done();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('tree-shaking', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+
+  var outFile;
+
+  setup(function() {
+    outFile = path.resolve(__dirname, uuid.v4() + '.js');
+  });
+
+  teardown(function() {
+    if (fs.existsSync(outFile))
+      fs.unlinkSync(outFile);
+    traceur.options.reset();
+  });
+
+  function compile(names, options) {
+    var includes = names.map(function(name) {
+      return {
+        name: './test/unit/node/resources/tree-shaking/' + name,
+        type: 'module'
+      };
+    });
+    return recursiveModuleCompile.recursiveModuleCompileToSingleFile(
+        outFile, includes, new traceur.util.Options(options)).
+        then(function() {
+          return fs.readFileSync(outFile, 'utf8');
+        });
+  }
+
+  // Evaluates the output without registering its modules with the global
+  // System, which would keep them from being compiled again.
+  function evaluate(code) {
+    var factories = Object.create(null);
+    var modules = Object.create(null);
+    var system = {
+      registerModule: function(name, deps, factory) {
+        factories[name] = factory;
+      },
+      get: function(name) {
+        return modules[name] || (modules[name] = factories[name]());
+      }
+    };
+    Function('System', code)(system);
+    return function(name) {
+      return system.get('resources/tree-shaking/' + name);
+    };
+  }
+
+  test('leaves out unused declarations', function(done) {
+    compile(['main.js'], {treeShaking: true}).then(function(code) {
+      assert.include(code, 'function used()');
+      assert.include(code, 'function helper()');
+      // Unused functions, classes and constants.
+      assert.notInclude(code, 'function unused()');
+      assert.notInclude(code, 'Unused');
+      assert.notInclude(code, 'UNUSED');
+      assert.notInclude(code, 'function local()');
+      assert.notInclude(code, '\'default\'');
+      // Used by USED.
+      assert.include(code, 'internal = 2');
+      // Only function, class and const declarations are left out.
+      assert.include(code, 'kept = 3');
+      // effect.js has side effects so it is kept as is.
+      assert.include(code, 'function b()');
+
+      var getModule = evaluate(code);
+      assert.deepEqual(getModule('main.js').result, ['helper', 3, 'other']);
+    }).then(done, done);
+  });
+
+  test('keeps everything without the option', function(done) {
+    compile(['main.js'], {}).then(function(code) {
+      assert.include(code, 'function unused()');
+      assert.include(code, 'UNUSED');
+      assert.include(code, 'function local()');
+    }).then(done, done);
+  });
+
+  test('keeps the exports of all the inputs', function(done) {
+    compile(['main.js', 'lib.js'], {treeShaking: true}).then(function(code) {
+      assert.include(code, 'function unused()');
+      assert.include(code, 'UNUSED');
+      assert.include(code, 'function local()');
+    }).then(done, done);
+  });
+
+  test('keeps the exports of dynamically imported modules', function(done) {
+    compile(['dynamic.js'], {treeShaking: true, dynamicImport: true}).
+        then(function(code) {
+          assert.include(code, 'function lazy()');
+          assert.include(code, 'function alsoLazy()');
+        }).then(done, done);
+  });
+});
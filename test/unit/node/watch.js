@@ -0,0 +1,239 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+suite('watch.js', function() {
+
+  var fs = require('fs');
+  var path = require('path');
+  var uuid = require('node-uuid');
+  var Promise = require('rsvp').Promise;
+  var Watcher = require('../../../src/node/watch.js').Watcher;
+  var CompileCache = require('../../../src/node/CompileCache.js').CompileCache;
+  var recursiveModuleCompile =
+      require('../../../src/node/recursiveModuleCompile.js');
+  var compileAllJsFilesInDir =
+      require('../../../src/node/compileAllJsFilesInDir.js').
+      compileAllJsFilesInDir;
+
+  var watcher;
+  var tempFileNames;
+  var tempDirNames;
+
+  function tempFile(contents) {
+    var fileName = path.resolve(__dirname, uuid.v4() + '.js');
+    fs.writeFileSync(fileName, contents);
+    tempFileNames.push(fileName);
+    return fileName;
+  }
+
+  function waitFor(condition) {
+    return new Promise(function(resolve, reject) {
+      var tries = 0;
+      (function poll() {
+        if (condition())
+          resolve();
+        else if (++tries > 100)
+          reject(new Error('Timed out'));
+        else
+          setTimeout(poll, 20);
+      })();
+    });
+  }
+
+  function tempDir() {
+    var dirName = path.resolve(__dirname, uuid.v4());
+    fs.mkdirSync(dirName);
+    tempDirNames.push(dirName);
+    return dirName;
+  }
+
+  setup(function() {
+    tempFileNames = [];
+    tempDirNames = [];
+  });
+
+  teardown(function() {
+    if (watcher)
+      watcher.close();
+    watcher = null;
+    tempFileNames.forEach(function(fileName) {
+      if (fs.existsSync(fileName))
+        fs.unlinkSync(fileName);
+    });
+    tempDirNames.forEach(function(dirName) {
+      if (!fs.existsSync(dirName))
+        return;
+      fs.readdirSync(dirName).forEach(function(name) {
+        fs.unlinkSync(path.join(dirName, name));
+      });
+      fs.rmdirSync(dirName);
+    });
+    traceur.options.reset();
+  });
+
+  test('rebuilds the targets that read a changed file', function(done) {
+    var a = tempFile('a');
+    var b = tempFile('b');
+    var aBuilds = 0;
+    var bBuilds = 0;
+    watcher = new Watcher(done);
+    Promise.all([
+      watcher.add(function(fileNames) {
+        aBuilds++;
+        fileNames.push(a);
+        return Promise.resolve();
+      }),
+      watcher.add(function(fileNames) {
+        bBuilds++;
+        fileNames.push(b);
+        return Promise.resolve();
+      })
+    ]).then(function() {
+      assert.equal(aBuilds, 1);
+      assert.equal(bBuilds, 1);
+      fs.writeFileSync(a, 'a2');
+      return waitFor(function() {
+        return aBuilds === 2;
+      });
+    }).then(function() {
+      assert.equal(bBuilds, 1);
+    }).then(done, done);
+  });
+
+  test('reports errors and keeps watching', function(done) {
+    var a = tempFile('a');
+    var errors = [];
+    var builds = 0;
+    watcher = new Watcher(function(err) {
+      errors.push(err);
+    });
+    watcher.add(function(fileNames) {
+      builds++;
+      fileNames.push(a);
+      if (fs.readFileSync(a, 'utf8') === 'error')
+        return Promise.reject(new Error('error'));
+      return Promise.resolve();
+    }).then(function() {
+      fs.writeFileSync(a, 'error');
+      return waitFor(function() {
+        return errors.length === 1;
+      });
+    }).then(function() {
+      assert.equal(errors[0].message, 'error');
+      fs.writeFileSync(a, 'fixed');
+      return waitFor(function() {
+        return builds === 3;
+      });
+    }).then(function() {
+      assert.equal(errors.length, 1);
+    }).then(done, done);
+  });
+
+  test('compiles the files added to a watched directory', function(done) {
+    var inputDir = tempDir();
+    var outputDir = tempDir();
+    fs.writeFileSync(path.join(inputDir, 'a.js'), 'var a = () => 1;');
+    watcher = new Watcher(done);
+    compileAllJsFilesInDir(inputDir, outputDir, new traceur.util.Options(),
+                           undefined, watcher);
+    waitFor(function() {
+      return fs.existsSync(path.join(outputDir, 'a.js'));
+    }).then(function() {
+      fs.writeFileSync(path.join(inputDir, 'b.js'), 'var b = () => 2;');
+      return waitFor(function() {
+        return fs.existsSync(path.join(outputDir, 'b.js'));
+      });
+    }).then(function() {
+      var code = fs.readFileSync(path.join(outputDir, 'b.js'), 'utf8');
+      assert.include(code, 'function()');
+    }).then(done, done);
+  });
+
+  test('recursive compile reports the files it reads', function(done) {
+    var out = tempFile('');
+    var fileNames = [];
+    var input = {
+      name: './test/unit/node/resources/import-x.js',
+      type: 'module'
+    };
+    recursiveModuleCompile.recursiveModuleCompileToSingleFile(out, [input],
+        new traceur.util.Options(), undefined, fileNames).then(function() {
+      assert.deepEqual(fileNames.map(function(fileName) {
+        return path.basename(fileName);
+      }).sort(), ['import-x.js', 'reexport-x.js', 'x.js']);
+      // The includes are left alone so that they can be compiled again.
+      assert.equal(input.name, './test/unit/node/resources/import-x.js');
+    }).then(done, done);
+  });
+
+  test('recursive compile again only parses and transforms the changes',
+       function(done) {
+    var dir = tempDir();
+    var out = tempFile('');
+    fs.writeFileSync(path.join(dir, 'a.js'),
+                     'import {b} from \'./b.js\';\nexport var a = b;\n');
+    fs.writeFileSync(path.join(dir, 'b.js'),
+                     'import {c} from \'./c.js\';\nexport var b = c;\n');
+    fs.writeFileSync(path.join(dir, 'c.js'), 'export var c = 1;\n');
+    fs.writeFileSync(path.join(dir, 'd.js'), 'export var d = 1;\n');
+    var includes = [
+      {name: path.join(dir, 'a.js'), type: 'module'},
+      {name: path.join(dir, 'd.js'), type: 'module'}
+    ];
+    var cache = new CompileCache();
+    var Compiler = traceur.Compiler;
+    var parse = Compiler.prototype.parse;
+    var transform = Compiler.prototype.transform;
+    var parsed;
+    var transformed;
+    Compiler.prototype.parse = function(content, sourceName) {
+      parsed.push(path.basename(sourceName));
+      return parse.apply(this, arguments);
+    };
+    Compiler.prototype.transform = function(tree, moduleName) {
+      transformed.push(path.basename(moduleName));
+      return transform.apply(this, arguments);
+    };
+    function compile() {
+      parsed = [];
+      transformed = [];
+      return recursiveModuleCompile.recursiveModuleCompileToSingleFile(out,
+          includes, new traceur.util.Options(), cache);
+    }
+
+    compile().then(function() {
+      assert.deepEqual(parsed.sort(), ['a.js', 'b.js', 'c.js', 'd.js']);
+      return compile();
+    }).then(function() {
+      assert.deepEqual(parsed, []);
+      assert.deepEqual(transformed, []);
+      fs.writeFileSync(path.join(dir, 'c.js'), 'export var c = 2;\n');
+      return compile();
+    }).then(function() {
+      assert.deepEqual(parsed, ['c.js']);
+      assert.deepEqual(transformed.sort(), ['a.js', 'b.js', 'c.js']);
+      assert.include(fs.readFileSync(out, 'utf8'), 'c = 2');
+    }).then(function() {
+      Compiler.prototype.parse = parse;
+      Compiler.prototype.transform = transform;
+      done();
+    }, function(err) {
+      Compiler.prototype.parse = parse;
+      Compiler.prototype.transform = transform;
+      done(err);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('ImportMap.js', function() {
+
+  function get(name) {
+    return $traceurRuntime.ModuleStore.getForTesting(name);
+  }
+
+  var ImportMap = get('src/runtime/ImportMap.js').ImportMap;
+  var TraceurLoader = get('src/runtime/TraceurLoader.js').TraceurLoader;
+
+  var config = {
+    imports: {
+      'moment': '/node_modules/moment/src/moment.js',
+      'lodash/': '/node_modules/lodash-es/',
+      'lodash/fp/': './vendor/lodash-fp/'
+    },
+    scopes: {
+      '/legacy/': {
+        'lodash/': '/node_modules/lodash-3/'
+      },
+      '/legacy/new/': {
+        'moment': '/node_modules/moment-2/moment.js'
+      }
+    }
+  };
+
+  test('imports', function() {
+    var map = new ImportMap(config, 'http://example.org/app/');
+    assert.equal(map.resolve('moment'),
+                 'http://example.org/node_modules/moment/src/moment.js');
+    assert.equal(map.resolve('lodash/map.js'),
+                 'http://example.org/node_modules/lodash-es/map.js');
+    assert.equal(map.resolve('lodash/fp/map.js'),
+                 'http://example.org/app/vendor/lodash-fp/map.js');
+    assert.isNull(map.resolve('moment/locale.js'));
+    assert.isNull(map.resolve('lodash'));
+  });
+
+  test('scopes', function() {
+    var map = new ImportMap(config, 'http://example.org/app/');
+    assert.equal(map.resolve('lodash/map.js', 'http://example.org/legacy/a.js'),
+                 'http://example.org/node_modules/lodash-3/map.js');
+    assert.equal(
+        map.resolve('lodash/map.js', 'http://example.org/legacy/new/a.js'),
+        'http://example.org/node_modules/lodash-3/map.js');
+    assert.equal(map.resolve('moment', 'http://example.org/legacy/new/a.js'),
+                 'http://example.org/node_modules/moment-2/moment.js');
+    assert.equal(map.resolve('moment', 'http://example.org/legacy/a.js'),
+                 'http://example.org/node_modules/moment/src/moment.js');
+    assert.equal(map.resolve('lodash/map.js', 'http://example.org/a.js'),
+                 'http://example.org/node_modules/lodash-es/map.js');
+  });
+
+  test('JSON', function() {
+    var map = new ImportMap(JSON.stringify(config), 'http://example.org/');
+    assert.equal(map.resolve('moment'),
+                 'http://example.org/node_modules/moment/src/moment.js');
+  });
+
+  test('invalid addresses', function() {
+    assert.throws(function() {
+      new ImportMap({imports: {a: 'a.js'}});
+    }, 'Import map address \'a.js\' for \'a\' must start with \'/\', ' +
+        '\'./\' or \'../\'');
+    assert.throws(function() {
+      new ImportMap({imports: {'a/': './a'}});
+    }, 'Import map address \'./a\' for \'a/\' must end with \'/\'');
+    assert.throws(function() {
+      new ImportMap({imports: {a: null}});
+    }, 'Import map address for \'a\' must be a string');
+  });
+
+  test('TraceurLoader importMap', function() {
+    var loader = new TraceurLoader(null, 'http://example.org/app/');
+    loader.importMap = config;
+    assert.equal(loader.normalize('lodash/fp/map.js'),
+                 'vendor/lodash-fp/map.js');
+    assert.equal(loader.normalize('moment'),
+                 'http://example.org/node_modules/moment/src/moment.js');
+    assert.equal(
+        loader.normalize('lodash/map.js', 'http://example.org/legacy/a.js'),
+        'http://example.org/node_modules/lodash-3/map.js');
+    // Specifiers that are not in the map are resolved as before.
+    assert.equal(loader.normalize('other/a.js'), 'other/a.js');
+    assert.equal(loader.normalize('./a.js', 'dir/b.js'), 'dir/a.js');
+
+    loader.importMap = null;
+    assert.equal(loader.normalize('moment'), 'moment');
+  });
+
+});
@@ -139,6 +139,31 @@ suite('Loader.js', function() {
       }).catch(done);
   });
 
+  test('LoaderModule.Options', function(done) {
+    // Both modules are parsed before either is transformed, since they wait
+    // for their import to load, so each compile must keep its own options.
+    var code =
+        'import {name} from "./test_a.js";\n' +
+        'export var f = (x) => name + x ** 2;\n';
+    var es6 = {
+      traceurOptions: {arrowFunctions: 'parse', exponentiation: 'parse'}
+    };
+    var es5 = {traceurOptions: {exponentiation: true}};
+    var loader = getLoader();
+    Promise.all([
+      loader.module(code, {metadata: es6}),
+      loader.module(code, {metadata: es5})
+    ]).then(function(modules) {
+      assert.equal('A9', modules[0].f(3));
+      assert.equal('A9', modules[1].f(3));
+      assert.include(es6.transcoded, '=>');
+      assert.include(es6.transcoded, '**');
+      assert.notInclude(es5.transcoded, '=>');
+      assert.include(es5.transcoded, 'Math.pow');
+      done();
+    }).catch(done);
+  });
+
   test('LoaderModuleWithSubdir', function(done) {
     var code =
         'import * as d from "./subdir/test_d.js";\n' +
@@ -342,6 +367,65 @@ suite('Loader.js', function() {
     }).catch(done);
   });
 
+  test('Loader.plugins.json', function(done) {
+    getLoader().import('./plugins/data.json').then(function(mod) {
+      assert.deepEqual(mod.default, {name: 'data', values: [1, 2, 3]});
+      done();
+    }).catch(done);
+  });
+
+  test('Loader.plugins.json.Fail', function(done) {
+    getLoader().import('./plugins/invalid.json').then(function() {
+      done(new Error('expected a syntax error'));
+    }).catch(function(error) {
+      assert.include(String(error), 'plugins/invalid.json: ');
+      done();
+    }).catch(done);
+  });
+
+  test('Loader.plugins.text', function(done) {
+    getLoader().import('./plugins/template.html!text').then(function(mod) {
+      assert.equal(mod.default, '<p>Hello</p>\n');
+      done();
+    }).catch(done);
+  });
+
+  test('Loader.plugins.dependencies', function(done) {
+    getLoader().import('./plugins/main.js').then(function(mod) {
+      assert.equal(mod.name, 'data');
+      assert.equal(mod.html, '<p>Hello</p>\n');
+      done();
+    }).catch(done);
+  });
+
+  test('Loader.registerPlugin.translate', function(done) {
+    var loader = getLoader();
+    loader.registerPlugin('!upper', {
+      translate: function(load) {
+        return 'export var upper = ' +
+            JSON.stringify(load.source.toUpperCase()) + ';';
+      }
+    });
+    loader.import('./plugins/template.html!upper').then(function(mod) {
+      assert.equal(mod.upper, '<P>HELLO</P>\n');
+      done();
+    }).catch(done);
+  });
+
+  test('Loader.registerPlugin.instantiate', function(done) {
+    var loader = getLoader();
+    loader.registerPlugin(/\.csv$/, {
+      instantiate: function(load) {
+        return {rows: load.source.trim().split('\n')};
+      }
+    });
+    assert.isNull(loader.getPlugin('rows.js'));
+    loader.import('./plugins/rows.csv').then(function(mod) {
+      assert.deepEqual(mod.rows, ['a', 'b', 'c']);
+      done();
+    }).catch(done);
+  });
+
   test('System.semverMap', function() {
     var semVerRegExp = System.semVerRegExp_();
     var m = semVerRegExp.exec('1.2.3-a.b.c.5.d.100');
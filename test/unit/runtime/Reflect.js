@@ -0,0 +1,127 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('Reflect.js', function() {
+
+  // Test the polyfill even if the engine has a native Reflect.
+  var reflect;
+  setup(function() {
+    reflect = $traceurRuntime.ModuleStore.getForTesting(
+        'src/runtime/polyfills/Reflect.js');
+  });
+
+  test('Reflect.apply', function() {
+    function f(a, b) {
+      return this.x + a + b;
+    }
+    assert.equal(reflect.apply(f, {x: 1}, [2, 3]), 6);
+    assert.throws(function() {
+      reflect.apply(f, null, undefined);
+    }, TypeError);
+    assert.throws(function() {
+      reflect.apply(1, null, []);
+    }, TypeError);
+  });
+
+  test('Reflect.construct', function() {
+    function C(x) {
+      this.x = x;
+    }
+    function D() {}
+    var c = reflect.construct(C, [1]);
+    assert.instanceOf(c, C);
+    assert.equal(c.x, 1);
+    var d = reflect.construct(C, [2], D);
+    assert.instanceOf(d, D);
+    assert.equal(d.x, 2);
+    assert.instanceOf(reflect.construct(Date, [0]), Date);
+  });
+
+  test('Reflect.defineProperty and deleteProperty', function() {
+    var object = {};
+    assert.isTrue(reflect.defineProperty(object, 'a', {value: 1}));
+    assert.isFalse(reflect.defineProperty(object, 'a', {value: 2}));
+    assert.isFalse(reflect.deleteProperty(object, 'a'));
+    object.b = 2;
+    assert.isTrue(reflect.deleteProperty(object, 'b'));
+    assert.isFalse('b' in object);
+  });
+
+  test('Reflect.get', function() {
+    var object = {
+      a: 1,
+      get b() { return this.a; }
+    };
+    assert.equal(reflect.get(object, 'a'), 1);
+    assert.equal(reflect.get(object, 'b', {a: 2}), 2);
+    assert.equal(reflect.get(Object.create(object), 'b'), 1);
+    assert.isUndefined(reflect.get(object, 'c'));
+  });
+
+  test('Reflect.set', function() {
+    var log = [];
+    var object = {
+      a: 1,
+      set b(v) { log.push(v); }
+    };
+    var child = Object.create(object);
+    assert.isTrue(reflect.set(child, 'a', 2));
+    assert.equal(child.a, 2);
+    assert.equal(object.a, 1);
+    assert.isTrue(reflect.set(child, 'b', 3));
+    assert.deepEqual(log, [3]);
+    assert.isFalse(reflect.set(Object.freeze({a: 1}), 'a', 2));
+    assert.isFalse(reflect.set(object, 'a', 1, 42));
+  });
+
+  test('Reflect.has', function() {
+    assert.isTrue(reflect.has({a: 1}, 'a'));
+    assert.isTrue(reflect.has({}, 'toString'));
+    assert.isFalse(reflect.has({}, 'a'));
+    assert.throws(function() {
+      reflect.has('abc', 'length');
+    }, TypeError);
+  });
+
+  test('Reflect.ownKeys', function() {
+    var object = {a: 1, b: 2};
+    assert.deepEqual(reflect.ownKeys(object), ['a', 'b']);
+    if (typeof Symbol === 'function') {
+      var s = Symbol();
+      object[s] = 3;
+      assert.deepEqual(reflect.ownKeys(object), ['a', 'b', s]);
+    }
+  });
+
+  test('Reflect.preventExtensions and isExtensible', function() {
+    var object = {};
+    assert.isTrue(reflect.isExtensible(object));
+    assert.isTrue(reflect.preventExtensions(object));
+    assert.isFalse(reflect.isExtensible(object));
+  });
+
+  test('Reflect.getPrototypeOf and setPrototypeOf', function() {
+    var proto = {};
+    var object = {};
+    assert.equal(reflect.getPrototypeOf(object), Object.prototype);
+    assert.isTrue(reflect.setPrototypeOf(object, proto));
+    assert.equal(reflect.getPrototypeOf(object), proto);
+    assert.isFalse(reflect.setPrototypeOf(Object.preventExtensions({}),
+                                          proto));
+    assert.throws(function() {
+      reflect.setPrototypeOf(object, 1);
+    }, TypeError);
+  });
+
+});
@@ -0,0 +1,100 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('WeakMap.js', function() {
+
+  // Test the polyfills even if the engine has native WeakMap and WeakSet.
+  function getPolyfill(name) {
+    var path = 'src/runtime/polyfills/' + name + '.js';
+    return $traceurRuntime.ModuleStore.getForTesting(path)[name];
+  }
+
+  test('WeakMap get, set, has and delete', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var map = new WeakMap();
+    var key = {};
+    assert.isFalse(map.has(key));
+    assert.equal(map.set(key, 1), map);
+    assert.isTrue(map.has(key));
+    assert.equal(map.get(key), 1);
+    assert.isTrue(map.delete(key));
+    assert.isFalse(map.has(key));
+    assert.isUndefined(map.get(key));
+    assert.isFalse(map.delete(key));
+  });
+
+  test('WeakMap does not keep its keys', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var map = new WeakMap();
+    map.set({}, 1);
+    assert.deepEqual(map.frozenKeys_, []);
+  });
+
+  test('WeakMap instances are independent', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var a = new WeakMap();
+    var b = new WeakMap();
+    var key = {};
+    a.set(key, 'a');
+    assert.isFalse(b.has(key));
+    b.set(key, 'b');
+    assert.equal(a.get(key), 'a');
+    assert.equal(b.get(key), 'b');
+  });
+
+  test('WeakMap non extensible keys', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var map = new WeakMap();
+    var frozen = Object.freeze({});
+    map.set(frozen, 1);
+    assert.equal(map.get(frozen), 1);
+    assert.isTrue(map.delete(frozen));
+    assert.isFalse(map.has(frozen));
+  });
+
+  test('WeakMap primitive keys', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var map = new WeakMap();
+    assert.throws(function() {
+      map.set('a', 1);
+    }, TypeError);
+    assert.isFalse(map.has('a'));
+    assert.isUndefined(map.get('a'));
+    assert.isFalse(map.delete('a'));
+  });
+
+  test('WeakMap iterable', function() {
+    var WeakMap = getPolyfill('WeakMap');
+    var a = {};
+    var b = {};
+    var map = new WeakMap([[a, 1], [b, 2]]);
+    assert.equal(map.get(a), 1);
+    assert.equal(map.get(b), 2);
+  });
+
+  test('WeakSet add, has and delete', function() {
+    var WeakSet = getPolyfill('WeakSet');
+    var set = new WeakSet();
+    var value = {};
+    assert.isFalse(set.has(value));
+    assert.equal(set.add(value), set);
+    assert.isTrue(set.has(value));
+    assert.isTrue(set.delete(value));
+    assert.isFalse(set.has(value));
+    assert.throws(function() {
+      set.add(1);
+    }, TypeError);
+  });
+
+});
@@ -0,0 +1,5 @@
+import data from './data.json';
+import template from './template.html!text';
+
+export var name = data.name;
+export var html = template;
@@ -0,0 +1,140 @@
+// Copyright 2011 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('TypeChecker.js', function() {
+
+  function get(name) {
+    return $traceurRuntime.ModuleStore.getForTesting(name);
+  }
+
+  teardown(function() {
+    traceur.options.reset();
+  });
+
+  var Parser = traceur.syntax.Parser;
+  var SourceFile = traceur.syntax.SourceFile;
+  var ErrorReporter = get('src/util/CollectingErrorReporter.js').CollectingErrorReporter;
+  var validateTypes = get('src/semantics/TypeChecker.js').validate;
+
+  function makeTest(name, code, expectedErrors) {
+    test(name, function() {
+      traceur.options.types = true;
+      traceur.options.memberVariables = true;
+      var reporter = new ErrorReporter();
+      var parser = new Parser(new SourceFile('SOURCE', code), reporter);
+      var tree = parser.parseModule();
+      assert.deepEqual(reporter.errors, []);
+      validateTypes(tree, reporter);
+      assert.deepEqual(reporter.errors, expectedErrors);
+    });
+  }
+
+  makeTest('no annotations', 'var x = 1; x = "a"; function f(a) {} f(1);',
+      []);
+
+  makeTest('initializer', 'var x: number = 1;', []);
+  makeTest('initializer', 'var x: number = "a";',
+      ['SOURCE:1:17: Type \'string\' is not assignable to type \'number\'']);
+  makeTest('initializer', 'var x: string = 1 + "a";', []);
+  makeTest('initializer', 'var x: boolean = 1 < 2;', []);
+  makeTest('initializer', 'var x: number = null;', []);
+  makeTest('initializer', 'var x: any = "a";', []);
+
+  makeTest('inferred local', 'var x = 1; var y: string = x;',
+      ['SOURCE:1:28: Type \'number\' is not assignable to type \'string\'']);
+  makeTest('assigned local is not inferred',
+      'var x = 1; x = "a"; var y: string = x;', []);
+  makeTest('inferred local in function',
+      'function f() { let x = "a"; var y: number = x; }',
+      ['SOURCE:1:45: Type \'string\' is not assignable to type \'number\'']);
+  makeTest('inferred null is any', 'var x = null; var y: number = x;', []);
+
+  makeTest('assignment', 'var x: number; x = "a";',
+      ['SOURCE:1:20: Type \'string\' is not assignable to type \'number\'']);
+  makeTest('assignment', 'var x: number; x = 2;', []);
+
+  makeTest('argument',
+      'function f(a: number, b: string) {} f(1, 2);',
+      ['SOURCE:1:42: Argument of type \'number\' is not assignable to ' +
+       'parameter of type \'string\'']);
+  makeTest('argument', 'function f(a: number) {} f(1, "extra");', []);
+  makeTest('argument', 'function f(a: number) {} f(...["a"]);', []);
+  makeTest('rest argument',
+      'function f(...a: number[]) {} f(1, "a");',
+      ['SOURCE:1:36: Argument of type \'string\' is not assignable to ' +
+       'parameter of type \'number\'']);
+  makeTest('reassigned function', 'function f(a: number) {} f = g; f("a");',
+      []);
+
+  makeTest('return', 'function f(): number { return "a"; }',
+      ['SOURCE:1:31: Type \'string\' is not assignable to type \'number\'']);
+  makeTest('return', 'function f(): number { return 1; }', []);
+  makeTest('return', 'function f(): void { return; }', []);
+  makeTest('return in nested function',
+      'function f(): number { return (function() { return "a"; })().x; }',
+      []);
+  makeTest('return in generator', 'function* f(): number { return "a"; }', []);
+  makeTest('call result', 'function f(): number {} var x: string = f();',
+      ['SOURCE:1:41: Type \'number\' is not assignable to type \'string\'']);
+
+  makeTest('default parameter', 'function f(a: number = "a") {}',
+      ['SOURCE:1:24: Type \'string\' is not assignable to type \'number\'']);
+
+  makeTest('array', 'var x: number[] = [1, 2];', []);
+  makeTest('array', 'var x: Array<string> = [1];',
+      ['SOURCE:1:24: Type \'number[]\' is not assignable to type ' +
+       '\'string[]\'']);
+  makeTest('union', 'var x: number | string = "a";', []);
+  makeTest('union', 'var x: number | string = true;',
+      ['SOURCE:1:26: Type \'boolean\' is not assignable to type ' +
+       '\'number | string\'']);
+
+  makeTest('class', 'class A {} class B extends A {} var a: A = new B();', []);
+  makeTest('class', 'class A {} class B extends A {} var b: B = new A();',
+      ['SOURCE:1:44: Type \'A\' is not assignable to type \'B\'']);
+  makeTest('class member',
+      'class A { x: number; } var a = new A(); a.x = "a";',
+      ['SOURCE:1:47: Type \'string\' is not assignable to type \'number\'']);
+  makeTest('constructor argument',
+      'class A { constructor(x: string) {} } new A(1);',
+      ['SOURCE:1:45: Argument of type \'number\' is not assignable to ' +
+       'parameter of type \'string\'']);
+
+  makeTest('interface',
+      'interface I { x: number; y?: string; } var i: I = {x: 1};', []);
+  makeTest('interface',
+      'interface I { x: number; } var i: I = {x: "a"};',
+      ['SOURCE:1:39: Type \'{x: string}\' is not assignable to type \'I\'']);
+  makeTest('interface', 'interface I { x: number; } var i: I = {};',
+      ['SOURCE:1:39: Type \'{}\' is not assignable to type \'I\'']);
+  makeTest('class implements interface structurally',
+      'interface I { x: number; } class A { x: number; } var i: I = new A();',
+      []);
+
+  makeTest('function type',
+      'var f: (x: number) => string = function(x: number): number {};',
+      ['SOURCE:1:32: Type \'(x: number) => number\' is not assignable to ' +
+       'type \'(x: number) => string\'']);
+
+  makeTest('global types', 'var d: Date = new Date(); var s: String = "a";',
+      []);
+  makeTest('global types', 'var d: Date = 1;',
+      ['SOURCE:1:15: Type \'number\' is not assignable to type \'Date\'']);
+
+  makeTest('unknown type', 'var x: NoSuchType;',
+      ['SOURCE:1:8: Cannot find type NoSuchType']);
+  makeTest('type parameter', 'class A<T> { x: T; }', []);
+  makeTest('imported type', 'import {Foo} from "foo"; var x: Foo = new Foo();',
+      []);
+});
@@ -61,4 +61,105 @@ suite('parser.js', function() {
     assert.equal(comments[1].toString(), '/* DDD */');
   });
 
+
+  test('ErrorRecovery', function() {
+    traceur.options.errorRecovery = true;
+
+    var program = 'var a = 1 +;\n' +
+                  'function f() {\n' +
+                  '  x y;\n' +
+                  '  return 1;\n' +
+                  '}\n' +
+                  'class C {\n' +
+                  '  ) m() {}\n' +
+                  '  n() {}\n' +
+                  '}\n' +
+                  '}\n' +
+                  'var b = 2;\n';
+    var reporter = new traceur.util.CollectingErrorReporter();
+    var sourceFile = new traceur.syntax.SourceFile('Name', program);
+    var parser = new traceur.syntax.Parser(sourceFile, reporter);
+    var tree = parser.parseScript();
+
+    assert.deepEqual(reporter.errors, [
+      'Name:1:12: Unexpected token ;',
+      'Name:3:5: Semi-colon expected',
+      'Name:7:3: Unexpected token )',
+      'Name:10:1: Unexpected token }'
+    ]);
+    var items = tree.scriptItemList;
+    assert.deepEqual(items.map(function(item) {
+      return item.type;
+    }), [
+      'ERROR_TREE',
+      'FUNCTION_DECLARATION',
+      'CLASS_DECLARATION',
+      'ERROR_TREE',
+      'VARIABLE_STATEMENT'
+    ]);
+    assert.equal(items[0].message, 'Unexpected token ;');
+    assert.equal(items[0].location.toString(), 'var a = 1 +;');
+    var body = items[1].body.statements;
+    assert.equal(body[0].type, 'ERROR_TREE');
+    assert.equal(body[1].type, 'RETURN_STATEMENT');
+    assert.deepEqual(items[2].elements.map(function(element) {
+      return element.type;
+    }), ['ERROR_TREE', 'PROPERTY_METHOD_ASSIGNMENT']);
+  });
+
+  test('ErrorRecovery in lists and templates', function() {
+    traceur.options.errorRecovery = true;
+
+    function parse(program) {
+      var reporter = new traceur.util.CollectingErrorReporter();
+      var sourceFile = new traceur.syntax.SourceFile('Name', program);
+      var parser = new traceur.syntax.Parser(sourceFile, reporter);
+      var tree = parser.parseScript();
+      return {
+        errors: reporter.errors,
+        types: tree.scriptItemList.map(function(item) {
+          return item.type;
+        })
+      };
+    }
+
+    assert.deepEqual(parse('var s = `abc ${ } def`;\nvar b = 2;\n'), {
+      errors: ['Name:1:17: Unexpected token }'],
+      types: ['ERROR_TREE', 'VARIABLE_STATEMENT']
+    });
+    assert.deepEqual(parse('function f( { }\nclass C { m() {} }\n'), {
+      errors: ['Name:2:1: Unexpected token class'],
+      types: ['ERROR_TREE', 'CLASS_DECLARATION']
+    });
+    assert.deepEqual(parse('var o = {a: 1, b: , c: 3};\n'), {
+      errors: ['Name:1:19: Unexpected token ,'],
+      types: ['VARIABLE_STATEMENT']
+    });
+    // The next element is parsed again once the broken one is skipped.
+    assert.deepEqual(parse('var o = {a: 1 2, c: , d: 4};\n'), {
+      errors: [
+        'Name:1:15: Unexpected token 2',
+        'Name:1:21: Unexpected token ,'
+      ],
+      types: ['VARIABLE_STATEMENT']
+    });
+    assert.deepEqual(parse('function g(a, , b) {}\n'), {
+      errors: ['Name:1:15: Unexpected token ,'],
+      types: ['FUNCTION_DECLARATION']
+    });
+  });
+
+  test('ImportCall', function() {
+    traceur.options.dynamicImport = true;
+
+    var program = 'import(\'./a.js\').then(function(m) {});\n' +
+                  'export function load(name) { return import(name); }\n';
+    var sourceFile = new traceur.syntax.SourceFile('Name', program);
+    var parser = new traceur.syntax.Parser(sourceFile, errorReporter);
+    var tree = parser.parseModule();
+
+    var call = tree.scriptItemList[0].expression.operand.operand;
+    assert.equal(call.type, 'IMPORT_CALL');
+    assert.equal(call.expression.literalToken.processedValue, './a.js');
+  });
 });
@@ -22,6 +22,11 @@ suite('ErrorReporter.js', function() {
   var SyntaxErrorReporter = get('src/util/SyntaxErrorReporter.js').SyntaxErrorReporter;
   var SourcePosition = get('src/util/SourcePosition.js').SourcePosition;
   var MultipleErrors = get('src/util/CollectingErrorReporter.js').MultipleErrors;
+  var CollectingErrorReporter = traceur.util.CollectingErrorReporter;
+  var Diagnostic = traceur.util.Diagnostic;
+  var DiagnosticCode = traceur.util.DiagnosticCode;
+  var validateFreeVariables =
+      get('src/semantics/FreeVariableChecker.js').validate;
 
   var originalConsoleError = console.error;
   var args;
@@ -79,6 +84,118 @@ suite('ErrorReporter.js', function() {
     }
   });
 
+  test('Warning', function() {
+    var r = new traceur.util.ErrorReporter();
+    r.reportWarning(null, 'abcde');
+    assert.equal(args.length, 1);
+    assert.equal(args[0][0], 'warning: abcde');
+    assert.isFalse(r.hadError());
+  });
+
+  test('SyntaxErrorReporter ignores warnings', function() {
+    var r = new SyntaxErrorReporter();
+    r.reportWarning(null, 'abcde');
+    assert.isFalse(r.hadError());
+  });
+
+  test('CollectingErrorReporter', function() {
+    var r = new CollectingErrorReporter();
+    var file = new traceur.syntax.SourceFile('test.js', 'var x = 1;\nx;');
+    r.reportWarning(new SourcePosition(file, 4), 'w');
+    r.reportError(new SourcePosition(file, 11), 'e',
+                  DiagnosticCode.UNDEFINED_VARIABLE);
+    assert.deepEqual(r.errors, ['test.js:2:1: e']);
+    assert.equal(r.diagnostics.length, 2);
+    assert.equal(r.diagnostics[0].severity, 'warning');
+    assert.equal(r.diagnostics[0].code, DiagnosticCode.UNKNOWN);
+    assert.equal(r.diagnostics[1].severity, 'error');
+    assert.equal(r.diagnostics[1].code, 'T2002');
+    assert.equal(r.toError().diagnostics, r.diagnostics);
+  });
+
+  test('Diagnostic', function() {
+    var file = new traceur.syntax.SourceFile('test.js', 'const x = 1;\nx = 2;');
+    var SourceRange = get('src/util/SourceRange.js').SourceRange;
+    var range = new SourceRange(new SourcePosition(file, 13),
+                                new SourcePosition(file, 14));
+    var diagnostic = new Diagnostic('T2001', 'error', 'x is read-only', range);
+    diagnostic.addSecondaryRange(new SourceRange(new SourcePosition(file, 6),
+                                                 new SourcePosition(file, 7)),
+                                 'x is declared here');
+    diagnostic.addFix(new SourcePosition(file, 0), 'let');
+    assert.equal(diagnostic + '', 'test.js:2:1: x is read-only');
+    assert.deepEqual(JSON.parse(JSON.stringify(diagnostic)), {
+      code: 'T2001',
+      severity: 'error',
+      message: 'x is read-only',
+      range: {
+        source: 'test.js',
+        start: {line: 2, column: 1, offset: 13},
+        end: {line: 2, column: 2, offset: 14}
+      },
+      secondaryRanges: [{
+        range: {
+          source: 'test.js',
+          start: {line: 1, column: 7, offset: 6},
+          end: {line: 1, column: 8, offset: 7}
+        },
+        message: 'x is declared here'
+      }],
+      fixes: [{
+        range: {
+          source: 'test.js',
+          start: {line: 1, column: 1, offset: 0},
+          end: {line: 1, column: 1, offset: 0}
+        },
+        text: 'let'
+      }]
+    });
+  });
+
+  test('Diagnostics from the compiler', function() {
+    var r = new CollectingErrorReporter();
+    var file = new traceur.syntax.SourceFile('test.js', 'var x = 1 var y');
+    new traceur.syntax.Parser(file, r).parseScript();
+    var diagnostic = r.diagnostics[0];
+    assert.equal(r.errors[0], 'test.js:1:11: Semi-colon expected');
+    assert.equal(diagnostic.code, DiagnosticCode.MISSING_SEMI_COLON);
+    assert.equal(diagnostic.fixes[0].range.start.offset, 9);
+    assert.equal(diagnostic.fixes[0].text, ';');
+
+    r = new CollectingErrorReporter();
+    file = new traceur.syntax.SourceFile('test.js', '\'use strict\'; yield;');
+    new traceur.syntax.Parser(file, r).parseScript();
+    diagnostic = r.diagnostics[0];
+    assert.equal(diagnostic.code, DiagnosticCode.RESERVED_IDENTIFIER);
+    assert.equal(diagnostic.range.start.offset, 14);
+    assert.equal(diagnostic.range.end.offset, 19);
+  });
+
+  test('Diagnostics from the compiler have ranges', function() {
+    var ranges = [];
+    var r = new traceur.util.ErrorReporter();
+    r.reportDiagnosticInternal = function(diagnostic) {
+      var range = diagnostic.range;
+      ranges.push(range.start.offset + '-' + range.end.offset + ': ' +
+                  diagnostic.message);
+    };
+    [
+      '(...a);',
+      'var x = ',
+      'f(x);'
+    ].forEach(function(source) {
+      var file = new traceur.syntax.SourceFile('test.js', source);
+      var tree = new traceur.syntax.Parser(file, r).parseScript();
+      validateFreeVariables(tree, r, {});
+    });
+    assert.deepEqual(ranges, [
+      '1-5: Unexpected token ...',
+      '8-8: Unexpected end of input',
+      '0-1: f is not defined',
+      '2-3: x is not defined'
+    ]);
+  });
+
   test('MultipleErrors', function() {
     var accumulated = [new SyntaxError('one'), new SyntaxError('two')];
     var error = new MultipleErrors(accumulated);
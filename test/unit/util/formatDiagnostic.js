@@ -0,0 +1,105 @@
+// Copyright 2014 Traceur Authors.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+suite('formatDiagnostic.js', function() {
+
+  function get(name) {
+    return $traceurRuntime.ModuleStore.getForTesting(name);
+  }
+
+  var codeFrame = get('src/util/formatDiagnostic.js').codeFrame;
+  var formatDiagnostic = traceur.util.formatDiagnostic;
+  var Diagnostic = traceur.util.Diagnostic;
+  var SourceFile = traceur.syntax.SourceFile;
+
+  function range(file, start, end) {
+    return file.lineNumberTable.getSourceRange(start, end);
+  }
+
+  var file = new SourceFile('test.js',
+      'var a = 1;\nvar b = 2;\nvar c = a +;\n\tvar d = c;\nvar e;\nvar f;');
+
+  test('codeFrame', function() {
+    assert.equal(codeFrame(range(file, 33, 34)),
+        '  1 | var a = 1;\n' +
+        '  2 | var b = 2;\n' +
+        '> 3 | var c = a +;\n' +
+        '    |            ^\n' +
+        '  4 | \tvar d = c;\n' +
+        '  5 | var e;');
+  });
+
+  test('codeFrame underlines the range', function() {
+    assert.equal(codeFrame(range(file, 0, 3)),
+        '> 1 | var a = 1;\n' +
+        '    | ^^^\n' +
+        '  2 | var b = 2;\n' +
+        '  3 | var c = a +;');
+  });
+
+  test('codeFrame keeps tabs', function() {
+    assert.equal(codeFrame(range(file, 39, 40)).split('\n')[3],
+        '    | \t   ^');
+  });
+
+  test('codeFrame without source', function() {
+    assert.equal(codeFrame(null), '');
+  });
+
+  test('formatDiagnostic', function() {
+    var diagnostic = new Diagnostic('T1003', 'error', 'Semi-colon expected',
+                                    range(file, 45, 45));
+    diagnostic.addFix(range(file, 44, 44), ';');
+
+    assert.equal(formatDiagnostic(diagnostic, 'plain'),
+                 'test.js:4:11: Semi-colon expected');
+    assert.equal(formatDiagnostic(diagnostic),
+                 'test.js:4:11: Semi-colon expected');
+    assert.deepEqual(JSON.parse(formatDiagnostic(diagnostic, 'json')),
+                     JSON.parse(JSON.stringify(diagnostic)));
+    assert.equal(formatDiagnostic(diagnostic, 'pretty'),
+        'test.js:4:11: Semi-colon expected\n' +
+        '  2 | var b = 2;\n' +
+        '  3 | var c = a +;\n' +
+        '> 4 | \tvar d = c;\n' +
+        '    | \t         ^\n' +
+        '  5 | var e;\n' +
+        '  6 | var f;\n' +
+        'test.js:4:10: fix: insert \';\'');
+  });
+
+  test('formatDiagnostic with secondary ranges', function() {
+    var diagnostic = new Diagnostic('T2001', 'error', 'a is read-only',
+                                    range(file, 8, 9));
+    diagnostic.addSecondaryRange(range(file, 4, 5), 'a is declared here');
+    assert.equal(formatDiagnostic(diagnostic, 'pretty'),
+        'test.js:1:9: a is read-only\n' +
+        '> 1 | var a = 1;\n' +
+        '    |         ^\n' +
+        '  2 | var b = 2;\n' +
+        '  3 | var c = a +;\n' +
+        'test.js:1:5: note: a is declared here\n' +
+        '> 1 | var a = 1;\n' +
+        '    |     ^\n' +
+        '  2 | var b = 2;\n' +
+        '  3 | var c = a +;');
+  });
+
+  test('Unknown format', function() {
+    var diagnostic = new Diagnostic('T0000', 'error', 'x', null);
+    assert.throws(function() {
+      formatDiagnostic(diagnostic, 'xml');
+    }, 'Unknown error format \'xml\'');
+  });
+});